@@ -0,0 +1,36 @@
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// PUBLIC_INTERFACE
+/**
+ * JWT authentication middleware.
+ * Sets req.user to the decoded token payload ({ id, email, name, role }).
+ */
+export function authMiddleware(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader)
+    return res.status(401).json({ message: "Missing Authorization header." });
+
+  const token = authHeader.replace(/^Bearer\s/, "");
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.user = decoded;
+    next();
+  } catch {
+    return res.status(401).json({ message: "Invalid/expired token." });
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Allows only admins through; use after authMiddleware.
+ */
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== "admin")
+    return res.status(403).json({ message: "Admin only." });
+  next();
+}
+
+export default authMiddleware;
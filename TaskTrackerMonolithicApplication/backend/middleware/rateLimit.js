@@ -0,0 +1,108 @@
+import RateLimit from "../models/RateLimit.js";
+
+/**
+ * Fixed-window rate limiting.
+ * A store counts hits per key; any object with
+ * `increment(key, windowMs) => Promise<{ count, resetAt }>` and
+ * `reset(key) => Promise` can be plugged in.
+ */
+
+// PUBLIC_INTERFACE
+export function createMemoryStore({ now = () => Date.now() } = {}) {
+  /**
+   * In-process store. Counters live in a Map and are not shared between
+   * server instances; expired windows are dropped as they are touched.
+   */
+  const windows = new Map();
+  return {
+    async increment(key, windowMs) {
+      const current = windows.get(key);
+      if (!current || current.resetAt <= now()) {
+        const fresh = { count: 1, resetAt: now() + windowMs };
+        windows.set(key, fresh);
+        return { count: 1, resetAt: new Date(fresh.resetAt) };
+      }
+      current.count += 1;
+      return { count: current.count, resetAt: new Date(current.resetAt) };
+    },
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createMongoStore() {
+  /**
+   * MongoDB-backed store, shared by every server instance using the same
+   * database. Old counters are removed by the TTL index on RateLimit.resetAt.
+   */
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      // Start a new window when the old one is over (TTL cleanup is lazy).
+      const restarted = await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+        { new: true }
+      );
+      if (restarted) return { count: restarted.count, resetAt: restarted.resetAt };
+      try {
+        const doc = await RateLimit.findOneAndUpdate(
+          { key },
+          { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(now.getTime() + windowMs) } },
+          { new: true, upsert: true }
+        );
+        return { count: doc.count, resetAt: doc.resetAt };
+      } catch (err) {
+        // Two concurrent upserts on the unique key: the loser just increments.
+        if (err.code !== 11000) throw err;
+        const doc = await RateLimit.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+        return { count: doc.count, resetAt: doc.resetAt };
+      }
+    },
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createRateLimiter({
+  windowMs = 15 * 60 * 1000,
+  max = 100,
+  store = createMemoryStore(),
+  prefix = "rl",
+  keyGenerator = (req) => req.ip,
+  message = "Too many requests, please try again later.",
+} = {}) {
+  /**
+   * Express middleware allowing `max` requests per key per window.
+   * Over the limit it answers 429 with a Retry-After header (seconds).
+   * A failing store lets requests through rather than locking everyone out.
+   */
+  return async function rateLimit(req, res, next) {
+    let hit;
+    try {
+      hit = await store.increment(`${prefix}:${keyGenerator(req)}`, windowMs);
+    } catch (err) {
+      console.error("Rate limit store error:", err.message);
+      return next();
+    }
+
+    const retryAfter = Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 1);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - hit.count, 0)));
+    if (hit.count > max) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ message, retryAfter });
+    }
+    next();
+  };
+}
+
+// PUBLIC_INTERFACE
+export function storeFromEnv() {
+  /** Store selected by RATE_LIMIT_STORE ("memory" (default) or "mongo"). */
+  return process.env.RATE_LIMIT_STORE === "mongo" ? createMongoStore() : createMemoryStore();
+}
@@ -0,0 +1,14 @@
+import { validationResult } from "express-validator";
+
+// PUBLIC_INTERFACE
+/**
+ * Middleware to validate request and return errors formatted.
+ */
+export function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ errors: errors.array() });
+  next();
+}
+
+export default validate;
@@ -0,0 +1,25 @@
+import Task, { PRIORITY_RANK } from "../models/Task.js";
+
+/**
+ * Backfills Task.priorityRank for tasks saved before the field existed
+ * (or whose rank went stale), so sortBy=priority orders low < medium < high.
+ * Safe to run repeatedly.
+ */
+
+// PUBLIC_INTERFACE
+export const name = "001-priority-rank";
+
+// PUBLIC_INTERFACE
+export async function up() {
+  /** Returns the number of tasks updated. */
+  let updated = 0;
+  for (const [priority, rank] of Object.entries(PRIORITY_RANK)) {
+    // Raw collection update: bypasses the model hooks and validation on purpose.
+    const result = await Task.collection.updateMany(
+      { priority, priorityRank: { $ne: rank } },
+      { $set: { priorityRank: rank } }
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+}
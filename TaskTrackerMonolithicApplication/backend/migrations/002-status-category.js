@@ -0,0 +1,25 @@
+import Task from "../models/Task.js";
+import { DEFAULT_WORKFLOW } from "../services/workflows.js";
+
+/**
+ * Backfills Task.statusCategory for tasks saved before workflows existed,
+ * from the category of their status in the default workflow.
+ * Safe to run repeatedly.
+ */
+
+// PUBLIC_INTERFACE
+export const name = "002-status-category";
+
+// PUBLIC_INTERFACE
+export async function up() {
+  /** Returns the number of tasks updated. */
+  let updated = 0;
+  for (const { key, category } of DEFAULT_WORKFLOW.statuses) {
+    const result = await Task.collection.updateMany(
+      { status: key, statusCategory: { $exists: false } },
+      { $set: { statusCategory: category } }
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+}
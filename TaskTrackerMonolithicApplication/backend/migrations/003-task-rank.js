@@ -0,0 +1,36 @@
+import Task, { RANK_STEP } from "../models/Task.js";
+
+/**
+ * Gives tasks saved before manual ordering existed a rank, oldest first,
+ * after any task that already has one (sortBy=rank, the board order).
+ * Safe to run repeatedly.
+ */
+
+// PUBLIC_INTERFACE
+export const name = "003-task-rank";
+
+// PUBLIC_INTERFACE
+export async function up() {
+  /** Returns the number of tasks updated. */
+  const last = await Task.collection.find({ rank: { $type: "number" } }).sort({ rank: -1 }).limit(1).next();
+  let rank = last?.rank ?? 0;
+  const unranked = Task.collection
+    .find({ rank: { $not: { $type: "number" } } }, { projection: { _id: 1 } })
+    .sort({ createdAt: 1, _id: 1 });
+
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    const result = await Task.collection.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+  for await (const { _id } of unranked) {
+    rank += RANK_STEP;
+    batch.push({ updateOne: { filter: { _id }, update: { $set: { rank } } } });
+    if (batch.length === 500) await flush();
+  }
+  await flush();
+  return updated;
+}
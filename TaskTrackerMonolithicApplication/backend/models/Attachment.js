@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+/**
+ * Attachment Schema for files kept with a task (e.g. from an emailed task).
+ * Fields:
+ *  - task: reference to Task (_id) the file belongs to
+ *  - uploader: reference to User (_id) who added it
+ *  - filename: original file name
+ *  - contentType: MIME type of the file
+ *  - size: size in bytes
+ *  - data: file contents (at most MAX_ATTACHMENT_BYTES)
+ *  - timestamps: createdAt, updatedAt
+ */
+
+// PUBLIC_INTERFACE
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// PUBLIC_INTERFACE
+const attachmentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      index: true,
+      description: "Task the file belongs to."
+    },
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      description: "User who added the file."
+    },
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 255,
+      description: "Original file name."
+    },
+    contentType: {
+      type: String,
+      required: true,
+      default: "application/octet-stream",
+      description: "MIME type of the file."
+    },
+    size: {
+      type: Number,
+      required: true,
+      description: "Size of the file in bytes."
+    },
+    data: {
+      type: Buffer,
+      required: true,
+      select: false,
+      description: "File contents; only loaded for downloads."
+    }
+  },
+  { timestamps: true }
+);
+
+/**
+ * Attachment Model constructed from attachmentSchema.
+ */
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+export default Attachment;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+/**
+ * AuthToken Schema for single-use, expiring tokens sent by email.
+ * Only a SHA-256 hash of the token is stored.
+ * Fields:
+ *  - user: reference to User (_id)
+ *  - purpose: "password_reset" or "email_verification"
+ *  - tokenHash: SHA-256 hash of the emailed token
+ *  - expiresAt: when the token stops being accepted
+ *  - usedAt: when the token was consumed (single use)
+ *  - timestamps: createdAt, updatedAt
+ */
+
+// PUBLIC_INTERFACE
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+      description: "User the token was issued to."
+    },
+    purpose: {
+      type: String,
+      enum: ["password_reset", "email_verification"],
+      required: true,
+      description: "What the token can be used for."
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      description: "SHA-256 hash of the token."
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      description: "Expiry of the token."
+    },
+    usedAt: {
+      type: Date,
+      required: false,
+      description: "When the token was used."
+    }
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB purge expired tokens.
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * AuthToken Model constructed from authTokenSchema.
+ */
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+
+export default AuthToken;
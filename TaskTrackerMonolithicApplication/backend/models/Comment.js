@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+/**
+ * Comment Schema for discussion threads on tasks.
+ * Fields:
+ *  - task: reference to Task (_id) the comment belongs to
+ *  - author: reference to User (_id) who wrote it
+ *  - body: comment text (max 5000 chars)
+ *  - mentions: users @mentioned in the body who can access the task
+ *  - editedAt: when the author last edited the comment
+ *  - timestamps: createdAt, updatedAt
+ */
+
+// PUBLIC_INTERFACE
+const commentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      description: "Task the comment belongs to."
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      description: "User who wrote the comment."
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+      description: "Comment text."
+    },
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        description: "Mentioned user with access to the task."
+      }
+    ],
+    editedAt: {
+      type: Date,
+      required: false,
+      description: "When the comment was last edited."
+    }
+  },
+  { timestamps: true }
+);
+
+// Threads are read oldest first per task.
+commentSchema.index({ task: 1, createdAt: 1 });
+
+/**
+ * Comment Model constructed from commentSchema.
+ */
+const Comment = mongoose.model("Comment", commentSchema);
+
+export default Comment;
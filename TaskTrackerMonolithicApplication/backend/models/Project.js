@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+
+/**
+ * Project Schema grouping tasks into a shared board.
+ * Fields:
+ *  - name: display name of the project
+ *  - description: optional longer description
+ *  - owner: reference to User (_id) that created the project
+ *  - members: [{ user, role }] where role is owner, editor or viewer
+ *  - workflow: optional custom task workflow (see services/workflows.js)
+ *  - timestamps: createdAt, updatedAt
+ */
+
+// PUBLIC_INTERFACE
+export const PROJECT_ROLES = ["owner", "editor", "viewer"];
+
+// PUBLIC_INTERFACE
+export const STATUS_CATEGORIES = ["todo", "in_progress", "done"];
+
+const workflowSchema = new mongoose.Schema(
+  {
+    statuses: [
+      {
+        _id: false,
+        key: { type: String, required: true, description: "Status value stored on tasks." },
+        name: { type: String, required: true, trim: true, description: "Display name." },
+        category: {
+          type: String,
+          enum: STATUS_CATEGORIES,
+          required: true,
+          description: "todo, in_progress or done."
+        }
+      }
+    ],
+    initial: {
+      type: String,
+      required: true,
+      description: "Status new tasks start in."
+    },
+    transitions: [
+      {
+        _id: false,
+        from: { type: String, required: true },
+        to: { type: [String], default: [] }
+      }
+    ]
+  },
+  { _id: false }
+);
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      description: "Member user id."
+    },
+    role: {
+      type: String,
+      enum: PROJECT_ROLES,
+      default: "editor",
+      required: true,
+      description: "Role of the member within the project."
+    }
+  },
+  { _id: false }
+);
+
+// PUBLIC_INTERFACE
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+      description: "Name of the project."
+    },
+    description: {
+      type: String,
+      required: false,
+      maxlength: 1000,
+      description: "Description of the project."
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      description: "User id that created (and owns) the project."
+    },
+    members: {
+      type: [memberSchema],
+      default: [],
+      description: "Project members with their roles."
+    },
+    workflow: {
+      type: workflowSchema,
+      required: false,
+      description: "Custom task workflow; tasks use the default workflow without one."
+    }
+  },
+  { timestamps: true }
+);
+
+projectSchema.index({ "members.user": 1 });
+
+/**
+ * Returns the role of a user in this project, or null if not a member.
+ */
+projectSchema.methods.roleOf = function (userId) {
+  const member = this.members.find((m) => String(m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+/**
+ * Project Model constructed from projectSchema.
+ */
+const Project = mongoose.model("Project", projectSchema);
+
+export default Project;
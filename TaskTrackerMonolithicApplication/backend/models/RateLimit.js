@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+/**
+ * RateLimit Schema: request counters for the Mongo-backed rate limit store.
+ * Fields:
+ *  - key: limiter key (e.g. "auth:<ip>")
+ *  - count: requests counted in the current window
+ *  - resetAt: end of the current window
+ */
+
+// PUBLIC_INTERFACE
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    description: "Limiter key, typically prefix and client IP."
+  },
+  count: {
+    type: Number,
+    default: 0,
+    description: "Requests in the current window."
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+    description: "When the current window ends."
+  }
+});
+
+// Let MongoDB drop counters once their window is over.
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * RateLimit Model constructed from rateLimitSchema.
+ */
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+export default RateLimit;
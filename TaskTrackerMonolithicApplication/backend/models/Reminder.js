@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+/**
+ * Reminder Schema for persisted, restart-safe email reminders.
+ * Fields:
+ *  - task: reference to Task (_id) the reminder is about
+ *  - email: recipient email address
+ *  - kind: "due_soon" (automatic, 24h before dueDate) or "manual"
+ *  - sendAt: UTC date/time at which the reminder becomes due
+ *  - status: pending, processing, sent, failed or cancelled
+ *  - attempts: number of delivery attempts made so far
+ *  - lastError: message of the most recent delivery failure
+ *  - lockedAt: when a worker claimed the reminder (processing only)
+ *  - sentAt: when the email was successfully handed to SMTP
+ *  - timestamps: createdAt, updatedAt
+ */
+
+// PUBLIC_INTERFACE
+const reminderSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      index: true,
+      description: "Task the reminder is about."
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      description: "Recipient email address."
+    },
+    kind: {
+      type: String,
+      enum: ["due_soon", "manual"],
+      default: "due_soon",
+      required: true,
+      description: "Automatic due-date reminder or manually scheduled one."
+    },
+    sendAt: {
+      type: Date,
+      required: true,
+      description: "UTC date/time at which the reminder should be sent."
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "sent", "failed", "cancelled"],
+      default: "pending",
+      required: true,
+      description: "Delivery state of the reminder."
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      description: "Number of delivery attempts made."
+    },
+    lastError: {
+      type: String,
+      required: false,
+      description: "Error message of the last failed attempt."
+    },
+    lockedAt: {
+      type: Date,
+      required: false,
+      description: "When a worker claimed this reminder for delivery."
+    },
+    sentAt: {
+      type: Date,
+      required: false,
+      description: "When the reminder was delivered."
+    }
+  },
+  { timestamps: true }
+);
+
+// Workers poll for the oldest due pending reminders.
+reminderSchema.index({ status: 1, sendAt: 1 });
+
+/**
+ * Reminder Model constructed from reminderSchema.
+ */
+const Reminder = mongoose.model("Reminder", reminderSchema);
+
+export default Reminder;
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import { STATUS_CATEGORIES, STATUS_KEY_PATTERN } from "../services/workflows.js";
+import { MAX_TAGS, MAX_TAG_LENGTH, PRIORITIES } from "../../shared/index.js";
+
+/**
+ * SavedView Schema: a named task list filter and sort a user can reopen.
+ * Filters are evaluated when the view is listed (services/savedViews.js),
+ * so relative ones ("due in the next 7 days", "assigned to me") follow the
+ * current day and user.
+ * Fields:
+ *  - name: label shown in the sidebar
+ *  - owner: reference to User (_id) the view belongs to
+ *  - filters: status, category, priority, project, tags/tagsMode,
+ *    assignee (me, unassigned), due (overdue, today, next, none) with
+ *    dueDays for "next", and hideDone
+ *  - sortBy/order: as for the task list (comma lists)
+ *  - timestamps: createdAt, updatedAt
+ */
+
+// PUBLIC_INTERFACE
+export const VIEW_ASSIGNEES = ["me", "unassigned"];
+
+// PUBLIC_INTERFACE
+export const VIEW_DUE = ["overdue", "today", "next", "none"];
+
+// PUBLIC_INTERFACE
+export const MAX_VIEW_DAYS = 365;
+
+// PUBLIC_INTERFACE
+export const VIEW_SORT_KEYS = ["dueDate", "priority", "createdAt", "rank"];
+
+/**
+ * Filters of a saved view; unset ones do not filter.
+ */
+const viewFiltersSchema = new mongoose.Schema(
+  {
+    status: { type: String, match: STATUS_KEY_PATTERN, description: "Workflow status key." },
+    category: { type: String, enum: STATUS_CATEGORIES, description: "Status category." },
+    priority: { type: String, enum: PRIORITIES, description: "Priority." },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+      description: "Only tasks of this project (null: every task the owner can see)."
+    },
+    tags: {
+      type: [{ type: String, lowercase: true, maxlength: MAX_TAG_LENGTH }],
+      validate: [(tags) => tags.length <= MAX_TAGS, `A view filters by at most ${MAX_TAGS} tags.`],
+      description: "Tag names; tasks need any of them, or all with tagsMode all."
+    },
+    tagsMode: { type: String, enum: ["any", "all"], default: "any", description: "How tags match." },
+    assignee: { type: String, enum: VIEW_ASSIGNEES, description: "Assigned to the viewer, or to nobody." },
+    due: { type: String, enum: VIEW_DUE, description: "Due date relative to today." },
+    dueDays: {
+      type: Number,
+      min: 1,
+      max: MAX_VIEW_DAYS,
+      description: "Days ahead (today included) for due: next."
+    },
+    hideDone: { type: Boolean, default: false, description: "Leave out tasks in a done status." }
+  },
+  { _id: false }
+);
+
+// PUBLIC_INTERFACE
+const savedViewSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60,
+      description: "Name shown in the sidebar."
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+      description: "User the view belongs to."
+    },
+    filters: {
+      type: viewFiltersSchema,
+      default: () => ({}),
+      description: "Filter definition."
+    },
+    sortBy: { type: String, default: "dueDate", description: "Sort keys, as the task list's sortBy." },
+    order: { type: String, default: "asc", description: "Sort directions, as the task list's order." }
+  },
+  { timestamps: true }
+);
+
+/**
+ * SavedView Model constructed from savedViewSchema.
+ */
+const SavedView = mongoose.model("SavedView", savedViewSchema);
+
+export default SavedView;
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+/**
+ * Session Schema: one login (device) with its rotating refresh token.
+ * The session is the refresh token family: every refresh replaces the token
+ * hash, and presenting an older token of the family revokes the session.
+ * Fields:
+ *  - user: reference to User (_id)
+ *  - refreshTokenHash: SHA-256 of the currently valid refresh token secret
+ *  - expiresAt: absolute expiry of the session (extended on each refresh)
+ *  - revokedAt: set when logged out or when token reuse was detected
+ *  - revokedReason: "logout", "logout_all" or "reuse"
+ *  - lastUsedAt: last successful refresh
+ *  - userAgent, ip: client info at login, for display
+ *  - timestamps: createdAt, updatedAt
+ */
+
+// PUBLIC_INTERFACE
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+      description: "User owning the session."
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      description: "SHA-256 hash of the current refresh token secret."
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      description: "When the session (and its refresh token) expires."
+    },
+    revokedAt: {
+      type: Date,
+      required: false,
+      description: "When the session was revoked."
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout_all", "reuse"],
+      required: false,
+      description: "Why the session was revoked."
+    },
+    lastUsedAt: {
+      type: Date,
+      required: false,
+      description: "Last time the refresh token was rotated."
+    },
+    userAgent: {
+      type: String,
+      required: false,
+      description: "User agent of the client that logged in."
+    },
+    ip: {
+      type: String,
+      required: false,
+      description: "IP address of the client that logged in."
+    }
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB purge sessions a week after they expired.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * Session Model constructed from sessionSchema.
+ */
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import { MAX_TAG_LENGTH, TAG_PATTERN } from "../../shared/index.js";
+
+/**
+ * Tag Schema: a label and its color. Tasks hold tag names (Task.tags); the
+ * tags of personal tasks belong to the task's creator, the tags of project
+ * tasks to the project, so each user and project has its own set.
+ * Fields:
+ *  - name: lowercase tag name, unique within its owner or project
+ *  - color: chip color as #rrggbb
+ *  - owner: reference to User (_id) for personal tags
+ *  - project: reference to Project (_id) for project tags
+ *  - timestamps: createdAt, updatedAt
+ */
+
+// PUBLIC_INTERFACE
+export const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// PUBLIC_INTERFACE
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: MAX_TAG_LENGTH,
+      match: TAG_PATTERN,
+      description: "Tag name as stored on tasks (lowercase)."
+    },
+    color: {
+      type: String,
+      required: true,
+      lowercase: true,
+      match: COLOR_PATTERN,
+      description: "Chip color (#rrggbb)."
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      description: "User whose personal tasks use the tag (null for project tags)."
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+      description: "Project whose tasks use the tag (null for personal tags)."
+    }
+  },
+  { timestamps: true }
+);
+
+tagSchema.index({ owner: 1, project: 1, name: 1 }, { unique: true });
+
+/**
+ * Tag Model constructed from tagSchema.
+ */
+const Tag = mongoose.model("Tag", tagSchema);
+
+export default Tag;
@@ -1,4 +1,11 @@
 import mongoose from "mongoose";
+import { recurrenceRuleSchema } from "./TaskSeries.js";
+import {
+  STATUS_CATEGORIES,
+  STATUS_KEY_PATTERN,
+  defaultStatusCategory,
+} from "../services/workflows.js";
+import { MAX_TAGS, MAX_TAG_LENGTH } from "../../shared/index.js";
 
 /**
  * Task Schema for user task management.
@@ -6,13 +13,40 @@ import mongoose from "mongoose";
  *  - title: short title for the task
  *  - description: long description of task
  *  - dueDate: due date and time for the task
- *  - status: status of the task (e.g. todo, in_progress, completed)
- *  - priority: numeric or string priority (e.g., low, medium, high)
+ *  - status: status key from the task's workflow (default: todo, in_progress, completed)
+ *  - statusCategory: todo, in_progress or done; the category of the status
+ *  - priority: low, medium or high
+ *  - priorityRank: numeric rank of priority (low 1, medium 2, high 3), kept in sync for sorting
  *  - assignedTo: reference to User (_id)
  *  - creator: reference to User (_id), i.e. created by
+ *  - project: optional reference to Project (_id) sharing the task with its members
+ *  - recurrence: recurrence rule, for occurrences of a recurring task
+ *  - series: reference to TaskSeries (_id) of a recurring task
+ *  - occurrence: 1-based number of this occurrence within its series
+ *  - parent: reference to the parent Task (_id) of a subtask
+ *  - checklist: embedded checklist items { text, done }
+ *  - requireSubtasksDone: when true, the task cannot be completed while subtasks are open
+ *  - blockedBy: references to Tasks (_id) that must be completed before this one
+ *  - rank: manual (board) order, ascending; fractional, see services/ranking.js
+ *  - externalId: id of the task in another system, matched on re-import
+ *  - tags: lowercase labels, e.g. from "#finance" in a quick-add line
  *  - timestamps: createdAt, updatedAt
  */
 
+// PUBLIC_INTERFACE
+export const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// PUBLIC_INTERFACE
+export const RANK_STEP = 1024;
+
+/**
+ * Checklist item embedded in a task.
+ */
+const checklistItemSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true, maxlength: 200 },
+  done: { type: Boolean, default: false }
+});
+
 // PUBLIC_INTERFACE
 const taskSchema = new mongoose.Schema(
   {
@@ -37,9 +71,16 @@ const taskSchema = new mongoose.Schema(
     status: {
       type: String,
       required: true,
-      enum: ["todo", "in_progress", "completed"],
+      match: STATUS_KEY_PATTERN,
+      default: "todo",
+      description: "Status of the task, a key of its workflow (see services/workflows.js)."
+    },
+    statusCategory: {
+      type: String,
+      enum: STATUS_CATEGORIES,
       default: "todo",
-      description: "Status of the task."
+      index: true,
+      description: "Category of the status; done means the task is complete."
     },
     priority: {
       type: String,
@@ -48,6 +89,11 @@ const taskSchema = new mongoose.Schema(
       required: true,
       description: "Priority of the task."
     },
+    priorityRank: {
+      type: Number,
+      default: PRIORITY_RANK.medium,
+      description: "Sortable rank of priority (low 1, medium 2, high 3); derived, do not set directly."
+    },
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -59,11 +105,116 @@ const taskSchema = new mongoose.Schema(
       ref: "User",
       required: false,
       description: "User id that created the task."
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: false,
+      index: true,
+      description: "Project the task belongs to, if any."
+    },
+    recurrence: {
+      type: recurrenceRuleSchema,
+      required: false,
+      description: "Recurrence rule (copy of the series rule) of a recurring task."
+    },
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskSeries",
+      required: false,
+      index: true,
+      description: "Series this task is an occurrence of."
+    },
+    occurrence: {
+      type: Number,
+      required: false,
+      description: "1-based occurrence number within the series."
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: false,
+      index: true,
+      description: "Parent task, if this task is a subtask."
+    },
+    checklist: {
+      type: [checklistItemSchema],
+      default: [],
+      description: "Checklist items of the task."
+    },
+    requireSubtasksDone: {
+      type: Boolean,
+      default: true,
+      description: "Refuse to complete the task while any of its subtasks is open."
+    },
+    blockedBy: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
+      default: [],
+      index: true,
+      description: "Tasks that block this one until they are completed."
+    },
+    rank: {
+      type: Number,
+      required: false,
+      index: true,
+      description: "Manual order on the board (ascending); set through a move, not directly."
+    },
+    externalId: {
+      type: String,
+      required: false,
+      trim: true,
+      maxlength: 200,
+      index: { sparse: true },
+      description: "Id of the task in the system it was imported from; re-importing it updates the task."
+    },
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: MAX_TAG_LENGTH }],
+      default: [],
+      validate: {
+        validator: (tags) => tags.length <= MAX_TAGS,
+        message: `At most ${MAX_TAGS} tags.`,
+      },
+      index: true,
+      description: "Lowercase labels of the task."
     }
   },
   { timestamps: true }
 );
 
+// Keep priorityRank in step with priority, for saves and query updates.
+taskSchema.pre("validate", function syncPriorityRank(next) {
+  if (this.priority) this.priorityRank = PRIORITY_RANK[this.priority];
+  next();
+});
+
+// Routes set statusCategory from the task's workflow; a status set on its
+// own falls back to its category in the default workflow.
+taskSchema.pre("validate", function syncStatusCategory(next) {
+  if (this.isModified("status") && !this.isModified("statusCategory"))
+    this.statusCategory = defaultStatusCategory(this.status);
+  next();
+});
+
+// New tasks go to the end of the manual order.
+taskSchema.pre("save", async function assignRank() {
+  if (!this.isNew || this.rank != null) return;
+  const last = await this.constructor.findOne({ rank: { $ne: null } }, { rank: 1 }).sort({ rank: -1 });
+  this.rank = (last?.rank ?? 0) + RANK_STEP;
+});
+
+taskSchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function syncPriorityRank(next) {
+  const update = this.getUpdate() || {};
+  const priority = update.$set?.priority ?? update.priority;
+  if (priority && PRIORITY_RANK[priority]) this.set("priorityRank", PRIORITY_RANK[priority]);
+  next();
+});
+
+// Full-text search (GET /api/tasks?q=); title matches rank higher.
+taskSchema.index(
+  { title: "text", description: "text" },
+  { name: "task_text_search", weights: { title: 5, description: 1 } }
+);
+
 /**
  * Task Model constructed from taskSchema.
  */
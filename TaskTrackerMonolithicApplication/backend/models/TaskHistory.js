@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+/**
+ * TaskHistory Schema: one entry per change made to a task.
+ * Fields:
+ *  - task: reference to Task (_id) that changed
+ *  - actor: reference to User (_id) who made the change
+ *  - action: "create", "update", "complete" (toggle via /complete) or "revert"
+ *  - changes: list of { field, from, to } for every field that changed
+ *  - revertedTo: for reverts, the entry whose version was restored
+ *  - timestamps: createdAt (when the change happened)
+ */
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed }
+  },
+  { _id: false }
+);
+
+// PUBLIC_INTERFACE
+const taskHistorySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      description: "Task that changed."
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      description: "User who made the change."
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "complete", "revert"],
+      required: true,
+      description: "Kind of change."
+    },
+    changes: {
+      type: [changeSchema],
+      default: [],
+      description: "Changed fields with their previous and new values."
+    },
+    revertedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskHistory",
+      required: false,
+      description: "Entry whose version a revert restored."
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+taskHistorySchema.index({ task: 1, createdAt: 1 });
+
+/**
+ * TaskHistory Model constructed from taskHistorySchema.
+ */
+const TaskHistory = mongoose.model("TaskHistory", taskHistorySchema);
+
+export default TaskHistory;
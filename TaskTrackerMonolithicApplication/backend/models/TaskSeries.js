@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import { RECURRENCE_FREQUENCIES } from "../services/recurrence.js";
+
+/**
+ * TaskSeries Schema: the master of a recurring task.
+ * Each occurrence is a normal Task pointing at its series; completing the
+ * latest occurrence creates the next one from the series template.
+ * Fields:
+ *  - rule: recurrence rule (see services/recurrence.js)
+ *  - template: title, description, priority, assignedTo, project for new occurrences
+ *  - creator: reference to User (_id) who set up the recurrence
+ *  - lastOccurrence: number of the most recently created occurrence
+ *  - endedAt: set when the rule ran out or recurrence was turned off
+ *  - timestamps: createdAt, updatedAt
+ */
+
+// PUBLIC_INTERFACE
+export const recurrenceRuleSchema = new mongoose.Schema(
+  {
+    freq: { type: String, enum: RECURRENCE_FREQUENCIES, required: true },
+    interval: { type: Number, min: 1, max: 365, default: 1 },
+    byWeekday: { type: [Number], default: undefined },
+    monthDay: { type: Number, min: 1, max: 31 },
+    until: { type: Date },
+    count: { type: Number, min: 1, max: 1000 }
+  },
+  { _id: false }
+);
+
+// PUBLIC_INTERFACE
+const taskSeriesSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: recurrenceRuleSchema,
+      required: true,
+      description: "Recurrence rule of the series."
+    },
+    template: {
+      title: { type: String, required: true, trim: true, maxlength: 100 },
+      description: { type: String, maxlength: 1000 },
+      priority: { type: String, enum: ["low", "medium", "high"], default: "medium" },
+      assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" }
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      description: "User who set up the recurrence."
+    },
+    lastOccurrence: {
+      type: Number,
+      default: 1,
+      description: "Number of the most recently created occurrence."
+    },
+    endedAt: {
+      type: Date,
+      required: false,
+      description: "When the series stopped producing occurrences."
+    }
+  },
+  { timestamps: true }
+);
+
+/**
+ * TaskSeries Model constructed from taskSeriesSchema.
+ */
+const TaskSeries = mongoose.model("TaskSeries", taskSeriesSchema);
+
+export default TaskSeries;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { isValidTimeZone } from "../../shared/index.js";
 
 /**
  * User Schema for authentication and user data.
@@ -7,6 +8,15 @@ import mongoose from "mongoose";
  *  - passwordHash: hashed password (bcrypt)
  *  - name: optional display name
  *  - role: string, e.g., 'user', 'admin'
+ *  - emailVerified: whether the email address was confirmed via emailed link
+ *  - failedLoginAttempts: consecutive failed logins since the last success
+ *  - lockUntil: login is refused until this date/time (brute-force lockout)
+ *  - calendarTokenHash: SHA-256 hash of the token in the user's calendar feed URL
+ *  - inboundTokenHash: SHA-256 hash of the token in the user's inbound (email-to-task) address
+ *  - digestEnabled: whether the user gets the daily digest email
+ *  - digestHour/digestTimeZone: local hour (0-23) and IANA time zone of the digest
+ *  - digestNextAt: when the next digest is due (unset while digests are off)
+ *  - digestSentAt: when the last digest was sent
  *  - timestamps: createdAt, updatedAt
  */
 
@@ -39,6 +49,62 @@ const userSchema = new mongoose.Schema(
       enum: ["user", "admin"],
       default: "user",
       description: "Role of the user for authorization purposes."
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+      description: "True once the user confirmed their email address."
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      description: "Consecutive failed login attempts."
+    },
+    lockUntil: {
+      type: Date,
+      required: false,
+      description: "Account locked for login until this date/time."
+    },
+    calendarTokenHash: {
+      type: String,
+      required: false,
+      index: { unique: true, sparse: true },
+      description: "SHA-256 hash of the calendar feed token; unset while the feed is off."
+    },
+    inboundTokenHash: {
+      type: String,
+      required: false,
+      index: { unique: true, sparse: true },
+      description: "SHA-256 hash of the inbound email address token; unset while the address is off."
+    },
+    digestEnabled: {
+      type: Boolean,
+      default: false,
+      description: "True if the user gets the daily digest email."
+    },
+    digestHour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 8,
+      description: "Local hour at which the digest is sent."
+    },
+    digestTimeZone: {
+      type: String,
+      default: "UTC",
+      validate: [isValidTimeZone, "Invalid time zone."],
+      description: "IANA time zone of the digest hour and of its due dates."
+    },
+    digestNextAt: {
+      type: Date,
+      required: false,
+      index: { sparse: true },
+      description: "When the next digest is due; unset while digests are off."
+    },
+    digestSentAt: {
+      type: Date,
+      required: false,
+      description: "When the last digest was sent."
     }
   },
   { timestamps: true }
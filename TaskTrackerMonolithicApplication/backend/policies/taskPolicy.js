@@ -0,0 +1,109 @@
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+
+/**
+ * Task authorization policy.
+ * Every task route asks `can(user, action, task)` instead of comparing ids itself.
+ *
+ * Relations of a user to a task, and the actions each one grants:
+ *  - admin (User.role):           everything
+ *  - creator / project owner:     read, update, assign, complete, remind, comment, delete
+ *  - project editor:              read, update, assign, complete, remind, comment
+ *  - assignee:                    read, update, complete, remind, comment (no assign/delete)
+ *  - project viewer:              read, comment
+ *
+ * Updates are checked per field: most fields need "update", while fields in
+ * FIELD_ACTIONS need their own action (an assignee may change the status but
+ * may not reassign the task or move it to another project).
+ */
+
+// PUBLIC_INTERFACE
+export const TASK_ACTIONS = ["read", "update", "delete", "assign", "complete", "remind", "comment"];
+
+const GRANTS = {
+  owner: ["read", "update", "delete", "assign", "complete", "remind", "comment"],
+  editor: ["read", "update", "assign", "complete", "remind", "comment"],
+  assignee: ["read", "update", "complete", "remind", "comment"],
+  viewer: ["read", "comment"],
+};
+
+// PUBLIC_INTERFACE
+export const FIELD_ACTIONS = {
+  assignedTo: "assign",
+  project: "assign",
+  status: "complete",
+};
+
+/**
+ * Relations ("owner", "editor", "assignee", "viewer") the user holds on the task.
+ */
+function relationsOf(user, task, projectRole) {
+  const relations = [];
+  if (String(task.creator) === String(user.id)) relations.push("owner");
+  if (String(task.assignedTo) === String(user.id)) relations.push("assignee");
+  if (projectRole) relations.push(projectRole);
+  return relations;
+}
+
+// PUBLIC_INTERFACE
+export function can(user, action, task, { projectRole = null } = {}) {
+  /**
+   * Returns true if `user` ({ id, role }) may perform `action` on `task`.
+   * projectRole is the user's role in task.project (see projectRoleFor).
+   */
+  if (!user || !TASK_ACTIONS.includes(action)) return false;
+  if (user.role === "admin") return true;
+  return relationsOf(user, task, projectRole).some((r) => GRANTS[r].includes(action));
+}
+
+// PUBLIC_INTERFACE
+export function forbiddenUpdateFields(user, task, updates, context = {}) {
+  /**
+   * Lists the fields of `updates` the user is not allowed to change on `task`.
+   * Fields whose value does not change are ignored.
+   */
+  return Object.keys(updates).filter((field) => {
+    if (String(updates[field]) === String(task[field])) return false;
+    return !can(user, FIELD_ACTIONS[field] || "update", task, context);
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function projectRoleFor(user, task) {
+  /** The user's role in the task's project, or null. */
+  if (!task.project) return null;
+  const project = await Project.findById(task.project, { members: 1 });
+  return project?.roleOf(user.id) || null;
+}
+
+// PUBLIC_INTERFACE
+export async function authorize(user, action, task) {
+  /** Async form of can() that resolves the project role itself. */
+  return can(user, action, task, { projectRole: await projectRoleFor(user, task) });
+}
+
+// PUBLIC_INTERFACE
+export function loadTask(action) {
+  /**
+   * Route middleware: loads the task from req.params.id, replies 404 if it
+   * does not exist and 403 unless the user may perform `action` on it.
+   * On success sets req.task and req.taskContext ({ projectRole }).
+   */
+  return async (req, res, next) => {
+    try {
+      const task = await Task.findById(req.params.id);
+      if (!task)
+        return res.status(404).json({ message: "Task not found." });
+
+      const taskContext = { projectRole: await projectRoleFor(req.user, task) };
+      if (!can(req.user, action, task, taskContext))
+        return res.status(403).json({ message: `Not allowed to ${action} this task.` });
+
+      req.task = task;
+      req.taskContext = taskContext;
+      next();
+    } catch (err) {
+      res.status(500).json({ message: "Failed to load task", error: err.message });
+    }
+  };
+}
@@ -1,29 +1,126 @@
 import express from "express";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
-import { body, validationResult } from "express-validator";
+import { body, param, validationResult } from "express-validator";
 import dotenv from "dotenv";
 import User from "../models/User.js";
+import { consumeAuthToken, issueAuthToken } from "../services/authTokens.js";
+import { sendPasswordResetEmail, sendVerificationEmail } from "../services/mail.js";
+import {
+  createSession,
+  revokeAllSessions,
+  revokeRefreshToken,
+  rotateSession,
+} from "../services/sessions.js";
+import {
+  clearFailedLogins,
+  lockRemainingMs,
+  recordFailedLogin,
+} from "../services/loginAttempts.js";
+import { authMiddleware, requireAdmin } from "../middleware/auth.js";
+import { createRateLimiter, storeFromEnv } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
 
 dotenv.config();
 const router = express.Router();
 
+// Per-IP limit on every auth endpoint; the store is set by RATE_LIMIT_STORE.
+router.use(
+  createRateLimiter({
+    prefix: "auth",
+    windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000)),
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX || "100"),
+    store: storeFromEnv(),
+    message: "Too many authentication requests, please try again later.",
+  })
+);
+
 /**
- * Generates and returns JWT token for a user.
+ * Generates and returns a short-lived JWT access token for a user.
+ * The session id (sid) ties it to the refresh token session it came from.
  */
-function generateToken(user) {
+function generateToken(user, session) {
   return jwt.sign(
     {
       id: user._id,
       email: user.email,
       name: user.name,
-      role: user.role
+      role: user.role,
+      sid: session._id
     },
     process.env.JWT_SECRET,
-    { expiresIn: "1d" }
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || "15m" }
   );
 }
 
+/**
+ * User fields returned to the client.
+ */
+function publicUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    emailVerified: user.emailVerified,
+  };
+}
+
+/**
+ * Issues an email verification token and mails it.
+ * Mail failures (e.g. SMTP not configured) are logged, not fatal.
+ */
+async function sendVerification(user) {
+  try {
+    const token = await issueAuthToken(user, "email_verification");
+    await sendVerificationEmail(user, token);
+  } catch (err) {
+    console.error("Could not send verification email:", err.message);
+  }
+}
+
+/**
+ * Issues a password reset token and mails it. Mail failures are logged, not
+ * fatal, so /forgot-password answers the same for every email.
+ */
+async function sendPasswordReset(user) {
+  try {
+    const token = await issueAuthToken(user, "password_reset");
+    await sendPasswordResetEmail(user, token);
+  } catch (err) {
+    console.error("Could not send password reset email:", err.message);
+  }
+}
+
+/**
+ * Starts a session and returns the response body for a successful login:
+ * user info, access token and refresh token.
+ */
+async function issueTokens(user, req) {
+  const { session, refreshToken } = await createSession(user, {
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+  return {
+    user: publicUser(user),
+    token: generateToken(user, session),
+    refreshToken,
+  };
+}
+
+/**
+ * Sends the 429 answer for a locked account, with Retry-After in seconds.
+ */
+function sendLocked(res, remainingMs) {
+  const retryAfter = Math.ceil(remainingMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: "Account temporarily locked after too many failed logins.",
+    retryAfter,
+    lockUntil: new Date(Date.now() + remainingMs),
+  });
+}
+
 /**
  * Middleware to validate request body fields for register and login
  */
@@ -38,12 +135,17 @@ const validateLogin = [
   body("password").isString().notEmpty().withMessage("Password required."),
 ];
 
+const validatePasswordReset = [
+  body("token").isString().notEmpty().withMessage("Token required."),
+  body("password").isLength({ min: 6 }).withMessage("Password min 6 chars."),
+];
+
 // PUBLIC_INTERFACE
 router.post("/register", validateRegistration, async (req, res) => {
   /**
-   * Registers a new user.
+   * Registers a new user and emails an address verification link.
    * Request: { email, password, name (optional) }
-   * Returns: JWT token and user info on success.
+   * Returns: access token, refresh token and user info on success.
    */
   const errors = validationResult(req);
   if (!errors.isEmpty())
@@ -63,18 +165,9 @@ router.post("/register", validateRegistration, async (req, res) => {
       name: name || "",
     });
     await user.save();
+    await sendVerification(user);
 
-    const token = generateToken(user);
-
-    res.status(201).json({
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-      },
-      token,
-    });
+    res.status(201).json(await issueTokens(user, req));
   } catch (err) {
     res.status(500).json({ message: "Registration failed.", error: err.message });
   }
@@ -85,7 +178,8 @@ router.post("/login", validateLogin, async (req, res) => {
   /**
    * Logs in an existing user.
    * Request: { email, password }
-   * Returns: JWT token and user info on success.
+   * Returns: access token, refresh token and user info on success.
+   * Repeated failures lock the account (429 with Retry-After, { retryAfter, lockUntil }).
    */
   const errors = validationResult(req);
   if (!errors.isEmpty())
@@ -98,33 +192,202 @@ router.post("/login", validateLogin, async (req, res) => {
     if (!user)
       return res.status(401).json({ message: "Invalid email or password." });
 
+    // A locked account is refused before bcrypt runs, even with the right password.
+    const remaining = lockRemainingMs(user);
+    if (remaining > 0) return sendLocked(res, remaining);
+
     const match = await bcrypt.compare(password, user.passwordHash);
-    if (!match)
+    if (!match) {
+      const lockedFor = await recordFailedLogin(user);
+      if (lockedFor > 0) return sendLocked(res, lockedFor);
       return res.status(401).json({ message: "Invalid email or password." });
+    }
 
-    const token = generateToken(user);
-
-    res.status(200).json({
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      },
-      token,
-    });
+    if (user.failedLoginAttempts || user.lockUntil) await clearFailedLogins(user._id);
+    res.status(200).json(await issueTokens(user, req));
   } catch (err) {
     res.status(500).json({ message: "Login failed.", error: err.message });
   }
 });
 
 // PUBLIC_INTERFACE
-router.post("/logout", (req, res) => {
+router.post(
+  "/refresh",
+  body("refreshToken").isString().notEmpty().withMessage("refreshToken required."),
+  validate,
+  async (req, res) => {
+    /**
+     * Exchanges a refresh token for a new access token and a new (rotated)
+     * refresh token. Reusing an already rotated refresh token revokes the session.
+     * Request: { refreshToken }
+     * Returns: { user, token, refreshToken }
+     */
+    try {
+      const result = await rotateSession(req.body.refreshToken);
+      if (result.error)
+        return res.status(401).json({ message: result.error });
+
+      const user = await User.findById(result.session.user);
+      if (!user)
+        return res.status(401).json({ message: "User no longer exists." });
+
+      res.status(200).json({
+        user: publicUser(user),
+        token: generateToken(user, result.session),
+        refreshToken: result.refreshToken,
+      });
+    } catch (err) {
+      res.status(500).json({ message: "Token refresh failed.", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post("/logout", async (req, res) => {
   /**
-   * Logout endpoint: JWT tokens are stateless—
-   * The frontend should discard the token to "logout" the user.
+   * Logout endpoint: revokes the session of the given refresh token.
+   * Request: { refreshToken }
+   * Access tokens already issued stay valid until they expire (ACCESS_TOKEN_TTL).
    */
-  res.status(200).json({ message: "Logged out. (Client should clear token.)" });
+  try {
+    await revokeRefreshToken(req.body?.refreshToken);
+    res.status(200).json({ message: "Logged out." });
+  } catch (err) {
+    res.status(500).json({ message: "Logout failed.", error: err.message });
+  }
 });
 
+// PUBLIC_INTERFACE
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  /**
+   * Logs out all devices: revokes every session of the authenticated user.
+   * Returns: { revoked } number of sessions revoked.
+   */
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    res.status(200).json({ message: "Logged out of all devices.", revoked });
+  } catch (err) {
+    res.status(500).json({ message: "Logout failed.", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.post(
+  "/forgot-password",
+  body("email").isEmail().withMessage("Valid email required."),
+  validate,
+  async (req, res) => {
+    /**
+     * Emails a single-use password reset link (valid 1 hour).
+     * Request: { email }
+     * Always answers the same way, so it cannot be used to probe for accounts.
+     */
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (user) await sendPasswordReset(user);
+      res.status(200).json({ message: "If the email is registered, a reset link was sent." });
+    } catch (err) {
+      res.status(500).json({ message: "Could not send reset email.", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post("/reset-password", validatePasswordReset, validate, async (req, res) => {
+  /**
+   * Sets a new password using a reset token from the email.
+   * Request: { token, password }
+   * The token is consumed, and all sessions of the user are revoked.
+   */
+  try {
+    const userId = await consumeAuthToken(req.body.token, "password_reset");
+    if (!userId)
+      return res.status(400).json({ message: "Invalid or expired reset token." });
+
+    const user = await User.findById(userId);
+    if (!user)
+      return res.status(400).json({ message: "Invalid or expired reset token." });
+
+    user.passwordHash = await bcrypt.hash(req.body.password, 10);
+    // Receiving the reset email proves ownership of the address.
+    user.emailVerified = true;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.status(200).json({ message: "Password updated. Please log in." });
+  } catch (err) {
+    res.status(500).json({ message: "Password reset failed.", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.post(
+  "/verify-email",
+  body("token").isString().notEmpty().withMessage("Token required."),
+  validate,
+  async (req, res) => {
+    /**
+     * Confirms the user's email address with the token from the verification email.
+     * Request: { token }
+     */
+    try {
+      const userId = await consumeAuthToken(req.body.token, "email_verification");
+      if (!userId)
+        return res.status(400).json({ message: "Invalid or expired verification token." });
+
+      const user = await User.findByIdAndUpdate(userId, { emailVerified: true }, { new: true });
+      if (!user)
+        return res.status(400).json({ message: "Invalid or expired verification token." });
+
+      res.status(200).json({ message: "Email verified.", user: publicUser(user) });
+    } catch (err) {
+      res.status(500).json({ message: "Email verification failed.", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post("/send-verification", authMiddleware, async (req, res) => {
+  /**
+   * Re-sends the verification email to the authenticated user.
+   */
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user)
+      return res.status(404).json({ message: "User not found." });
+    if (user.emailVerified)
+      return res.status(400).json({ message: "Email already verified." });
+
+    const token = await issueAuthToken(user, "email_verification");
+    await sendVerificationEmail(user, token);
+    res.status(200).json({ message: "Verification email sent." });
+  } catch (err) {
+    res.status(500).json({ message: "Could not send verification email.", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.post(
+  "/users/:id/unlock",
+  authMiddleware,
+  requireAdmin,
+  param("id").isMongoId(),
+  validate,
+  async (req, res) => {
+    /**
+     * Admin only: lifts a login lockout and resets the failed-attempt counter.
+     */
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user)
+        return res.status(404).json({ message: "User not found." });
+
+      await clearFailedLogins(user._id);
+      res.status(200).json({ message: "Account unlocked.", user: publicUser(user) });
+    } catch (err) {
+      res.status(500).json({ message: "Unlock failed.", error: err.message });
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,107 @@
+import express from "express";
+import { query } from "express-validator";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import { FEED_KINDS, buildCalendar } from "../services/ical.js";
+import {
+  disableCalendarFeed,
+  feedTasks,
+  rotateCalendarToken,
+  userForCalendarToken,
+} from "../services/calendarFeed.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { createRateLimiter, storeFromEnv } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+
+dotenv.config();
+const router = express.Router();
+
+// Per-IP limit: feed URLs are fetched without a login, so slow down guessing.
+router.use(
+  createRateLimiter({
+    prefix: "calendar",
+    windowMs: parseInt(process.env.CALENDAR_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000)),
+    max: parseInt(process.env.CALENDAR_RATE_LIMIT_MAX || "300"),
+    store: storeFromEnv(),
+  })
+);
+
+/**
+ * Feed URL path for a token, relative to the server.
+ */
+function feedPath(token) {
+  return `/api/calendar/${token}.ics`;
+}
+
+// PUBLIC_INTERFACE
+router.get("/token", authMiddleware, async (req, res) => {
+  /** Whether the user's calendar feed is on: { enabled }. The token itself is not shown again. */
+  try {
+    const user = await User.findById(req.user.id, { calendarTokenHash: 1 });
+    res.status(200).json({ enabled: Boolean(user?.calendarTokenHash) });
+  } catch (err) {
+    res.status(500).json({ message: "Could not fetch calendar feed", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.post("/token", authMiddleware, async (req, res) => {
+  /**
+   * Creates the user's calendar feed token, or replaces it (the old feed URL
+   * stops working). The token is only returned here.
+   * Returns { token, path } where path is the feed URL path.
+   */
+  try {
+    const token = await rotateCalendarToken(req.user.id);
+    res.status(200).json({ token, path: feedPath(token) });
+  } catch (err) {
+    res.status(500).json({ message: "Could not create calendar feed", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.delete("/token", authMiddleware, async (req, res) => {
+  /** Turns the user's calendar feed off. */
+  try {
+    await disableCalendarFeed(req.user.id);
+    res.status(200).json({ message: "Calendar feed turned off." });
+  } catch (err) {
+    res.status(500).json({ message: "Could not turn off calendar feed", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.get(
+  "/:token.ics",
+  query("kind").optional().isIn(FEED_KINDS).withMessage(`kind must be one of ${FEED_KINDS.join(", ")}.`),
+  validate,
+  async (req, res) => {
+    /**
+     * iCalendar feed of the due dates of the token owner's tasks, for
+     * calendar subscriptions (no login; the token is the credential).
+     * ?kind=todo emits VTODOs instead of the default all-day/timed VEVENTs.
+     * Unknown tokens get 404.
+     */
+    try {
+      const user = await userForCalendarToken(req.params.token);
+      if (!user) return res.status(404).json({ message: "Calendar feed not found." });
+
+      const tasks = await feedTasks(user);
+      const body = buildCalendar({
+        name: `Task Tracker – ${user.name || user.email}`,
+        tasks,
+        kind: req.query.kind,
+      });
+      res.set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="tasks.ics"',
+        "Cache-Control": "private, max-age=300",
+      });
+      res.status(200).send(body);
+    } catch (err) {
+      res.status(500).json({ message: "Could not build calendar feed", error: err.message });
+    }
+  }
+);
+
+export default router;
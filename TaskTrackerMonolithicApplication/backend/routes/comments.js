@@ -0,0 +1,146 @@
+import express from "express";
+import { body, param } from "express-validator";
+import Comment from "../models/Comment.js";
+import { resolveMentions } from "../services/comments.js";
+import { loadTask } from "../policies/taskPolicy.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+
+// Mounted at /api/tasks/:id/comments; mergeParams exposes the task id.
+const router = express.Router({ mergeParams: true });
+
+const USER_FIELDS = "name email";
+
+const commentValidation = [
+  body("body")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage("Comment must be 1-5000 characters."),
+];
+
+/**
+ * Loads the comment from req.params.commentId within req.task and checks the
+ * requesting user wrote it. Sends 404/403 and returns null when not allowed.
+ */
+async function loadOwnComment(req, res) {
+  const comment = await Comment.findOne({ _id: req.params.commentId, task: req.task._id });
+  if (!comment) {
+    res.status(404).json({ message: "Comment not found." });
+    return null;
+  }
+  if (String(comment.author) !== String(req.user.id)) {
+    res.status(403).json({ message: "Only the author can change this comment." });
+    return null;
+  }
+  return comment;
+}
+
+// PUBLIC_INTERFACE
+router.get(
+  "/",
+  authMiddleware,
+  param("id").isMongoId(),
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /**
+     * Comment thread of a task, oldest first, with authors and mentions populated.
+     */
+    try {
+      const comments = await Comment.find({ task: req.task._id })
+        .sort({ createdAt: 1 })
+        .populate("author", USER_FIELDS)
+        .populate("mentions", USER_FIELDS);
+      res.status(200).json({ comments });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to fetch comments", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post(
+  "/",
+  authMiddleware,
+  param("id").isMongoId(),
+  commentValidation,
+  validate,
+  loadTask("comment"),
+  async (req, res) => {
+    /**
+     * Add a comment to a task (policy action "comment").
+     * Request: { body } - "@name" / "@email" mentions resolve to users who can read the task.
+     */
+    try {
+      const comment = await Comment.create({
+        task: req.task._id,
+        author: req.user.id,
+        body: req.body.body,
+        mentions: await resolveMentions(req.body.body, req.task),
+      });
+      await comment.populate("author", USER_FIELDS);
+      await comment.populate("mentions", USER_FIELDS);
+      res.status(201).json({ comment });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to add comment", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.patch(
+  "/:commentId",
+  authMiddleware,
+  param("id").isMongoId(),
+  param("commentId").isMongoId(),
+  commentValidation,
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /**
+     * Edit a comment (author only). Mentions are resolved again.
+     * Request: { body }
+     */
+    try {
+      const comment = await loadOwnComment(req, res);
+      if (!comment) return;
+
+      comment.body = req.body.body;
+      comment.mentions = await resolveMentions(req.body.body, req.task);
+      comment.editedAt = new Date();
+      await comment.save();
+      await comment.populate("author", USER_FIELDS);
+      await comment.populate("mentions", USER_FIELDS);
+      res.status(200).json({ comment });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to edit comment", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.delete(
+  "/:commentId",
+  authMiddleware,
+  param("id").isMongoId(),
+  param("commentId").isMongoId(),
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /**
+     * Delete a comment (author only).
+     */
+    try {
+      const comment = await loadOwnComment(req, res);
+      if (!comment) return;
+
+      await comment.deleteOne();
+      res.status(200).json({ message: "Comment deleted." });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to delete comment", error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,51 @@
+import express from "express";
+import { body } from "express-validator";
+import User from "../models/User.js";
+import { digestSettings, updateDigestSettings } from "../services/digest.js";
+import { isValidTimeZone } from "../../shared/index.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+
+const router = express.Router();
+
+// PUBLIC_INTERFACE
+router.get("/", authMiddleware, async (req, res) => {
+  /** The caller's daily digest settings: { enabled, hour, timeZone, nextAt }. */
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    res.status(200).json(digestSettings(user));
+  } catch (err) {
+    res.status(500).json({ message: "Could not fetch digest settings", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.put(
+  "/",
+  authMiddleware,
+  [
+    body("enabled").optional().isBoolean({ strict: true }).withMessage("enabled must be true or false."),
+    body("hour").optional().isInt({ min: 0, max: 23 }).withMessage("hour must be 0 to 23.").toInt(),
+    body("timeZone").optional().custom(isValidTimeZone).withMessage("Unknown time zone."),
+  ],
+  validate,
+  async (req, res) => {
+    /**
+     * Turns the daily digest on or off and/or sets its local hour and IANA
+     * time zone: { enabled?, hour?, timeZone? }. The digest (overdue, due
+     * today and due this week) is emailed at that hour each day it is not
+     * empty. Returns the new settings.
+     */
+    try {
+      const { enabled, hour, timeZone } = req.body;
+      const user = await updateDigestSettings(req.user.id, { enabled, hour, timeZone });
+      if (!user) return res.status(404).json({ message: "User not found." });
+      res.status(200).json(digestSettings(user));
+    } catch (err) {
+      res.status(500).json({ message: "Could not update digest settings", error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,114 @@
+import express from "express";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import { parseEmail } from "../services/email.js";
+import {
+  createTaskFromEmail,
+  disableInboundAddress,
+  rotateInboundAddress,
+  userForRecipients,
+} from "../services/inboundEmail.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { createRateLimiter, storeFromEnv } from "../middleware/rateLimit.js";
+
+dotenv.config();
+const router = express.Router();
+
+// Per-IP limit: relayed mail arrives without a login, so slow down guessing.
+router.use(
+  createRateLimiter({
+    prefix: "inbound",
+    windowMs: parseInt(process.env.INBOUND_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000)),
+    max: parseInt(process.env.INBOUND_RATE_LIMIT_MAX || "120"),
+    store: storeFromEnv(),
+  })
+);
+
+/**
+ * Runs authMiddleware when the request carries a login, so relayed mail
+ * (addressed to a secret inbound address) can come in without one.
+ */
+function optionalAuth(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return authMiddleware(req, res, next);
+}
+
+// PUBLIC_INTERFACE
+router.get("/address", authMiddleware, async (req, res) => {
+  /** Whether the user's inbound address is on: { enabled }. The address itself is not shown again. */
+  try {
+    const user = await User.findById(req.user.id, { inboundTokenHash: 1 });
+    res.status(200).json({ enabled: Boolean(user?.inboundTokenHash) });
+  } catch (err) {
+    res.status(500).json({ message: "Could not fetch inbound address", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.post("/address", authMiddleware, async (req, res) => {
+  /**
+   * Creates the user's inbound email address, or replaces it (mail to the
+   * old one is refused). The address is only returned here: { address }.
+   */
+  try {
+    res.status(200).json({ address: await rotateInboundAddress(req.user.id) });
+  } catch (err) {
+    res.status(500).json({ message: "Could not create inbound address", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.delete("/address", authMiddleware, async (req, res) => {
+  /** Turns the user's inbound address off. */
+  try {
+    await disableInboundAddress(req.user.id);
+    res.status(200).json({ message: "Inbound address turned off." });
+  } catch (err) {
+    res.status(500).json({ message: "Could not turn off inbound address", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.post(
+  "/email",
+  express.raw({ type: ["message/rfc822", "text/plain", "application/octet-stream"], limit: "10mb" }),
+  optionalAuth,
+  async (req, res) => {
+    /**
+     * Turns one raw RFC 822 message (an .eml file; Content-Type
+     * message/rfc822) into a task: subject as title, plain text (or HTML as
+     * text) body as description, a due date named in it ("by Friday") and
+     * its attachments (see services/inboundEmail.js).
+     * With a login the task is the user's. Otherwise the message must be
+     * addressed to a user's inbound address: relays pass the envelope
+     * recipient as ?to=, else Delivered-To, X-Original-To, To and Cc are read.
+     * Unknown or disabled addresses get 404.
+     * Returns 201 { task, attachments, skipped }, or 200 with duplicate: true
+     * for a message (same Message-ID) that was already turned into a task.
+     */
+    if (!Buffer.isBuffer(req.body) || !req.body.length)
+      return res.status(400).json({ message: "Send the raw message with Content-Type message/rfc822." });
+
+    try {
+      const email = parseEmail(req.body);
+      let user;
+      if (req.user) user = await User.findById(req.user.id);
+      else {
+        const headers = ["delivered-to", "x-original-to"].flatMap((name) => email.headers[name] || []);
+        const recipients = [req.query.to, ...headers, ...email.to, ...email.cc].map(
+          (recipient) => recipient?.address ?? recipient
+        );
+        user = await userForRecipients(recipients);
+      }
+      if (!user) return res.status(404).json({ message: "Inbound address not found." });
+
+      const { task, attachments, skipped, duplicate } = await createTaskFromEmail(user, email);
+      if (duplicate) return res.status(200).json({ task, duplicate: true });
+      res.status(201).json({ task, attachments, skipped });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to create task from email", error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,319 @@
+import express from "express";
+import { body, param } from "express-validator";
+import Project, { PROJECT_ROLES } from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Tag from "../models/Tag.js";
+import SavedView from "../models/SavedView.js";
+import { roleAtLeast } from "../services/projects.js";
+import { openBlockers } from "../services/dependencies.js";
+import { openSubtaskCount } from "../services/subtasks.js";
+import { saveTaskChanges } from "../services/taskChanges.js";
+import {
+  DEFAULT_WORKFLOW,
+  equivalentStatus,
+  findStatus,
+  validateWorkflow,
+} from "../services/workflows.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+
+const router = express.Router();
+
+/**
+ * Input validation for project creation and update
+ */
+const projectValidation = [
+  body("name").isString().trim().notEmpty().isLength({ max: 100 }).withMessage("Name required."),
+  body("description").optional().isString().isLength({ max: 1000 }),
+];
+
+/**
+ * Loads the project from :id and checks the caller has at least `minimumRole`
+ * (admins always pass). Sends 404/403 and returns null when not allowed.
+ */
+async function loadProject(req, res, minimumRole) {
+  const project = await Project.findById(req.params.id);
+  if (!project) {
+    res.status(404).json({ message: "Project not found." });
+    return null;
+  }
+  if (req.user.role !== "admin" && !roleAtLeast(project.roleOf(req.user.id), minimumRole)) {
+    res.status(403).json({ message: "Unauthorized for this project." });
+    return null;
+  }
+  return project;
+}
+
+/**
+ * Plans moving the project's tasks onto statuses of `workflow`: a status
+ * listed in `statusMap` ({ old: new }) goes to its mapped status, one the
+ * workflow lacks to its first status of the same category. statusCategory
+ * follows. A task may only reach a done category with its blockers and
+ * subtasks done, as when completed directly.
+ * Returns { moves: [{ task, updates }] } or { status, message } when refused.
+ */
+async function planStatusRemap(projectId, workflow, statusMap = {}) {
+  const groups = await Task.aggregate([
+    { $match: { project: projectId } },
+    { $group: { _id: { status: "$status", category: "$statusCategory" } } },
+  ]);
+  const moves = [];
+  for (const { _id: { status, category } } of groups) {
+    const target = findStatus(workflow, statusMap[status])
+      ? statusMap[status]
+      : equivalentStatus(workflow, status, category);
+    const targetCategory = findStatus(workflow, target).category;
+    if (target === status && targetCategory === category) continue;
+    const tasks = await Task.find({ project: projectId, status, statusCategory: category });
+    for (const task of tasks)
+      moves.push({ task, updates: { status: target, statusCategory: targetCategory } });
+  }
+
+  const stuck = [];
+  for (const { task, updates } of moves) {
+    if (updates.statusCategory !== "done" || task.statusCategory === "done") continue;
+    const blocked = (await openBlockers(task)).length > 0;
+    const openSubtasks = task.requireSubtasksDone !== false && (await openSubtaskCount(task._id)) > 0;
+    if (blocked || openSubtasks) stuck.push(task.title);
+  }
+  if (stuck.length)
+    return {
+      status: 409,
+      message: `These tasks have open blockers or subtasks and cannot move to a done status: ${stuck.join(", ")}.`,
+    };
+  return { moves };
+}
+
+/**
+ * Saves planned task moves through the shared task save path (history,
+ * reminders, tags). Returns the number of tasks changed.
+ */
+async function applyStatusRemap(moves, actorId) {
+  for (const { task, updates } of moves) await saveTaskChanges(task, updates, actorId);
+  return moves.length;
+}
+
+// PUBLIC_INTERFACE
+router.get("/", authMiddleware, async (req, res) => {
+  /**
+   * Lists the projects the user is a member of, with the user's role in each.
+   */
+  try {
+    const projects = await Project.find({ "members.user": req.user.id }).sort({ name: 1 });
+    res.status(200).json({
+      projects: projects.map((p) => ({ ...p.toObject(), myRole: p.roleOf(req.user.id) })),
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Could not fetch projects", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.post("/", authMiddleware, projectValidation, validate, async (req, res) => {
+  /**
+   * Creates a project owned by the user.
+   * Request: { name, description? }
+   */
+  const { name, description } = req.body;
+  try {
+    const project = await Project.create({
+      name,
+      description,
+      owner: req.user.id,
+      members: [{ user: req.user.id, role: "owner" }],
+    });
+    res.status(201).json({ project });
+  } catch (err) {
+    res.status(500).json({ message: "Failed to create project", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.get("/:id", authMiddleware, param("id").isMongoId(), validate, async (req, res) => {
+  /**
+   * Gets a project (with member emails/names) if the user is a member.
+   */
+  try {
+    const project = await loadProject(req, res, "viewer");
+    if (!project) return;
+    await project.populate("members.user", "email name");
+    res.status(200).json({ project });
+  } catch (err) {
+    res.status(500).json({ message: "Failed to fetch project", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.put(
+  "/:id",
+  authMiddleware,
+  param("id").isMongoId(),
+  projectValidation,
+  validate,
+  async (req, res) => {
+    /**
+     * Renames/describes a project. Owners only.
+     */
+    try {
+      const project = await loadProject(req, res, "owner");
+      if (!project) return;
+      project.name = req.body.name;
+      if (req.body.description !== undefined) project.description = req.body.description;
+      await project.save();
+      res.status(200).json({ project });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to update project", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.put(
+  "/:id/workflow",
+  authMiddleware,
+  param("id").isMongoId(),
+  body("workflow")
+    .custom((workflow) => {
+      if (workflow === null) return true;
+      const error = validateWorkflow(workflow);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body("statusMap").optional().isObject().withMessage("statusMap must map old to new statuses."),
+  validate,
+  async (req, res) => {
+    /**
+     * Sets the project's task workflow. Owners only.
+     * Request: { workflow: { statuses, initial, transitions } | null, statusMap? }
+     * null goes back to the default workflow. Tasks in a status the new
+     * workflow lacks move to statusMap[status], or else to the first status
+     * of the same category. Returns { workflow, remapped }.
+     */
+    try {
+      const project = await loadProject(req, res, "owner");
+      if (!project) return;
+
+      const { workflow, statusMap } = req.body;
+      project.workflow = workflow || undefined;
+      const effective = project.workflow?.statuses?.length ? project.workflow.toObject() : DEFAULT_WORKFLOW;
+      const plan = await planStatusRemap(project._id, effective, statusMap);
+      if (plan.status) return res.status(plan.status).json({ message: plan.message });
+      await project.save();
+
+      const remapped = await applyStatusRemap(plan.moves, req.user.id);
+      res.status(200).json({ workflow: effective, remapped });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to update workflow", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.delete("/:id", authMiddleware, param("id").isMongoId(), validate, async (req, res) => {
+  /**
+   * Deletes a project. Owners only.
+   * Its tasks are kept but detached, remaining visible to their creator/assignee;
+   * custom statuses are mapped onto the default workflow. The project's tags
+   * and the saved views filtering by it are deleted.
+   */
+  try {
+    const project = await loadProject(req, res, "owner");
+    if (!project) return;
+    // Same categories as before, so no task newly reaches a done status.
+    const { moves } = await planStatusRemap(project._id, DEFAULT_WORKFLOW);
+    const moved = new Set(moves.map(({ task }) => String(task._id)));
+    for (const task of await Task.find({ project: project._id })) {
+      if (!moved.has(String(task._id))) moves.push({ task, updates: {} });
+    }
+    for (const move of moves) move.updates.project = undefined;
+    await applyStatusRemap(moves, req.user.id);
+    await Tag.deleteMany({ project: project._id });
+    await SavedView.deleteMany({ "filters.project": project._id });
+    await project.deleteOne();
+    res.status(200).json({ message: "Project deleted." });
+  } catch (err) {
+    res.status(500).json({ message: "Failed to delete project", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.post(
+  "/:id/members",
+  authMiddleware,
+  param("id").isMongoId(),
+  body("email").isEmail().withMessage("Valid email is required."),
+  body("role").optional().isIn(PROJECT_ROLES).withMessage("Invalid role."),
+  validate,
+  async (req, res) => {
+    /**
+     * Invites a registered user to the project, or changes their role. Owners only.
+     * Request: { email, role? (default "editor") }
+     */
+    const { email, role = "editor" } = req.body;
+    try {
+      const project = await loadProject(req, res, "owner");
+      if (!project) return;
+
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user)
+        return res.status(404).json({ message: "No user with that email." });
+
+      const existing = project.members.find((m) => String(m.user) === String(user._id));
+      if (existing) {
+        if (existing.role === "owner" && role !== "owner" && countOwners(project) === 1)
+          return res.status(400).json({ message: "A project needs at least one owner." });
+        existing.role = role;
+      } else {
+        project.members.push({ user: user._id, role });
+      }
+      await project.save();
+      res.status(existing ? 200 : 201).json({ project });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to add member", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.delete(
+  "/:id/members/:userId",
+  authMiddleware,
+  param("id").isMongoId(),
+  param("userId").isMongoId(),
+  validate,
+  async (req, res) => {
+    /**
+     * Removes a member from the project.
+     * Owners may remove anyone; any member may remove themselves (leave).
+     * The last owner cannot be removed.
+     */
+    const { userId } = req.params;
+    try {
+      const leaving = userId === req.user.id;
+      const project = await loadProject(req, res, leaving ? "viewer" : "owner");
+      if (!project) return;
+
+      const member = project.members.find((m) => String(m.user) === userId);
+      if (!member)
+        return res.status(404).json({ message: "Member not found." });
+      if (member.role === "owner" && countOwners(project) === 1)
+        return res.status(400).json({ message: "A project needs at least one owner." });
+
+      project.members = project.members.filter((m) => String(m.user) !== userId);
+      await project.save();
+      res.status(200).json({ project });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to remove member", error: err.message });
+    }
+  }
+);
+
+/**
+ * Number of owners among the project members.
+ */
+function countOwners(project) {
+  return project.members.filter((m) => m.role === "owner").length;
+}
+
+export default router;
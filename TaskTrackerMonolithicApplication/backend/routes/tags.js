@@ -0,0 +1,206 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import Project from "../models/Project.js";
+import Tag, { COLOR_PATTERN } from "../models/Tag.js";
+import { roleAtLeast } from "../services/projects.js";
+import { defaultTagColor, retagTasks, tagCounts } from "../services/tags.js";
+import { MAX_TAG_LENGTH, TAG_PATTERN, normalizeTag } from "../../shared/index.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+
+const router = express.Router();
+
+/**
+ * Validation of a tag name (stored lowercase, without "#").
+ */
+const nameValidation = (chain) =>
+  chain
+    .isString()
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .matches(TAG_PATTERN)
+    .withMessage(`Tag names are letters, digits, - and _ (max ${MAX_TAG_LENGTH} characters).`);
+
+const colorValidation = body("color")
+  .optional()
+  .matches(COLOR_PATTERN)
+  .withMessage("Color must be #rrggbb.");
+
+/**
+ * Tag scope of a request: the project given (the caller needs at least
+ * `minimumRole` there) or the caller's personal tags.
+ * Returns { scope } or { status, message } when not allowed.
+ */
+async function requestScope(req, projectId, minimumRole) {
+  if (!projectId) return { scope: { owner: req.user.id, project: null } };
+  const project = await Project.findById(projectId, { members: 1 });
+  if (!project) return { status: 404, message: "Project not found." };
+  if (req.user.role !== "admin" && !roleAtLeast(project.roleOf(req.user.id), minimumRole))
+    return { status: 403, message: "Unauthorized for this project." };
+  return { scope: { owner: null, project: project._id } };
+}
+
+/**
+ * Loads the tag from :id and checks the caller may change it (its owner, or
+ * an editor of its project; admins always pass). Sends 404/403 and returns
+ * null when not allowed.
+ */
+async function loadTag(req, res) {
+  const tag = await Tag.findById(req.params.id);
+  if (!tag) {
+    res.status(404).json({ message: "Tag not found." });
+    return null;
+  }
+  if (tag.project) {
+    const allowed = await requestScope(req, tag.project, "editor");
+    if (!allowed.scope) {
+      res.status(allowed.status).json({ message: allowed.message });
+      return null;
+    }
+  } else if (req.user.role !== "admin" && String(tag.owner) !== String(req.user.id)) {
+    res.status(404).json({ message: "Tag not found." });
+    return null;
+  }
+  return tag;
+}
+
+const scopeOf = (tag) => ({ owner: tag.owner, project: tag.project });
+
+// PUBLIC_INTERFACE
+router.get(
+  "/",
+  authMiddleware,
+  query("project").optional().isMongoId(),
+  validate,
+  async (req, res) => {
+    /**
+     * Lists the caller's personal tags, or a project's tags (?project=, any
+     * member), by name, each with `count`: the number of tasks using it.
+     */
+    try {
+      const { scope, status, message } = await requestScope(req, req.query.project, "viewer");
+      if (!scope) return res.status(status).json({ message });
+      const [tags, counts] = await Promise.all([Tag.find(scope).sort({ name: 1 }), tagCounts(scope)]);
+      res.status(200).json({ tags: tags.map((tag) => ({ ...tag.toObject(), count: counts[tag.name] || 0 })) });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to fetch tags", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post(
+  "/",
+  authMiddleware,
+  nameValidation(body("name")),
+  colorValidation,
+  body("project").optional({ nullable: true }).isMongoId().withMessage("Invalid project."),
+  validate,
+  async (req, res) => {
+    /**
+     * Creates a tag: { name, color?, project? }. Without a project it is a
+     * personal tag; project tags need editor rights. Names are unique per
+     * scope (409). The color defaults to one picked from the name.
+     */
+    try {
+      const { scope, status, message } = await requestScope(req, req.body.project, "editor");
+      if (!scope) return res.status(status).json({ message });
+      if (await Tag.exists({ ...scope, name: req.body.name }))
+        return res.status(409).json({ message: `Tag "${req.body.name}" already exists.` });
+      const tag = await Tag.create({
+        ...scope,
+        name: req.body.name,
+        color: req.body.color || defaultTagColor(req.body.name),
+      });
+      res.status(201).json({ tag });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to create tag", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.put(
+  "/:id",
+  authMiddleware,
+  param("id").isMongoId(),
+  nameValidation(body("name").optional()),
+  colorValidation,
+  validate,
+  async (req, res) => {
+    /**
+     * Renames and/or recolors a tag. A rename is applied to every task of
+     * the tag's scope; renaming onto another tag's name is refused (409):
+     * merge the tags instead. Returns { tag, tasksUpdated }.
+     */
+    try {
+      const tag = await loadTag(req, res);
+      if (!tag) return;
+      const { name, color } = req.body;
+      let tasksUpdated = 0;
+      if (name && name !== tag.name) {
+        if (await Tag.exists({ ...scopeOf(tag), name }))
+          return res.status(409).json({ message: `Tag "${name}" already exists; merge into it instead.` });
+        tasksUpdated = await retagTasks(scopeOf(tag), tag.name, name);
+        tag.name = name;
+      }
+      if (color) tag.color = color;
+      await tag.save();
+      res.status(200).json({ tag, tasksUpdated });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to update tag", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post(
+  "/:id/merge",
+  authMiddleware,
+  param("id").isMongoId(),
+  body("into").isMongoId().withMessage("into must be a tag id."),
+  validate,
+  async (req, res) => {
+    /**
+     * Merges this tag into tag `into` (same scope): tasks with this tag get
+     * the other one instead, and this tag is deleted.
+     * Returns { tag (the one kept), tasksUpdated }.
+     */
+    try {
+      const tag = await loadTag(req, res);
+      if (!tag) return;
+      const into = await Tag.findOne({ _id: req.body.into, ...scopeOf(tag) });
+      if (!into)
+        return res.status(400).json({ message: "Can only merge into another tag of the same scope." });
+      if (String(into._id) === String(tag._id))
+        return res.status(400).json({ message: "Cannot merge a tag into itself." });
+      const tasksUpdated = await retagTasks(scopeOf(tag), tag.name, into.name);
+      await tag.deleteOne();
+      res.status(200).json({ tag: into, tasksUpdated });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to merge tags", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.delete(
+  "/:id",
+  authMiddleware,
+  param("id").isMongoId(),
+  validate,
+  async (req, res) => {
+    /** Deletes a tag and removes it from every task of its scope. Returns { tasksUpdated }. */
+    try {
+      const tag = await loadTag(req, res);
+      if (!tag) return;
+      const tasksUpdated = await retagTasks(scopeOf(tag), tag.name);
+      await tag.deleteOne();
+      res.status(200).json({ message: "Tag deleted.", tasksUpdated });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to delete tag", error: err.message });
+    }
+  }
+);
+
+export default router;
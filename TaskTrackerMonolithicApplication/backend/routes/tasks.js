@@ -1,42 +1,145 @@
 import express from "express";
 import { body, param, query, validationResult } from "express-validator";
-import jwt from "jsonwebtoken";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
-import nodemailer from "nodemailer";
-import dotenv from "dotenv";
+import Reminder from "../models/Reminder.js";
+import Project from "../models/Project.js";
+import Comment from "../models/Comment.js";
+import Attachment from "../models/Attachment.js";
+import TaskHistory from "../models/TaskHistory.js";
+import {
+  cancelTaskReminders,
+  parseReminderOffset,
+  scheduleDueReminder,
+  scheduleManualReminder,
+  syncTaskReminders,
+} from "../services/reminders.js";
+import { projectIdsForUser, roleAtLeast, teammateIds } from "../services/projects.js";
+import {
+  diffSnapshots,
+  recordTaskChange,
+  snapshotTask,
+  versionAt,
+} from "../services/taskHistory.js";
+import { taskActivity } from "../services/activity.js";
+import { validateRule } from "../services/recurrence.js";
+import {
+  MAX_BLOCKERS,
+  dependencyPath,
+  openBlockers,
+  removeDependenciesOn,
+  withBlocked,
+} from "../services/dependencies.js";
+import {
+  checkParent,
+  descendantLevels,
+  openSubtaskCount,
+  withProgress,
+} from "../services/subtasks.js";
+import {
+  TEMPLATE_FIELDS,
+  futureOccurrences,
+  startSeries,
+  updateSeries,
+} from "../services/taskSeries.js";
+import { highlightTask, parseSearchQuery, searchConditions } from "../services/search.js";
+import { findUsersByHandle } from "../services/users.js";
+import { registerTags } from "../services/tags.js";
+import { findView, viewConditions } from "../services/savedViews.js";
+import { isOverdue, overdueCondition } from "../services/dueDates.js";
+import { rankForMove } from "../services/ranking.js";
+import { saveTaskChanges } from "../services/taskChanges.js";
+import {
+  checkMapping,
+  exportCsv,
+  exportRecord,
+  mapRecord,
+  readImportRows,
+  suggestMapping,
+} from "../services/taskImport.js";
+import {
+  STATUS_CATEGORIES,
+  STATUS_KEY_PATTERN,
+  canTransition,
+  completionTarget,
+  equivalentStatus,
+  findStatus,
+  workflowFor,
+} from "../services/workflows.js";
+import {
+  decodeCursor,
+  encodeCursor,
+  keysetFilter,
+  mongoSort,
+  sortSpec,
+} from "../services/pagination.js";
+import {
+  authorize,
+  can,
+  forbiddenUpdateFields,
+  loadTask,
+  projectRoleFor,
+} from "../policies/taskPolicy.js";
+import { authMiddleware } from "../middleware/auth.js";
+import {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  TAG_PATTERN,
+  isValidTimeZone,
+  normalizeTag,
+  parseQuickAdd,
+} from "../../shared/index.js";
+import { validate } from "../middleware/validate.js";
+import commentRoutes from "./comments.js";
 
-dotenv.config();
 const router = express.Router();
 
-/**
- * JWT authentication middleware.
- */
-function authMiddleware(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader)
-    return res.status(401).json({ message: "Missing Authorization header." });
-
-  const token = authHeader.replace(/^Bearer\s/, "");
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch {
-    return res.status(401).json({ message: "Invalid/expired token." });
-  }
-}
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+const MAX_BULK_IDS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Fields PUT /:id takes from the request; the others (creator, series,
+// externalId, ...) are only ever set by the server.
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "dueDate",
+  "status",
+  "priority",
+  "assignedTo",
+  "project",
+  "parent",
+  "checklist",
+  "requireSubtasksDone",
+  "tags",
+];
+// Sort keys accepted by sortBy, and the stored/computed fields behind them.
+// Priority sorts by its numeric rank; tasks without a dueDate always come last.
+const SORT_FIELDS = {
+  priority: (dir) => [{ field: "priorityRank", dir }],
+  dueDate: (dir) => [{ field: "noDueDate", dir: 1 }, { field: "dueDate", dir }],
+  createdAt: (dir) => [{ field: "createdAt", dir }],
+  rank: (dir) => [{ field: "rank", dir }],
+};
+// Search results without an explicit sortBy are ranked by relevance.
+const RELEVANCE_SORT = [
+  { field: "score", dir: -1 },
+  { field: "_id", dir: -1 },
+];
+
+router.use("/:id/comments", commentRoutes);
 
 /**
- * Input validation for task creation and update
+ * Input validation for task fields other than the title
  */
-const taskValidation = [
-  body("title").isString().trim().notEmpty().withMessage("Title required."),
+const taskFieldValidation = [
   body("description").optional().isString(),
   body("dueDate").optional().isISO8601().toDate(),
+  // Statuses are checked against the task's workflow in the handlers.
   body("status")
     .optional()
-    .isIn(["todo", "in_progress", "completed"])
+    .matches(STATUS_KEY_PATTERN)
     .withMessage("Invalid status."),
   body("priority")
     .optional()
@@ -45,48 +148,384 @@ const taskValidation = [
   body("assignedTo")
     .optional()
     .isString()
-    .isLength({ min: 20, max: 50 })
+    .isLength({ min: 20, max: 50 }),
+  body("project").optional({ nullable: true }).isMongoId().withMessage("Invalid project."),
+  body("parent").optional({ nullable: true }).isMongoId().withMessage("Invalid parent task."),
+  body("checklist").optional().isArray({ max: 100 }).withMessage("Checklist must be a list (max 100)."),
+  body("checklist.*.text").isString().trim().notEmpty().withMessage("Checklist items need text."),
+  body("checklist.*.done").optional().isBoolean(),
+  body("requireSubtasksDone").optional().isBoolean(),
+  body("tags")
+    .optional()
+    .isArray({ max: MAX_TAGS })
+    .withMessage(`tags must be a list (max ${MAX_TAGS}).`)
+    .bail()
+    // Stored lowercase and once each: ["Ops", "ops"] is ["ops"].
+    .customSanitizer((tags) => [...new Set(tags.map((tag) => (typeof tag === "string" ? normalizeTag(tag) : tag)))]),
+  body("tags.*")
+    .isString()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .matches(TAG_PATTERN)
+    .withMessage(`Tags are letters, digits, - and _ (max ${MAX_TAG_LENGTH} characters).`)
 ];
 
 /**
- * Helper: Construct nodemailer transporter from env vars.
+ * Input validation for task creation and update
  */
-function getMailer() {
-  if (!process.env.SMTP_HOST)
-    throw new Error("SMTP_HOST not configured in env");
-  return nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: parseInt(process.env.SMTP_PORT || "587"),
-    secure: process.env.SMTP_SECURE === "true", // true for 465, false for other ports
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
+const taskValidation = [
+  body("title").isString().trim().notEmpty().withMessage("Title required."),
+  ...taskFieldValidation,
+];
+
+/**
+ * Validation for a recurrence rule in the body (null turns recurrence off).
+ */
+const recurrenceValidation = body("recurrence")
+  .optional({ nullable: true })
+  .custom((rule) => {
+    const error = validateRule(rule);
+    if (error) throw new Error(error);
+    return true;
   });
+
+/**
+ * Checks that `user` may file tasks into `projectId` (editor, owner or admin)
+ * and, if given, that `assigneeId` is a member of that project.
+ * Returns an error message, or null if allowed.
+ */
+async function checkProjectPlacement(projectId, user, assigneeId) {
+  const project = await Project.findById(projectId);
+  if (!project) return "Project not found.";
+  if (user.role !== "admin" && !roleAtLeast(project.roleOf(user.id), "editor"))
+    return "Not allowed to add tasks to this project.";
+  if (assigneeId && !project.roleOf(assigneeId))
+    return "Assignee is not a member of this project.";
+  return null;
+}
+
+/**
+ * Loads the would-be parent of `task` and checks that `user` may add
+ * subtasks to it (policy action "update") and that nesting stays valid.
+ * Returns { parent } or { status, message } when refused.
+ */
+async function loadParent(user, task, parentId) {
+  const parent = await Task.findById(parentId);
+  if (!parent) return { status: 400, message: "Parent task not found." };
+  if (!(await authorize(user, "update", parent)))
+    return { status: 403, message: "Not allowed to add subtasks to this task." };
+  const nestingError = await checkParent(task, parent);
+  if (nestingError) return { status: 400, message: nestingError };
+  return { parent };
+}
+
+/**
+ * Refusal for completing `task` while it has open subtasks (unless the
+ * task sets requireSubtasksDone to false), else null.
+ */
+async function checkSubtasksDone(task) {
+  if (task.requireSubtasksDone === false) return null;
+  const open = await openSubtaskCount(task._id);
+  if (!open) return null;
+  return {
+    status: 409,
+    message: `Complete the ${open} open subtask${open === 1 ? "" : "s"} first.`,
+  };
+}
+
+/**
+ * Refusal for completing `task` while any of its blockers is open, else null.
+ * An admin may override it with ?force=true.
+ */
+async function checkBlockers(req, task) {
+  const open = await openBlockers(task);
+  if (!open.length) return null;
+  if (req.query.force === "true") {
+    if (req.user.role === "admin") return null;
+    return { status: 403, message: "Only admins can force completion of a blocked task." };
+  }
+  return {
+    status: 409,
+    message: `Blocked by open tasks: ${open.map((blocker) => blocker.title).join(", ")}.`,
+  };
 }
 
 /**
- * Send email notification using nodemailer.
+ * Task documents or aggregation results as plain objects with their derived
+ * fields: progress (see services/subtasks.js), blocked and overdue (as of
+ * now, date-only due dates judged in `timeZone`).
  */
-async function sendDueDateEmail(toEmail, task) {
-  const transporter = getMailer();
-  const due = new Date(task.dueDate).toLocaleString();
-  await transporter.sendMail({
-    from: process.env.SMTP_FROM || process.env.SMTP_USER,
-    to: toEmail,
-    subject: "Task Due Soon: " + task.title,
-    text: `Your task "${task.title}" is due on ${due}.\n\nDescription: ${task.description || ""}\n\nPlease complete it in Task Tracker.`,
+async function withDerived(tasks, timeZone = "UTC") {
+  const now = new Date();
+  return (await withBlocked(await withProgress(tasks))).map((task) => ({
+    ...task,
+    overdue: isOverdue(task, { now, timeZone }),
+  }));
+}
+
+/**
+ * Splits a comma-separated query value ("priority,dueDate") into its parts.
+ */
+function commaList(value) {
+  return String(value || "").split(",").map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Pagination sort spec for sortBy/order query values. order is one
+ * direction for every key or a comma list matching sortBy.
+ */
+function taskSortSpec(sortBy, order) {
+  const orders = commaList(order);
+  const keys = commaList(sortBy).flatMap((key, i) => {
+    const direction = orders[i] || orders[orders.length - 1] || "asc";
+    return SORT_FIELDS[key](direction === "asc" ? 1 : -1);
   });
+  return sortSpec(keys);
 }
 
 /**
- * Middleware to validate request and return errors formatted.
+ * Checks the per-field update rules and project placement for applying
+ * `updates` to req.task. Returns { status, message } when refused, else null.
  */
-function validate(req, res, next) {
-  const errors = validationResult(req);
-  if (!errors.isEmpty())
-    return res.status(400).json({ errors: errors.array() });
-  next();
+async function checkTaskUpdate(req, updates) {
+  const task = req.task;
+  // Derived from the status below, never taken from the request.
+  delete updates.statusCategory;
+
+  const forbidden = forbiddenUpdateFields(req.user, task, updates, req.taskContext);
+  if (forbidden.length)
+    return { status: 403, message: `Not allowed to change: ${forbidden.join(", ")}.` };
+
+  const projectChanged =
+    updates.project !== undefined && String(updates.project) !== String(task.project);
+  const assigneeChanged =
+    updates.assignedTo !== undefined && String(updates.assignedTo) !== String(task.assignedTo);
+  const targetProject = updates.project !== undefined ? updates.project : task.project;
+  if (targetProject && (projectChanged || assigneeChanged)) {
+    const placementError = await checkProjectPlacement(
+      targetProject,
+      req.user,
+      updates.assignedTo || task.assignedTo
+    );
+    if (placementError) return { status: 400, message: placementError };
+  }
+
+  if (updates.parent && String(updates.parent) !== String(task.parent)) {
+    const refused = await loadParent(req.user, task, updates.parent);
+    if (!refused.parent) return refused;
+  }
+
+  if (updates.status !== undefined || projectChanged) {
+    const refused = await checkStatusChange(task, updates, targetProject);
+    if (refused) return refused;
+  }
+  if (updates.statusCategory === "done" && task.statusCategory !== "done")
+    return (await checkBlockers(req, task)) || checkSubtasksDone(task);
+  return null;
+}
+
+/**
+ * checkTaskUpdate for another occurrence `task` of req.task's series: the
+ * caller needs "update" on it too, and a project move remaps its status.
+ * Returns { status, message } when refused, else null.
+ */
+async function checkOccurrenceUpdate(req, task, updates) {
+  const taskContext = { projectRole: await projectRoleFor(req.user, task) };
+  if (!can(req.user, "update", task, taskContext))
+    return { status: 403, message: `Not allowed to update occurrence ${task.occurrence}.` };
+  return checkTaskUpdate({ user: req.user, query: req.query, task, taskContext }, updates);
+}
+
+/**
+ * Checks a status change against the workflow of `projectId` and fills in
+ * updates.status/statusCategory. Moving to another project keeps the status
+ * if the new workflow has it, else picks one of the same category.
+ * Returns { status, message } when refused, else null.
+ */
+async function checkStatusChange(task, updates, projectId) {
+  const workflow = await workflowFor(projectId);
+  const status =
+    updates.status !== undefined
+      ? updates.status
+      : equivalentStatus(workflow, task.status, task.statusCategory);
+  const definition = findStatus(workflow, status);
+  if (!definition) return { status: 400, message: `Unknown status "${status}" in this workflow.` };
+  if (updates.status !== undefined && !canTransition(workflow, task.status, status))
+    return { status: 409, message: `Cannot move from "${task.status}" to "${status}".` };
+
+  updates.status = status;
+  updates.statusCategory = definition.category;
+  return null;
+}
+
+/**
+ * Moves req.task to the status completionTarget picks in `workflow` (a
+ * "complete" history entry). Reaching a done status needs its blockers and
+ * subtasks done, and creates the next occurrence of a recurring task.
+ * Returns { next } (the new occurrence or null), or { status, message }
+ * when refused.
+ */
+async function toggleCompletion(req, workflow) {
+  const task = req.task;
+  const status = completionTarget(workflow, task.status);
+  if (!status)
+    return { status: 409, message: `The workflow does not allow this from "${task.status}".` };
+  const statusCategory = findStatus(workflow, status).category;
+  const refused =
+    statusCategory === "done" &&
+    ((await checkBlockers(req, task)) || (await checkSubtasksDone(task)));
+  if (refused) return refused;
+
+  const next = await saveTaskChanges(task, { status, statusCategory }, req.user.id, "complete");
+  return { next };
+}
+
+/**
+ * Deletes `task` with all of its subtasks, their reminders, comments and
+ * attachments, and
+ * drops them from other tasks' blockers. Returns the deleted task ids.
+ */
+async function deleteTaskTree(task) {
+  const ids = [task._id, ...(await descendantLevels(task._id)).flat()];
+  await Task.deleteMany({ _id: { $in: ids } });
+  for (const id of ids) await cancelTaskReminders(id);
+  await Comment.deleteMany({ task: { $in: ids } });
+  await Attachment.deleteMany({ task: { $in: ids } });
+  await removeDependenciesOn(ids);
+  return ids;
+}
+
+/**
+ * Query validation for the task list filters, shared by GET / and GET /export.
+ */
+const listFilterValidation = [
+  query("status").optional().matches(STATUS_KEY_PATTERN),
+  query("category").optional().isIn(STATUS_CATEGORIES),
+  query("priority").optional().isIn(["low", "medium", "high"]),
+  query("sortBy")
+    .optional()
+    .custom((v) => {
+      const keys = commaList(v);
+      return keys.length > 0 &&
+        keys.every((key) => SORT_FIELDS[key]) &&
+        new Set(keys).size === keys.length;
+    })
+    .withMessage("sortBy must be a comma list of dueDate, priority, createdAt, rank."),
+  query("order")
+    .optional()
+    .custom((v) => commaList(v).length > 0 && commaList(v).every((o) => o === "asc" || o === "desc"))
+    .withMessage("order must be asc, desc or a comma list of them."),
+  query("project").optional().custom((v) => v === "none" || /^[a-f\d]{24}$/i.test(v)),
+  query("q").optional().isString().isLength({ max: 500 }),
+  query("parent").optional().custom((v) => v === "none" || /^[a-f\d]{24}$/i.test(v)),
+  query("dueFrom").optional().isISO8601().toDate(),
+  query("dueTo").optional().isISO8601().toDate(),
+  query("tags")
+    .optional()
+    .custom((v) => commaList(v).length > 0 && commaList(v).every((tag) => TAG_PATTERN.test(normalizeTag(tag))))
+    .withMessage("tags must be a comma list of tag names."),
+  query("tagsMode").optional().isIn(["any", "all"]).withMessage("tagsMode must be any or all."),
+  query("view").optional().isString().isLength({ max: 24 }),
+  query("overdue").optional().isBoolean().withMessage("overdue must be true or false.").toBoolean(),
+  query("timeZone")
+    .optional()
+    .custom((timeZone) => isValidTimeZone(timeZone))
+    .withMessage("timeZone must be an IANA time zone such as Europe/Paris."),
+];
+
+/**
+ * The task list query of req (filters as documented on GET /): { filter,
+ * spec, parsed } with the sort spec and the parsed search (null without q),
+ * or { status, message } for an invalid search or an unknown view.
+ */
+async function taskListQuery(req) {
+  const {
+    q,
+    status,
+    category,
+    priority,
+    project,
+    parent,
+    dueFrom,
+    dueTo,
+    tags,
+    tagsMode = "any",
+    view: viewId,
+    overdue,
+    timeZone = "UTC",
+  } = req.query;
+  let { sortBy = "dueDate", order = "asc" } = req.query;
+
+  const projectIds = await projectIdsForUser(req.user.id);
+  const filter = {
+    $or: [
+      { creator: req.user.id },
+      { assignedTo: req.user.id },
+      { project: { $in: projectIds } },
+    ],
+  };
+  if (status) filter.status = status;
+  if (category) filter.statusCategory = category;
+  if (priority) filter.priority = priority;
+  if (project === "none") filter.project = null;
+  else if (project) filter.project = project;
+  if (parent === "none") filter.parent = null;
+  else if (parent) filter.parent = parent;
+  if (dueFrom || dueTo) {
+    filter.dueDate = {};
+    if (dueFrom) filter.dueDate.$gte = dueFrom;
+    if (dueTo) filter.dueDate.$lt = dueTo;
+  }
+  if (tags) filter.tags = { [tagsMode === "all" ? "$all" : "$in"]: commaList(tags).map(normalizeTag) };
+
+  const and = [];
+  if (overdue === true) and.push(overdueCondition({ now: new Date(), timeZone }));
+  else if (overdue === false) and.push({ $nor: [overdueCondition({ now: new Date(), timeZone })] });
+
+  // A saved view adds its filters, and its sort keys unless sortBy is given;
+  // an explicit order still applies to them.
+  if (viewId) {
+    const view = await findView(viewId, req.user.id);
+    if (!view) return { status: 404, message: "View not found." };
+    and.push(...viewConditions(view, { userId: req.user.id, now: new Date(), timeZone }));
+    if (!req.query.sortBy) {
+      sortBy = view.sortBy;
+      if (!req.query.order) order = view.order;
+    }
+  }
+
+  let parsed = null;
+  if (q && q.trim()) {
+    parsed = parseSearchQuery(q);
+    if (parsed.errors.length) return { status: 400, message: parsed.errors.join(" ") };
+    const search = await searchConditions(parsed, req.user);
+    and.push(...search.conditions);
+    // $text has to stay at the top level of the query.
+    if (search.text) filter.$text = { $search: search.text };
+  }
+  if (and.length) filter.$and = and;
+  const byRelevance = Boolean(filter.$text) && !req.query.sortBy;
+
+  // _id breaks ties so equal sort values still page deterministically.
+  const spec = byRelevance ? RELEVANCE_SORT : taskSortSpec(sortBy, order);
+  return { filter, spec, parsed };
+}
+
+/**
+ * Up to `limit` tasks matching `filter` in `spec` order, after the keyset
+ * filter `after` (or from the start). Sort keys like the text score and
+ * noDueDate are computed, so this is an aggregation (which does not cast
+ * ids and dates).
+ */
+async function findSorted(filter, spec, limit, after = null) {
+  const cast = (conditions) => Task.find().cast(Task, conditions);
+  return Task.aggregate([
+    { $match: cast(filter) },
+    ...(filter.$text ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    { $addFields: { noDueDate: { $cond: [{ $ifNull: ["$dueDate", false] }, 0, 1] } } },
+    ...(after ? [{ $match: cast(after) }] : []),
+    { $sort: mongoSort(spec) },
+    { $limit: limit },
+  ]);
 }
 
 // PUBLIC_INTERFACE
@@ -94,114 +533,621 @@ router.get(
   "/",
   authMiddleware,
   [
-    query("status").optional().isIn(["todo", "in_progress", "completed"]),
-    query("priority").optional().isIn(["low", "medium", "high"]),
-    query("sortBy").optional().isIn(["dueDate", "priority", "createdAt"]),
-    query("order").optional().isIn(["asc", "desc"]),
+    ...listFilterValidation,
+    query("limit").optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+    query("cursor").optional().isString(),
+    query("includeCount").optional().isBoolean().toBoolean(),
   ],
   validate,
   async (req, res) => {
     /**
      * Retrieves user's tasks, optionally filtered/sorted using query params.
-     * Query: ?status=&priority=&sortBy=&order=
-     * Only tasks where creator===user.id or assignedTo===user.id are included.
+     * Query: ?status=&category=&priority=&sortBy=&order=&project=&parent=&dueFrom=&dueTo=&tags=&tagsMode=&view=&overdue=&timeZone=&limit=&cursor=&includeCount=&q=
+     * category filters by status category (todo, in_progress, done) across workflows.
+     * sortBy takes several keys (sortBy=priority,dueDate); order is one
+     * direction or one per key (order=desc,asc). Priority sorts low < medium < high,
+     * tasks without a dueDate come last in either direction, and rank is the
+     * manual board order.
+     * Included are tasks where creator===user.id or assignedTo===user.id, and
+     * tasks of every project the user is a member of.
+     * project=<id> limits to one project, project=none to tasks outside projects.
+     * parent=<id> lists the subtasks of a task, parent=none only top-level tasks.
+     * dueFrom/dueTo (ISO dates/times) keep tasks due in [dueFrom, dueTo).
+     * tags=a,b keeps tasks with any of those tags, or all of them with tagsMode=all.
+     * view=<id> applies a saved or built-in view (routes/views.js) on top of
+     * the other filters, with its sort unless sortBy is given (an explicit
+     * order overrides the view's directions); its relative
+     * dates are days in timeZone (IANA name, default UTC).
+     * overdue=true keeps open tasks past their due date (date-only due dates
+     * once their day is over in timeZone), overdue=false the others.
+     * Results are paged (limit, default 50): pass the returned nextCursor as
+     * cursor for the next page; nextCursor is null on the last page.
+     * includeCount=true adds total, the number of matching tasks.
+     * q searches titles and descriptions (syntax in services/search.js);
+     * results are ranked by relevance unless sortBy is given, and each task
+     * carries highlights: { title, description } as [{ text, match }] segments.
+     * Each task carries progress: { done, total, percent } over its
+     * checklist items and direct subtasks, blocked: true while any task
+     * in its blockedBy list is open, and overdue (as for overdue=).
+     * Returns: { tasks, nextCursor, total? }
      */
-    const { status, priority, sortBy = "dueDate", order = "asc" } = req.query;
-    const filter = {
-      $or: [{ creator: req.user.id }, { assignedTo: req.user.id }],
-    };
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-
-    let queryRef = Task.find(filter);
-
-    if (sortBy) {
-      const s = {};
-      s[sortBy] = order === "asc" ? 1 : -1;
-      queryRef = queryRef.sort(s);
-    }
+    const { cursor, includeCount, limit = DEFAULT_PAGE_SIZE } = req.query;
 
     try {
-      const tasks = await queryRef.exec();
-      res.status(200).json({ tasks });
+      const listQuery = await taskListQuery(req);
+      if (listQuery.message)
+        return res.status(listQuery.status).json({ message: listQuery.message });
+      const { filter, spec, parsed } = listQuery;
+
+      let after = null;
+      if (cursor) {
+        const position = decodeCursor(cursor, spec);
+        if (!position)
+          return res.status(400).json({ message: "Invalid cursor." });
+        after = keysetFilter(spec, position);
+      }
+
+      // One extra document tells whether another page exists.
+      const found = await findSorted(filter, spec, limit + 1, after);
+      const page = found.slice(0, limit);
+      const nextCursor = found.length > limit ? encodeCursor(page[page.length - 1], spec) : null;
+
+      const tasks = (await withDerived(page, req.query.timeZone)).map((task) => {
+        delete task.noDueDate;
+        return parsed ? { ...task, highlights: highlightTask(task, parsed) } : task;
+      });
+
+      const body = { tasks, nextCursor };
+      if (includeCount) body.total = await Task.countDocuments(filter);
+      res.status(200).json(body);
     } catch (err) {
       res.status(500).json({ message: "Could not fetch tasks", error: err.message });
     }
   }
 );
 
+// PUBLIC_INTERFACE
+router.get(
+  "/export",
+  authMiddleware,
+  listFilterValidation,
+  query("format").optional().isIn(["csv", "json"]).withMessage("format must be csv or json."),
+  validate,
+  async (req, res) => {
+    /**
+     * Downloads the tasks GET / would list for the same filters and sort
+     * (every page, up to MAX_EXPORT_ROWS) as a CSV (default) or JSON file.
+     * Columns are EXPORT_COLUMNS (services/taskImport.js), with the
+     * assignee as an email address, so the file can be imported again.
+     */
+    const format = req.query.format || "csv";
+    try {
+      const listQuery = await taskListQuery(req);
+      if (listQuery.message)
+        return res.status(listQuery.status).json({ message: listQuery.message });
+
+      const found = await findSorted(listQuery.filter, listQuery.spec, MAX_EXPORT_ROWS + 1);
+      if (found.length > MAX_EXPORT_ROWS)
+        return res.status(400).json({
+          message: `Too many tasks to export (over ${MAX_EXPORT_ROWS}); narrow the filters.`,
+        });
+      const tasks = await Task.populate(found, { path: "assignedTo", select: "email" });
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.attachment(`tasks-${date}.${format}`);
+      if (format === "json") res.status(200).json(tasks.map(exportRecord));
+      else res.status(200).type("text/csv; charset=utf-8").send(exportCsv(tasks));
+    } catch (err) {
+      res.status(500).json({ message: "Failed to export tasks", error: err.message });
+    }
+  }
+);
+
 // PUBLIC_INTERFACE
 router.post(
   "/",
   authMiddleware,
   taskValidation,
+  recurrenceValidation,
   validate,
   async (req, res) => {
     /**
      * Create a new task for the user (as creator).
-     * Optionally schedule email notification if dueDate is set.
+     * With a project, the user must be an editor/owner there and the assignee a member.
+     * If dueDate is set, a persisted reminder is queued for 24hrs prior.
+     * status must belong to the project's workflow (default: its initial status).
+     * A `recurrence` rule (needs a dueDate) makes it the first occurrence of a series.
+     * With `parent` it is a subtask (the user needs "update" on the parent),
+     * and it goes into the parent's project unless another one is given.
      */
     const userId = req.user.id;
-    const { title, description, dueDate, status, priority, assignedTo } = req.body;
+    const {
+      title,
+      description,
+      dueDate,
+      status,
+      priority,
+      assignedTo,
+      recurrence,
+      parent,
+      checklist,
+      requireSubtasksDone,
+      tags,
+    } = req.body;
+    if (recurrence && !dueDate)
+      return res.status(400).json({ message: "Recurring tasks need a due date." });
 
     const task = new Task({
       title,
       description,
       dueDate,
-      status: status || "todo",
       priority: priority || "medium",
       creator: userId,
       assignedTo: assignedTo || userId,
+      parent: parent || undefined,
+      checklist,
+      requireSubtasksDone,
+      tags,
     });
 
     try {
+      let project = req.body.project;
+      if (parent) {
+        const refused = await loadParent(req.user, task, parent);
+        if (!refused.parent)
+          return res.status(refused.status).json({ message: refused.message });
+        if (project === undefined) project = refused.parent.project;
+      }
+      task.project = project || undefined;
+
+      if (project) {
+        const placementError = await checkProjectPlacement(project, req.user, task.assignedTo);
+        if (placementError)
+          return res.status(400).json({ message: placementError });
+      }
+
+      const workflow = await workflowFor(task.project);
+      const definition = findStatus(workflow, status || workflow.initial);
+      if (!definition)
+        return res.status(400).json({ message: `Unknown status "${status}" in this workflow.` });
+      task.status = definition.key;
+      task.statusCategory = definition.category;
+
+      if (recurrence) await startSeries(task, recurrence, userId);
+      await task.save();
+      await recordTaskChange(task, null, userId, "create");
+
+      await scheduleDueReminder(task);
+      await registerTags(task);
+
+      res.status(201).json({ task });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to create task", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post(
+  "/quick",
+  authMiddleware,
+  body("text").isString().trim().notEmpty().isLength({ max: 500 }).withMessage("Text required (max 500 characters)."),
+  body("timeZone")
+    .optional()
+    .custom((timeZone) => isValidTimeZone(timeZone))
+    .withMessage("Unknown time zone."),
+  body("project").optional({ nullable: true }).isMongoId().withMessage("Invalid project."),
+  validate,
+  async (req, res) => {
+    /**
+     * Create a task from one quick-add line, e.g. "Pay invoice tomorrow 5pm
+     * !high @alice #finance", parsed by parseQuickAdd in shared/index.js (the
+     * same parser the task form previews with). Dates and times are read in
+     * `timeZone` (IANA name, default UTC). @handle is an email, its local
+     * part or a display name without spaces, and must match one member of
+     * `project`, or without one, one user sharing a project with the caller
+     * (or the caller). Returns 201 { task, parsed }.
+     */
+    const parsed = parseQuickAdd(req.body.text, { now: new Date(), timeZone: req.body.timeZone || "UTC" });
+    if (!parsed.title) return res.status(400).json({ message: "Title required.", parsed });
+    const titleMax = Task.schema.path("title").options.maxlength;
+    if (parsed.title.length > titleMax)
+      return res.status(400).json({ message: `title is too long (max ${titleMax} characters).`, parsed });
+
+    try {
+      // Checked before the @handle lookup, which searches the project's members.
+      const project = req.body.project || undefined;
+      if (project) {
+        const placementError = await checkProjectPlacement(project, req.user, parsed.assignee ? null : req.user.id);
+        if (placementError) return res.status(400).json({ message: placementError, parsed });
+      }
+
+      let assignedTo = req.user.id;
+      if (parsed.assignee) {
+        const ids = await teammateIds(req.user.id, project);
+        const matches = await findUsersByHandle([parsed.assignee], { _id: 1 }, { _id: { $in: ids } });
+        // One reply for no match and several, so handles do not reveal who exists.
+        if (matches.length !== 1)
+          return res.status(400).json({
+            message: `@${parsed.assignee} does not match exactly one of your teammates; use their email.`,
+            parsed,
+          });
+        assignedTo = matches[0]._id;
+      }
+
+      const workflow = await workflowFor(project);
+      const task = new Task({
+        title: parsed.title,
+        dueDate: parsed.dueDate || undefined,
+        priority: parsed.priority || "medium",
+        tags: parsed.tags,
+        status: workflow.initial,
+        statusCategory: findStatus(workflow, workflow.initial).category,
+        creator: req.user.id,
+        assignedTo,
+        project,
+      });
       await task.save();
+      await recordTaskChange(task, null, req.user.id, "create");
+      await scheduleDueReminder(task);
+      await registerTags(task);
+
+      res.status(201).json({ task, parsed });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to create task", error: err.message });
+    }
+  }
+);
+
+/**
+ * Validation errors of the task fields of one import row, checked with the
+ * same chains as POST / (taskValidation). Returns { errors, fields } with
+ * the sanitized fields (trimmed title, dueDate as a Date).
+ */
+async function checkImportRow(row) {
+  const rowReq = { body: { ...row, title: row.title ?? "" } };
+  delete rowReq.body.assignee;
+  delete rowReq.body.externalId;
+  for (const chain of taskValidation) await chain.run(rowReq);
+  const errors = validationResult(rowReq)
+    .array()
+    .map((error) => (error.msg === "Invalid value" ? `Invalid ${error.path}.` : error.msg));
+  // Checked here so one long row does not fail the save of the whole import.
+  for (const field of ["title", "description"]) {
+    const max = Task.schema.path(field).options.maxlength;
+    if (typeof rowReq.body[field] === "string" && rowReq.body[field].length > max)
+      errors.push(`${field} is too long (max ${max} characters).`);
+  }
+  return { errors: [...new Set(errors)], fields: rowReq.body };
+}
+
+// PUBLIC_INTERFACE
+router.post(
+  "/import",
+  authMiddleware,
+  body("format").isIn(["csv", "json"]).withMessage("format must be csv or json."),
+  body("data").exists().withMessage("data required."),
+  body("mapping").optional().isObject().withMessage("mapping must be { field: column }."),
+  body("dryRun").optional().isBoolean(),
+  body("project").optional({ nullable: true }).isMongoId().withMessage("Invalid project."),
+  validate,
+  async (req, res) => {
+    /**
+     * Import tasks from a CSV file (data: its text, header row first) or JSON
+     * (data: an array of objects), into `project` or the user's own tasks.
+     * mapping ({ field: column }, fields as in IMPORT_FIELDS) picks the source
+     * column of each task field; left out, it is guessed from the column names.
+     * assignee is an email address (a project member for project imports).
+     * Rows with an externalId that matches an earlier import into the same
+     * place update that task (policy action "update") instead of creating one,
+     * so importing the same file twice changes nothing.
+     * Each row is checked like POST / and PUT /:id; rows with errors are
+     * skipped and the rest imported. dryRun: true only checks.
+     * Returns { dryRun, columns, mapping, total, created, updated, failed,
+     * rows: [{ row, action: "create"|"update"|"error", id?, errors? }] }
+     * with row the 1-based record number (not counting a CSV header).
+     */
+    const userId = req.user.id;
+    const { format, data } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+    const project = req.body.project || null;
+
+    let source;
+    try {
+      source = readImportRows(format, data);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    const { columns, records } = source;
+    const mapping = req.body.mapping || suggestMapping(columns);
+    const mappingError = checkMapping(mapping, columns);
+    if (mappingError)
+      return res.status(400).json({ message: mappingError, columns, mapping });
+
+    try {
+      let members = null;
+      if (project) {
+        const placementError = await checkProjectPlacement(project, req.user);
+        if (placementError)
+          return res.status(400).json({ message: placementError });
+        members = await Project.findById(project, { members: 1 });
+      }
+      const workflow = await workflowFor(project);
+      const rows = records.map((record) => mapRecord(record, mapping));
 
-      // If dueDate exists and notification recipient available, schedule email 24hrs prior.
-      if (dueDate) {
-        const assignedUser = await User.findById(task.assignedTo || userId);
-        if (assignedUser?.email) {
-          const msUntil = new Date(dueDate).getTime() - Date.now() - 24 * 60 * 60 * 1000;
-          if (msUntil > 0) {
-            setTimeout(() => {
-              sendDueDateEmail(assignedUser.email, task).catch(console.error);
-            }, msUntil);
+      // Assignee emails and earlier imports, looked up once for all rows.
+      const emails = rows.filter((row) => row.assignee).map((row) => String(row.assignee).toLowerCase());
+      const users = await User.find({ email: { $in: emails } }, { email: 1 });
+      const userIds = new Map(users.map((user) => [user.email, user.id]));
+      const externalIds = rows.filter((row) => row.externalId).map((row) => String(row.externalId));
+      const existing = await Task.find({
+        externalId: { $in: externalIds },
+        ...(project ? { project } : { project: null, creator: userId }),
+      });
+      const byExternalId = new Map(existing.map((task) => [task.externalId, task]));
+      const taskContext = { projectRole: members?.roleOf(userId) || null };
+
+      const seen = new Map();
+      const results = [];
+      for (const [index, row] of rows.entries()) {
+        const result = { row: index + 1 };
+        results.push(result);
+        const { errors, fields } = await checkImportRow(row);
+
+        const externalId = row.externalId === undefined ? undefined : String(row.externalId);
+        if (externalId && externalId.length > 200) errors.push("externalId is too long (max 200).");
+        if (externalId && seen.has(externalId))
+          errors.push(`Same externalId as row ${seen.get(externalId)}.`);
+        else if (externalId) seen.set(externalId, result.row);
+
+        let assignedTo;
+        if (row.assignee) {
+          assignedTo = userIds.get(String(row.assignee).toLowerCase());
+          if (!assignedTo) errors.push(`No user with email ${row.assignee}.`);
+          else if (members && !members.roleOf(assignedTo))
+            errors.push("Assignee is not a member of this project.");
+        }
+
+        const target = externalId && byExternalId.get(externalId);
+        if (!errors.length && target) {
+          const updates = { title: fields.title };
+          for (const field of ["description", "dueDate", "status", "priority", "tags"])
+            if (fields[field] !== undefined) updates[field] = fields[field];
+          if (assignedTo) updates.assignedTo = assignedTo;
+
+          const rowReq = { user: req.user, query: {}, task: target, taskContext };
+          const refused = can(req.user, "update", target, taskContext)
+            ? await checkTaskUpdate(rowReq, updates)
+            : { message: "Not allowed to update the task imported earlier." };
+          if (refused) errors.push(refused.message);
+          else {
+            if (!dryRun) await saveTaskChanges(target, updates, userId);
+            Object.assign(result, { action: "update", id: target.id });
+          }
+        } else if (!errors.length) {
+          const definition = findStatus(workflow, fields.status || workflow.initial);
+          if (!definition) errors.push(`Unknown status "${fields.status}" in this workflow.`);
+          else {
+            const task = new Task({
+              title: fields.title,
+              description: fields.description,
+              dueDate: fields.dueDate,
+              status: definition.key,
+              statusCategory: definition.category,
+              priority: fields.priority || "medium",
+              creator: userId,
+              assignedTo: assignedTo || userId,
+              project: project || undefined,
+              externalId,
+              tags: fields.tags,
+            });
+            if (!dryRun) {
+              await task.save();
+              await recordTaskChange(task, null, userId, "create");
+              await scheduleDueReminder(task);
+              await registerTags(task);
+            }
+            Object.assign(result, { action: "create", ...(dryRun ? {} : { id: task.id }) });
           }
         }
+        if (errors.length) Object.assign(result, { action: "error", errors });
       }
 
-      res.status(201).json({ task });
+      const count = (action) => results.filter((result) => result.action === action).length;
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        columns,
+        mapping,
+        total: results.length,
+        created: count("create"),
+        updated: count("update"),
+        failed: count("error"),
+        rows: results,
+      });
     } catch (err) {
-      res.status(500).json({ message: "Failed to create task", error: err.message });
+      res.status(500).json({ message: "Failed to import tasks", error: err.message });
+    }
+  }
+);
+
+/**
+ * The field updates of a bulk "update" for one task: the given changes,
+ * with dueDateShift (days) moving its due date (tasks without one keep none).
+ */
+function bulkUpdates(task, changes, assignedTo) {
+  const updates = {};
+  if (changes.status !== undefined) updates.status = changes.status;
+  if (changes.priority !== undefined) updates.priority = changes.priority;
+  if (assignedTo) updates.assignedTo = assignedTo;
+  if (changes.dueDateShift && task.dueDate)
+    updates.dueDate = new Date(task.dueDate.getTime() + changes.dueDateShift * DAY_MS);
+  if (changes.addTags || changes.removeTags) {
+    const removed = changes.removeTags || [];
+    updates.tags = [...new Set([...task.tags.filter((tag) => !removed.includes(tag)), ...(changes.addTags || [])])];
+  }
+  return updates;
+}
+
+// PUBLIC_INTERFACE
+router.post(
+  "/bulk",
+  authMiddleware,
+  body("action").isIn(["update", "complete", "delete"]).withMessage("action must be update, complete or delete."),
+  body("ids")
+    .isArray({ min: 1, max: MAX_BULK_IDS })
+    .withMessage(`ids must list 1 to ${MAX_BULK_IDS} tasks.`)
+    .custom((ids) => new Set(ids).size === ids.length)
+    .withMessage("ids must not repeat."),
+  body("ids.*").isMongoId().withMessage("Invalid task id."),
+  body("changes").optional().isObject(),
+  body("changes.status").optional().matches(STATUS_KEY_PATTERN).withMessage("Invalid status."),
+  body("changes.priority").optional().isIn(["low", "medium", "high"]).withMessage("Invalid priority."),
+  body("changes.assignee").optional().isEmail().withMessage("assignee must be an email address."),
+  body("changes.dueDateShift")
+    .optional()
+    .isInt({ min: -3650, max: 3650 })
+    .withMessage("dueDateShift must be a whole number of days.")
+    .toInt(),
+  ["addTags", "removeTags"].map((field) => [
+    body(`changes.${field}`).optional().isArray({ min: 1, max: MAX_TAGS }).withMessage(`${field} must list tag names.`),
+    body(`changes.${field}.*`)
+      .isString()
+      .customSanitizer(normalizeTag)
+      .isLength({ min: 1, max: MAX_TAG_LENGTH })
+      .matches(TAG_PATTERN)
+      .withMessage("Invalid tag name."),
+  ]),
+  validate,
+  async (req, res) => {
+    /**
+     * Apply one action to several tasks (ids, at most MAX_BULK_IDS), each
+     * checked like its single-task route:
+     *  - update: changes { status?, priority?, assignee? (email), dueDateShift? (days),
+     *    addTags?, removeTags? (tag names) } as PUT /:id would apply them
+     *    (policy action "update", plus "assign" for the assignee and
+     *    "complete" for the status)
+     *  - complete: moves open tasks to a done status as POST /:id/complete
+     *    does (tasks already done are left alone); admins may pass ?force=true
+     *  - delete: as DELETE /:id, subtasks included
+     * Tasks are handled one by one and a refusal only skips that task.
+     * Returns { results: [{ id, ok, status?, message?, task?, deleted? }],
+     * succeeded, failed } in the order of ids.
+     */
+    const { action, ids } = req.body;
+    const changes = req.body.changes || {};
+    const fields = ["status", "priority", "assignee", "dueDateShift", "addTags", "removeTags"];
+    if (action === "update" && !fields.some((f) => changes[f] !== undefined))
+      return res.status(400).json({ message: "Nothing to update." });
+
+    try {
+      let assignedTo;
+      if (action === "update" && changes.assignee) {
+        const assignee = await User.findOne({ email: changes.assignee.toLowerCase() }, { _id: 1 });
+        if (!assignee)
+          return res.status(400).json({ message: `No user with email ${changes.assignee}.` });
+        assignedTo = assignee.id;
+      }
+
+      const deleted = new Set();
+      const results = [];
+      for (const id of ids) {
+        const result = { id, ok: false };
+        results.push(result);
+        const refuse = (refused) => Object.assign(result, { status: refused.status, message: refused.message });
+
+        if (deleted.has(id)) {
+          Object.assign(result, { ok: true, deleted: 0, message: "Deleted with its parent task." });
+          continue;
+        }
+        const task = await Task.findById(id);
+        if (!task) {
+          refuse({ status: 404, message: "Task not found." });
+          continue;
+        }
+        const taskContext = { projectRole: await projectRoleFor(req.user, task) };
+        if (!can(req.user, action, task, taskContext)) {
+          refuse({ status: 403, message: `Not allowed to ${action} this task.` });
+          continue;
+        }
+        const taskReq = { user: req.user, query: req.query, task, taskContext };
+
+        if (action === "delete") {
+          const removed = await deleteTaskTree(task);
+          removed.forEach((removedId) => deleted.add(String(removedId)));
+          Object.assign(result, { ok: true, deleted: removed.length });
+        } else if (action === "complete") {
+          if (task.statusCategory !== "done") {
+            const completed = await toggleCompletion(taskReq, await workflowFor(task.project));
+            if (completed.status) {
+              refuse(completed);
+              continue;
+            }
+          }
+          Object.assign(result, { ok: true, task });
+        } else {
+          const updates = bulkUpdates(task, changes, assignedTo);
+          const refused =
+            updates.tags?.length > MAX_TAGS
+              ? { status: 400, message: `A task can have at most ${MAX_TAGS} tags.` }
+              : await checkTaskUpdate(taskReq, updates);
+          if (refused) {
+            refuse(refused);
+            continue;
+          }
+          await saveTaskChanges(task, updates, req.user.id);
+          Object.assign(result, { ok: true, task });
+        }
+      }
+
+      const succeeded = results.filter((result) => result.ok).length;
+      res.status(200).json({ results, succeeded, failed: results.length - succeeded });
+    } catch (err) {
+      res.status(500).json({ message: "Bulk operation failed", error: err.message });
     }
   }
 );
 
 // PUBLIC_INTERFACE
 router.get(
-  "/:id",
+  "/workflow",
   authMiddleware,
-  param("id").isMongoId(),
+  query("project").optional().isMongoId(),
   validate,
   async (req, res) => {
     /**
-     * Get task by ID if creator or assigned.
+     * The workflow tasks of ?project=<id> follow (member or admin only),
+     * or the default workflow for tasks outside projects.
+     * Returns { workflow: { statuses, initial, transitions } }.
      */
-    const id = req.params.id;
     try {
-      const task = await Task.findById(id);
-      if (!task)
-        return res.status(404).json({ message: "Task not found." });
-
-      if (
-        !(
-          String(task.creator) === req.user.id ||
-          String(task.assignedTo) === req.user.id
-        )
-      ) {
-        return res.status(403).json({ message: "Unauthorized for this task." });
+      const { project } = req.query;
+      if (project) {
+        const found = await Project.findById(project, { members: 1 });
+        if (!found)
+          return res.status(404).json({ message: "Project not found." });
+        if (req.user.role !== "admin" && !found.roleOf(req.user.id))
+          return res.status(403).json({ message: "Unauthorized for this project." });
       }
+      res.status(200).json({ workflow: await workflowFor(project) });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to fetch workflow", error: err.message });
+    }
+  }
+);
 
+// PUBLIC_INTERFACE
+router.get(
+  "/:id",
+  authMiddleware,
+  param("id").isMongoId(),
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /**
+     * Get task by ID (policy action "read"), with its progress and blocked flag.
+     */
+    try {
+      const [task] = await withDerived([req.task]);
       res.status(200).json({ task });
     } catch (err) {
       res.status(500).json({ message: "Failed to fetch task", error: err.message });
@@ -215,28 +1161,56 @@ router.put(
   authMiddleware,
   param("id").isMongoId(),
   taskValidation,
+  body("position").optional().isObject().withMessage("position must be { after, before }."),
+  body("position.after").optional({ nullable: true }).isMongoId().withMessage("Invalid position."),
+  body("position.before").optional({ nullable: true }).isMongoId().withMessage("Invalid position."),
   validate,
+  loadTask("update"),
   async (req, res) => {
     /**
-     * Update a task if user is creator or assigned user.
+     * Update a task (policy action "update", plus per-field actions:
+     * reassigning or moving projects needs "assign", status needs "complete").
+     * Only the fields in EDITABLE_FIELDS are taken from the body.
+     * Moving a task into a project requires editor rights there.
+     * For a recurring task this edits only this occurrence; see PUT /:id/series.
+     * Moving its latest occurrence to a done status creates the next one.
+     * Completing a task with open blockers is refused (409); admins may pass ?force=true.
+     * position: { after, before } (task ids, one may be left out at a column
+     * end) moves the task between those two in the manual order (sortBy=rank).
      */
-    const id = req.params.id;
     try {
-      const task = await Task.findById(id);
-      if (!task)
-        return res.status(404).json({ message: "Task not found." });
-
-      if (
-        !(
-          String(task.creator) === req.user.id ||
-          String(task.assignedTo) === req.user.id
-        )
-      ) {
-        return res.status(403).json({ message: "Unauthorized for this task." });
+      const task = req.task;
+      const { position } = req.body;
+      const updates = Object.fromEntries(
+        EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [
+          field,
+          req.body[field],
+        ])
+      );
+
+      if (req.body.recurrence !== undefined)
+        return res.status(400).json({
+          message: "Change recurrence with PUT /api/tasks/:id/series.",
+        });
+      if (req.body.blockedBy !== undefined)
+        return res.status(400).json({
+          message: "Change dependencies with /api/tasks/:id/dependencies.",
+        });
+      if (req.body.rank !== undefined)
+        return res.status(400).json({ message: "Reorder tasks with position: { after, before }." });
+
+      const refused = await checkTaskUpdate(req, updates);
+      if (refused)
+        return res.status(refused.status).json({ message: refused.message });
+
+      if (position) {
+        const moved = await rankForMove(task, position, req.user);
+        if (moved.status)
+          return res.status(moved.status).json({ message: moved.message });
+        updates.rank = moved.rank;
       }
 
-      Object.assign(task, req.body);
-      await task.save();
+      await saveTaskChanges(task, updates, req.user.id);
       res.status(200).json({ task });
     } catch (err) {
       res.status(500).json({ message: "Failed to update task", error: err.message });
@@ -245,26 +1219,94 @@ router.put(
 );
 
 // PUBLIC_INTERFACE
-router.delete(
-  "/:id",
+router.put(
+  "/:id/series",
   authMiddleware,
   param("id").isMongoId(),
+  body("title").optional().isString().trim().notEmpty().withMessage("Title required."),
+  taskFieldValidation,
+  recurrenceValidation,
   validate,
+  loadTask("update"),
   async (req, res) => {
     /**
-     * Delete a task if creator (not just assigned).
+     * Edit this and all future occurrences of a recurring task.
+     * Body: any of title, description, priority, assignedTo, project (copied to
+     * the series and every open occurrence from this one on), dueDate (this
+     * occurrence only) and recurrence (new rule, or null to stop repeating).
+     * On a task that does not repeat yet, a recurrence rule starts a series.
+     * Every occurrence changed goes through the same checks as PUT /:id (the
+     * caller needs update rights on each; a project move remaps its status).
+     * Returns { task, updated } with the number of occurrences changed.
      */
-    const id = req.params.id;
     try {
-      const task = await Task.findById(id);
-      if (!task)
-        return res.status(404).json({ message: "Task not found." });
+      const task = req.task;
+      const { dueDate, recurrence } = req.body;
+      const fields = Object.fromEntries(
+        TEMPLATE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [
+          field,
+          req.body[field],
+        ])
+      );
+      const own = dueDate !== undefined ? { ...fields, dueDate } : fields;
 
-      if (String(task.creator) !== req.user.id)
-        return res.status(403).json({ message: "Only creator can delete." });
+      const refused = await checkTaskUpdate(req, own);
+      if (refused)
+        return res.status(refused.status).json({ message: refused.message });
 
-      await task.deleteOne();
-      res.status(200).json({ message: "Task deleted." });
+      if (!task.series) {
+        if (!recurrence)
+          return res.status(400).json({ message: "Task is not recurring." });
+        if (!(dueDate || task.dueDate))
+          return res.status(400).json({ message: "Recurring tasks need a due date." });
+        const before = snapshotTask(task);
+        Object.assign(task, own);
+        await startSeries(task, recurrence, req.user.id);
+        await task.save();
+        await recordTaskChange(task, before, req.user.id, "update");
+        await syncTaskReminders(task);
+        return res.status(200).json({ task, updated: 1 });
+      }
+
+      const occurrences = await futureOccurrences(task);
+      const others = occurrences.filter((other) => !other._id.equals(task._id));
+      // Every occurrence passes the same checks before anything is changed.
+      const otherUpdates = [];
+      for (const other of others) {
+        const updates = { ...fields };
+        const refusedOther = await checkOccurrenceUpdate(req, other, updates);
+        if (refusedOther)
+          return res.status(refusedOther.status).json({ message: refusedOther.message });
+        otherUpdates.push(updates);
+      }
+
+      const perTask = await updateSeries(task, own, recurrence);
+      await saveTaskChanges(task, { ...perTask, ...own }, req.user.id);
+      for (const [i, other] of others.entries())
+        await saveTaskChanges(other, { ...perTask, ...otherUpdates[i] }, req.user.id);
+      res.status(200).json({ task, updated: others.length + 1 });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to update series", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.delete(
+  "/:id",
+  authMiddleware,
+  param("id").isMongoId(),
+  validate,
+  loadTask("delete"),
+  async (req, res) => {
+    /**
+     * Delete a task (policy action "delete": creator, project owner or admin)
+     * together with all of its subtasks, their reminders and comments.
+     * Returns { deleted } with the number of tasks removed.
+     */
+    try {
+      const ids = await deleteTaskTree(req.task);
+      res.status(200).json({ message: "Task deleted.", deleted: ids.length });
     } catch (err) {
       res.status(500).json({ message: "Failed to delete task", error: err.message });
     }
@@ -277,31 +1319,367 @@ router.post(
   authMiddleware,
   param("id").isMongoId(),
   validate,
+  loadTask("complete"),
+  async (req, res) => {
+    /**
+     * Toggle completion status of a task (policy action "complete").
+     * Moves the task to the first done status its workflow allows, or from a
+     * done status back to the initial one (409 if the workflow allows neither).
+     * Completing the latest occurrence of a recurring task creates the next
+     * one, returned as `next` (null otherwise).
+     * A task with open subtasks cannot be completed (409) unless its
+     * requireSubtasksDone is false, nor one with open blockers unless an
+     * admin passes ?force=true.
+     */
+    try {
+      const task = req.task;
+
+      const workflow = await workflowFor(task.project);
+      const completed = await toggleCompletion(req, workflow);
+      if (completed.status)
+        return res.status(completed.status).json({ message: completed.message });
+      res.status(200).json({ task, next: completed.next });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to toggle completion", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post(
+  "/:id/checklist",
+  authMiddleware,
+  param("id").isMongoId(),
+  body("text").isString().trim().notEmpty().isLength({ max: 200 }).withMessage("Item text required."),
+  validate,
+  loadTask("update"),
   async (req, res) => {
     /**
-     * Toggle completion status of a task for current user/assignee.
-     * Only allows "status" to move to completed or toggle back.
+     * Add a checklist item ({ text }) to a task (policy action "update").
+     * Returns { task, item } with the task's updated progress.
      */
-    const id = req.params.id;
     try {
-      const task = await Task.findById(id);
-      if (!task)
-        return res.status(404).json({ message: "Task not found." });
-
-      if (
-        !(
-          String(task.creator) === req.user.id ||
-          String(task.assignedTo) === req.user.id
-        )
-      ) {
-        return res.status(403).json({ message: "Unauthorized." });
+      const task = req.task;
+      if (task.checklist.length >= 100)
+        return res.status(400).json({ message: "A checklist holds at most 100 items." });
+
+      task.checklist.push({ text: req.body.text });
+      await task.save();
+      const [updated] = await withDerived([task]);
+      res.status(201).json({ task: updated, item: task.checklist[task.checklist.length - 1] });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to add checklist item", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.patch(
+  "/:id/checklist/:itemId",
+  authMiddleware,
+  param("id").isMongoId(),
+  param("itemId").isMongoId(),
+  body("text").optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body("done").optional().isBoolean().toBoolean(),
+  validate,
+  loadTask("update"),
+  async (req, res) => {
+    /**
+     * Rename or check/uncheck a checklist item ({ text?, done? }).
+     */
+    try {
+      const task = req.task;
+      const item = task.checklist.id(req.params.itemId);
+      if (!item)
+        return res.status(404).json({ message: "Checklist item not found." });
+
+      if (req.body.text !== undefined) item.text = req.body.text;
+      if (req.body.done !== undefined) item.done = req.body.done;
+      await task.save();
+      const [updated] = await withDerived([task]);
+      res.status(200).json({ task: updated, item });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to update checklist item", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.delete(
+  "/:id/checklist/:itemId",
+  authMiddleware,
+  param("id").isMongoId(),
+  param("itemId").isMongoId(),
+  validate,
+  loadTask("update"),
+  async (req, res) => {
+    /**
+     * Remove a checklist item from a task.
+     */
+    try {
+      const task = req.task;
+      const item = task.checklist.id(req.params.itemId);
+      if (!item)
+        return res.status(404).json({ message: "Checklist item not found." });
+
+      item.deleteOne();
+      await task.save();
+      const [updated] = await withDerived([task]);
+      res.status(200).json({ task: updated });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to remove checklist item", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.get(
+  "/:id/dependencies",
+  authMiddleware,
+  param("id").isMongoId(),
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /**
+     * Dependencies of a task: blockedBy (tasks it waits for) and blocking
+     * (tasks waiting for it), each { _id, title, status, statusCategory },
+     * limited to tasks the user may read.
+     */
+    try {
+      const fields = { title: 1, status: 1, statusCategory: 1, creator: 1, assignedTo: 1, project: 1 };
+      const [blockedBy, blocking] = await Promise.all([
+        Task.find({ _id: { $in: req.task.blockedBy } }, fields),
+        Task.find({ blockedBy: req.task._id }, fields),
+      ]);
+      const readable = async (tasks) => {
+        const allowed = [];
+        for (const task of tasks)
+          if (await authorize(req.user, "read", task))
+            allowed.push({
+              _id: task._id,
+              title: task.title,
+              status: task.status,
+              statusCategory: task.statusCategory,
+            });
+        return allowed;
+      };
+      res.status(200).json({
+        blockedBy: await readable(blockedBy),
+        blocking: await readable(blocking),
+      });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to fetch dependencies", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post(
+  "/:id/dependencies",
+  authMiddleware,
+  param("id").isMongoId(),
+  body("blockerId").isMongoId().withMessage("blockerId must be a task id."),
+  validate,
+  loadTask("update"),
+  async (req, res) => {
+    /**
+     * Mark the task as blocked by another one: { blockerId }.
+     * The user must be able to read the blocker. Refused with 409 when the
+     * new edge would close a cycle (the response lists it as `cycle`).
+     * Returns { task } with its blocked flag.
+     */
+    try {
+      const task = req.task;
+      const { blockerId } = req.body;
+      if (task._id.equals(blockerId))
+        return res.status(400).json({ message: "A task cannot block itself." });
+
+      const blocker = await Task.findById(blockerId);
+      if (!blocker)
+        return res.status(404).json({ message: "Blocking task not found." });
+      if (!(await authorize(req.user, "read", blocker)))
+        return res.status(403).json({ message: "Not allowed to read the blocking task." });
+
+      if (!task.blockedBy.some((id) => id.equals(blocker._id))) {
+        if (task.blockedBy.length >= MAX_BLOCKERS)
+          return res.status(400).json({ message: `A task can have at most ${MAX_BLOCKERS} blockers.` });
+
+        const cycle = await dependencyPath(blocker._id, task._id);
+        if (cycle)
+          return res.status(409).json({
+            message: "This dependency would create a cycle.",
+            cycle: [...cycle, String(blocker._id)],
+          });
+
+        task.blockedBy.push(blocker._id);
+        await task.save();
       }
+      const [updated] = await withDerived([task]);
+      res.status(200).json({ task: updated });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to add dependency", error: err.message });
+    }
+  }
+);
 
-      task.status = task.status === "completed" ? "todo" : "completed";
+// PUBLIC_INTERFACE
+router.delete(
+  "/:id/dependencies/:blockerId",
+  authMiddleware,
+  param("id").isMongoId(),
+  param("blockerId").isMongoId(),
+  validate,
+  loadTask("update"),
+  async (req, res) => {
+    /**
+     * Remove a dependency: the task is no longer blocked by :blockerId.
+     */
+    try {
+      const task = req.task;
+      if (!task.blockedBy.some((id) => id.equals(req.params.blockerId)))
+        return res.status(404).json({ message: "Dependency not found." });
+
+      task.blockedBy.pull(req.params.blockerId);
       await task.save();
+      const [updated] = await withDerived([task]);
+      res.status(200).json({ task: updated });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to remove dependency", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.get(
+  "/:id/attachments",
+  authMiddleware,
+  param("id").isMongoId(),
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /**
+     * Files kept with the task (e.g. from an emailed task), oldest first.
+     * Returns { attachments: [{ _id, filename, contentType, size, createdAt }] }.
+     */
+    try {
+      const attachments = await Attachment.find({ task: req.task._id })
+        .select("filename contentType size createdAt")
+        .sort({ createdAt: 1 });
+      res.status(200).json({ attachments });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to fetch attachments", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.get(
+  "/:id/attachments/:attachmentId",
+  authMiddleware,
+  param("id").isMongoId(),
+  param("attachmentId").isMongoId(),
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /** Downloads one attachment of the task (policy action "read"). */
+    try {
+      const attachment = await Attachment.findOne({ _id: req.params.attachmentId, task: req.task._id })
+        .select("+data");
+      if (!attachment)
+        return res.status(404).json({ message: "Attachment not found." });
+      res.attachment(attachment.filename);
+      // Never let a browser render uploaded HTML or scripts inline.
+      res.set({ "Content-Type": attachment.contentType, "X-Content-Type-Options": "nosniff" });
+      res.status(200).send(attachment.data);
+    } catch (err) {
+      res.status(500).json({ message: "Failed to download attachment", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.get(
+  "/:id/activity",
+  authMiddleware,
+  param("id").isMongoId(),
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /**
+     * Activity feed of a task, oldest first: comments merged with
+     * field-change events ({ type: "comment" | "change", at, actor, ... }).
+     */
+    try {
+      const activity = await taskActivity(req.task._id);
+      res.status(200).json({ activity });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to fetch activity", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.get(
+  "/:id/history",
+  authMiddleware,
+  param("id").isMongoId(),
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /**
+     * Audit history of a task, oldest first: who changed which field from
+     * what to what ({ action, actor, changes: [{ field, from, to }], createdAt }).
+     */
+    try {
+      const history = await TaskHistory.find({ task: req.task._id })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate("actor", "name email");
+      res.status(200).json({ history });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to fetch history", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.post(
+  "/:id/history/:entryId/revert",
+  authMiddleware,
+  param("id").isMongoId(),
+  param("entryId").isMongoId(),
+  validate,
+  loadTask("update"),
+  async (req, res) => {
+    /**
+     * Revert a task to its version right after history entry :entryId.
+     * The restored fields go through the same rules as PUT /:id, and the
+     * revert itself is recorded as a "revert" history entry.
+     */
+    try {
+      const task = req.task;
+
+      const entries = await TaskHistory.find({ task: task._id }).sort({ createdAt: 1, _id: 1 });
+      const current = snapshotTask(task);
+      const version = versionAt(current, entries, req.params.entryId);
+      if (!version)
+        return res.status(404).json({ message: "History entry not found." });
+
+      const updates = Object.fromEntries(
+        diffSnapshots(current, version).map(({ field, to }) => [field, to])
+      );
+      if (!Object.keys(updates).length)
+        return res.status(200).json({ task, message: "Task already matches this version." });
+
+      const refused = await checkTaskUpdate(req, updates);
+      if (refused)
+        return res.status(refused.status).json({ message: refused.message });
+
+      await saveTaskChanges(task, updates, req.user.id, "revert", {
+        revertedTo: req.params.entryId,
+      });
       res.status(200).json({ task });
     } catch (err) {
-      res.status(500).json({ message: "Failed to toggle completion", error: err.message });
+      res.status(500).json({ message: "Failed to revert task", error: err.message });
     }
   }
 );
@@ -311,35 +1689,105 @@ router.post(
   "/:id/schedule-email",
   authMiddleware,
   param("id").isMongoId(),
-  body("email").isEmail(),
+  body("email").optional().isEmail(),
+  body("sendAt").optional().isISO8601().toDate(),
+  body("offset").optional().isString(),
   validate,
+  loadTask("remind"),
   async (req, res) => {
     /**
-     * Schedule a manual email notification for a task.
-     * Request: { email }
+     * Schedule a manual email reminder for a task (policy action "remind").
+     * Request: { email?, sendAt? | offset? }
+     *  - email defaults to the requesting user's email
+     *  - sendAt: absolute ISO date/time
+     *  - offset: relative to the task's dueDate, e.g. "2h before due"
+     *  - neither: queued for immediate delivery by the reminder worker
+     * Returns: the persisted reminder.
      */
-    const { email } = req.body;
-    const id = req.params.id;
+    const { sendAt, offset } = req.body;
+    const email = req.body.email || req.user.email;
+
+    if (sendAt && offset)
+      return res.status(400).json({ message: "Provide either sendAt or offset, not both." });
+
+    let offsetMs = null;
+    if (offset) {
+      offsetMs = parseReminderOffset(offset);
+      if (offsetMs === null)
+        return res.status(400).json({ message: "Invalid offset (e.g. \"2h before due\")." });
+    }
+
     try {
-      const task = await Task.findById(id);
-      if (!task)
-        return res.status(404).json({ message: "Task not found." });
-
-      // Allow only assignee or creator to schedule manual reminders
-      if (
-        !(
-          String(task.creator) === req.user.id ||
-          String(task.assignedTo) === req.user.id
-        )
-      ) {
-        return res.status(403).json({ message: "Unauthorized." });
+      const task = req.task;
+
+      const now = new Date();
+      let when = sendAt || now;
+      if (offsetMs !== null) {
+        if (!task.dueDate)
+          return res.status(400).json({ message: "Task has no due date to offset from." });
+        when = new Date(task.dueDate.getTime() - offsetMs);
       }
+      if ((sendAt || offsetMs !== null) && when <= now)
+        return res.status(400).json({ message: "Reminder time is in the past." });
+
+      const reminder = await scheduleManualReminder(task, email, when);
+      res.status(201).json({ reminder });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to schedule reminder", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.get(
+  "/:id/reminders",
+  authMiddleware,
+  param("id").isMongoId(),
+  validate,
+  loadTask("read"),
+  async (req, res) => {
+    /**
+     * List reminders of a task (all kinds and states), ordered by send time.
+     */
+    try {
+      const task = req.task;
+
+      const reminders = await Reminder.find({ task: task._id }).sort({ sendAt: 1 });
+      res.status(200).json({ reminders });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to fetch reminders", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.delete(
+  "/:id/reminders/:reminderId",
+  authMiddleware,
+  param("id").isMongoId(),
+  param("reminderId").isMongoId(),
+  validate,
+  loadTask("remind"),
+  async (req, res) => {
+    /**
+     * Cancel a queued reminder of a task (policy action "remind").
+     * Only pending reminders can be cancelled.
+     */
+    const { reminderId } = req.params;
+    try {
+      const task = req.task;
 
-      await sendDueDateEmail(email, task);
+      const reminder = await Reminder.findOne({ _id: reminderId, task: task._id });
+      if (!reminder)
+        return res.status(404).json({ message: "Reminder not found." });
+      if (reminder.status !== "pending")
+        return res.status(409).json({ message: `Reminder already ${reminder.status}.` });
 
-      res.status(200).json({ message: "Reminder email scheduled (sent to SMTP server)." });
+      reminder.status = "cancelled";
+      await reminder.save();
+      res.status(200).json({ reminder });
     } catch (err) {
-      res.status(500).json({ message: "Failed to send email", error: err.message });
+      res.status(500).json({ message: "Failed to cancel reminder", error: err.message });
     }
   }
 );
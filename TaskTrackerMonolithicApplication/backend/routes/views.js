@@ -0,0 +1,175 @@
+import express from "express";
+import { body, param } from "express-validator";
+import Project from "../models/Project.js";
+import SavedView, {
+  MAX_VIEW_DAYS,
+  VIEW_ASSIGNEES,
+  VIEW_DUE,
+  VIEW_SORT_KEYS,
+} from "../models/SavedView.js";
+import { roleAtLeast } from "../services/projects.js";
+import { BUILT_IN_VIEWS } from "../services/savedViews.js";
+import { STATUS_CATEGORIES, STATUS_KEY_PATTERN } from "../services/workflows.js";
+import { MAX_TAGS, PRIORITIES, TAG_PATTERN, normalizeTag } from "../../shared/index.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+
+const router = express.Router();
+
+const MAX_VIEWS = 50;
+
+const commaList = (value) => String(value || "").split(",").map((part) => part.trim()).filter(Boolean);
+
+/**
+ * Input validation for a view's name, filters and sort. With `optional`
+ * (updates) the name may be left out.
+ */
+const viewValidation = (optional) => [
+  (optional ? body("name").optional() : body("name"))
+    .isString()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 60 })
+    .withMessage("Name required (max 60 characters)."),
+  body("filters").optional().isObject().withMessage("filters must be an object."),
+  body("filters.status").optional({ nullable: true }).matches(STATUS_KEY_PATTERN),
+  body("filters.category").optional({ nullable: true }).isIn(STATUS_CATEGORIES),
+  body("filters.priority").optional({ nullable: true }).isIn(PRIORITIES),
+  body("filters.project").optional({ nullable: true }).isMongoId().withMessage("Invalid project."),
+  body("filters.tags")
+    .optional()
+    .isArray({ max: MAX_TAGS })
+    .withMessage(`filters.tags is a list of at most ${MAX_TAGS} tags.`)
+    .bail()
+    .customSanitizer((tags) => [...new Set(tags.map((tag) => normalizeTag(String(tag))))]),
+  body("filters.tags.*").matches(TAG_PATTERN).withMessage("Invalid tag name."),
+  body("filters.tagsMode").optional().isIn(["any", "all"]),
+  body("filters.assignee").optional({ nullable: true }).isIn(VIEW_ASSIGNEES),
+  body("filters.due").optional({ nullable: true }).isIn(VIEW_DUE),
+  body("filters.dueDays")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_VIEW_DAYS })
+    .withMessage(`filters.dueDays must be 1 to ${MAX_VIEW_DAYS}.`)
+    .toInt(),
+  body("filters.hideDone").optional().isBoolean().toBoolean(),
+  body("sortBy")
+    .optional()
+    .custom((v) => {
+      const keys = commaList(v);
+      return keys.length > 0 && keys.every((key) => VIEW_SORT_KEYS.includes(key)) && new Set(keys).size === keys.length;
+    })
+    .withMessage(`sortBy must be a comma list of ${VIEW_SORT_KEYS.join(", ")}.`),
+  body("order")
+    .optional()
+    .custom((v) => commaList(v).length > 0 && commaList(v).every((o) => o === "asc" || o === "desc"))
+    .withMessage("order must be asc, desc or a comma list of them."),
+];
+
+/**
+ * Checks the caller may see the project a view filters by.
+ * Returns { status, message } when not, else null.
+ */
+async function checkViewProject(req, projectId) {
+  if (!projectId || req.user.role === "admin") return null;
+  const project = await Project.findById(projectId, { members: 1 });
+  if (!project) return { status: 404, message: "Project not found." };
+  if (!roleAtLeast(project.roleOf(req.user.id), "viewer"))
+    return { status: 403, message: "Unauthorized for this project." };
+  return null;
+}
+
+/**
+ * Loads the caller's saved view from :id. Sends 404 and returns null when
+ * there is none (another user's view is not found either).
+ */
+async function loadView(req, res) {
+  const view = await SavedView.findOne({ _id: req.params.id, owner: req.user.id });
+  if (!view) res.status(404).json({ message: "View not found." });
+  return view;
+}
+
+// PUBLIC_INTERFACE
+router.get("/", authMiddleware, async (req, res) => {
+  /**
+   * Lists the built-in views (Today, Upcoming, Overdue; builtIn: true)
+   * followed by the caller's saved views by name.
+   * List a view's tasks with GET /api/tasks?view=<id>.
+   */
+  try {
+    const views = await SavedView.find({ owner: req.user.id }).sort({ name: 1 });
+    res.status(200).json({ views: [...BUILT_IN_VIEWS, ...views] });
+  } catch (err) {
+    res.status(500).json({ message: "Failed to fetch views", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.post("/", authMiddleware, viewValidation(false), validate, async (req, res) => {
+  /**
+   * Saves a view: { name, filters?, sortBy?, order? }. filters: status,
+   * category, priority, project, tags, tagsMode (any, all), assignee (me,
+   * unassigned), due (overdue, today, next, none), dueDays (for next,
+   * today included; default 7) and hideDone.
+   */
+  try {
+    const { name, filters = {}, sortBy, order } = req.body;
+    const refused = await checkViewProject(req, filters.project);
+    if (refused) return res.status(refused.status).json({ message: refused.message });
+    if ((await SavedView.countDocuments({ owner: req.user.id })) >= MAX_VIEWS)
+      return res.status(400).json({ message: `At most ${MAX_VIEWS} saved views.` });
+    const view = await SavedView.create({ name, owner: req.user.id, filters, sortBy, order });
+    res.status(201).json({ view });
+  } catch (err) {
+    res.status(500).json({ message: "Failed to save view", error: err.message });
+  }
+});
+
+// PUBLIC_INTERFACE
+router.put(
+  "/:id",
+  authMiddleware,
+  param("id").isMongoId().withMessage("Built-in views cannot be changed."),
+  viewValidation(true),
+  validate,
+  async (req, res) => {
+    /** Renames a saved view or replaces its filters and/or sort. */
+    try {
+      const view = await loadView(req, res);
+      if (!view) return;
+      const { name, filters, sortBy, order } = req.body;
+      if (filters) {
+        const refused = await checkViewProject(req, filters.project);
+        if (refused) return res.status(refused.status).json({ message: refused.message });
+        view.filters = filters;
+      }
+      if (name !== undefined) view.name = name;
+      if (sortBy !== undefined) view.sortBy = sortBy;
+      if (order !== undefined) view.order = order;
+      await view.save();
+      res.status(200).json({ view });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to update view", error: err.message });
+    }
+  }
+);
+
+// PUBLIC_INTERFACE
+router.delete(
+  "/:id",
+  authMiddleware,
+  param("id").isMongoId().withMessage("Built-in views cannot be deleted."),
+  validate,
+  async (req, res) => {
+    /** Deletes a saved view. */
+    try {
+      const view = await loadView(req, res);
+      if (!view) return;
+      await view.deleteOne();
+      res.status(200).json({ message: "View deleted." });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to delete view", error: err.message });
+    }
+  }
+);
+
+export default router;
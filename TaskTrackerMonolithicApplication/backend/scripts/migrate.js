@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as priorityRank from "../migrations/001-priority-rank.js";
+import * as statusCategory from "../migrations/002-status-category.js";
+import * as taskRank from "../migrations/003-task-rank.js";
+
+/**
+ * Runs the data migrations in order against MONGODB_URI.
+ * Every migration is idempotent, so re-running the script is harmless.
+ * Usage: npm run migrate
+ */
+
+dotenv.config();
+
+const MIGRATIONS = [priorityRank, statusCategory, taskRank];
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    for (const migration of MIGRATIONS) {
+      const count = await migration.up();
+      console.log(`${migration.name}: ${count} document(s) updated.`);
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
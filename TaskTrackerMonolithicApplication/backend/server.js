@@ -5,6 +5,15 @@ import dotenv from "dotenv";
 
 import authRoutes from "./routes/auth.js";
 import taskRoutes from "./routes/tasks.js";
+import projectRoutes from "./routes/projects.js";
+import calendarRoutes from "./routes/calendar.js";
+import inboundRoutes from "./routes/inbound.js";
+import tagRoutes from "./routes/tags.js";
+import viewRoutes from "./routes/views.js";
+import digestRoutes from "./routes/digest.js";
+import { createReminderWorker } from "./services/reminders.js";
+import { createDigestWorker } from "./services/digest.js";
+import { sendDigestEmail, sendDueDateEmail } from "./services/mail.js";
 
 // Load environment variables
 dotenv.config();
@@ -14,11 +23,19 @@ const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
+// Imports carry a whole CSV/JSON file in the body.
+app.use("/api/tasks/import", express.json({ limit: "5mb" }));
 app.use(express.json());
 
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/tasks", taskRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/inbound", inboundRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/views", viewRoutes);
+app.use("/api/digest", digestRoutes);
 
 // Root health check route
 // PUBLIC_INTERFACE
@@ -49,8 +66,30 @@ async function connectDB() {
   }
 }
 
-connectDB();
+// Persisted reminder delivery (due-date emails), polling the Reminder collection.
+// PUBLIC_INTERFACE
+export const reminderWorker = createReminderWorker({
+  send: sendDueDateEmail,
+  pollIntervalMs: parseInt(process.env.REMINDER_POLL_MS || "30000"),
+});
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Daily digest emails (overdue, due today, due this week), polling User.digestNextAt.
+// PUBLIC_INTERFACE
+export const digestWorker = createDigestWorker({
+  send: sendDigestEmail,
+  pollIntervalMs: parseInt(process.env.DIGEST_POLL_MS || "60000"),
 });
+
+// Tests import the app and manage their own DB connection and listener.
+if (process.env.NODE_ENV !== "test") {
+  connectDB().then(() => {
+    reminderWorker.start();
+    digestWorker.start();
+  });
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+export default app;
@@ -0,0 +1,40 @@
+import Comment from "../models/Comment.js";
+import TaskHistory from "../models/TaskHistory.js";
+
+/**
+ * Task activity feed: comments and field-change events of a task merged
+ * into one chronological list.
+ */
+
+const USER_FIELDS = "name email";
+
+// PUBLIC_INTERFACE
+export function mergeActivity(comments, history) {
+  /**
+   * Pure merge of comment and history documents into feed items, oldest first:
+   *  - { type: "comment", at, actor, comment }
+   *  - { type: "change", at, actor, action, changes, entryId } (entryId: TaskHistory _id)
+   */
+  const items = [
+    ...comments.map((c) => ({ type: "comment", at: c.createdAt, actor: c.author, comment: c })),
+    ...history.map((h) => ({
+      type: "change",
+      at: h.createdAt,
+      actor: h.actor,
+      action: h.action,
+      changes: h.changes,
+      entryId: h._id,
+    })),
+  ];
+  return items.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// PUBLIC_INTERFACE
+export async function taskActivity(taskId) {
+  /** Activity feed of a task, with authors/actors populated. */
+  const [comments, history] = await Promise.all([
+    Comment.find({ task: taskId }).populate("author", USER_FIELDS).populate("mentions", USER_FIELDS),
+    TaskHistory.find({ task: taskId }).populate("actor", USER_FIELDS),
+  ]);
+  return mergeActivity(comments, history);
+}
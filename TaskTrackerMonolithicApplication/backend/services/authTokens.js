@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import AuthToken from "../models/AuthToken.js";
+
+/**
+ * Single-use emailed tokens (password reset, email verification).
+ */
+
+// PUBLIC_INTERFACE
+export const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 24 * 60 * 60 * 1000,
+};
+
+// PUBLIC_INTERFACE
+export function hashToken(token) {
+  /** SHA-256 hex digest of a token (only digests are stored). */
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// PUBLIC_INTERFACE
+export async function issueAuthToken(user, purpose) {
+  /**
+   * Creates a token for `purpose`, invalidating the user's earlier unused
+   * tokens of the same purpose. Returns the raw token (to be emailed).
+   */
+  await AuthToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString("hex");
+  await AuthToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+  });
+  return token;
+}
+
+// PUBLIC_INTERFACE
+export async function consumeAuthToken(token, purpose) {
+  /**
+   * Atomically marks a valid (unused, unexpired) token as used.
+   * Returns the user id it belongs to, or null if the token is not valid.
+   */
+  const record = await AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  return record ? record.user : null;
+}
@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import Task from "../models/Task.js";
+import { hashToken } from "./authTokens.js";
+import { projectIdsForUser } from "./projects.js";
+
+/**
+ * Per-user calendar feed: a secret token in the feed URL stands in for a
+ * login, since calendar clients cannot send one. Only its hash is stored,
+ * so the URL is shown once; rotating the token replaces it.
+ */
+
+// PUBLIC_INTERFACE
+export const FEED_PAST_DAYS = 90;
+
+// PUBLIC_INTERFACE
+export const FEED_MAX_TASKS = 2000;
+
+// PUBLIC_INTERFACE
+export async function rotateCalendarToken(userId) {
+  /** Issues a new feed token for the user (the old URL stops working). Returns the raw token. */
+  const token = crypto.randomBytes(32).toString("hex");
+  await User.updateOne({ _id: userId }, { $set: { calendarTokenHash: hashToken(token) } });
+  return token;
+}
+
+// PUBLIC_INTERFACE
+export async function disableCalendarFeed(userId) {
+  /** Turns the user's feed off. */
+  await User.updateOne({ _id: userId }, { $unset: { calendarTokenHash: "" } });
+}
+
+// PUBLIC_INTERFACE
+export async function userForCalendarToken(token) {
+  /** The user whose feed `token` opens, or null. */
+  if (!/^[a-f0-9]{64}$/.test(token)) return null;
+  return User.findOne({ calendarTokenHash: hashToken(token) });
+}
+
+// PUBLIC_INTERFACE
+export async function feedTasks(user, now = new Date()) {
+  /**
+   * Tasks with a due date the user can see (created, assigned or in one of
+   * their projects), due at most FEED_PAST_DAYS ago, earliest first.
+   */
+  const projectIds = await projectIdsForUser(user._id);
+  const since = new Date(now.getTime() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+  return Task.find({
+    $or: [{ creator: user._id }, { assignedTo: user._id }, { project: { $in: projectIds } }],
+    dueDate: { $gte: since },
+  })
+    .sort({ dueDate: 1, _id: 1 })
+    .limit(FEED_MAX_TASKS)
+    .lean();
+}
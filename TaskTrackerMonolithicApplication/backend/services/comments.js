@@ -0,0 +1,40 @@
+import { authorize } from "../policies/taskPolicy.js";
+import { findUsersByHandle } from "./users.js";
+
+/**
+ * Comment helpers: @mention parsing and resolution.
+ * A mention is "@" followed by a user handle (see services/users.js):
+ * "@jane@example.com", "@jane" or "@JaneDoe". Only users who can read the
+ * task are resolved.
+ */
+
+// "@" at the start or after whitespace/punctuation, so emails in the text are not mentions.
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+const MAX_MENTIONS = 20;
+
+// PUBLIC_INTERFACE
+export function parseMentions(body) {
+  /** Unique lowercase handles mentioned in `body`, in order of appearance. */
+  const handles = [];
+  for (const match of String(body || "").matchAll(MENTION_PATTERN)) {
+    const handle = match[2].replace(/[.\-+]+$/, "").toLowerCase();
+    if (handle && !handles.includes(handle)) handles.push(handle);
+  }
+  return handles.slice(0, MAX_MENTIONS);
+}
+
+// PUBLIC_INTERFACE
+export async function resolveMentions(body, task) {
+  /**
+   * Users mentioned in `body` who may read `task`; returns their ids.
+   */
+  const handles = parseMentions(body);
+  if (!handles.length) return [];
+
+  const candidates = await findUsersByHandle(handles);
+  const allowed = [];
+  for (const user of candidates) {
+    if (await authorize({ id: user._id, role: user.role }, "read", task)) allowed.push(user._id);
+  }
+  return allowed;
+}
@@ -0,0 +1,64 @@
+/**
+ * CSV reading and writing (RFC 4180): comma separated, fields quoted with
+ * double quotes when they contain commas, quotes or line breaks.
+ */
+
+// PUBLIC_INTERFACE
+export function parseCsv(text) {
+  /**
+   * Parses CSV text into an array of rows (arrays of strings). Accepts CRLF
+   * or LF line ends, a leading byte order mark and a missing final newline;
+   * blank lines are skipped. Throws on an unterminated quoted field.
+   */
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else quoted = false;
+    } else if (char === '"' && field === "") quoted = true;
+    else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      endRow();
+    } else field += char;
+  }
+  if (quoted) throw new Error("Unterminated quoted field.");
+  if (field !== "" || row.length) endRow();
+  return rows;
+}
+
+/**
+ * One CSV field. Text that a spreadsheet would run as a formula (starting
+ * with =, +, -, @ or a tab) is prefixed with a quote character.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// PUBLIC_INTERFACE
+export function toCsv(columns, records) {
+  /** CSV text with a header row of `columns` and one row per record (objects keyed by column). */
+  const lines = [columns, ...records.map((record) => columns.map((column) => record[column]))];
+  return lines.map((line) => line.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,74 @@
+import Task from "../models/Task.js";
+
+/**
+ * Task dependencies: "B is blocked by A" is stored as A's id in B.blockedBy.
+ * A task is blocked while any of its blockers is not done (statusCategory).
+ */
+
+// PUBLIC_INTERFACE
+export const MAX_BLOCKERS = 50;
+
+// PUBLIC_INTERFACE
+export async function dependencyPath(fromId, toId) {
+  /**
+   * Follows blockedBy edges from task `fromId` and returns the ids on the
+   * way to `toId` ([fromId, ..., toId]), or null if `toId` is not reachable.
+   * Making `toId` blocked by `fromId` would close a cycle exactly when such
+   * a path exists.
+   */
+  const target = String(toId);
+  const cameFrom = new Map([[String(fromId), null]]);
+  let frontier = [fromId];
+  while (frontier.length) {
+    const tasks = await Task.find({ _id: { $in: frontier } }, { blockedBy: 1 });
+    const next = [];
+    for (const task of tasks) {
+      for (const blockerId of task.blockedBy || []) {
+        const key = String(blockerId);
+        if (cameFrom.has(key)) continue;
+        cameFrom.set(key, String(task._id));
+        if (key === target) {
+          const path = [];
+          for (let at = key; at; at = cameFrom.get(at)) path.unshift(at);
+          return path;
+        }
+        next.push(blockerId);
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export async function openBlockers(task) {
+  /** Blockers of `task` that are not done ({ _id, title, status }). */
+  if (!task.blockedBy?.length) return [];
+  return Task.find(
+    { _id: { $in: task.blockedBy }, statusCategory: { $ne: "done" } },
+    { title: 1, status: 1 }
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function withBlocked(tasks) {
+  /**
+   * Sets `blocked` on each of `tasks` (plain objects): true while any of its
+   * blockers is open. Blockers are looked up with one query for the whole list.
+   */
+  const blockerIds = [...new Set(tasks.flatMap((task) => (task.blockedBy || []).map(String)))];
+  const open = blockerIds.length
+    ? await Task.find({ _id: { $in: blockerIds }, statusCategory: { $ne: "done" } }, { _id: 1 })
+    : [];
+  const openIds = new Set(open.map((task) => String(task._id)));
+  return tasks.map((task) => ({
+    ...task,
+    blocked: (task.blockedBy || []).some((id) => openIds.has(String(id))),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export async function removeDependenciesOn(taskIds) {
+  /** Drops deleted tasks from every blockedBy list. */
+  await Task.updateMany({ blockedBy: { $in: taskIds } }, { $pull: { blockedBy: { $in: taskIds } } });
+}
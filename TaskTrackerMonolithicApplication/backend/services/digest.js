@@ -0,0 +1,189 @@
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import { addDays, dayStart, dueOnDays, localToday, overdueCondition } from "./dueDates.js";
+import { systemClock } from "./reminders.js";
+
+/**
+ * Daily digest emails: once a day, at the hour each user picked in their
+ * time zone, a summary of their open tasks that are overdue, due today and
+ * due in the rest of the week. Users opt in; User.digestNextAt holds the
+ * next send time and a polling worker delivers the digests that are due
+ * (like the reminder worker, it takes a clock for tests).
+ */
+
+// PUBLIC_INTERFACE
+export const DIGEST_SECTION_LIMIT = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+const DEFAULT_WORKER_OPTIONS = {
+  pollIntervalMs: 60 * 1000,
+  batchSize: 20,
+};
+
+// PUBLIC_INTERFACE
+export function nextDigestAt(hour, timeZone, after) {
+  /** The first time after `after` when clocks in `timeZone` show `hour`:00. */
+  const today = localToday(after, timeZone);
+  const sendAt = dayStart(today, timeZone, hour);
+  return sendAt > after ? sendAt : dayStart(addDays(today, 1), timeZone, hour);
+}
+
+// PUBLIC_INTERFACE
+export function digestSettings(user) {
+  /** The digest settings of `user` as returned by the API: { enabled, hour, timeZone, nextAt }. */
+  return {
+    enabled: Boolean(user.digestEnabled),
+    hour: user.digestHour,
+    timeZone: user.digestTimeZone,
+    nextAt: user.digestEnabled ? user.digestNextAt : null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function updateDigestSettings(userId, { enabled, hour, timeZone }, clock = systemClock) {
+  /**
+   * Changes the given settings and reschedules the next digest (none while
+   * turned off). Returns the updated User, or null if there is none.
+   */
+  const user = await User.findById(userId);
+  if (!user) return null;
+  if (enabled !== undefined) user.digestEnabled = enabled;
+  if (hour !== undefined) user.digestHour = hour;
+  if (timeZone !== undefined) user.digestTimeZone = timeZone;
+  user.digestNextAt = user.digestEnabled
+    ? nextDigestAt(user.digestHour, user.digestTimeZone, clock.now())
+    : undefined;
+  return user.save();
+}
+
+/**
+ * A due date as the reader sees it: the calendar day of a date-only due date,
+ * or the local day and time in `timeZone`.
+ */
+function formatDue(dueDate, timeZone) {
+  const day = { weekday: "short", month: "short", day: "numeric" };
+  if (dueDate.getTime() % DAY_MS === 0) return dueDate.toLocaleDateString("en-US", { ...day, timeZone: "UTC" });
+  return dueDate.toLocaleString("en-US", { ...day, timeZone, hour: "2-digit", minute: "2-digit", hour12: false });
+}
+
+// PUBLIC_INTERFACE
+export async function buildDigest(user, now = new Date()) {
+  /**
+   * The digest data for `user` at `now` (see services/digestTemplates.js):
+   * their open assigned tasks that are overdue, due later today and due in
+   * the following six days, at most DIGEST_SECTION_LIMIT per section.
+   * Returns null when all three are empty (nothing is sent then).
+   */
+  const timeZone = user.digestTimeZone || "UTC";
+  const today = localToday(now, timeZone);
+  const overdue = overdueCondition({ now, timeZone });
+  const sections = [
+    ["Overdue", overdue],
+    ["Due today", { ...dueOnDays(today, addDays(today, 1), timeZone), $nor: [overdue] }],
+    ["Due this week", dueOnDays(addDays(today, 1), addDays(today, 7), timeZone)],
+  ];
+  const filled = await Promise.all(
+    sections.map(async ([title, condition]) => {
+      const filter = { $and: [{ assignedTo: user._id, statusCategory: { $ne: "done" } }, condition] };
+      const [tasks, total] = await Promise.all([
+        Task.find(filter).sort({ dueDate: 1, _id: 1 }).limit(DIGEST_SECTION_LIMIT),
+        Task.countDocuments(filter),
+      ]);
+      const items = tasks.map((task) => ({
+        title: task.title,
+        priority: task.priority,
+        due: formatDue(task.dueDate, timeZone),
+      }));
+      return { title, total, tasks: items };
+    })
+  );
+  if (!filled.some((section) => section.total)) return null;
+  return {
+    name: user.name || user.email,
+    date: now.toLocaleDateString("en-US", { timeZone, weekday: "long", month: "long", day: "numeric" }),
+    sections: filled,
+    schedule: `You get this email every day at ${String(user.digestHour).padStart(2, "0")}:00 (${timeZone}).`,
+  };
+}
+
+/**
+ * Claims the user whose digest has been due longest by moving their
+ * digestNextAt on to the next day's send time. Returns the User as it was
+ * before the claim, or null when no digest is due.
+ */
+async function claimNextUser(now) {
+  for (;;) {
+    const user = await User.findOne({ digestEnabled: true, digestNextAt: { $lte: now } }).sort({ digestNextAt: 1 });
+    if (!user) return null;
+    const claimed = await User.updateOne(
+      { _id: user._id, digestNextAt: user.digestNextAt },
+      { $set: { digestNextAt: nextDigestAt(user.digestHour, user.digestTimeZone, now) } }
+    );
+    // Another worker (or a settings change) got there first otherwise.
+    if (claimed.modifiedCount) return user;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function createDigestWorker({ send, clock = systemClock, ...options }) {
+  /**
+   * Creates a polling worker sending due digests through `send(user, digest)`.
+   * A failed send is retried every 15 minutes until the next regular digest
+   * is due. Returns { start, stop, tick }; tick() handles one batch and
+   * resolves to the number of users handled, which makes it usable from tests.
+   */
+  const config = { ...DEFAULT_WORKER_OPTIONS, ...options };
+  let timer = null;
+  let running = false;
+
+  async function deliver(user, now) {
+    try {
+      const digest = await buildDigest(user, now);
+      if (!digest) return;
+      await send(user, digest);
+      await User.updateOne({ _id: user._id }, { $set: { digestSentAt: clock.now() } });
+    } catch (err) {
+      console.error(`Digest for ${user.email} failed:`, err.message);
+      const retryAt = new Date(now.getTime() + RETRY_DELAY_MS);
+      const next = nextDigestAt(user.digestHour, user.digestTimeZone, now);
+      if (retryAt < next)
+        await User.updateOne({ _id: user._id, digestNextAt: next }, { $set: { digestNextAt: retryAt } });
+    }
+  }
+
+  async function tick() {
+    // Guard against overlapping polls when a batch outlasts the interval.
+    if (running) return 0;
+    running = true;
+    let handled = 0;
+    try {
+      const now = clock.now();
+      while (handled < config.batchSize) {
+        const user = await claimNextUser(now);
+        if (!user) break;
+        await deliver(user, now);
+        handled++;
+      }
+    } finally {
+      running = false;
+    }
+    return handled;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      tick().catch((err) => console.error("Digest worker error:", err));
+    }, config.pollIntervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, tick };
+}
@@ -0,0 +1,67 @@
+/**
+ * Text and HTML templates of the daily digest email. Both render the same
+ * data: { name, date, sections: [{ title, tasks, total }], link, schedule }
+ * where each task is { title, due, priority } with `due` already formatted
+ * for the reader's time zone (see services/digest.js).
+ */
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/** " (high priority)" for high priority tasks, else "". */
+const priorityNote = (task) => (task.priority === "high" ? " (high priority)" : "");
+
+/** "…and N more" when a section lists fewer tasks than it has. */
+const moreNote = (section) => {
+  const more = section.total - section.tasks.length;
+  return more > 0 ? `…and ${more} more` : "";
+};
+
+// PUBLIC_INTERFACE
+export function digestSubject({ sections }) {
+  /** Subject line: the counts of the non-empty sections. */
+  const counts = sections
+    .filter((section) => section.total)
+    .map((section) => `${section.total} ${section.title.toLowerCase()}`);
+  return `Task Tracker digest: ${counts.join(", ")}`;
+}
+
+// PUBLIC_INTERFACE
+export function digestText({ name, date, sections, link, schedule }) {
+  /** Plain text body of the digest. */
+  const lines = [`Hi ${name},`, "", `Here is your Task Tracker digest for ${date}.`];
+  for (const section of sections.filter((s) => s.total)) {
+    lines.push("", `${section.title} (${section.total})`);
+    for (const task of section.tasks) lines.push(`- ${task.title} (due ${task.due})${priorityNote(task)}`);
+    if (moreNote(section)) lines.push(moreNote(section));
+  }
+  lines.push("", `Open Task Tracker: ${link}`, "", `${schedule} Change or turn it off in Task Tracker.`);
+  return lines.join("\n");
+}
+
+// PUBLIC_INTERFACE
+export function digestHtml({ name, date, sections, link, schedule }) {
+  /** HTML body of the digest; every value is escaped. */
+  const sectionHtml = sections
+    .filter((section) => section.total)
+    .map((section) => {
+      const items = section.tasks
+        .map((task) =>
+          `<li><b>${escapeHtml(task.title)}</b> <span style="color:#666">due ${escapeHtml(task.due)}</span>` +
+          `${task.priority === "high" ? ' <span style="color:#c62828">high priority</span>' : ""}</li>`)
+        .join("");
+      const more = moreNote(section) ? `<p style="color:#666">${escapeHtml(moreNote(section))}</p>` : "";
+      return `<h3 style="margin:16px 0 4px">${escapeHtml(section.title)} (${section.total})</h3><ul>${items}</ul>${more}`;
+    })
+    .join("");
+  return [
+    '<div style="font-family:sans-serif;font-size:14px">',
+    `<p>Hi ${escapeHtml(name)},</p>`,
+    `<p>Here is your Task Tracker digest for ${escapeHtml(date)}.</p>`,
+    sectionHtml,
+    `<p><a href="${escapeHtml(link)}">Open Task Tracker</a></p>`,
+    `<p style="color:#666;font-size:12px">${escapeHtml(schedule)} Change or turn it off in Task Tracker.</p>`,
+    "</div>",
+  ].join("\n");
+}
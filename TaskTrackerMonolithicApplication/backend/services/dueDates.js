@@ -0,0 +1,67 @@
+import { timeZoneOffset, zonedTime } from "../../shared/index.js";
+
+/**
+ * Due date windows in a user's time zone, shared by saved views, the
+ * overdue flag/filter and the daily digest. Date-only due dates (stored at
+ * midnight UTC) count on their calendar day; due dates with a time count
+ * on the local day they fall in.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date-only due dates are stored at midnight UTC.
+const IS_DATE_ONLY = { $eq: [{ $mod: [{ $toLong: "$dueDate" }, DAY_MS] }, 0] };
+const HAS_TIME = { $ne: [{ $mod: [{ $toLong: "$dueDate" }, DAY_MS] }, 0] };
+
+// PUBLIC_INTERFACE
+export function localToday(now, timeZone) {
+  /** The date of `now` in `timeZone`, as midnight UTC (how date-only due dates are stored). */
+  const local = new Date(now.getTime() + timeZoneOffset(now, timeZone) * 60000);
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+}
+
+// PUBLIC_INTERFACE
+export function dayStart(day, timeZone, hour = 0) {
+  /** The instant `day` (a midnight UTC date) starts in `timeZone`, or reaches `hour` o'clock. */
+  return zonedTime({ year: day.getUTCFullYear(), month: day.getUTCMonth(), day: day.getUTCDate(), hour }, timeZone);
+}
+
+// PUBLIC_INTERFACE
+export function addDays(day, days) {
+  /** `day` (a midnight UTC date) moved by `days` calendar days. */
+  return new Date(day.getTime() + days * DAY_MS);
+}
+
+// PUBLIC_INTERFACE
+export function dueOnDays(from, to, timeZone) {
+  /** Task condition: due on the calendar days [from, to) (midnight UTC dates) in `timeZone`. */
+  return {
+    $or: [
+      { dueDate: { $gte: from, $lt: to }, $expr: IS_DATE_ONLY },
+      { dueDate: { $gte: dayStart(from, timeZone), $lt: dayStart(to, timeZone) }, $expr: HAS_TIME },
+    ],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function overdueCondition({ now = new Date(), timeZone = "UTC" } = {}) {
+  /**
+   * Task condition for open tasks past their due date: due before now, or,
+   * for date-only due dates, due on an earlier day than today in `timeZone`.
+   */
+  return {
+    statusCategory: { $ne: "done" },
+    $or: [
+      { dueDate: { $lt: localToday(now, timeZone) }, $expr: IS_DATE_ONLY },
+      { dueDate: { $lt: now }, $expr: HAS_TIME },
+    ],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function isOverdue(task, { now = new Date(), timeZone = "UTC" } = {}) {
+  /** True if `task` matches overdueCondition: open and past its due date. */
+  if (!task.dueDate || task.statusCategory === "done") return false;
+  const due = new Date(task.dueDate);
+  return due.getTime() % DAY_MS === 0 ? due < localToday(now, timeZone) : due < now;
+}
@@ -0,0 +1,301 @@
+/**
+ * Reading raw RFC 822 / MIME messages (.eml files, inbound mail): headers
+ * with RFC 2047 encoded words, nested multipart bodies, base64 and
+ * quoted-printable transfer encodings, charsets and attachments.
+ * The message is handled as a "binary" string (one character per byte,
+ * latin1) until a part's charset is known.
+ */
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Text of the bytes in binary string `binary` in `charset` (utf-8 when the
+ * charset is missing or unknown).
+ */
+function decodeBytes(binary, charset = "utf-8") {
+  const bytes = Buffer.from(binary, "latin1");
+  try {
+    return new TextDecoder(charset.trim().toLowerCase() || "utf-8").decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function decodeWords(value) {
+  /**
+   * Decodes RFC 2047 encoded words (=?utf-8?B?...?= or =?charset?Q?...?=)
+   * in a header value; whitespace between adjacent encoded words is dropped.
+   */
+  return value
+    .replace(/(\?=)\s+(=\?)/g, "$1$2")
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, text) => {
+      const binary =
+        encoding.toUpperCase() === "B"
+          ? Buffer.from(text, "base64").toString("latin1")
+          : text.replace(/_/g, " ").replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+      // RFC 2231 allows a language after the charset: utf-8*en
+      return decodeBytes(binary, charset.split("*")[0]);
+    });
+}
+
+/**
+ * Splits a message or part into its header block and body.
+ */
+function splitMessage(binary) {
+  // A part without headers starts with the blank line.
+  const match = /^\r?\n|\r?\n\r?\n/.exec(binary);
+  if (!match) return { head: binary, body: "" };
+  return { head: binary.slice(0, match.index), body: binary.slice(match.index + match[0].length) };
+}
+
+/**
+ * Header fields of a header block: lowercased name -> list of values, with
+ * folded lines joined. Raw 8-bit values are read as UTF-8 (RFC 6532).
+ */
+function parseHeaders(head) {
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    const value = decodeBytes(line.slice(colon + 1).trim());
+    (headers[name] = headers[name] || []).push(value);
+  }
+  return headers;
+}
+
+/**
+ * Splits a header value on `separator`, except inside quotes, angle
+ * brackets or parentheses.
+ */
+function splitOutside(value, separator) {
+  const parts = [];
+  let current = "";
+  let quoted = false;
+  let depth = 0;
+  for (let i = 0; i < value.length; i += 1) {
+    const char = value[i];
+    if (quoted) {
+      if (char === "\\") {
+        current += char + (value[i + 1] || "");
+        i += 1;
+        continue;
+      }
+      if (char === '"') quoted = false;
+    } else if (char === '"') quoted = true;
+    else if (char === "<" || char === "(") depth += 1;
+    else if ((char === ">" || char === ")") && depth > 0) depth -= 1;
+    else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+const unquote = (value) =>
+  value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, "$1") : value;
+
+// PUBLIC_INTERFACE
+export function parseParams(header = "") {
+  /**
+   * A structured header value such as Content-Type or Content-Disposition:
+   * { value, params } with the value lowercased and parameter names too.
+   * RFC 2231 parameters (filename*=utf-8''..., name*0*=...) are decoded.
+   */
+  const [value = "", ...rest] = splitOutside(header, ";");
+  const segments = {};
+  for (const param of rest) {
+    const eq = param.indexOf("=");
+    if (eq <= 0) continue;
+    const key = param.slice(0, eq).trim().toLowerCase();
+    const raw = unquote(param.slice(eq + 1).trim());
+    const [, name, index = "0", extended] = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(key) || [];
+    if (!name) continue;
+    (segments[name] = segments[name] || []).push({ index: Number(index), raw, extended: Boolean(extended) });
+  }
+
+  const params = {};
+  for (const [name, parts] of Object.entries(segments)) {
+    parts.sort((a, b) => a.index - b.index);
+    let charset = null;
+    let binary = "";
+    for (const part of parts) {
+      let text = part.raw;
+      if (part.extended) {
+        if (part.index === 0) {
+          const [set, , encoded] = text.split("'");
+          if (encoded !== undefined) {
+            charset = set || "utf-8";
+            text = encoded;
+          }
+        }
+        text = text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+        binary += text;
+      } else binary += Buffer.from(decodeWords(text)).toString("latin1");
+    }
+    params[name] = decodeBytes(binary, charset || "utf-8");
+  }
+  return { value: value.toLowerCase(), params };
+}
+
+/**
+ * Bytes (a Buffer) of a part body in its Content-Transfer-Encoding.
+ */
+function decodeTransfer(body, encoding = "") {
+  switch (encoding.trim().toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ""), "base64");
+    case "quoted-printable":
+      return Buffer.from(
+        body
+          .replace(/[ \t]+(\r?\n)/g, "$1")
+          .replace(/=\r?\n/g, "")
+          .replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))),
+        "latin1"
+      );
+    default:
+      return Buffer.from(body, "latin1");
+  }
+}
+
+/**
+ * The parts between the boundary lines of a multipart body.
+ */
+function splitMultipart(body, boundary) {
+  const parts = [];
+  let current = null;
+  for (const line of body.split(/\r?\n/)) {
+    const trimmed = line.trimEnd();
+    if (trimmed === `--${boundary}--`) {
+      if (current) parts.push(current.join("\r\n"));
+      return parts;
+    }
+    if (trimmed === `--${boundary}`) {
+      if (current) parts.push(current.join("\r\n"));
+      current = [];
+    } else if (current) current.push(line);
+  }
+  // A missing closing boundary ends the last part at the end of the message.
+  if (current) parts.push(current.join("\r\n"));
+  return parts;
+}
+
+/**
+ * Adds the text, html and attachments of one MIME part (recursively for
+ * multiparts) to `out`. The first text/plain and text/html parts that are
+ * not attachments are the body; everything else is an attachment.
+ */
+function collectPart(binary, out, depth = 0) {
+  const { head, body } = splitMessage(binary);
+  const headers = parseHeaders(head);
+  const type = parseParams(headers["content-type"]?.[0] || "text/plain; charset=us-ascii");
+  const disposition = parseParams(headers["content-disposition"]?.[0] || "");
+
+  if (type.value.startsWith("multipart/") && type.params.boundary && depth < 20) {
+    for (const part of splitMultipart(body, type.params.boundary)) collectPart(part, out, depth + 1);
+    return;
+  }
+
+  const content = decodeTransfer(body, headers["content-transfer-encoding"]?.[0]);
+  const filename = disposition.params.filename || type.params.name;
+  const isText = type.value === "text/plain" || type.value === "text/html";
+  if (isText && disposition.value !== "attachment" && !filename) {
+    const key = type.value === "text/html" ? "html" : "text";
+    if (out[key] === null) {
+      out[key] = decodeBytes(content.toString("latin1"), type.params.charset);
+      return;
+    }
+  }
+  out.attachments.push({
+    filename: filename || (type.value === "message/rfc822" ? "message.eml" : "attachment"),
+    contentType: type.value || "application/octet-stream",
+    size: content.length,
+    content,
+  });
+}
+
+// PUBLIC_INTERFACE
+export function htmlToText(html) {
+  /** Readable plain text of an HTML body: tags dropped, blocks on their own lines, entities decoded. */
+  return html
+    .replace(/<(head|script|style|title)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/(p|div|li|tr|h[1-6]|blockquote|table|ul|ol)\s*>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] !== "#") return ENTITIES[name.toLowerCase()] ?? entity;
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    })
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// PUBLIC_INTERFACE
+export function parseAddress(value = "") {
+  /** { name, address } of one address: "Ann Lee" <ann@x.org>, ann@x.org (Ann Lee) or ann@x.org. */
+  const angle = /^(.*)<([^<>]+)>\s*$/.exec(value);
+  if (angle) return { name: decodeWords(unquote(angle[1].trim())), address: angle[2].trim().toLowerCase() };
+  const comment = /^([^\s()]+)\s*\((.*)\)\s*$/.exec(value);
+  if (comment) return { name: decodeWords(comment[2].trim()), address: comment[1].toLowerCase() };
+  return { name: "", address: value.trim().toLowerCase() };
+}
+
+// PUBLIC_INTERFACE
+export function parseAddressList(value = "") {
+  /** The addresses of a To/Cc style header value. */
+  return splitOutside(value, ",").map(parseAddress).filter((entry) => entry.address.includes("@"));
+}
+
+/**
+ * Minutes east of UTC in a Date header ("+0200", "-0700", "GMT"), or null.
+ */
+function dateOffset(value) {
+  const numeric = /([+-])(\d{2})(\d{2})\s*(\([^)]*\))?\s*$/.exec(value);
+  if (numeric) return (numeric[1] === "-" ? -1 : 1) * (Number(numeric[2]) * 60 + Number(numeric[3]));
+  return /\b(GMT|UTC?|Z)\s*$/i.test(value) ? 0 : null;
+}
+
+// PUBLIC_INTERFACE
+export function parseEmail(raw) {
+  /**
+   * Parses a raw message (Buffer or string). Returns { messageId, subject,
+   * from: { name, address }, to, cc (address lists), date (Date or null),
+   * dateOffset (the sender's UTC offset in minutes, or null), headers,
+   * text, html, attachments: [{ filename, contentType, size, content }] }.
+   * text falls back to the HTML body as plain text.
+   */
+  const binary = Buffer.isBuffer(raw) ? raw.toString("latin1") : Buffer.from(String(raw)).toString("latin1");
+  const { head } = splitMessage(binary);
+  const headers = parseHeaders(head);
+  const header = (name) => decodeWords(headers[name]?.[0] || "");
+  // Address names are decoded per address, after splitting on commas.
+  const rawHeader = (name) => headers[name]?.[0] || "";
+
+  const out = { text: null, html: null, attachments: [] };
+  collectPart(binary, out);
+
+  const dateValue = header("date");
+  const date = dateValue ? new Date(dateValue.replace(/\s*\([^)]*\)\s*$/, "")) : null;
+  return {
+    messageId: header("message-id").replace(/^<|>$/g, "") || null,
+    subject: header("subject").replace(/\s+/g, " ").trim(),
+    from: parseAddress(rawHeader("from")),
+    to: parseAddressList(rawHeader("to")),
+    cc: parseAddressList(rawHeader("cc")),
+    date: date && !Number.isNaN(date.getTime()) ? date : null,
+    dateOffset: dateValue ? dateOffset(dateValue) : null,
+    headers,
+    text: out.text ?? (out.html ? htmlToText(out.html) : ""),
+    html: out.html,
+    attachments: out.attachments,
+  };
+}
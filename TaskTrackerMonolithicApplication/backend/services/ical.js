@@ -0,0 +1,124 @@
+/**
+ * iCalendar (RFC 5545) output for the calendar feed.
+ * Every time is written in UTC ("Z" form), so no VTIMEZONE is needed and
+ * clients show it in their own zone. A due date at exactly midnight UTC is
+ * how date-only due dates are stored (the task form sends "2026-11-01"), so
+ * those become all-day DATE values that do not shift a day in other zones.
+ */
+
+// PUBLIC_INTERFACE
+export const FEED_KINDS = ["event", "todo"];
+
+const PRIORITY = { high: 1, medium: 5, low: 9 };
+const TODO_STATUS = { todo: "NEEDS-ACTION", in_progress: "IN-PROCESS", done: "COMPLETED" };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+export function escapeText(value) {
+  /** TEXT value escaping: backslash, semicolon, comma and newlines. */
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// PUBLIC_INTERFACE
+export function foldLine(line) {
+  /**
+   * Folds a content line into chunks of at most 75 octets (UTF-8), each
+   * continuation starting with a space. Characters are never split.
+   */
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space.
+    const limit = chunks.length ? 74 : 75;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+// PUBLIC_INTERFACE
+export function formatDateTime(date) {
+  /** UTC DATE-TIME value, e.g. 20261101T093000Z. */
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// PUBLIC_INTERFACE
+export function formatDate(date) {
+  /** DATE value of the UTC day, e.g. 20261101. */
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+// PUBLIC_INTERFACE
+export function isAllDay(date) {
+  /** True for a due date stored without a time of day (midnight UTC). */
+  return new Date(date).getTime() % DAY_MS === 0;
+}
+
+/**
+ * Content lines of one task: a VEVENT on the due date, or a VTODO due then.
+ */
+function taskComponent(task, kind, stamp) {
+  const due = new Date(task.dueDate);
+  const allDay = isAllDay(due);
+  const lines = [
+    kind === "todo" ? "BEGIN:VTODO" : "BEGIN:VEVENT",
+    `UID:${task._id}@task-tracker`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(task.title)}`,
+  ];
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  if (task.createdAt) lines.push(`CREATED:${formatDateTime(task.createdAt)}`);
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(task.updatedAt)}`);
+
+  if (kind === "todo") {
+    lines.push(allDay ? `DUE;VALUE=DATE:${formatDate(due)}` : `DUE:${formatDateTime(due)}`);
+    lines.push(`STATUS:${TODO_STATUS[task.statusCategory] || TODO_STATUS.todo}`);
+    if (PRIORITY[task.priority]) lines.push(`PRIORITY:${PRIORITY[task.priority]}`);
+    lines.push("END:VTODO");
+  } else {
+    if (allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(due)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(due.getTime() + DAY_MS)}`);
+    } else {
+      // No DTEND: the event is the moment the task is due.
+      lines.push(`DTSTART:${formatDateTime(due)}`);
+    }
+    lines.push("TRANSP:TRANSPARENT");
+    lines.push("END:VEVENT");
+  }
+  return lines;
+}
+
+// PUBLIC_INTERFACE
+export function buildCalendar({ name, tasks, kind = "event", now = new Date() }) {
+  /**
+   * The iCalendar text for `tasks` (those without a dueDate are skipped):
+   * VEVENTs, or VTODOs with kind "todo". Lines end in CRLF and are folded.
+   */
+  const stamp = formatDateTime(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Task Tracker//Due dates//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...tasks.filter((task) => task.dueDate).flatMap((task) => taskComponent(task, kind, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
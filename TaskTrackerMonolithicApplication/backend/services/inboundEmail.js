@@ -0,0 +1,133 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import Task from "../models/Task.js";
+import Attachment, { MAX_ATTACHMENT_BYTES } from "../models/Attachment.js";
+import { hashToken } from "./authTokens.js";
+import { recordTaskChange } from "./taskHistory.js";
+import { scheduleDueReminder } from "./reminders.js";
+import { workflowFor } from "./workflows.js";
+import { parseDuePhrase } from "../../shared/index.js";
+
+/**
+ * Email-to-task: each user can turn on a secret inbound address
+ * (tasks+<token>@INBOUND_EMAIL_DOMAIN); mail relayed to POST
+ * /api/inbound/email for that address, or an .eml file the user uploads,
+ * becomes a task. Like the calendar feed token, only the token's hash is
+ * stored, so the address is shown once and rotating it replaces it.
+ */
+
+// PUBLIC_INTERFACE
+export const MAX_ATTACHMENTS = 10;
+
+const TITLE_MAX = 100;
+const DESCRIPTION_MAX = 1000;
+const TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * The inbound address for a token: <local>+<token>@<domain>.
+ */
+function addressFor(token) {
+  const local = process.env.INBOUND_EMAIL_LOCAL_PART || "tasks";
+  const domain = process.env.INBOUND_EMAIL_DOMAIN || "localhost";
+  return `${local}+${token}@${domain}`;
+}
+
+// PUBLIC_INTERFACE
+export async function rotateInboundAddress(userId) {
+  /** Issues a new inbound address for the user (the old one stops working). Returns the address. */
+  const token = crypto.randomBytes(16).toString("hex");
+  await User.updateOne({ _id: userId }, { $set: { inboundTokenHash: hashToken(token) } });
+  return addressFor(token);
+}
+
+// PUBLIC_INTERFACE
+export async function disableInboundAddress(userId) {
+  /** Turns the user's inbound address off. */
+  await User.updateOne({ _id: userId }, { $unset: { inboundTokenHash: "" } });
+}
+
+// PUBLIC_INTERFACE
+export async function userForRecipients(addresses) {
+  /**
+   * The user whose inbound address is among `addresses` (envelope or header
+   * recipients), or null. Only the +token part is compared, so relays may
+   * rewrite the local part or domain.
+   */
+  for (const address of addresses) {
+    const token = /\+([a-f0-9]{32})@/i.exec(String(address || ""))?.[1]?.toLowerCase();
+    if (!token || !TOKEN_PATTERN.test(token)) continue;
+    const user = await User.findOne({ inboundTokenHash: hashToken(token) });
+    if (user) return user;
+  }
+  return null;
+}
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+// PUBLIC_INTERFACE
+export function taskFieldsFromEmail(email, now = new Date()) {
+  /**
+   * Task fields for a parsed email (see services/email.js): the subject
+   * without reply/forward prefixes as title, the plain text body without
+   * its signature as description, and a due date named in the subject or
+   * body ("by Friday"), read in the sender's time zone.
+   */
+  const subject = email.subject.replace(/^(\s*(re|fwd?|fw|aw|wg|tr)(\[\d+\])?\s*:\s*)+/i, "").trim();
+  const body = (email.text || "").replace(/\r\n?/g, "\n").split(/\n-- ?\n/)[0].trim();
+  const title = clip(subject || body.split("\n")[0] || "(no subject)", TITLE_MAX);
+  // Same day phrases as quick add, but only after a cue word ("by Friday").
+  const { dueDate } = parseDuePhrase(`${subject}\n${body}`, {
+    now: email.date && email.date < now ? email.date : now,
+    timeZone: email.dateOffset ?? 0,
+    cued: true,
+  });
+  return { title, description: clip(body, DESCRIPTION_MAX), dueDate: dueDate ? new Date(dueDate) : null };
+}
+
+// PUBLIC_INTERFACE
+export async function createTaskFromEmail(user, email) {
+  /**
+   * Creates a personal task for `user` from a parsed email, storing its
+   * attachments (up to MAX_ATTACHMENTS, each at most MAX_ATTACHMENT_BYTES;
+   * others are skipped). A message delivered again (same Message-ID) is not
+   * imported twice. Returns { task, attachments, skipped, duplicate }.
+   */
+  const externalId = email.messageId ? `email:${email.messageId}`.slice(0, 200) : undefined;
+  if (externalId) {
+    const existing = await Task.findOne({ externalId, creator: user._id, project: null });
+    if (existing) return { task: existing, attachments: [], skipped: [], duplicate: true };
+  }
+
+  const fields = taskFieldsFromEmail(email);
+  const workflow = await workflowFor(null);
+  const task = new Task({
+    ...fields,
+    dueDate: fields.dueDate || undefined,
+    status: workflow.initial,
+    creator: user._id,
+    assignedTo: user._id,
+    externalId,
+  });
+  await task.save();
+  await recordTaskChange(task, null, user._id, "create");
+  await scheduleDueReminder(task);
+
+  const attachments = [];
+  const skipped = [];
+  for (const file of email.attachments) {
+    if (!file.size || file.size > MAX_ATTACHMENT_BYTES || attachments.length >= MAX_ATTACHMENTS) {
+      skipped.push(file.filename);
+      continue;
+    }
+    const saved = await Attachment.create({
+      task: task._id,
+      uploader: user._id,
+      filename: clip(file.filename, 255),
+      contentType: file.contentType,
+      size: file.size,
+      data: file.content,
+    });
+    attachments.push({ _id: saved._id, filename: saved.filename, contentType: saved.contentType, size: saved.size });
+  }
+  return { task, attachments, skipped, duplicate: false };
+}
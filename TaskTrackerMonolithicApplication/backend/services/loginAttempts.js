@@ -0,0 +1,49 @@
+import User from "../models/User.js";
+
+/**
+ * Per-account brute-force protection for login.
+ * After LOGIN_LOCK_THRESHOLD consecutive failures the account is locked;
+ * each further failure doubles the lock, up to LOGIN_LOCK_MAX_MS.
+ */
+
+// PUBLIC_INTERFACE
+export const LOGIN_LOCK_THRESHOLD = 5;
+const LOGIN_LOCK_BASE_MS = 60 * 1000;
+const LOGIN_LOCK_MAX_MS = 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+export function lockDuration(failedAttempts) {
+  /** Lock length after `failedAttempts` consecutive failures (0 = not locked). */
+  if (failedAttempts < LOGIN_LOCK_THRESHOLD) return 0;
+  return Math.min(LOGIN_LOCK_BASE_MS * 2 ** (failedAttempts - LOGIN_LOCK_THRESHOLD), LOGIN_LOCK_MAX_MS);
+}
+
+// PUBLIC_INTERFACE
+export function lockRemainingMs(user, now = new Date()) {
+  /** Milliseconds until the account unlocks, 0 if it is not locked. */
+  if (!user.lockUntil) return 0;
+  return Math.max(user.lockUntil.getTime() - now.getTime(), 0);
+}
+
+// PUBLIC_INTERFACE
+export async function recordFailedLogin(user, now = new Date()) {
+  /**
+   * Counts a failed login (atomically) and locks the account when needed.
+   * Returns the remaining lock in milliseconds (0 if not locked).
+   */
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  const duration = lockDuration(updated.failedLoginAttempts);
+  if (!duration) return 0;
+  await User.updateOne({ _id: user._id }, { lockUntil: new Date(now.getTime() + duration) });
+  return duration;
+}
+
+// PUBLIC_INTERFACE
+export async function clearFailedLogins(userId) {
+  /** Resets the failure counter and lock (successful login or admin unlock). */
+  await User.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: "" } });
+}
@@ -0,0 +1,94 @@
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import { digestHtml, digestSubject, digestText } from "./digestTemplates.js";
+
+dotenv.config();
+
+/**
+ * Outgoing email: SMTP transport and the messages the app sends.
+ * SMTP settings come from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+ * SMTP_PASS and SMTP_FROM; links point at APP_URL (the React frontend).
+ */
+
+// PUBLIC_INTERFACE
+export function getMailer() {
+  /** Construct nodemailer transporter from env vars. */
+  if (!process.env.SMTP_HOST)
+    throw new Error("SMTP_HOST not configured in env");
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587"),
+    secure: process.env.SMTP_SECURE === "true", // true for 465, false for other ports
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function sendMail({ to, subject, text, html }) {
+  /** Send one email from SMTP_FROM (or SMTP_USER). */
+  const transporter = getMailer();
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+/**
+ * Absolute frontend URL with the given query parameters.
+ */
+function appLink(params = {}) {
+  const base = process.env.APP_URL || "http://localhost:3000";
+  const query = new URLSearchParams(params).toString();
+  return `${base.replace(/\/$/, "")}/${query ? "?" + query : ""}`;
+}
+
+// PUBLIC_INTERFACE
+export async function sendDueDateEmail(toEmail, task) {
+  /** Send the "task due soon" notification (used by the reminder worker). */
+  const due = new Date(task.dueDate).toLocaleString();
+  await sendMail({
+    to: toEmail,
+    subject: "Task Due Soon: " + task.title,
+    text: `Your task "${task.title}" is due on ${due}.\n\nDescription: ${task.description || ""}\n\nPlease complete it in Task Tracker.`,
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function sendPasswordResetEmail(user, token) {
+  /** Send the password reset link (single-use token). */
+  const link = appLink({ resetToken: token });
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Task Tracker password",
+    text: `Someone asked to reset the password of your Task Tracker account.\n\nOpen this link to choose a new password (valid for 1 hour):\n${link}\n\nIf it wasn't you, ignore this email.`,
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function sendVerificationEmail(user, token) {
+  /** Send the email address verification link (single-use token). */
+  const link = appLink({ verifyToken: token });
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Task Tracker email",
+    text: `Welcome to Task Tracker${user.name ? ", " + user.name : ""}!\n\nPlease confirm your email address by opening this link (valid for 24 hours):\n${link}`,
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function sendDigestEmail(user, digest) {
+  /** Send the daily digest (data from buildDigest in services/digest.js) as text and HTML. */
+  const data = { ...digest, link: appLink() };
+  await sendMail({
+    to: user.email,
+    subject: digestSubject(data),
+    text: digestText(data),
+    html: digestHtml(data),
+  });
+}
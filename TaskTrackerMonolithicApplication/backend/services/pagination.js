@@ -0,0 +1,93 @@
+/**
+ * Keyset (cursor) pagination helpers.
+ * A sort is a list of { field, dir } keys, always ending with _id so that
+ * every document has a unique position. A cursor is an opaque base64url
+ * string holding the sort values of the last document of a page; the next
+ * page starts strictly after that position, so inserts and deletes between
+ * requests never duplicate or skip documents.
+ *
+ * Follows MongoDB's ordering, where null/missing sorts before any value.
+ */
+
+// PUBLIC_INTERFACE
+export function sortSpec(keys, order = "asc") {
+  /**
+   * Sort keys with an _id tie-break (in the direction of the first key).
+   * keys are field names (sorted by `order`) or { field, dir } objects.
+   */
+  const dir = order === "asc" ? 1 : -1;
+  const spec = keys
+    .map((key) => (typeof key === "string" ? { field: key, dir } : key))
+    .filter(({ field }) => field !== "_id");
+  return [...spec, { field: "_id", dir: spec.length ? spec[0].dir : dir }];
+}
+
+// PUBLIC_INTERFACE
+export function mongoSort(spec) {
+  /** The { field: 1 | -1 } object for Query#sort. */
+  return Object.fromEntries(spec.map(({ field, dir }) => [field, dir]));
+}
+
+/**
+ * JSON-safe form of a sort value (dates and ids would lose their type).
+ */
+function encodeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (typeof value === "object") return { s: String(value) };
+  return value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === "object") {
+    if (typeof value.d === "string") return new Date(value.d);
+    if (typeof value.s === "string") return value.s;
+    throw new Error("bad value");
+  }
+  return value;
+}
+
+// PUBLIC_INTERFACE
+export function encodeCursor(doc, spec) {
+  /** Cursor pointing just after `doc` in the order given by `spec`. */
+  const values = spec.map(({ field }) => encodeValue(doc[field]));
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+// PUBLIC_INTERFACE
+export function decodeCursor(cursor, spec) {
+  /** Sort values stored in `cursor`, or null if it is malformed or from another sort. */
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Array.isArray(values) || values.length !== spec.length) return null;
+    return values.map(decodeValue);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Condition for "field comes after value" in direction dir (null is lowest).
+ * Returns null when nothing can come after.
+ */
+function afterCondition(field, dir, value) {
+  if (dir === 1) return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  if (value === null) return null;
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+}
+
+// PUBLIC_INTERFACE
+export function keysetFilter(spec, values) {
+  /**
+   * Query condition matching the documents after the cursor position:
+   * an $or over "equal on the first i keys and after on key i".
+   */
+  const branches = [];
+  spec.forEach(({ field, dir }, i) => {
+    const after = afterCondition(field, dir, values[i]);
+    if (!after) return;
+    const equal = spec.slice(0, i).map((key, j) => ({ [key.field]: values[j] }));
+    branches.push(equal.length ? { $and: [...equal, after] } : after);
+  });
+  return branches.length ? { $or: branches } : { _id: null };
+}
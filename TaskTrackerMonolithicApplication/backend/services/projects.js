@@ -0,0 +1,36 @@
+import Project from "../models/Project.js";
+
+/**
+ * Project membership helpers shared by the task and project routes.
+ */
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// PUBLIC_INTERFACE
+export function roleAtLeast(role, minimum) {
+  /** True if `role` grants at least the permissions of `minimum`. */
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimum];
+}
+
+// PUBLIC_INTERFACE
+export async function projectIdsForUser(userId, minimumRole = "viewer") {
+  /**
+   * Returns the ids of all projects in which the user has at least `minimumRole`.
+   */
+  const projects = await Project.find({ "members.user": userId }, { members: 1 });
+  return projects
+    .filter((p) => roleAtLeast(p.roleOf(userId), minimumRole))
+    .map((p) => p._id);
+}
+
+// PUBLIC_INTERFACE
+export async function teammateIds(userId, projectId) {
+  /**
+   * Ids of the users `userId` may hand work to: the members of `projectId`
+   * when given, else the user and everyone sharing a project with them.
+   */
+  const projects = await Project.find(projectId ? { _id: projectId } : { "members.user": userId }, { members: 1 });
+  const ids = projects.flatMap((p) => p.members.map((m) => String(m.user)));
+  if (!projectId) ids.push(String(userId));
+  return [...new Set(ids)];
+}
@@ -0,0 +1,65 @@
+import Task, { RANK_STEP } from "../models/Task.js";
+import { authorize } from "../policies/taskPolicy.js";
+
+/**
+ * Manual task order for the board. Tasks sort by a fractional `rank`: a
+ * moved task gets a rank between its new neighbours, so a move writes one
+ * task. When two neighbours run out of room (or are out of order), the
+ * lower one and everything ranked after it in its column are shifted down
+ * to make room.
+ */
+
+// PUBLIC_INTERFACE
+export function rankBetween(above, below) {
+  /**
+   * Rank between the ranks `above` and `below`; either may be null at the
+   * start/end of a column. Returns null if there is no room between them.
+   */
+  if (above == null && below == null) return RANK_STEP;
+  if (above == null) return below - RANK_STEP;
+  if (below == null) return above + RANK_STEP;
+  const middle = above + (below - above) / 2;
+  return middle > above && middle < below ? middle : null;
+}
+
+const NEIGHBOUR_FIELDS = { rank: 1, project: 1, status: 1, creator: 1, assignedTo: 1 };
+
+/**
+ * The board column of `task` as seen by `user`: tasks with the same status
+ * in the same project, or in the user's personal list (no project).
+ */
+function columnOf(task, user) {
+  if (task.project) return { project: task.project, status: task.status };
+  return { project: null, status: task.status, $or: [{ creator: user.id }, { assignedTo: user.id }] };
+}
+
+// PUBLIC_INTERFACE
+export async function rankForMove(task, { after, before } = {}, user) {
+  /**
+   * Rank that places `task` directly below task `after` and above task
+   * `before` (ids; leave one out at the end of a column). `user` must be
+   * able to read both neighbours.
+   * Returns { rank } or { status, message } when refused.
+   */
+  if ([after, before].some((id) => id && task._id.equals(id)))
+    return { status: 400, message: "A task cannot be placed next to itself." };
+  const [above, below] = await Promise.all(
+    [after, before].map((id) => (id ? Task.findById(id, NEIGHBOUR_FIELDS) : null))
+  );
+  const readable = await Promise.all([above, below].map((t) => !t || authorize(user, "read", t)));
+  // Tasks the user may not read are reported like missing ones.
+  if ((after && !above) || (before && !below) || readable.includes(false))
+    return { status: 400, message: "The position refers to a task that does not exist." };
+  if (!above && !below) return { rank: task.rank };
+
+  let rank = rankBetween(above?.rank, below?.rank);
+  if (rank === null) {
+    const shift = above.rank - below.rank + RANK_STEP;
+    await Task.updateMany(
+      { ...columnOf(below, user), rank: { $gte: below.rank }, _id: { $nin: [above._id, task._id] } },
+      { $inc: { rank: shift } }
+    );
+    rank = rankBetween(above.rank, below.rank + shift);
+  }
+  return { rank };
+}
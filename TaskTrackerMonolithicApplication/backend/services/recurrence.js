@@ -0,0 +1,108 @@
+/**
+ * Recurrence rules (a subset of iCalendar RRULE) and occurrence dates.
+ * A rule is { freq, interval, byWeekday, monthDay, until, count }:
+ *  - freq: "daily", "weekly" or "monthly"; interval: every N days/weeks/months
+ *  - byWeekday: weekly only, days 0 (Sunday) to 6 (Saturday); weeks start on Monday
+ *  - monthDay: monthly only, day of month (clamped to the month's last day)
+ *  - until: no occurrence after this date; count: total number of occurrences
+ * Dates are computed in UTC and keep the time of day of the due date.
+ */
+
+// PUBLIC_INTERFACE
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days in the given UTC month (month may overflow, Date handles it).
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * `date` moved by `months`, on `monthDay` (clamped to the month's length).
+ */
+function addMonths(date, months, monthDay) {
+  const target = new Date(date.getTime());
+  target.setUTCDate(1);
+  target.setUTCMonth(target.getUTCMonth() + months);
+  const day = Math.min(monthDay, daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+  target.setUTCDate(day);
+  return target;
+}
+
+/**
+ * Next weekly date after `date` on one of `weekdays` (0-6), every `interval` weeks.
+ */
+function nextWeekday(date, weekdays, interval) {
+  const days = [...new Set(weekdays)].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+  // Position in a Monday-first week: Monday 0 ... Sunday 6.
+  const position = (day) => (day + 6) % 7;
+  const current = position(date.getUTCDay());
+  const later = days.find((d) => position(d) > current);
+  if (later !== undefined) return new Date(date.getTime() + (position(later) - current) * DAY_MS);
+  const weekStart = date.getTime() - current * DAY_MS;
+  return new Date(weekStart + (7 * interval + position(days[0])) * DAY_MS);
+}
+
+// PUBLIC_INTERFACE
+export function normalizeRule(rule, dueDate) {
+  /**
+   * Rule with defaults filled in from the first due date (weekday for weekly
+   * rules without days, day of month for monthly rules). Returns the rule.
+   */
+  const normalized = {
+    freq: rule.freq,
+    interval: Math.max(parseInt(rule.interval || 1), 1),
+  };
+  if (rule.freq === "weekly")
+    normalized.byWeekday = rule.byWeekday?.length ? [...new Set(rule.byWeekday.map(Number))].sort() : [dueDate.getUTCDay()];
+  if (rule.freq === "monthly") normalized.monthDay = parseInt(rule.monthDay || dueDate.getUTCDate());
+  if (rule.until) normalized.until = new Date(rule.until);
+  if (rule.count) normalized.count = parseInt(rule.count);
+  return normalized;
+}
+
+// PUBLIC_INTERFACE
+export function validateRule(rule) {
+  /** Error message for an invalid rule, or null. */
+  if (!rule || typeof rule !== "object") return "Recurrence must be an object.";
+  if (!RECURRENCE_FREQUENCIES.includes(rule.freq))
+    return `Recurrence freq must be one of ${RECURRENCE_FREQUENCIES.join(", ")}.`;
+  if (rule.interval !== undefined && !(Number.isInteger(Number(rule.interval)) && rule.interval >= 1 && rule.interval <= 365))
+    return "Recurrence interval must be a whole number from 1 to 365.";
+  if (rule.byWeekday !== undefined) {
+    if (rule.freq !== "weekly") return "byWeekday is only allowed for weekly recurrence.";
+    if (!Array.isArray(rule.byWeekday) || !rule.byWeekday.every((d) => Number.isInteger(d) && d >= 0 && d <= 6))
+      return "byWeekday must list days 0 (Sunday) to 6 (Saturday).";
+  }
+  if (rule.monthDay !== undefined && !(rule.freq === "monthly" && Number.isInteger(rule.monthDay) && rule.monthDay >= 1 && rule.monthDay <= 31))
+    return "monthDay must be 1-31 and is only allowed for monthly recurrence.";
+  if (rule.until && rule.count) return "Use either until or count, not both.";
+  if (rule.until && isNaN(new Date(rule.until))) return "Recurrence until must be a date.";
+  if (rule.count !== undefined && rule.count !== null && !(Number.isInteger(rule.count) && rule.count >= 1 && rule.count <= 1000))
+    return "Recurrence count must be a whole number from 1 to 1000.";
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function nextOccurrence(rule, dueDate, occurrence) {
+  /**
+   * Due date of the occurrence after the one due at `dueDate`, which is
+   * occurrence number `occurrence` (1-based) of the series.
+   * Returns null when the rule has ended (until/count).
+   */
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const interval = rule.interval || 1;
+  let next;
+  if (rule.freq === "daily") next = new Date(dueDate.getTime() + interval * DAY_MS);
+  else if (rule.freq === "weekly")
+    next = nextWeekday(dueDate, rule.byWeekday?.length ? rule.byWeekday : [dueDate.getUTCDay()], interval);
+  else if (rule.freq === "monthly") next = addMonths(dueDate, interval, rule.monthDay || dueDate.getUTCDate());
+  else return null;
+
+  if (rule.until && next > new Date(rule.until)) return null;
+  return next;
+}
@@ -0,0 +1,218 @@
+import Reminder from "../models/Reminder.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+
+/**
+ * Reminder scheduling and delivery.
+ * Reminders are persisted in the Reminder collection and delivered by a
+ * polling worker, so pending reminders survive restarts and redeploys.
+ * Every time-dependent function takes a clock ({ now: () => Date }) so
+ * tests can drive the scheduler deterministically.
+ */
+
+// PUBLIC_INTERFACE
+export const DUE_SOON_OFFSET_MS = 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+export const systemClock = {
+  now: () => new Date(),
+};
+
+const DEFAULT_WORKER_OPTIONS = {
+  pollIntervalMs: 30 * 1000,
+  batchSize: 20,
+  maxAttempts: 5,
+  backoffBaseMs: 60 * 1000,
+  backoffMaxMs: 60 * 60 * 1000,
+  lockTimeoutMs: 5 * 60 * 1000,
+};
+
+const OFFSET_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Exponential backoff delay before the next attempt after `attempts` failures.
+ */
+function backoffDelay(attempts, { backoffBaseMs, backoffMaxMs }) {
+  return Math.min(backoffBaseMs * 2 ** Math.max(attempts - 1, 0), backoffMaxMs);
+}
+
+// PUBLIC_INTERFACE
+export async function cancelTaskReminders(taskId, kind) {
+  /**
+   * Cancels all pending reminders of a task.
+   * Optionally restricted to one kind ("due_soon" or "manual").
+   * Returns the number of cancelled reminders.
+   */
+  const filter = { task: taskId, status: "pending" };
+  if (kind) filter.kind = kind;
+  const result = await Reminder.updateMany(filter, { $set: { status: "cancelled" } });
+  return result.modifiedCount;
+}
+
+// PUBLIC_INTERFACE
+export async function scheduleDueReminder(task, clock = systemClock) {
+  /**
+   * (Re)schedules the automatic reminder sent 24h before task.dueDate.
+   * Any previously pending due reminder for the task is cancelled first;
+   * nothing is scheduled for done tasks, tasks without a dueDate or
+   * when the send time has already passed.
+   * Returns the created Reminder or null.
+   */
+  await cancelTaskReminders(task._id, "due_soon");
+
+  if (!task.dueDate || task.statusCategory === "done") return null;
+
+  const sendAt = new Date(new Date(task.dueDate).getTime() - DUE_SOON_OFFSET_MS);
+  if (sendAt <= clock.now()) return null;
+
+  const recipient = await User.findById(task.assignedTo || task.creator);
+  if (!recipient?.email) return null;
+
+  return Reminder.create({
+    task: task._id,
+    email: recipient.email,
+    kind: "due_soon",
+    sendAt,
+  });
+}
+
+// PUBLIC_INTERFACE
+export function parseReminderOffset(offset) {
+  /**
+   * Parses a relative reminder offset such as "2h before due", "30m" or "1 day".
+   * Units: m(in), h(our), d(ay), w(eek); the "before due" suffix is optional.
+   * Returns the offset in milliseconds, or null if the string is not understood.
+   */
+  const match = /^\s*(\d+)\s*(m|min|mins|minutes?|h|hrs?|hours?|d|days?|w|weeks?)(\s+before(\s+due)?)?\s*$/i.exec(
+    String(offset)
+  );
+  if (!match) return null;
+  const amount = parseInt(match[1]);
+  if (amount <= 0) return null;
+  return amount * OFFSET_UNITS_MS[match[2][0].toLowerCase()];
+}
+
+// PUBLIC_INTERFACE
+export async function scheduleManualReminder(task, email, sendAt) {
+  /**
+   * Queues a manual reminder email for a task at the given send time.
+   * Returns the created Reminder.
+   */
+  return Reminder.create({
+    task: task._id,
+    email,
+    kind: "manual",
+    sendAt,
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function syncTaskReminders(task, clock = systemClock) {
+  /**
+   * Brings a task's reminders in line with its current state after an update:
+   * done tasks lose all pending reminders, others get their due reminder
+   * rescheduled for the (possibly changed) dueDate and assignee.
+   */
+  if (task.statusCategory === "done") {
+    await cancelTaskReminders(task._id);
+    return null;
+  }
+  return scheduleDueReminder(task, clock);
+}
+
+/**
+ * Atomically claims the oldest due reminder, or one whose worker lock expired.
+ * Returns the claimed Reminder or null when nothing is due.
+ */
+async function claimNextReminder(now, lockTimeoutMs) {
+  return Reminder.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", sendAt: { $lte: now } },
+        { status: "processing", lockedAt: { $lte: new Date(now.getTime() - lockTimeoutMs) } },
+      ],
+    },
+    { $set: { status: "processing", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { sendAt: 1 }, new: true }
+  );
+}
+
+// PUBLIC_INTERFACE
+export function createReminderWorker({ send, clock = systemClock, ...options }) {
+  /**
+   * Creates a polling worker delivering due reminders through `send(email, task)`.
+   * Failed sends are retried with exponential backoff until maxAttempts,
+   * after which the reminder is marked failed.
+   * Returns { start, stop, tick }; tick() processes one batch and resolves
+   * to the number of reminders handled, which makes it usable from tests.
+   */
+  const config = { ...DEFAULT_WORKER_OPTIONS, ...options };
+  let timer = null;
+  let running = false;
+
+  async function deliver(reminder, now) {
+    const task = await Task.findById(reminder.task);
+    if (!task || task.statusCategory === "done") {
+      reminder.status = "cancelled";
+      reminder.lockedAt = undefined;
+      await reminder.save();
+      return;
+    }
+
+    try {
+      await send(reminder.email, task);
+      reminder.status = "sent";
+      reminder.sentAt = clock.now();
+      reminder.lastError = undefined;
+    } catch (err) {
+      reminder.lastError = err.message;
+      if (reminder.attempts >= config.maxAttempts) {
+        reminder.status = "failed";
+      } else {
+        reminder.status = "pending";
+        reminder.sendAt = new Date(now.getTime() + backoffDelay(reminder.attempts, config));
+      }
+    }
+    reminder.lockedAt = undefined;
+    await reminder.save();
+  }
+
+  async function tick() {
+    // Guard against overlapping polls when a batch outlasts the interval.
+    if (running) return 0;
+    running = true;
+    let handled = 0;
+    try {
+      const now = clock.now();
+      while (handled < config.batchSize) {
+        const reminder = await claimNextReminder(now, config.lockTimeoutMs);
+        if (!reminder) break;
+        await deliver(reminder, now);
+        handled++;
+      }
+    } finally {
+      running = false;
+    }
+    return handled;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      tick().catch((err) => console.error("Reminder worker error:", err));
+    }, config.pollIntervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, tick };
+}
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import SavedView from "../models/SavedView.js";
+import { addDays, dueOnDays, localToday, overdueCondition } from "./dueDates.js";
+
+/**
+ * Saved views: named task list filters, evaluated into task query
+ * conditions when listed. Relative filters are resolved against `now` in
+ * the viewer's time zone (see services/dueDates.js).
+ */
+
+// PUBLIC_INTERFACE
+export const BUILT_IN_VIEWS = [
+  {
+    _id: "today",
+    name: "Today",
+    builtIn: true,
+    filters: { due: "today", hideDone: true },
+    sortBy: "dueDate,priority",
+    order: "asc,desc",
+  },
+  {
+    _id: "upcoming",
+    name: "Upcoming",
+    builtIn: true,
+    filters: { due: "next", dueDays: 7, hideDone: true },
+    sortBy: "dueDate",
+    order: "asc",
+  },
+  {
+    _id: "overdue",
+    name: "Overdue",
+    builtIn: true,
+    filters: { due: "overdue" },
+    sortBy: "dueDate",
+    order: "asc",
+  },
+];
+
+// PUBLIC_INTERFACE
+export function viewConditions(view, { userId, now = new Date(), timeZone = "UTC" }) {
+  /**
+   * Task query conditions (to AND together) for the filters of `view`, as
+   * seen by user `userId` at `now` in `timeZone`.
+   */
+  const filters = view.filters || {};
+  const conditions = [];
+  if (filters.status) conditions.push({ status: filters.status });
+  if (filters.category) conditions.push({ statusCategory: filters.category });
+  if (filters.hideDone) conditions.push({ statusCategory: { $ne: "done" } });
+  if (filters.priority) conditions.push({ priority: filters.priority });
+  if (filters.project) conditions.push({ project: filters.project });
+  if (filters.tags?.length)
+    conditions.push({ tags: { [filters.tagsMode === "all" ? "$all" : "$in"]: filters.tags } });
+  if (filters.assignee === "me") conditions.push({ assignedTo: userId });
+  else if (filters.assignee === "unassigned") conditions.push({ assignedTo: null });
+
+  const today = localToday(now, timeZone);
+  if (filters.due === "overdue") conditions.push(overdueCondition({ now, timeZone }));
+  else if (filters.due === "today") conditions.push(dueOnDays(today, addDays(today, 1), timeZone));
+  else if (filters.due === "next") conditions.push(dueOnDays(today, addDays(today, filters.dueDays || 7), timeZone));
+  else if (filters.due === "none") conditions.push({ dueDate: null });
+  return conditions;
+}
+
+// PUBLIC_INTERFACE
+export async function findView(id, userId) {
+  /** The built-in view `id`, or the user's saved view with that id; null if neither. */
+  const builtIn = BUILT_IN_VIEWS.find((view) => view._id === id);
+  if (builtIn) return builtIn;
+  if (!mongoose.isValidObjectId(id)) return null;
+  return SavedView.findOne({ _id: id, owner: userId });
+}
@@ -0,0 +1,157 @@
+import { escapeRegExp, findUsersByHandle } from "./users.js";
+
+/**
+ * Task search query language (the q parameter of GET /api/tasks):
+ *  - words:          meeting notes   (MongoDB text search, stemmed, ranked)
+ *  - phrases:        "release notes" (exact phrase)
+ *  - prefixes:       deplo*          (word starting with "deplo")
+ *  - title:<text>    title contains text; title:"two words" for spaces
+ *  - assignee:<who>  me, an email, its local part or a display name without spaces
+ *  - due:<date>      due:2026-11-01 (that day), due:<2026-11-01, due:>=2026-11-01, due:none
+ * Terms are combined with AND, except plain words which follow text search
+ * semantics (any word matches, more matches rank higher).
+ */
+
+const TOKEN_PATTERN = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]+)"|(\S+)/g;
+const SCOPED_FIELDS = ["title", "assignee", "due"];
+const DUE_PATTERN = /^(<=|>=|<|>|=)?(\d{4}-\d{2}-\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNIPPET_LENGTH = 160;
+
+// PUBLIC_INTERFACE
+export function parseSearchQuery(q) {
+  /**
+   * Splits a search string into its parts:
+   * { words, phrases, prefixes, title, assignee, due: [{ op, date } | { none }], errors }
+   */
+  const parsed = { words: [], phrases: [], prefixes: [], title: [], assignee: [], due: [], errors: [] };
+  for (const match of String(q || "").matchAll(TOKEN_PATTERN)) {
+    const [, quotedField, quotedValue, field, value, phrase, word] = match;
+    const scoped = quotedField || field;
+    if (scoped && SCOPED_FIELDS.includes(scoped.toLowerCase())) {
+      addScoped(parsed, scoped.toLowerCase(), quotedField ? quotedValue : value);
+    } else if (phrase) {
+      parsed.phrases.push(phrase.trim());
+    } else {
+      const text = word || match[0];
+      if (/^\w[\w-]*\*$/.test(text)) parsed.prefixes.push(text.slice(0, -1));
+      else if (text.replace(/\W/g, "")) parsed.words.push(text);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Adds a field-scoped term (title:, assignee:, due:) to `parsed`.
+ */
+function addScoped(parsed, field, value) {
+  if (!value) return;
+  if (field !== "due") {
+    parsed[field].push(value);
+    return;
+  }
+  if (value.toLowerCase() === "none") {
+    parsed.due.push({ none: true });
+    return;
+  }
+  const match = DUE_PATTERN.exec(value);
+  const date = match && new Date(`${match[2]}T00:00:00.000Z`);
+  if (!date || isNaN(date)) {
+    parsed.errors.push(`Invalid due filter "${value}" (use e.g. due:<2026-11-01).`);
+    return;
+  }
+  parsed.due.push({ op: match[1] || "=", date });
+}
+
+/**
+ * MongoDB condition for one due: term (dates are whole UTC days).
+ */
+function dueCondition({ none, op, date }) {
+  if (none) return { dueDate: null };
+  const nextDay = new Date(date.getTime() + DAY_MS);
+  switch (op) {
+    case "<": return { dueDate: { $lt: date } };
+    case "<=": return { dueDate: { $lt: nextDay } };
+    case ">": return { dueDate: { $gte: nextDay } };
+    case ">=": return { dueDate: { $gte: date } };
+    default: return { dueDate: { $gte: date, $lt: nextDay } };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function searchConditions(parsed, user) {
+  /**
+   * Turns a parsed query into { text, conditions }: the $text search string
+   * (or null) and a list of MongoDB conditions to AND with the task filter.
+   */
+  const conditions = [];
+  for (const prefix of parsed.prefixes) {
+    const regex = new RegExp(`\\b${escapeRegExp(prefix)}`, "i");
+    conditions.push({ $or: [{ title: regex }, { description: regex }] });
+  }
+  for (const title of parsed.title) conditions.push({ title: new RegExp(escapeRegExp(title), "i") });
+  for (const due of parsed.due) conditions.push(dueCondition(due));
+
+  if (parsed.assignee.length) {
+    const handles = parsed.assignee.filter((a) => a.toLowerCase() !== "me");
+    const ids = handles.length ? (await findUsersByHandle(handles, { _id: 1 })).map((u) => u._id) : [];
+    if (handles.length < parsed.assignee.length) ids.push(user.id);
+    conditions.push({ assignedTo: { $in: ids } });
+  }
+
+  const textParts = [...parsed.words, ...parsed.phrases.map((p) => `"${p.replace(/"/g, "")}"`)];
+  return { text: textParts.length ? textParts.join(" ") : null, conditions };
+}
+
+/**
+ * RegExp matching any search term in free text (words also match longer forms).
+ */
+function termPattern(words, phrases) {
+  const parts = [
+    ...phrases.map((p) => p.split(/\s+/).map(escapeRegExp).join("\\s+")),
+    ...words.map((w) => `\\b${escapeRegExp(w)}\\w*`),
+  ].filter(Boolean);
+  return parts.length ? new RegExp(parts.join("|"), "gi") : null;
+}
+
+// PUBLIC_INTERFACE
+export function highlight(text, pattern, maxLength = Infinity) {
+  /**
+   * Splits `text` into [{ text, match }] segments around matches of
+   * `pattern`, cut to about maxLength characters around the first match
+   * ("…" marks cuts). Returns null when nothing matches.
+   */
+  if (!text || !pattern) return null;
+  const matches = [...String(text).matchAll(pattern)].filter((m) => m[0]);
+  if (!matches.length) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    start = Math.max(0, matches[0].index - Math.floor(maxLength / 4));
+    end = Math.min(text.length, start + maxLength);
+  }
+  const segments = [];
+  let pos = start;
+  for (const m of matches) {
+    if (m.index < pos || m.index >= end) continue;
+    if (m.index > pos) segments.push({ text: text.slice(pos, m.index), match: false });
+    const stop = Math.min(m.index + m[0].length, end);
+    segments.push({ text: text.slice(m.index, stop), match: true });
+    pos = stop;
+  }
+  if (pos < end) segments.push({ text: text.slice(pos, end), match: false });
+  if (start > 0) segments[0].text = "…" + segments[0].text;
+  if (end < text.length) segments[segments.length - 1].text += "…";
+  return segments;
+}
+
+// PUBLIC_INTERFACE
+export function highlightTask(task, parsed) {
+  /** Highlighted { title, description } segments of a task for a parsed query. */
+  const words = [...parsed.words, ...parsed.prefixes];
+  return {
+    title: highlight(task.title, termPattern(words, [...parsed.phrases, ...parsed.title])),
+    description: highlight(task.description, termPattern(words, parsed.phrases), SNIPPET_LENGTH),
+  };
+}
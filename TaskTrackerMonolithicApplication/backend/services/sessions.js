@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+
+/**
+ * Refresh token sessions.
+ * A refresh token is "<sessionId>.<secret>"; only a SHA-256 hash of the
+ * secret is stored. Each refresh rotates the secret, so a token that carries
+ * a valid session id but a stale secret has been used before: the whole
+ * session (token family) is revoked.
+ */
+
+/**
+ * SHA-256 hex digest of a token secret.
+ */
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * New random secret and the session expiry for it.
+ */
+function newSecret() {
+  const ttlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30");
+  return {
+    secret: crypto.randomBytes(32).toString("hex"),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function createSession(user, { userAgent, ip } = {}) {
+  /**
+   * Starts a session for a freshly authenticated user.
+   * Returns { session, refreshToken }.
+   */
+  const { secret, expiresAt } = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt,
+    userAgent,
+    ip,
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+}
+
+/**
+ * Splits a refresh token into its session id and secret, or null if malformed.
+ */
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+// PUBLIC_INTERFACE
+export async function rotateSession(refreshToken) {
+  /**
+   * Exchanges a refresh token for a new one.
+   * Returns { session, refreshToken } on success or { error } with a message;
+   * a reused (already rotated) token revokes the session.
+   */
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: "Invalid refresh token." };
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt) return { error: "Session revoked." };
+  if (session.expiresAt <= new Date()) return { error: "Session expired." };
+
+  const { secret, expiresAt } = newSecret();
+  // Compare-and-swap on the hash so two concurrent refreshes cannot both win.
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashSecret(parsed.secret), revokedAt: null },
+    { $set: { refreshTokenHash: hashSecret(secret), expiresAt, lastUsedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, "reuse");
+    return { error: "Refresh token reuse detected; session revoked." };
+  }
+  return { session: rotated, refreshToken: `${rotated._id}.${secret}` };
+}
+
+// PUBLIC_INTERFACE
+export async function revokeSession(sessionId, reason = "logout") {
+  /** Revokes one session; returns true if it was active. */
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// PUBLIC_INTERFACE
+export async function revokeRefreshToken(refreshToken) {
+  /** Revokes the session a refresh token belongs to (logout). */
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.refreshTokenHash !== hashSecret(parsed.secret)) return false;
+  return revokeSession(session._id, "logout");
+}
+
+// PUBLIC_INTERFACE
+export async function revokeAllSessions(userId) {
+  /** Revokes every active session of a user ("log out all devices"). */
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "logout_all" } }
+  );
+  return result.modifiedCount;
+}
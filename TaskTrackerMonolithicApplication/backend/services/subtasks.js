@@ -0,0 +1,99 @@
+import Task from "../models/Task.js";
+
+/**
+ * Subtask helpers: nesting checks, progress roll-up and subtree lookups.
+ * A subtask is a Task whose `parent` points at another task. A task's
+ * progress counts its checklist items and its direct subtasks, each
+ * done when checked / in a done status.
+ */
+
+// PUBLIC_INTERFACE
+export const MAX_SUBTASK_DEPTH = 5;
+
+// PUBLIC_INTERFACE
+export function computeProgress(checklist = [], subtasks = { total: 0, done: 0 }) {
+  /**
+   * Progress from checklist items and subtask counts ({ total, done }).
+   * Returns { done, total, percent }; percent is null with nothing to count.
+   */
+  const total = checklist.length + subtasks.total;
+  const done = checklist.filter((item) => item.done).length + subtasks.done;
+  return { done, total, percent: total ? Math.round((done / total) * 100) : null };
+}
+
+// PUBLIC_INTERFACE
+export async function subtaskCounts(taskIds) {
+  /** Map of parent id (string) to { total, done } of its direct subtasks. */
+  const rows = await Task.aggregate([
+    { $match: { parent: { $in: taskIds } } },
+    {
+      $group: {
+        _id: "$parent",
+        total: { $sum: 1 },
+        done: { $sum: { $cond: [{ $eq: ["$statusCategory", "done"] }, 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), { total: row.total, done: row.done }]));
+}
+
+// PUBLIC_INTERFACE
+export async function withProgress(tasks) {
+  /**
+   * Plain copies of `tasks` (documents or aggregation results), each with
+   * `progress` (see computeProgress).
+   */
+  const plain = tasks.map((task) => (typeof task.toObject === "function" ? task.toObject() : task));
+  const counts = await subtaskCounts(plain.map((task) => task._id));
+  return plain.map((task) => ({
+    ...task,
+    progress: computeProgress(task.checklist, counts.get(String(task._id))),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export async function openSubtaskCount(taskId) {
+  /** Number of direct subtasks of the task that are not done. */
+  return Task.countDocuments({ parent: taskId, statusCategory: { $ne: "done" } });
+}
+
+// PUBLIC_INTERFACE
+export async function descendantLevels(taskId) {
+  /** Ids of every subtask below the task, one array per nesting level. */
+  const levels = [];
+  let current = [taskId];
+  while (current.length && levels.length <= MAX_SUBTASK_DEPTH) {
+    const children = await Task.find({ parent: { $in: current } }, { _id: 1 });
+    if (!children.length) break;
+    current = children.map((child) => child._id);
+    levels.push(current);
+  }
+  return levels;
+}
+
+// PUBLIC_INTERFACE
+export async function checkParent(task, parent) {
+  /**
+   * Checks that `task` may become a subtask of `parent` (a loaded task):
+   * no cycles, and the nesting stays within MAX_SUBTASK_DEPTH.
+   * Returns an error message, or null if allowed.
+   */
+  if (task._id && parent._id.equals(task._id)) return "A task cannot be its own parent.";
+
+  // Walk up from the new parent; meeting the task itself means a cycle.
+  let depth = 1;
+  let ancestorId = parent.parent;
+  while (ancestorId) {
+    if (task._id && ancestorId.equals(task._id))
+      return "A task cannot be moved under one of its own subtasks.";
+    depth += 1;
+    if (depth > MAX_SUBTASK_DEPTH) break;
+    const ancestor = await Task.findById(ancestorId, { parent: 1 });
+    ancestorId = ancestor?.parent;
+  }
+
+  const below = task.isNew ? 0 : (await descendantLevels(task._id)).length;
+  if (depth + below > MAX_SUBTASK_DEPTH)
+    return `Subtasks can be nested at most ${MAX_SUBTASK_DEPTH} levels deep.`;
+  return null;
+}
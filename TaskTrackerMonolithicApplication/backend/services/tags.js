@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import Tag from "../models/Tag.js";
+import Task from "../models/Task.js";
+
+/**
+ * Tag helpers shared by the task and tag routes.
+ * Tasks store tag names; a Tag document gives a name its color within a
+ * scope: the creator's personal tasks ({ owner }) or a project's tasks
+ * ({ project }). Names used on a task are registered in its scope with a
+ * default color, so every tag in use can be listed, renamed or recolored.
+ */
+
+// PUBLIC_INTERFACE
+export const TAG_COLORS = ["#e57373", "#f06292", "#ba68c8", "#7986cb", "#4fc3f7", "#4db6ac", "#aed581", "#ffb74d"];
+
+// PUBLIC_INTERFACE
+export function defaultTagColor(name) {
+  /** A palette color picked from the name, so a tag keeps its color until changed. */
+  let hash = 0;
+  for (const char of name) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  return TAG_COLORS[hash % TAG_COLORS.length];
+}
+
+// PUBLIC_INTERFACE
+export function tagScope(task) {
+  /** The scope ({ owner, project }) whose tags `task` uses. */
+  return task.project ? { owner: null, project: task.project } : { owner: task.creator, project: null };
+}
+
+// PUBLIC_INTERFACE
+export function scopeTaskFilter(scope) {
+  /** Filter for the tasks that use the tags of `scope`. */
+  return scope.project ? { project: scope.project } : { project: null, creator: scope.owner };
+}
+
+// PUBLIC_INTERFACE
+export async function registerTags(task) {
+  /** Creates Tag documents (default colors) for the task's tag names its scope does not have yet. */
+  if (!task.tags?.length) return;
+  const scope = tagScope(task);
+  try {
+    await Tag.bulkWrite(
+      task.tags.map((name) => ({
+        updateOne: {
+          filter: { ...scope, name },
+          update: { $setOnInsert: { ...scope, name, color: defaultTagColor(name) } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (err) {
+    // A concurrent save registered the same name first.
+    if (err.code !== 11000) throw err;
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function retagTasks(scope, from, to = null) {
+  /**
+   * Replaces tag `from` with `to` on every task of `scope` (or removes it
+   * when `to` is null); tasks that already have `to` keep one copy.
+   * Returns the number of tasks changed.
+   */
+  const filter = { ...scopeTaskFilter(scope), tags: from };
+  if (to) await Task.updateMany(filter, { $addToSet: { tags: to } });
+  const result = await Task.updateMany(filter, { $pull: { tags: from } });
+  return result.modifiedCount;
+}
+
+// PUBLIC_INTERFACE
+export async function tagCounts(scope) {
+  /** Number of tasks of `scope` using each tag name: { name: count }. */
+  // aggregate() does not cast ids the way find() does.
+  const toId = (id) => (id ? new mongoose.Types.ObjectId(String(id)) : null);
+  const rows = await Task.aggregate([
+    { $match: scopeTaskFilter({ owner: toId(scope.owner), project: toId(scope.project) }) },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(rows.map((row) => [row._id, row.count]));
+}
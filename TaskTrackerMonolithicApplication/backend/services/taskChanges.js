@@ -0,0 +1,44 @@
+import { registerTags } from "./tags.js";
+import { scheduleDueReminder, syncTaskReminders } from "./reminders.js";
+import { spawnNextOccurrence } from "./taskSeries.js";
+import { diffSnapshots, recordTaskChange, snapshotTask } from "./taskHistory.js";
+
+// Fields the due reminder depends on (besides the status category).
+const REMINDER_FIELDS = ["dueDate", "assignedTo"];
+
+/**
+ * The save path for changes to an existing task, shared by the task routes
+ * and project changes that move tasks (workflow remaps, project deletion),
+ * so every change lands in the task history and keeps reminders and tags
+ * in step, and completing a recurring task always rolls its series on.
+ * Callers check permissions and completion guards first.
+ */
+
+// PUBLIC_INTERFACE
+export async function saveTaskChanges(task, updates, actorId, action = "update", extra = {}) {
+  /**
+   * Applies `updates` to `task`, saves it, records the history entry and
+   * re-syncs its tags, and its reminders when the due date, assignee or
+   * status category changed. Reaching a done category creates the next
+   * occurrence of a recurring task (see spawnNextOccurrence), which is
+   * returned; else returns null.
+   */
+  const before = snapshotTask(task);
+  const categoryBefore = task.statusCategory;
+  Object.assign(task, updates);
+  await task.save();
+  await recordTaskChange(task, before, actorId, action, extra);
+  const changed = diffSnapshots(before, snapshotTask(task)).map(({ field }) => field);
+  if (task.statusCategory !== categoryBefore || REMINDER_FIELDS.some((field) => changed.includes(field)))
+    await syncTaskReminders(task);
+  await registerTags(task);
+
+  if (task.statusCategory !== "done" || categoryBefore === "done") return null;
+  const next = await spawnNextOccurrence(task);
+  if (next) {
+    await recordTaskChange(next, null, actorId, "create");
+    await scheduleDueReminder(next);
+    await registerTags(next);
+  }
+  return next;
+}
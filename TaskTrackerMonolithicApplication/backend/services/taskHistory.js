@@ -0,0 +1,95 @@
+import TaskHistory from "../models/TaskHistory.js";
+
+/**
+ * Task change tracking.
+ * Routes take a snapshot of the tracked fields before they modify a task and
+ * call recordTaskChange() after saving; only fields that really changed are
+ * stored, each with its previous and new value.
+ */
+
+// PUBLIC_INTERFACE
+export const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "dueDate",
+  "status",
+  "priority",
+  "assignedTo",
+  "project",
+  "tags",
+];
+
+/**
+ * Plain, comparable form of a field value (ids as strings, missing as null).
+ */
+function plainValue(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (Array.isArray(value)) return value.map(String);
+  if (value instanceof Date) return value;
+  if (typeof value === "object" && value._bsontype === "ObjectId") return String(value);
+  if (typeof value === "object" && value._id) return String(value._id);
+  return value;
+}
+
+/**
+ * True if two plain values are equal (dates compared by time, lists by items).
+ */
+function sameValue(a, b) {
+  // Lists (tags) compare by content; a missing list is an empty one.
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a || []) === JSON.stringify(b || []);
+  if (a instanceof Date || b instanceof Date)
+    return a !== null && b !== null && new Date(a).getTime() === new Date(b).getTime();
+  return a === b;
+}
+
+// PUBLIC_INTERFACE
+export function snapshotTask(task) {
+  /** Tracked fields of a task as plain values. */
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) snapshot[field] = plainValue(task[field]);
+  return snapshot;
+}
+
+// PUBLIC_INTERFACE
+export function diffSnapshots(before, after) {
+  /** [{ field, from, to }] for every tracked field that differs. */
+  return TRACKED_FIELDS.filter((field) => !sameValue(before[field], after[field])).map(
+    (field) => ({ field, from: before[field], to: after[field] })
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function recordTaskChange(task, before, actorId, action = "update", extra = {}) {
+  /**
+   * Stores a history entry for `task` compared to the `before` snapshot
+   * (null for a newly created task). Nothing is stored if nothing changed.
+   * `extra` adds fields to the entry (e.g. revertedTo). Returns the entry or null.
+   */
+  const after = snapshotTask(task);
+  const empty = Object.fromEntries(TRACKED_FIELDS.map((field) => [field, null]));
+  const changes = diffSnapshots(before || empty, after);
+  if (!changes.length) return null;
+  return TaskHistory.create({ task: task._id, actor: actorId, action, changes, ...extra });
+}
+
+// PUBLIC_INTERFACE
+export function versionAt(current, entries, entryId) {
+  /**
+   * The tracked fields of a task as they were right after history entry
+   * `entryId`: starting from the `current` snapshot, the changes of every
+   * later entry are undone, newest first. `entries` must be oldest first.
+   * Returns null if the entry is not in the list.
+   */
+  const index = entries.findIndex((e) => String(e._id) === String(entryId));
+  if (index === -1) return null;
+  const version = { ...current };
+  for (const entry of entries.slice(index + 1).reverse()) {
+    for (const change of entry.changes) {
+      if (!TRACKED_FIELDS.includes(change.field)) continue;
+      const from = plainValue(change.from);
+      // A list recorded as missing is restored as an empty list.
+      version[change.field] = from === null && Array.isArray(current[change.field]) ? [] : from;
+    }
+  }
+  return version;
+}
@@ -0,0 +1,155 @@
+import { parseCsv, toCsv } from "./csv.js";
+
+/**
+ * Task import/export formats.
+ * Imports are CSV (header row first) or JSON (an array of objects); a
+ * mapping { field: column } says which source column feeds which task
+ * field. Exports write EXPORT_COLUMNS, so an export can be imported again.
+ */
+
+// PUBLIC_INTERFACE
+export const IMPORT_FIELDS = [
+  "externalId",
+  "title",
+  "description",
+  "dueDate",
+  "status",
+  "priority",
+  "assignee",
+  "tags",
+];
+
+// PUBLIC_INTERFACE
+export const EXPORT_COLUMNS = [
+  "id",
+  "externalId",
+  "title",
+  "description",
+  "status",
+  "statusCategory",
+  "priority",
+  "dueDate",
+  "assignee",
+  "tags",
+  "project",
+  "parent",
+  "createdAt",
+  "updatedAt",
+];
+
+// PUBLIC_INTERFACE
+export const MAX_IMPORT_ROWS = 1000;
+
+// Other column names recognised for each field (compared lowercase, letters and digits only).
+const ALIASES = {
+  externalId: ["externalid", "extid", "key", "ref", "reference"],
+  title: ["name", "summary", "task", "subject"],
+  description: ["details", "notes", "body", "desc"],
+  dueDate: ["due", "duedate", "deadline", "dueon"],
+  status: ["state"],
+  priority: ["prio"],
+  assignee: ["assignedto", "assigneeemail", "owner", "email"],
+  tags: ["tag", "labels", "label", "categories"],
+};
+
+const normalize = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// PUBLIC_INTERFACE
+export function readImportRows(format, data) {
+  /**
+   * Source rows of an import: { columns, records } with records keyed by
+   * column. Throws an Error with a readable message for unusable input.
+   */
+  let columns;
+  let records;
+  if (format === "csv") {
+    if (typeof data !== "string") throw new Error("CSV imports need the file text in data.");
+    const [header, ...rows] = parseCsv(data);
+    if (!header) throw new Error("The CSV file is empty.");
+    columns = header.map((column) => column.trim());
+    if (columns.some((column) => !column)) throw new Error("Every CSV column needs a header.");
+    if (new Set(columns).size !== columns.length) throw new Error("CSV column headers must be unique.");
+    records = rows.map((row) => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+  } else {
+    if (!Array.isArray(data) || !data.every((row) => row && typeof row === "object" && !Array.isArray(row)))
+      throw new Error("JSON imports need an array of objects in data.");
+    columns = [...new Set(data.flatMap((row) => Object.keys(row)))];
+    records = data;
+  }
+  if (records.length > MAX_IMPORT_ROWS)
+    throw new Error(`At most ${MAX_IMPORT_ROWS} rows can be imported at once.`);
+  return { columns, records };
+}
+
+// PUBLIC_INTERFACE
+export function suggestMapping(columns) {
+  /**
+   * Mapping guessed from column names: a column named like the field wins,
+   * then a known alias. Fields without a match are left out.
+   */
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const exact = columns.find((column) => normalize(column) === normalize(field));
+    const alias = columns.find((column) => ALIASES[field].includes(normalize(column)));
+    const column = exact || alias;
+    if (column && !Object.values(mapping).includes(column)) mapping[field] = column;
+  }
+  return mapping;
+}
+
+// PUBLIC_INTERFACE
+export function checkMapping(mapping, columns) {
+  /** Error message for a mapping that names unknown fields or columns, or null. */
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) return `Unknown task field "${field}".`;
+    if (!columns.includes(column)) return `Column "${column}" is not in the file.`;
+  }
+  if (!mapping.title) return "Map a column to the task title.";
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function mapRecord(record, mapping) {
+  /**
+   * Task fields of one source record. Strings are trimmed, and empty or
+   * missing values are left out (the field is not set). Tags in a string
+   * are separated by commas or semicolons.
+   */
+  const fields = {};
+  for (const [field, column] of Object.entries(mapping)) {
+    let value = record[column];
+    if (typeof value === "string") value = value.trim();
+    if (value === undefined || value === null || value === "") continue;
+    if (field === "tags" && typeof value === "string")
+      value = value.split(/[,;]/).map((tag) => tag.trim()).filter(Boolean);
+    fields[field] = value;
+  }
+  return fields;
+}
+
+// PUBLIC_INTERFACE
+export function exportRecord(task) {
+  /** A task (plain, with assignedTo populated as { email }) as an EXPORT_COLUMNS record. */
+  return {
+    id: String(task._id),
+    externalId: task.externalId,
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    statusCategory: task.statusCategory,
+    priority: task.priority,
+    dueDate: task.dueDate,
+    assignee: task.assignedTo?.email,
+    tags: task.tags,
+    project: task.project && String(task.project),
+    parent: task.parent && String(task.parent),
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function exportCsv(tasks) {
+  /** CSV text of the tasks (see exportRecord). */
+  return toCsv(EXPORT_COLUMNS, tasks.map(exportRecord));
+}
@@ -0,0 +1,119 @@
+import Task from "../models/Task.js";
+import TaskSeries from "../models/TaskSeries.js";
+import { nextOccurrence, normalizeRule } from "./recurrence.js";
+import { findStatus, workflowFor } from "./workflows.js";
+
+/**
+ * Recurring task series: setting one up, rolling it forward when an
+ * occurrence is completed, and "all future occurrences" edits.
+ */
+
+// PUBLIC_INTERFACE
+export const TEMPLATE_FIELDS = ["title", "description", "priority", "assignedTo", "project"];
+
+/**
+ * Template values taken from a task (or from a partial update).
+ */
+function templateFrom(source) {
+  const template = {};
+  for (const field of TEMPLATE_FIELDS) if (source[field] !== undefined) template[field] = source[field];
+  return template;
+}
+
+// PUBLIC_INTERFACE
+export async function startSeries(task, rule, creatorId) {
+  /**
+   * Makes `task` (which must have a dueDate) the first occurrence of a new
+   * series. Sets task.series, task.occurrence and task.recurrence; the caller saves.
+   */
+  const normalized = normalizeRule(rule, task.dueDate);
+  const series = await TaskSeries.create({
+    rule: normalized,
+    template: templateFrom(task),
+    creator: creatorId,
+  });
+  task.series = series._id;
+  task.occurrence = 1;
+  task.recurrence = normalized;
+  return series;
+}
+
+// PUBLIC_INTERFACE
+export async function spawnNextOccurrence(task, clock = { now: () => new Date() }) {
+  /**
+   * Creates the occurrence after `task` once it is completed, with its tags
+   * and checklist (unchecked). Only the latest occurrence advances the
+   * series, and only once (re-toggling completion does not create
+   * duplicates). Returns the new task or null.
+   */
+  if (!task.series) return null;
+  const series = await TaskSeries.findById(task.series);
+  if (!series || series.endedAt || series.lastOccurrence !== task.occurrence) return null;
+
+  const dueDate = nextOccurrence(series.rule, task.dueDate || clock.now(), task.occurrence);
+  if (!dueDate) {
+    await TaskSeries.updateOne({ _id: series._id, endedAt: null }, { endedAt: clock.now() });
+    return null;
+  }
+
+  const claimed = await TaskSeries.findOneAndUpdate(
+    { _id: series._id, lastOccurrence: task.occurrence, endedAt: null },
+    { $inc: { lastOccurrence: 1 } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const template = claimed.toObject().template;
+  const workflow = await workflowFor(template.project);
+  return Task.create({
+    ...template,
+    assignedTo: claimed.template.assignedTo || claimed.creator,
+    creator: claimed.creator,
+    dueDate,
+    status: workflow.initial,
+    statusCategory: findStatus(workflow, workflow.initial).category,
+    recurrence: claimed.rule,
+    series: claimed._id,
+    occurrence: task.occurrence + 1,
+    // Tags and checklist carry over from the completed occurrence, unchecked.
+    tags: task.tags,
+    checklist: (task.checklist || []).map((item) => ({ text: item.text, done: false })),
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function futureOccurrences(task) {
+  /** Open occurrences of the task's series from this one on (including it). */
+  if (!task.series) return [task];
+  return Task.find({
+    series: task.series,
+    occurrence: { $gte: task.occurrence },
+    statusCategory: { $ne: "done" },
+  }).sort({ occurrence: 1 });
+}
+
+// PUBLIC_INTERFACE
+export async function updateSeries(task, updates, rule) {
+  /**
+   * Applies an "all future occurrences" edit to the series of `task`:
+   * template fields from `updates`, and the rule when `rule` is given
+   * (null turns recurrence off). Returns the per-task field updates to
+   * apply to each future occurrence.
+   */
+  const series = await TaskSeries.findById(task.series);
+  const perTask = templateFrom(updates);
+  if (!series) return perTask;
+
+  for (const [field, value] of Object.entries(perTask)) series.set(`template.${field}`, value);
+  if (rule === null) {
+    series.endedAt = new Date();
+    perTask.recurrence = undefined;
+  } else if (rule) {
+    const dueDate = updates.dueDate ? new Date(updates.dueDate) : task.dueDate;
+    perTask.recurrence = normalizeRule(rule, dueDate);
+    series.rule = perTask.recurrence;
+    series.endedAt = undefined;
+  }
+  await series.save();
+  return perTask;
+}
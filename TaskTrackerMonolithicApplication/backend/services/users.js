@@ -0,0 +1,32 @@
+import User from "../models/User.js";
+
+/**
+ * Looking up users by the short handles people type: an email address,
+ * the local part of one, or a display name written without spaces
+ * ("jane@example.com", "jane", "JaneDoe"). Used by @mentions, by the
+ * assignee: search filter and by quick add.
+ */
+
+// PUBLIC_INTERFACE
+export function escapeRegExp(text) {
+  /** Escapes a string for use inside a RegExp. */
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// PUBLIC_INTERFACE
+export async function findUsersByHandle(handles, projection = { _id: 1, role: 1 }, filter = {}) {
+  /** Users matching any of `handles` (case-insensitive) among those matching `filter`. */
+  const emails = handles.filter((h) => h.includes("@")).map((h) => h.toLowerCase());
+  const words = handles.filter((h) => h && !h.includes("@"));
+  const or = [];
+  if (emails.length) or.push({ email: { $in: emails } });
+  if (words.length) {
+    or.push({ email: new RegExp(`^(${words.map(escapeRegExp).join("|")})@`, "i") });
+    // Display names match with their spaces removed ("janedoe" finds "Jane Doe").
+    or.push({
+      name: { $in: words.map((w) => new RegExp(`^\\s*${[...w].map(escapeRegExp).join("\\s*")}\\s*$`, "i")) },
+    });
+  }
+  if (!or.length) return [];
+  return User.find({ ...filter, $or: or }, projection);
+}
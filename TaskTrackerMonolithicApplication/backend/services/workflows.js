@@ -0,0 +1,131 @@
+import Project, { STATUS_CATEGORIES } from "../models/Project.js";
+
+/**
+ * Task workflows: the statuses a task can be in and the allowed moves.
+ * A workflow is { statuses, initial, transitions }:
+ *  - statuses: [{ key, name, category }], category is todo, in_progress or done
+ *  - initial: key of the status new tasks start in (not a done status)
+ *  - transitions: [{ from, to: [keys] }]; a status without an entry (or an
+ *    empty list of transitions) may move to any status
+ * Projects can define their own workflow; everything else uses DEFAULT_WORKFLOW.
+ * Tasks store the category of their status as statusCategory, so "is it done"
+ * never needs the workflow.
+ */
+
+// PUBLIC_INTERFACE
+export { STATUS_CATEGORIES };
+
+// PUBLIC_INTERFACE
+export const STATUS_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// PUBLIC_INTERFACE
+export const DEFAULT_WORKFLOW = Object.freeze({
+  statuses: [
+    { key: "todo", name: "To do", category: "todo" },
+    { key: "in_progress", name: "In progress", category: "in_progress" },
+    { key: "completed", name: "Completed", category: "done" },
+  ],
+  initial: "todo",
+  transitions: [],
+});
+
+const MAX_STATUSES = 20;
+
+// PUBLIC_INTERFACE
+export function validateWorkflow(workflow) {
+  /** Error message for an invalid workflow definition, or null. */
+  if (!workflow || typeof workflow !== "object") return "Workflow must be an object.";
+  const { statuses, initial, transitions = [] } = workflow;
+  if (!Array.isArray(statuses) || !statuses.length || statuses.length > MAX_STATUSES)
+    return `A workflow needs 1 to ${MAX_STATUSES} statuses.`;
+
+  const keys = new Set();
+  for (const status of statuses) {
+    if (!status || !STATUS_KEY_PATTERN.test(status.key))
+      return "Status keys must be lowercase letters, digits or _ (max 40), starting with a letter.";
+    if (keys.has(status.key)) return `Duplicate status "${status.key}".`;
+    keys.add(status.key);
+    if (typeof status.name !== "string" || !status.name.trim() || status.name.length > 60)
+      return `Status "${status.key}" needs a name (max 60 characters).`;
+    if (!STATUS_CATEGORIES.includes(status.category))
+      return `Status "${status.key}" category must be one of ${STATUS_CATEGORIES.join(", ")}.`;
+  }
+  if (!statuses.some((s) => s.category === "done"))
+    return "A workflow needs at least one status in the done category.";
+
+  const start = statuses.find((s) => s.key === initial);
+  if (!start) return "The initial status must be one of the workflow's statuses.";
+  if (start.category === "done") return "The initial status cannot be a done status.";
+
+  if (!Array.isArray(transitions)) return "Transitions must be a list.";
+  const froms = new Set();
+  for (const transition of transitions) {
+    if (!transition || !keys.has(transition.from))
+      return "Every transition must start at a status of the workflow.";
+    if (froms.has(transition.from)) return `Transitions from "${transition.from}" are listed twice.`;
+    froms.add(transition.from);
+    if (!Array.isArray(transition.to) || !transition.to.every((key) => keys.has(key)))
+      return `Transitions from "${transition.from}" must lead to statuses of the workflow.`;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function findStatus(workflow, key) {
+  /** The status definition for `key`, or undefined. */
+  return workflow.statuses.find((status) => status.key === key);
+}
+
+// PUBLIC_INTERFACE
+export function canTransition(workflow, from, to) {
+  /**
+   * True if a task may move from status `from` to status `to`. Staying put
+   * is always allowed, and so is leaving a status the workflow does not
+   * know (e.g. after moving the task to another project).
+   */
+  if (from === to) return true;
+  if (!findStatus(workflow, to)) return false;
+  const rule = (workflow.transitions || []).find((transition) => transition.from === from);
+  return !rule || rule.to.includes(to);
+}
+
+// PUBLIC_INTERFACE
+export function completionTarget(workflow, current) {
+  /**
+   * Status that toggling completion moves a task in `current` to: the first
+   * reachable done status, or from a done status back to the initial status
+   * (or the first reachable open one). Returns null if no move is allowed.
+   */
+  const currentCategory = findStatus(workflow, current)?.category;
+  const wantDone = currentCategory !== "done";
+  const candidates = workflow.statuses.filter((s) => (s.category === "done") === wantDone);
+  if (!wantDone) {
+    const initial = findStatus(workflow, workflow.initial);
+    candidates.sort((a, b) => (b === initial) - (a === initial));
+  }
+  return candidates.find((s) => canTransition(workflow, current, s.key))?.key || null;
+}
+
+// PUBLIC_INTERFACE
+export function equivalentStatus(workflow, key, category) {
+  /**
+   * `key` if the workflow has it, else its first status of `category`
+   * (else the initial status). Used when a task moves to another project.
+   */
+  if (findStatus(workflow, key)) return key;
+  return workflow.statuses.find((s) => s.category === category)?.key || workflow.initial;
+}
+
+// PUBLIC_INTERFACE
+export function defaultStatusCategory(status) {
+  /** Category of `status` in the default workflow ("todo" if unknown). */
+  return findStatus(DEFAULT_WORKFLOW, status)?.category || "todo";
+}
+
+// PUBLIC_INTERFACE
+export async function workflowFor(projectId) {
+  /** The workflow for tasks of `projectId` (DEFAULT_WORKFLOW without a project or custom workflow). */
+  if (!projectId) return DEFAULT_WORKFLOW;
+  const project = await Project.findById(projectId, { workflow: 1 });
+  return project?.workflow?.statuses?.length ? project.workflow.toObject() : DEFAULT_WORKFLOW;
+}
@@ -0,0 +1,89 @@
+import { parseMentions } from "../services/comments.js";
+import { diffSnapshots, snapshotTask, versionAt } from "../services/taskHistory.js";
+import { mergeActivity } from "../services/activity.js";
+
+// Pure helpers behind comments and the activity feed; no database needed.
+describe("parseMentions", () => {
+  it("finds names and emails once, lowercased", () => {
+    expect(parseMentions("@Bob look, @bob@tt.com and @bob again")).toEqual(["bob", "bob@tt.com"]);
+  });
+
+  it("ignores email addresses in plain text and trailing punctuation", () => {
+    expect(parseMentions("mail me at me@tt.com, thanks @ann.")).toEqual(["ann"]);
+  });
+
+  it("returns nothing for text without mentions", () => {
+    expect(parseMentions("")).toEqual([]);
+    expect(parseMentions("@ alone")).toEqual([]);
+  });
+});
+
+describe("Task change diff", () => {
+  const base = {
+    title: "T",
+    description: "",
+    dueDate: new Date("2026-11-01T00:00:00Z"),
+    status: "todo",
+    priority: "medium",
+    assignedTo: "000000000000000000000001",
+  };
+
+  it("reports only changed fields with old and new values", () => {
+    const before = snapshotTask(base);
+    const after = snapshotTask({ ...base, status: "completed", dueDate: new Date("2026-11-01T00:00:00Z") });
+    expect(diffSnapshots(before, after)).toEqual([{ field: "status", from: "todo", to: "completed" }]);
+  });
+
+  it("treats missing and empty values alike", () => {
+    const before = snapshotTask(base);
+    const after = snapshotTask({ ...base, description: undefined, project: null });
+    expect(diffSnapshots(before, after)).toEqual([]);
+  });
+
+  it("compares tag lists by their items", () => {
+    const before = snapshotTask({ ...base, tags: [] });
+    expect(diffSnapshots(before, snapshotTask({ ...base }))).toEqual([]);
+    expect(diffSnapshots(snapshotTask({ ...base, tags: ["a"] }), snapshotTask({ ...base, tags: ["a"] }))).toEqual([]);
+    expect(diffSnapshots(before, snapshotTask({ ...base, tags: ["ops", "q4"] }))).toEqual([
+      { field: "tags", from: [], to: ["ops", "q4"] },
+    ]);
+  });
+});
+
+describe("mergeActivity", () => {
+  it("orders comments and changes chronologically", () => {
+    const feed = mergeActivity(
+      [{ createdAt: new Date(2000), author: "a", body: "second" }],
+      [
+        { createdAt: new Date(1000), actor: "a", action: "create", changes: [] },
+        { createdAt: new Date(3000), actor: "b", action: "complete", changes: [] },
+      ]
+    );
+    expect(feed.map((i) => i.type)).toEqual(["change", "comment", "change"]);
+    expect(feed[1].comment.body).toBe("second");
+  });
+});
+
+describe("versionAt", () => {
+  const entries = [
+    { _id: "e1", changes: [{ field: "title", from: null, to: "A" }, { field: "status", from: null, to: "todo" }] },
+    { _id: "e2", changes: [{ field: "title", from: "A", to: "B" }] },
+    { _id: "e3", changes: [{ field: "status", from: "todo", to: "completed" }] },
+  ];
+  const current = { title: "B", status: "completed" };
+
+  it("undoes every later change, newest first", () => {
+    expect(versionAt(current, entries, "e1")).toEqual({ title: "A", status: "todo" });
+    expect(versionAt(current, entries, "e2")).toEqual({ title: "B", status: "todo" });
+  });
+
+  it("restores tags recorded as missing as an empty list", () => {
+    const tagged = [...entries, { _id: "e4", changes: [{ field: "tags", from: null, to: ["ops"] }] }];
+    expect(versionAt({ ...current, tags: ["ops"] }, tagged, "e3").tags).toEqual([]);
+  });
+
+  it("returns the current state for the latest entry and null for unknown ones", () => {
+    expect(versionAt(current, entries, "e3")).toEqual(current);
+    expect(versionAt(current, entries, "nope")).toBeNull();
+  });
+});
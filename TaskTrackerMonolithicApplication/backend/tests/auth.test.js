@@ -2,8 +2,18 @@ import request from "supertest";
 import mongoose from "mongoose";
 import app from "../server.js"; // The Express app instance
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import AuthToken from "../models/AuthToken.js";
+import { sendPasswordResetEmail, sendVerificationEmail } from "../services/mail.js";
 
-let server;
+// Capture emailed tokens instead of talking to SMTP
+jest.mock("../services/mail.js", () => ({
+  sendDueDateEmail: jest.fn(),
+  sendPasswordResetEmail: jest.fn(),
+  sendVerificationEmail: jest.fn(),
+}));
+
+let server, refreshToken;
 
 beforeAll(async () => {
   // Use a separate test database
@@ -12,10 +22,14 @@ beforeAll(async () => {
   server = app.listen(4001);
   await mongoose.connect(process.env.MONGODB_URI);
   await User.deleteMany({});
+  await Session.deleteMany({});
+  await AuthToken.deleteMany({});
 });
 
 afterAll(async () => {
   await User.deleteMany({});
+  await Session.deleteMany({});
+  await AuthToken.deleteMany({});
   await mongoose.connection.close();
   server && server.close();
 });
@@ -48,6 +62,33 @@ describe("Auth API", () => {
     expect(res.statusCode).toBe(200);
     expect(res.body.user).toBeDefined();
     expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+    refreshToken = res.body.refreshToken;
+  });
+
+  it("stores only a hash of the refresh token", async () => {
+    const session = await Session.findById(refreshToken.split(".")[0]);
+    expect(session).not.toBeNull();
+    expect(session.refreshTokenHash).not.toContain(refreshToken.split(".")[1]);
+  });
+
+  it("rotates the refresh token", async () => {
+    const res = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+
+    // Reusing the rotated token kills the whole family
+    const reuse = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    expect(reuse.statusCode).toBe(401);
+    const after = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: res.body.refreshToken });
+    expect(after.statusCode).toBe(401);
   });
 
   it("prevents login with bad password", async () => {
@@ -66,12 +107,174 @@ describe("Auth API", () => {
     expect(res.statusCode).toBe(400);
   });
 
-  it("allow logout for stateless token", async () => {
+  it("revokes the session on logout", async () => {
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@tt.com", password: "strongpass" });
     const res = await request(app)
       .post("/api/auth/logout")
-      .send();
+      .send({ refreshToken: login.body.refreshToken });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toMatch(/logged out/i);
+
+    const refresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.statusCode).toBe(401);
+  });
+
+  it("logs out all devices", async () => {
+    const a = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@tt.com", password: "strongpass" });
+    const b = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@tt.com", password: "strongpass" });
+
+    const res = await request(app)
+      .post("/api/auth/logout-all")
+      .set("Authorization", `Bearer ${a.body.token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.revoked).toBeGreaterThanOrEqual(2);
+
+    const refresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: b.body.refreshToken });
+    expect(refresh.statusCode).toBe(401);
+  });
+
+  it("requires authentication to log out all devices", async () => {
+    const res = await request(app).post("/api/auth/logout-all");
+    expect(res.statusCode).toBe(401);
+  });
+
+  it("verifies the email with the emailed token, once", async () => {
+    const [user, token] = sendVerificationEmail.mock.calls[0];
+    expect(user.email).toBe("test@tt.com");
 
+    const res = await request(app)
+      .post("/api/auth/verify-email")
+      .send({ token });
     expect(res.statusCode).toBe(200);
-    expect(res.body.message).toMatch(/logout/i);
+    expect(res.body.user.emailVerified).toBe(true);
+
+    const again = await request(app)
+      .post("/api/auth/verify-email")
+      .send({ token });
+    expect(again.statusCode).toBe(400);
+  });
+
+  it("answers forgot-password the same for unknown emails", async () => {
+    const res = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@tt.com" });
+    expect(res.statusCode).toBe(200);
+    expect(sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+
+  it("answers forgot-password the same when the reset email cannot be sent", async () => {
+    const unknown = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@tt.com" });
+    sendPasswordResetEmail.mockRejectedValueOnce(new Error("SMTP not configured"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const res = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "test@tt.com" });
+    console.error.mockRestore();
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(unknown.body);
+    expect(sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+    sendPasswordResetEmail.mockClear();
+  });
+
+  it("resets the password with a single-use token", async () => {
+    await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "test@tt.com" });
+    const [, token] = sendPasswordResetEmail.mock.calls[0];
+
+    const res = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "brandnewpass" });
+    expect(res.statusCode).toBe(200);
+
+    const reuse = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "another1" });
+    expect(reuse.statusCode).toBe(400);
+
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@tt.com", password: "brandnewpass" });
+    expect(login.statusCode).toBe(200);
+  });
+
+  it("rejects unknown reset tokens", async () => {
+    const res = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token: "deadbeef", password: "whatever1" });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it("locks the account after repeated failed logins", async () => {
+    await request(app)
+      .post("/api/auth/register")
+      .send({ email: "locked@tt.com", password: "rightpass" });
+
+    for (let i = 0; i < 4; i++) {
+      const res = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "locked@tt.com", password: "wrongpass" });
+      expect(res.statusCode).toBe(401);
+    }
+    const fifth = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "locked@tt.com", password: "wrongpass" });
+    expect(fifth.statusCode).toBe(429);
+    expect(Number(fifth.headers["retry-after"])).toBeGreaterThan(0);
+
+    // Even the right password is refused while locked
+    const right = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "locked@tt.com", password: "rightpass" });
+    expect(right.statusCode).toBe(429);
+    expect(right.body.retryAfter).toBeGreaterThan(0);
+  });
+
+  it("lets an admin unlock an account", async () => {
+    const locked = await User.findOne({ email: "locked@tt.com" });
+
+    await request(app)
+      .post("/api/auth/register")
+      .send({ email: "admin@tt.com", password: "adminpass" });
+    await User.updateOne({ email: "admin@tt.com" }, { role: "admin" });
+    const admin = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "admin@tt.com", password: "adminpass" });
+    const user = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@tt.com", password: "brandnewpass" });
+
+    const forbidden = await request(app)
+      .post(`/api/auth/users/${locked._id}/unlock`)
+      .set("Authorization", `Bearer ${user.body.token}`);
+    expect(forbidden.statusCode).toBe(403);
+
+    const malformed = await request(app)
+      .post("/api/auth/users/not-an-id/unlock")
+      .set("Authorization", `Bearer ${admin.body.token}`);
+    expect(malformed.statusCode).toBe(400);
+
+    const res = await request(app)
+      .post(`/api/auth/users/${locked._id}/unlock`)
+      .set("Authorization", `Bearer ${admin.body.token}`);
+    expect(res.statusCode).toBe(200);
+
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "locked@tt.com", password: "rightpass" });
+    expect(login.statusCode).toBe(200);
   });
 });
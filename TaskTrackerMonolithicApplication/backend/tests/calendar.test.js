@@ -0,0 +1,71 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import app from "../server.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+
+let server, token;
+
+beforeAll(async () => {
+  process.env.MONGODB_URI = "mongodb://localhost:27017/tasktracker_test_calendar";
+  process.env.JWT_SECRET = "testsecret";
+  server = app.listen(4005);
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Promise.all([User.deleteMany({}), Task.deleteMany({})]);
+
+  const reg = await request(app)
+    .post("/api/auth/register")
+    .send({ email: "cal@tt.com", password: "pass1234", name: "Cal" });
+  token = reg.body.token;
+});
+
+afterAll(async () => {
+  await Promise.all([User.deleteMany({}), Task.deleteMany({})]);
+  await mongoose.connection.close();
+  server && server.close();
+});
+
+describe("Calendar feed", () => {
+  const auth = (req) => req.set("Authorization", `Bearer ${token}`);
+
+  it("serves the user's due dates behind a rotatable token", async () => {
+    expect((await auth(request(app).get("/api/calendar/token"))).body.enabled).toBe(false);
+    await auth(request(app).post("/api/tasks")).send({ title: "Launch", dueDate: "2099-11-01" });
+    await auth(request(app).post("/api/tasks")).send({ title: "Sync", dueDate: "2099-11-02T14:45:00Z" });
+    await auth(request(app).post("/api/tasks")).send({ title: "Undated" });
+
+    const created = await auth(request(app).post("/api/calendar/token"));
+    expect(created.statusCode).toBe(200);
+    expect(created.body.path).toBe(`/api/calendar/${created.body.token}.ics`);
+    expect((await auth(request(app).get("/api/calendar/token"))).body.enabled).toBe(true);
+
+    const feed = await request(app).get(created.body.path);
+    expect(feed.statusCode).toBe(200);
+    expect(feed.headers["content-type"]).toMatch(/^text\/calendar/);
+    expect(feed.text).toContain("SUMMARY:Launch\r\n");
+    expect(feed.text).toContain("DTSTART;VALUE=DATE:20991101");
+    expect(feed.text).toContain("DTSTART:20991102T144500Z");
+    expect(feed.text).not.toContain("Undated");
+
+    const todos = await request(app).get(`${created.body.path}?kind=todo`);
+    expect(todos.text).toContain("BEGIN:VTODO");
+    expect((await request(app).get(`${created.body.path}?kind=agenda`)).statusCode).toBe(400);
+
+    const rotated = await auth(request(app).post("/api/calendar/token"));
+    expect((await request(app).get(created.body.path)).statusCode).toBe(404);
+    expect((await request(app).get(rotated.body.path)).statusCode).toBe(200);
+
+    await auth(request(app).delete("/api/calendar/token"));
+    expect((await request(app).get(rotated.body.path)).statusCode).toBe(404);
+  });
+
+  it("rejects malformed tokens and requires a login to manage the feed", async () => {
+    expect((await request(app).get("/api/calendar/nope.ics")).statusCode).toBe(404);
+    expect((await request(app).post("/api/calendar/token")).statusCode).toBe(401);
+  });
+
+  it("filters the task list by due date range", async () => {
+    const res = await auth(request(app).get("/api/tasks?dueFrom=2099-11-01&dueTo=2099-11-02"));
+    expect(res.body.tasks.map((t) => t.title)).toEqual(["Launch"]);
+  });
+});
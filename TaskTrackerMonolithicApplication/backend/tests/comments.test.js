@@ -0,0 +1,142 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import app from "../server.js";
+import Comment from "../models/Comment.js";
+import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
+import User from "../models/User.js";
+
+let server, aliceToken, bobToken, carolToken, bobId, taskId, commentId;
+
+async function register(email, name) {
+  const res = await request(app)
+    .post("/api/auth/register")
+    .send({ email, password: "pass1234", name });
+  return res.body;
+}
+
+async function cleanup() {
+  await Promise.all([
+    User.deleteMany({}),
+    Task.deleteMany({}),
+    Comment.deleteMany({}),
+    TaskHistory.deleteMany({}),
+  ]);
+}
+
+beforeAll(async () => {
+  process.env.MONGODB_URI = "mongodb://localhost:27017/tasktracker_test_comments";
+  process.env.JWT_SECRET = "testsecret";
+  server = app.listen(4004);
+  await mongoose.connect(process.env.MONGODB_URI);
+  await cleanup();
+
+  aliceToken = (await register("alice@tt.com", "Alice Smith")).token;
+  const bob = await register("bob@tt.com", "Bob");
+  bobToken = bob.token;
+  bobId = bob.user.id;
+  carolToken = (await register("carol@tt.com", "Carol")).token;
+
+  const task = await request(app)
+    .post("/api/tasks")
+    .set("Authorization", `Bearer ${aliceToken}`)
+    .send({ title: "Discuss me", assignedTo: bobId });
+  taskId = task.body.task._id;
+});
+
+afterAll(async () => {
+  await cleanup();
+  await mongoose.connection.close();
+  server && server.close();
+});
+
+describe("Task comments", () => {
+  it("adds a comment and resolves mentions of users with access", async () => {
+    const res = await request(app)
+      .post(`/api/tasks/${taskId}/comments`)
+      .set("Authorization", `Bearer ${aliceToken}`)
+      .send({ body: "@bob can you look? cc @carol@tt.com" });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.comment.author.email).toBe("alice@tt.com");
+    // Carol cannot see the task, so she is not mentioned
+    expect(res.body.comment.mentions.map((u) => u.email)).toEqual(["bob@tt.com"]);
+    commentId = res.body.comment._id;
+  });
+
+  it("matches display names without spaces", async () => {
+    const res = await request(app)
+      .post(`/api/tasks/${taskId}/comments`)
+      .set("Authorization", `Bearer ${bobToken}`)
+      .send({ body: "On it, @AliceSmith" });
+    expect(res.body.comment.mentions.map((u) => u.email)).toEqual(["alice@tt.com"]);
+  });
+
+  it("lists the thread for users with access only", async () => {
+    const res = await request(app)
+      .get(`/api/tasks/${taskId}/comments`)
+      .set("Authorization", `Bearer ${bobToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.comments).toHaveLength(2);
+
+    const outsider = await request(app)
+      .get(`/api/tasks/${taskId}/comments`)
+      .set("Authorization", `Bearer ${carolToken}`);
+    expect(outsider.statusCode).toBe(403);
+  });
+
+  it("rejects empty comments", async () => {
+    const res = await request(app)
+      .post(`/api/tasks/${taskId}/comments`)
+      .set("Authorization", `Bearer ${aliceToken}`)
+      .send({ body: "   " });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it("lets only the author edit or delete", async () => {
+    const notMine = await request(app)
+      .patch(`/api/tasks/${taskId}/comments/${commentId}`)
+      .set("Authorization", `Bearer ${bobToken}`)
+      .send({ body: "hijacked" });
+    expect(notMine.statusCode).toBe(403);
+
+    const edit = await request(app)
+      .patch(`/api/tasks/${taskId}/comments/${commentId}`)
+      .set("Authorization", `Bearer ${aliceToken}`)
+      .send({ body: "Never mind" });
+    expect(edit.statusCode).toBe(200);
+    expect(edit.body.comment.editedAt).toBeDefined();
+    expect(edit.body.comment.mentions).toEqual([]);
+
+    const del = await request(app)
+      .delete(`/api/tasks/${taskId}/comments/${commentId}`)
+      .set("Authorization", `Bearer ${bobToken}`);
+    expect(del.statusCode).toBe(403);
+  });
+});
+
+describe("Task activity feed", () => {
+  it("merges comments with field changes in order", async () => {
+    await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set("Authorization", `Bearer ${aliceToken}`)
+      .send({ title: "Discuss me", priority: "high" });
+    await request(app)
+      .post(`/api/tasks/${taskId}/complete`)
+      .set("Authorization", `Bearer ${bobToken}`);
+
+    const res = await request(app)
+      .get(`/api/tasks/${taskId}/activity`)
+      .set("Authorization", `Bearer ${bobToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.activity.map((a) => a.type)).toEqual([
+      "change", // create
+      "comment",
+      "comment",
+      "change", // priority
+      "change", // complete
+    ]);
+    expect(res.body.activity[3].changes).toEqual([{ field: "priority", from: "medium", to: "high" }]);
+    expect(res.body.activity[4].actor.email).toBe("bob@tt.com");
+    expect(res.body.activity[4].changes[0]).toMatchObject({ field: "status", to: "completed" });
+  });
+});
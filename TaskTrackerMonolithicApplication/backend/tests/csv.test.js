@@ -0,0 +1,89 @@
+import { parseCsv, toCsv } from "../services/csv.js";
+import {
+  checkMapping,
+  exportCsv,
+  mapRecord,
+  readImportRows,
+  suggestMapping,
+} from "../services/taskImport.js";
+
+// Pure tests of CSV handling and import mapping (no database needed).
+describe("CSV", () => {
+  it("parses quoted fields, doubled quotes, line breaks and CRLF", () => {
+    const text = '\uFEFFtitle,notes\r\n"Buy milk, eggs","He said ""hi""\nthen left"\r\n\r\nPlain,\n';
+    expect(parseCsv(text)).toEqual([
+      ["title", "notes"],
+      ["Buy milk, eggs", 'He said "hi"\nthen left'],
+      ["Plain", ""],
+    ]);
+    expect(parseCsv("a,b\n1,2")).toEqual([["a", "b"], ["1", "2"]]);
+    expect(() => parseCsv('a\n"open')).toThrow("Unterminated quoted field.");
+  });
+
+  it("writes CSV that parses back, with formulas neutralised", () => {
+    const records = [{ a: "x,y", b: 'say "no"' }, { a: "=SUM(A1)", b: new Date("2026-11-01T00:00:00Z") }, { a: null }];
+    const text = toCsv(["a", "b"], records);
+    expect(text.endsWith("\r\n")).toBe(true);
+    expect(parseCsv(text)).toEqual([
+      ["a", "b"],
+      ["x,y", 'say "no"'],
+      ["'=SUM(A1)", "2026-11-01T00:00:00.000Z"],
+      ["", ""],
+    ]);
+  });
+});
+
+describe("task import mapping", () => {
+  it("reads CSV and JSON rows", () => {
+    expect(readImportRows("csv", "Name,Due\nShip,2026-11-01\nTest\n")).toEqual({
+      columns: ["Name", "Due"],
+      records: [{ Name: "Ship", Due: "2026-11-01" }, { Name: "Test", Due: undefined }],
+    });
+    expect(readImportRows("json", [{ title: "A" }, { title: "B", ref: 7 }]).columns).toEqual(["title", "ref"]);
+    expect(() => readImportRows("csv", "a,a\n1,2")).toThrow("unique");
+    expect(() => readImportRows("json", { title: "A" })).toThrow("array of objects");
+    expect(() => readImportRows("json", Array.from({ length: 1001 }, () => ({})))).toThrow("At most 1000");
+  });
+
+  it("suggests a mapping from column names and aliases", () => {
+    expect(suggestMapping(["Summary", "Title", "Due date", "Assigned to", "Key", "Colour"])).toEqual({
+      title: "Title",
+      dueDate: "Due date",
+      assignee: "Assigned to",
+      externalId: "Key",
+    });
+  });
+
+  it("checks mappings and maps records", () => {
+    expect(checkMapping({ title: "Name" }, ["Name"])).toBeNull();
+    expect(checkMapping({ title: "Nope" }, ["Name"])).toMatch(/not in the file/);
+    expect(checkMapping({ colour: "Name" }, ["Name"])).toMatch(/Unknown task field/);
+    expect(checkMapping({ description: "Name" }, ["Name"])).toMatch(/title/);
+    expect(mapRecord({ Name: "  Ship  ", Notes: "", Ref: 7 }, { title: "Name", description: "Notes", externalId: "Ref" }))
+      .toEqual({ title: "Ship", externalId: 7 });
+    expect(mapRecord({ Name: "Ship", Labels: "ops; q4,,urgent" }, { title: "Name", tags: "Labels" }).tags)
+      .toEqual(["ops", "q4", "urgent"]);
+  });
+
+  it("exports tasks with assignee emails and tags", () => {
+    const [header, row] = parseCsv(exportCsv([
+      {
+        _id: "t1",
+        title: "Ship",
+        status: "todo",
+        assignedTo: { email: "ann@tt.com" },
+        tags: ["ops", "q4"],
+        dueDate: new Date("2026-11-01T00:00:00Z"),
+      },
+    ]));
+    const record = Object.fromEntries(header.map((column, i) => [column, row[i]]));
+    expect(record).toMatchObject({
+      id: "t1",
+      title: "Ship",
+      assignee: "ann@tt.com",
+      tags: "ops,q4",
+      dueDate: "2026-11-01T00:00:00.000Z",
+      project: "",
+    });
+  });
+});
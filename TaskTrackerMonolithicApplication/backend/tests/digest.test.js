@@ -0,0 +1,102 @@
+import { nextDigestAt } from "../services/digest.js";
+import { digestHtml, digestSubject, digestText } from "../services/digestTemplates.js";
+import { isOverdue, overdueCondition } from "../services/dueDates.js";
+
+// Pure tests of digest scheduling, the overdue check and the digest templates (no database needed).
+// 2026-10-19 is a Monday; 22:00 UTC is already Tuesday in Paris and Tokyo.
+const now = new Date("2026-10-19T22:00:00Z");
+
+describe("nextDigestAt", () => {
+  it("picks today's send time when it is still ahead, else tomorrow's", () => {
+    expect(nextDigestAt(23, "UTC", now).toISOString()).toBe("2026-10-19T23:00:00.000Z");
+    expect(nextDigestAt(22, "UTC", now).toISOString()).toBe("2026-10-20T22:00:00.000Z");
+    expect(nextDigestAt(8, "UTC", now).toISOString()).toBe("2026-10-20T08:00:00.000Z");
+  });
+
+  it("reads the hour in the user's time zone", () => {
+    // It is 07:00 on Tuesday in Tokyo (UTC+9); 08:00 there is 23:00 UTC on Monday.
+    expect(nextDigestAt(8, "Asia/Tokyo", now).toISOString()).toBe("2026-10-19T23:00:00.000Z");
+    expect(nextDigestAt(8, "America/New_York", now).toISOString()).toBe("2026-10-20T12:00:00.000Z");
+  });
+
+  it("follows daylight saving changes", () => {
+    // Paris leaves summer time on Sunday 2026-10-25.
+    const saturday = new Date("2026-10-24T07:00:00Z");
+    expect(nextDigestAt(8, "Europe/Paris", saturday).toISOString()).toBe("2026-10-25T07:00:00.000Z");
+    expect(nextDigestAt(8, "Europe/Paris", new Date("2026-10-25T07:00:00Z")).toISOString())
+      .toBe("2026-10-26T07:00:00.000Z");
+  });
+});
+
+describe("isOverdue", () => {
+  it("counts a date-only due date as overdue from the next local day", () => {
+    const task = { dueDate: new Date("2026-10-19T00:00:00Z"), statusCategory: "todo" };
+    expect(isOverdue(task, { now, timeZone: "UTC" })).toBe(false);
+    expect(isOverdue(task, { now, timeZone: "Europe/Paris" })).toBe(true);
+    expect(isOverdue(task, { now, timeZone: "America/Los_Angeles" })).toBe(false);
+  });
+
+  it("counts a timed due date as overdue once it has passed", () => {
+    expect(isOverdue({ dueDate: "2026-10-19T21:59:00Z", statusCategory: "todo" }, { now })).toBe(true);
+    expect(isOverdue({ dueDate: "2026-10-19T22:01:00Z", statusCategory: "todo" }, { now })).toBe(false);
+  });
+
+  it("never flags done or undated tasks", () => {
+    expect(isOverdue({ dueDate: "2026-01-01T10:00:00Z", statusCategory: "done" }, { now })).toBe(false);
+    expect(isOverdue({ statusCategory: "todo" }, { now })).toBe(false);
+  });
+
+  it("matches the bounds of overdueCondition", () => {
+    const condition = overdueCondition({ now, timeZone: "Asia/Tokyo" });
+    expect(condition.statusCategory).toEqual({ $ne: "done" });
+    expect(condition.$or.map(({ dueDate }) => dueDate.$lt.toISOString())).toEqual([
+      "2026-10-20T00:00:00.000Z",
+      "2026-10-19T22:00:00.000Z",
+    ]);
+  });
+});
+
+describe("digest templates", () => {
+  const digest = {
+    name: "Ada <Admin>",
+    date: "Tuesday, October 20",
+    sections: [
+      {
+        title: "Overdue",
+        total: 3,
+        tasks: [
+          { title: "Fix <script> & tests", due: "Mon, Oct 19", priority: "high" },
+          { title: "Write notes", due: "Sun, Oct 18, 09:30", priority: "low" },
+        ],
+      },
+      { title: "Due today", total: 0, tasks: [] },
+      { title: "Due this week", total: 1, tasks: [{ title: "Ship", due: "Fri, Oct 23", priority: "medium" }] },
+    ],
+    link: "http://localhost:3000/",
+    schedule: "You get this email every day at 08:00 (Europe/Paris).",
+  };
+
+  it("sums up the non-empty sections in the subject", () => {
+    expect(digestSubject(digest)).toBe("Task Tracker digest: 3 overdue, 1 due this week");
+  });
+
+  it("renders a plain text body", () => {
+    const text = digestText(digest);
+    expect(text).toContain("Hi Ada <Admin>,");
+    expect(text).toContain("Overdue (3)\n- Fix <script> & tests (due Mon, Oct 19) (high priority)\n" +
+      "- Write notes (due Sun, Oct 18, 09:30)\n…and 1 more");
+    expect(text).toContain("Due this week (1)\n- Ship (due Fri, Oct 23)");
+    expect(text).not.toContain("Due today");
+    expect(text).toContain("Open Task Tracker: http://localhost:3000/");
+  });
+
+  it("escapes every value in the HTML body", () => {
+    const html = digestHtml(digest);
+    expect(html).toContain("Hi Ada &lt;Admin&gt;,");
+    expect(html).toContain("<b>Fix &lt;script&gt; &amp; tests</b>");
+    expect(html).not.toContain("<script>");
+    expect(html).toContain("…and 1 more");
+    expect(html).toContain('<a href="http://localhost:3000/">Open Task Tracker</a>');
+    expect(html).not.toContain("Due today");
+  });
+});
@@ -0,0 +1,143 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import app from "../server.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import { buildDigest, createDigestWorker, updateDigestSettings } from "../services/digest.js";
+
+let server, token, user;
+
+// Fake clock: tests move time forward explicitly. 2030-01-07 is a Monday.
+const clock = {
+  current: new Date("2030-01-07T06:00:00Z"),
+  now() { return new Date(this.current); },
+  advance(ms) { this.current = new Date(this.current.getTime() + ms); },
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+beforeAll(async () => {
+  process.env.MONGODB_URI = "mongodb://localhost:27017/tasktracker_test_digest";
+  process.env.JWT_SECRET = "testsecret";
+  server = app.listen(4009);
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Promise.all([User.deleteMany({}), Task.deleteMany({})]);
+
+  const reg = await request(app)
+    .post("/api/auth/register")
+    .send({ email: "digest@tt.com", password: "pass1234", name: "Digested" });
+  token = reg.body.token;
+  user = await User.findById(reg.body.user.id);
+});
+
+beforeEach(async () => {
+  clock.current = new Date("2030-01-07T06:00:00Z");
+  await Task.deleteMany({});
+  await updateDigestSettings(user._id, { enabled: true, hour: 8, timeZone: "UTC" }, clock);
+});
+
+afterAll(async () => {
+  await Promise.all([User.deleteMany({}), Task.deleteMany({})]);
+  await mongoose.connection.close();
+  server && server.close();
+});
+
+async function makeTask(title, dueDate, extra = {}) {
+  return Task.create({ title, dueDate, creator: user._id, assignedTo: user._id, ...extra });
+}
+
+describe("Digest settings endpoints", () => {
+  const auth = (req) => req.set("Authorization", `Bearer ${token}`);
+
+  it("returns and updates the settings", async () => {
+    const res = await auth(request(app).put("/api/digest")).send({ hour: 7, timeZone: "Europe/Paris" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ enabled: true, hour: 7, timeZone: "Europe/Paris" });
+    expect(new Date(res.body.nextAt).getTime()).toBeGreaterThan(Date.now());
+
+    const off = await auth(request(app).put("/api/digest")).send({ enabled: false });
+    expect(off.body).toMatchObject({ enabled: false, hour: 7, nextAt: null });
+    expect((await auth(request(app).get("/api/digest"))).body.enabled).toBe(false);
+  });
+
+  it("rejects invalid settings", async () => {
+    const put = (body) => auth(request(app).put("/api/digest")).send(body);
+    expect((await put({ hour: 24 })).statusCode).toBe(400);
+    expect((await put({ timeZone: "Mars/Base" })).statusCode).toBe(400);
+    expect((await put({ enabled: "yes" })).statusCode).toBe(400);
+    expect((await request(app).get("/api/digest")).statusCode).toBe(401);
+  });
+});
+
+describe("Digest worker", () => {
+  it("builds overdue, due today and due this week sections", async () => {
+    await makeTask("Late", new Date("2030-01-05T00:00:00Z"));
+    await makeTask("Late timed", new Date("2030-01-07T05:00:00Z"));
+    await makeTask("Today", new Date("2030-01-07T00:00:00Z"));
+    await makeTask("Later today", new Date("2030-01-07T15:00:00Z"));
+    await makeTask("Friday", new Date("2030-01-11T00:00:00Z"));
+    await makeTask("Next month", new Date("2030-02-11T00:00:00Z"));
+    await makeTask("Done", new Date("2030-01-05T00:00:00Z"), { status: "completed", statusCategory: "done" });
+    await Task.create({ title: "Someone else's", dueDate: new Date("2030-01-05T00:00:00Z"), creator: user._id });
+
+    const digest = await buildDigest(await User.findById(user._id), clock.now());
+    expect(digest.sections.map((s) => [s.title, s.total, s.tasks.map((t) => t.title)])).toEqual([
+      ["Overdue", 2, ["Late", "Late timed"]],
+      ["Due today", 2, ["Today", "Later today"]],
+      ["Due this week", 1, ["Friday"]],
+    ]);
+  });
+
+  it("sends each digest once a day at the user's hour", async () => {
+    await makeTask("Late", new Date("2030-01-05T00:00:00Z"));
+    const send = jest.fn();
+    const worker = createDigestWorker({ send, clock });
+
+    expect(await worker.tick()).toBe(0);
+    clock.advance(2 * HOUR);
+    expect(await worker.tick()).toBe(1);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0].email).toBe("digest@tt.com");
+    expect(send.mock.calls[0][1].sections[0]).toMatchObject({ title: "Overdue", total: 1 });
+    expect(await worker.tick()).toBe(0);
+
+    const sent = await User.findById(user._id);
+    expect(sent.digestSentAt).toEqual(clock.now());
+    expect(sent.digestNextAt.toISOString()).toBe("2030-01-08T08:00:00.000Z");
+
+    clock.advance(DAY);
+    expect(await worker.tick()).toBe(1);
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it("skips empty digests and disabled users", async () => {
+    const send = jest.fn();
+    const worker = createDigestWorker({ send, clock });
+    clock.advance(2 * HOUR);
+    expect(await worker.tick()).toBe(1);
+    expect(send).not.toHaveBeenCalled();
+
+    await makeTask("Late", new Date("2030-01-05T00:00:00Z"));
+    await updateDigestSettings(user._id, { enabled: false }, clock);
+    clock.advance(DAY);
+    expect(await worker.tick()).toBe(0);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it("retries a failed send until the next digest is due", async () => {
+    await makeTask("Late", new Date("2030-01-05T00:00:00Z"));
+    const send = jest.fn().mockRejectedValueOnce(new Error("SMTP down"));
+    const worker = createDigestWorker({ send, clock });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    clock.advance(2 * HOUR);
+    expect(await worker.tick()).toBe(1);
+    expect((await User.findById(user._id)).digestNextAt.toISOString()).toBe("2030-01-07T08:15:00.000Z");
+    clock.advance(15 * 60 * 1000);
+    expect(await worker.tick()).toBe(1);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect((await User.findById(user._id)).digestNextAt.toISOString()).toBe("2030-01-08T08:00:00.000Z");
+    console.error.mockRestore();
+  });
+});
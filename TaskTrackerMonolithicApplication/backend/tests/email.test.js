@@ -0,0 +1,116 @@
+import { decodeWords, htmlToText, parseAddressList, parseEmail, parseParams } from "../services/email.js";
+import { taskFieldsFromEmail } from "../services/inboundEmail.js";
+
+// Pure tests of email parsing and task fields from emails (no database needed).
+const b64 = (text) => Buffer.from(text).toString("base64");
+
+const message = [
+  "Message-ID: <abc.123@mail.example>",
+  "Date: Mon, 19 Oct 2026 22:30:00 -0700",
+  'From: =?UTF-8?B?' + b64("Zoë Müller") + '?= <Zoe@Example.org>',
+  'To: "Tasks, inbound" <tasks+0123456789abcdef0123456789abcdef@in.example>, bob@example.org',
+  "Subject: Re: =?utf-8?Q?Caf=C3=A9_menu?=",
+  " =?utf-8?Q?_update?=",
+  "MIME-Version: 1.0",
+  'Content-Type: multipart/mixed; boundary="outer"',
+  "",
+  "This is a multi-part message in MIME format.",
+  "--outer",
+  'Content-Type: multipart/alternative; boundary="inner"',
+  "",
+  "--inner",
+  "Content-Type: text/plain; charset=utf-8",
+  "Content-Transfer-Encoding: quoted-printable",
+  "",
+  "Please send the new menu by Friday. Prices =E2=82=AC5 and up, a long line th=",
+  "at was soft-wrapped.",
+  "",
+  "-- ",
+  "Zo=C3=AB",
+  "--inner",
+  "Content-Type: text/html; charset=utf-8",
+  "Content-Transfer-Encoding: base64",
+  "",
+  b64("<p>Please send the new menu <b>by Friday</b>.</p>"),
+  "--inner--",
+  "--outer",
+  "Content-Type: application/pdf",
+  "Content-Disposition: attachment; filename*=utf-8''men%C3%BC.pdf",
+  "Content-Transfer-Encoding: base64",
+  "",
+  b64("%PDF-1.4 fake"),
+  "--outer--",
+  "",
+].join("\r\n");
+
+describe("parseEmail", () => {
+  const email = parseEmail(Buffer.from(message));
+
+  it("reads headers, encoded words and addresses", () => {
+    expect(email.messageId).toBe("abc.123@mail.example");
+    expect(email.subject).toBe("Re: Café menu update");
+    expect(email.from).toEqual({ name: "Zoë Müller", address: "zoe@example.org" });
+    expect(email.to.map((to) => to.address)).toEqual([
+      "tasks+0123456789abcdef0123456789abcdef@in.example",
+      "bob@example.org",
+    ]);
+    expect(email.date.toISOString()).toBe("2026-10-20T05:30:00.000Z");
+    expect(email.dateOffset).toBe(-420);
+  });
+
+  it("picks the text and html bodies and the attachments", () => {
+    expect(email.text).toContain("Prices €5 and up, a long line that was soft-wrapped.");
+    expect(email.html).toBe("<p>Please send the new menu <b>by Friday</b>.</p>");
+    expect(email.attachments).toHaveLength(1);
+    expect(email.attachments[0]).toMatchObject({ filename: "menü.pdf", contentType: "application/pdf", size: 13 });
+    expect(email.attachments[0].content.toString()).toBe("%PDF-1.4 fake");
+  });
+
+  it("falls back to the HTML body as text, and handles single-part latin1 mail", () => {
+    const htmlOnly = parseEmail("Subject: Hi\r\nContent-Type: text/html\r\n\r\n<div>One&nbsp;&amp;&#160;two</div><ul><li>a</li></ul>");
+    expect(htmlOnly.text).toBe("One & two\n\n- a");
+    const latin = parseEmail(Buffer.concat([
+      Buffer.from("Subject: Plain\nContent-Type: text/plain; charset=iso-8859-1\n\n"),
+      Buffer.from([0x63, 0x61, 0x66, 0xe9]),
+    ]));
+    expect(latin.text).toBe("café");
+    expect(latin.attachments).toEqual([]);
+  });
+});
+
+describe("MIME helpers", () => {
+  it("decodes encoded words and structured parameters", () => {
+    expect(decodeWords("=?ISO-8859-1?Q?Andr=E9?= Pirard")).toBe("André Pirard");
+    expect(parseParams('Text/Plain; Charset="UTF-8"; name="a;b.txt"')).toEqual({
+      value: "text/plain",
+      params: { charset: "UTF-8", name: "a;b.txt" },
+    });
+    expect(parseParams("attachment; filename*0*=utf-8''long%20; filename*1=name.txt").params.filename)
+      .toBe("long name.txt");
+  });
+
+  it("splits address lists and strips HTML", () => {
+    expect(parseAddressList('"Lee, Ann" <ann@x.org>, bob@x.org (Bob)')).toEqual([
+      { name: "Lee, Ann", address: "ann@x.org" },
+      { name: "Bob", address: "bob@x.org" },
+    ]);
+    expect(htmlToText("<style>p{}</style><p>Hello<br>world</p>")).toBe("Hello\nworld");
+  });
+});
+
+describe("taskFieldsFromEmail", () => {
+  it("uses the subject, the body without signature and the sender's day", () => {
+    const fields = taskFieldsFromEmail(parseEmail(Buffer.from(message)), new Date("2026-10-21T00:00:00Z"));
+    expect(fields.title).toBe("Café menu update");
+    expect(fields.description).toMatch(/^Please send the new menu by Friday\./);
+    expect(fields.description).not.toContain("Zoë");
+    // Sent on Monday evening in UTC-7: "by Friday" is that week's Friday.
+    expect(fields.dueDate.toISOString()).toBe("2026-10-23T00:00:00.000Z");
+  });
+
+  it("falls back to the first body line and clips long titles", () => {
+    expect(taskFieldsFromEmail({ subject: "Fwd: FW: ", text: "Call the bank\nthanks", attachments: [] }).title)
+      .toBe("Call the bank");
+    expect(taskFieldsFromEmail({ subject: "x".repeat(150), text: "", attachments: [] }).title).toHaveLength(100);
+  });
+});
@@ -0,0 +1,57 @@
+import { buildCalendar, escapeText, foldLine, formatDate, formatDateTime, isAllDay } from "../services/ical.js";
+
+// Pure tests of the iCalendar output (no database needed).
+const NOW = new Date("2026-10-19T08:00:00Z");
+const unfold = (text) => text.replace(/\r\n /g, "");
+
+describe("iCalendar values", () => {
+  it("escapes text and formats UTC dates", () => {
+    expect(escapeText("a;b,c\\d\nnext")).toBe("a\\;b\\,c\\\\d\\nnext");
+    expect(formatDateTime("2026-11-01T09:30:15.250Z")).toBe("20261101T093015Z");
+    expect(formatDate("2026-11-01T23:30:00Z")).toBe("20261101");
+  });
+
+  it("treats midnight UTC as a date-only due date", () => {
+    expect(isAllDay(new Date("2026-11-01T00:00:00Z"))).toBe(true);
+    expect(isAllDay(new Date("2026-11-01T00:00:00+02:00"))).toBe(false);
+  });
+
+  it("folds long lines at 75 octets without splitting characters", () => {
+    const line = `SUMMARY:${"é".repeat(60)}`;
+    const folded = foldLine(line);
+    for (const part of folded.split("\r\n")) expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+    expect(unfold(folded)).toBe(line);
+    expect(foldLine("SHORT:line")).toBe("SHORT:line");
+  });
+});
+
+describe("buildCalendar", () => {
+  const tasks = [
+    { _id: "t1", title: "Ship, finally", dueDate: new Date("2026-11-01T00:00:00Z"), statusCategory: "todo", priority: "high" },
+    { _id: "t2", title: "Standup", description: "Line one\nLine two", dueDate: new Date("2026-11-02T14:45:00Z"),
+      statusCategory: "done", priority: "low" },
+    { _id: "t3", title: "Someday" },
+  ];
+
+  it("emits all-day and timed VEVENTs with CRLF line ends", () => {
+    const ics = buildCalendar({ name: "Task Tracker – Ann", tasks, now: NOW });
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics.split("\r\n").every((line) => !line.includes("\n"))).toBe(true);
+
+    const text = unfold(ics);
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(text).toContain("UID:t1@task-tracker\r\nDTSTAMP:20261019T080000Z\r\nSUMMARY:Ship\\, finally");
+    expect(text).toContain("DTSTART;VALUE=DATE:20261101\r\nDTEND;VALUE=DATE:20261102");
+    expect(text).toContain("DTSTART:20261102T144500Z");
+    expect(text).toContain("DESCRIPTION:Line one\\nLine two");
+    expect(text).not.toContain("Someday");
+  });
+
+  it("emits VTODOs with due dates, status and priority", () => {
+    const text = unfold(buildCalendar({ name: "Tasks", tasks, kind: "todo", now: NOW }));
+    expect(text).not.toContain("VEVENT");
+    expect(text).toContain("DUE;VALUE=DATE:20261101\r\nSTATUS:NEEDS-ACTION\r\nPRIORITY:1");
+    expect(text).toContain("DUE:20261102T144500Z\r\nSTATUS:COMPLETED\r\nPRIORITY:9");
+  });
+});
@@ -0,0 +1,114 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import app from "../server.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Attachment from "../models/Attachment.js";
+
+let server, token;
+
+beforeAll(async () => {
+  process.env.MONGODB_URI = "mongodb://localhost:27017/tasktracker_test_inbound";
+  process.env.JWT_SECRET = "testsecret";
+  server = app.listen(4006);
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Promise.all([User.deleteMany({}), Task.deleteMany({}), Attachment.deleteMany({})]);
+
+  const reg = await request(app)
+    .post("/api/auth/register")
+    .send({ email: "inbound@tt.com", password: "pass1234", name: "Inbound" });
+  token = reg.body.token;
+});
+
+afterAll(async () => {
+  await Promise.all([User.deleteMany({}), Task.deleteMany({}), Attachment.deleteMany({})]);
+  await mongoose.connection.close();
+  server && server.close();
+});
+
+const eml = ({ to = "someone@example.org", messageId = "m1@example.org", subject = "Renew the domain" } = {}) =>
+  [
+    `Message-ID: <${messageId}>`,
+    "Date: Mon, 19 Oct 2099 09:00:00 +0000",
+    "From: Ann <ann@example.org>",
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    'Content-Type: multipart/mixed; boundary="b"',
+    "",
+    "--b",
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    "Please renew it by Friday.",
+    "--b",
+    'Content-Type: text/plain; name="invoice.txt"',
+    'Content-Disposition: attachment; filename="invoice.txt"',
+    "Content-Transfer-Encoding: base64",
+    "",
+    Buffer.from("Invoice #42").toString("base64"),
+    "--b--",
+    "",
+  ].join("\r\n");
+
+describe("Inbound email", () => {
+  const auth = (req) => req.set("Authorization", `Bearer ${token}`);
+  const send = (req, body) => req.set("Content-Type", "message/rfc822").send(body);
+
+  it("turns an uploaded .eml into a task with its attachments", async () => {
+    const res = await send(auth(request(app).post("/api/inbound/email")), eml());
+    expect(res.statusCode).toBe(201);
+    expect(res.body.task).toMatchObject({ title: "Renew the domain", description: "Please renew it by Friday." });
+    expect(res.body.task.dueDate).toBe("2099-10-23T00:00:00.000Z");
+    expect(res.body.attachments).toHaveLength(1);
+
+    const list = await auth(request(app).get(`/api/tasks/${res.body.task._id}/attachments`));
+    expect(list.body.attachments.map((a) => a.filename)).toEqual(["invoice.txt"]);
+    const file = await auth(
+      request(app).get(`/api/tasks/${res.body.task._id}/attachments/${list.body.attachments[0]._id}`)
+    );
+    expect(file.statusCode).toBe(200);
+    expect(file.headers["content-disposition"]).toMatch(/invoice\.txt/);
+    expect(file.text).toBe("Invoice #42");
+
+    const again = await send(auth(request(app).post("/api/inbound/email")), eml());
+    expect(again.statusCode).toBe(200);
+    expect(again.body.duplicate).toBe(true);
+    expect(await Task.countDocuments({ title: "Renew the domain" })).toBe(1);
+  });
+
+  it("accepts relayed mail for the user's inbound address only", async () => {
+    expect((await auth(request(app).get("/api/inbound/address"))).body.enabled).toBe(false);
+    const { address } = (await auth(request(app).post("/api/inbound/address"))).body;
+    expect(address).toMatch(/^tasks\+[a-f0-9]{32}@/);
+
+    const relayed = await send(request(app).post("/api/inbound/email"), eml({ to: address, messageId: "m2@x" }));
+    expect(relayed.statusCode).toBe(201);
+    expect(relayed.body.task.creator).toBeDefined();
+
+    const envelope = await send(
+      request(app).post(`/api/inbound/email?to=${encodeURIComponent(address)}`),
+      eml({ messageId: "m3@x", subject: "Via envelope" })
+    );
+    expect(envelope.statusCode).toBe(201);
+
+    const unknown = await send(request(app).post("/api/inbound/email"), eml({ messageId: "m4@x" }));
+    expect(unknown.statusCode).toBe(404);
+
+    await auth(request(app).post("/api/inbound/address"));
+    expect((await send(request(app).post("/api/inbound/email"), eml({ to: address, messageId: "m5@x" }))).statusCode)
+      .toBe(404);
+  });
+
+  it("rejects empty bodies and hides attachments of other users' tasks", async () => {
+    expect((await auth(request(app).post("/api/inbound/email")).set("Content-Type", "message/rfc822")).statusCode)
+      .toBe(400);
+
+    const other = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "inbound-other@tt.com", password: "pass1234", name: "Other" });
+    const task = await Task.findOne({ title: "Renew the domain" });
+    const res = await request(app)
+      .get(`/api/tasks/${task._id}/attachments`)
+      .set("Authorization", `Bearer ${other.body.token}`);
+    expect(res.statusCode).toBe(403);
+  });
+});
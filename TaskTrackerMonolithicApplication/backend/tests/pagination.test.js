@@ -0,0 +1,84 @@
+import { decodeCursor, encodeCursor, keysetFilter, sortSpec } from "../services/pagination.js";
+
+// Pure tests: a tiny in-memory evaluator for the operators keysetFilter emits
+// stands in for MongoDB (null sorts lowest, as in MongoDB).
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$or") return cond.some((f) => matches(doc, f));
+    if (key === "$and") return cond.every((f) => matches(doc, f));
+    const value = doc[key] ?? null;
+    if (cond && typeof cond === "object" && !(cond instanceof Date)) {
+      if ("$gt" in cond) return value !== null && compare(value, cond.$gt) > 0;
+      if ("$lt" in cond) return value !== null && compare(value, cond.$lt) < 0;
+      if ("$ne" in cond) return compare(value, cond.$ne) !== 0;
+    }
+    return compare(value, cond ?? null) === 0;
+  });
+}
+
+function sortDocs(docs, spec) {
+  return [...docs].sort((a, b) => {
+    for (const { field, dir } of spec) {
+      const c = compare(a[field] ?? null, b[field] ?? null);
+      if (c) return c * dir;
+    }
+    return 0;
+  });
+}
+
+function pageThrough(docs, spec, limit) {
+  const seen = [];
+  let cursor = null;
+  for (let guard = 0; guard < 100; guard++) {
+    const pool = cursor ? docs.filter((d) => matches(d, keysetFilter(spec, decodeCursor(cursor, spec)))) : docs;
+    const page = sortDocs(pool, spec).slice(0, limit);
+    seen.push(...page.map((d) => d._id));
+    if (page.length < limit) return seen;
+    cursor = encodeCursor(page[page.length - 1], spec);
+  }
+  throw new Error("did not terminate");
+}
+
+const day = (n) => new Date(Date.UTC(2026, 10, n));
+const docs = [
+  { _id: "a1", dueDate: day(3), priority: "high" },
+  { _id: "a2", dueDate: null, priority: "low" },
+  { _id: "a3", dueDate: day(1), priority: "high" },
+  { _id: "a4", dueDate: day(3), priority: "medium" },
+  { _id: "a5", priority: "low" },
+  { _id: "a6", dueDate: day(2), priority: "high" },
+  { _id: "a7", dueDate: day(3), priority: "low" },
+];
+
+describe("Cursor pagination", () => {
+  for (const field of ["dueDate", "priority"]) {
+    for (const order of ["asc", "desc"]) {
+      it(`pages by ${field} ${order} without gaps or duplicates`, () => {
+        const spec = sortSpec([field], order);
+        const expected = sortDocs(docs, spec).map((d) => d._id);
+        for (const limit of [1, 2, 3, 7]) expect(pageThrough(docs, spec, limit)).toEqual(expected);
+      });
+    }
+  }
+
+  it("round-trips dates and nulls through the cursor", () => {
+    const spec = sortSpec(["dueDate"]);
+    expect(decodeCursor(encodeCursor(docs[0], spec), spec)).toEqual([day(3), "a1"]);
+    expect(decodeCursor(encodeCursor(docs[4], spec), spec)).toEqual([null, "a5"]);
+  });
+
+  it("rejects malformed cursors", () => {
+    const spec = sortSpec(["dueDate"]);
+    expect(decodeCursor("not-a-cursor", spec)).toBeNull();
+    expect(decodeCursor(encodeCursor(docs[0], sortSpec(["dueDate", "priority"])), spec)).toBeNull();
+  });
+});
@@ -0,0 +1,290 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import app from "../server.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Tag from "../models/Tag.js";
+import SavedView from "../models/SavedView.js";
+import TaskHistory from "../models/TaskHistory.js";
+
+let server, ownerToken, editorToken, viewerToken, editorId, viewerId, projectId, taskId;
+
+async function register(email, name) {
+  const res = await request(app)
+    .post("/api/auth/register")
+    .send({ email, password: "pass1234", name });
+  return res.body;
+}
+
+beforeAll(async () => {
+  process.env.MONGODB_URI = "mongodb://localhost:27017/tasktracker_test_projects";
+  process.env.JWT_SECRET = "testsecret";
+  server = app.listen(4003);
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Promise.all([
+    User.deleteMany({}),
+    Task.deleteMany({}),
+    Project.deleteMany({}),
+    Tag.deleteMany({}),
+    SavedView.deleteMany({}),
+    TaskHistory.deleteMany({}),
+  ]);
+
+  ownerToken = (await register("owner@tt.com", "Owner")).token;
+  const editor = await register("editor@tt.com", "Editor");
+  editorToken = editor.token;
+  editorId = editor.user.id;
+  const viewer = await register("viewer@tt.com", "Viewer");
+  viewerToken = viewer.token;
+  viewerId = viewer.user.id;
+});
+
+afterAll(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Task.deleteMany({}),
+    Project.deleteMany({}),
+    Tag.deleteMany({}),
+    SavedView.deleteMany({}),
+    TaskHistory.deleteMany({}),
+  ]);
+  await mongoose.connection.close();
+  server && server.close();
+});
+
+describe("Project API", () => {
+  it("creates a project owned by the caller", async () => {
+    const res = await request(app)
+      .post("/api/projects")
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({ name: "Team Board" });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.project.members).toHaveLength(1);
+    expect(res.body.project.members[0].role).toBe("owner");
+    projectId = res.body.project._id;
+  });
+
+  it("invites members with roles", async () => {
+    const editor = await request(app)
+      .post(`/api/projects/${projectId}/members`)
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({ email: "editor@tt.com", role: "editor" });
+    expect(editor.statusCode).toBe(201);
+
+    const viewer = await request(app)
+      .post(`/api/projects/${projectId}/members`)
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({ email: "viewer@tt.com", role: "viewer" });
+    expect(viewer.body.project.members).toHaveLength(3);
+  });
+
+  it("only lets owners invite", async () => {
+    const res = await request(app)
+      .post(`/api/projects/${projectId}/members`)
+      .set("Authorization", `Bearer ${editorToken}`)
+      .send({ email: "viewer@tt.com", role: "owner" });
+    expect(res.statusCode).toBe(403);
+  });
+
+  it("lists projects with the caller's role", async () => {
+    const res = await request(app)
+      .get("/api/projects")
+      .set("Authorization", `Bearer ${viewerToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.projects[0].myRole).toBe("viewer");
+  });
+
+  it("lets editors add tasks to the project", async () => {
+    const res = await request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${editorToken}`)
+      .send({ title: "Shared Task", project: projectId });
+    expect(res.statusCode).toBe(201);
+    taskId = res.body.task._id;
+  });
+
+  it("refuses viewers adding tasks", async () => {
+    const res = await request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${viewerToken}`)
+      .send({ title: "Nope", project: projectId });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it("shares project tasks with all members", async () => {
+    const res = await request(app)
+      .get(`/api/tasks?project=${projectId}`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.tasks.map((t) => t._id)).toContain(taskId);
+
+    const viewerRes = await request(app)
+      .get(`/api/tasks/${taskId}`)
+      .set("Authorization", `Bearer ${viewerToken}`);
+    expect(viewerRes.statusCode).toBe(200);
+  });
+
+  it("keeps viewers read-only", async () => {
+    const res = await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set("Authorization", `Bearer ${viewerToken}`)
+      .send({ title: "Changed by viewer" });
+    expect(res.statusCode).toBe(403);
+  });
+
+  it("lets the project owner delete member tasks", async () => {
+    const { body } = await request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${editorToken}`)
+      .send({ title: "To remove", project: projectId });
+    const res = await request(app)
+      .delete(`/api/tasks/${body.task._id}`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+    expect(res.statusCode).toBe(200);
+  });
+
+  it("removes members, who then lose access", async () => {
+    const res = await request(app)
+      .delete(`/api/projects/${projectId}/members/${viewerId}`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const after = await request(app)
+      .get(`/api/tasks/${taskId}`)
+      .set("Authorization", `Bearer ${viewerToken}`);
+    expect(after.statusCode).toBe(403);
+  });
+
+  it("lets members leave but keeps the last owner", async () => {
+    const leave = await request(app)
+      .delete(`/api/projects/${projectId}/members/${editorId}`)
+      .set("Authorization", `Bearer ${editorToken}`);
+    expect(leave.statusCode).toBe(200);
+
+    const project = await Project.findById(projectId);
+    const ownerId = String(project.owner);
+    const res = await request(app)
+      .delete(`/api/projects/${projectId}/members/${ownerId}`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+    expect(res.statusCode).toBe(400);
+  });
+
+  it("detaches tasks when the project is deleted", async () => {
+    const res = await request(app)
+      .delete(`/api/projects/${projectId}`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+    expect(res.statusCode).toBe(200);
+    const task = await Task.findById(taskId);
+    expect(task.project).toBeUndefined();
+  });
+});
+
+describe("Project workflows", () => {
+  const REVIEW_FLOW = {
+    statuses: [
+      { key: "backlog", name: "Backlog", category: "todo" },
+      { key: "in_review", name: "In review", category: "in_progress" },
+      { key: "done", name: "Done", category: "done" },
+    ],
+    initial: "backlog",
+    transitions: [
+      { from: "backlog", to: ["in_review"] },
+      { from: "in_review", to: ["backlog", "done"] },
+    ],
+  };
+  const auth = (req, token = ownerToken) => req.set("Authorization", `Bearer ${token}`);
+  let flowProjectId, flowTaskId;
+
+  beforeAll(async () => {
+    const { body } = await auth(request(app).post("/api/projects")).send({ name: "Reviewed" });
+    flowProjectId = body.project._id;
+    const { body: created } = await auth(request(app).post("/api/tasks")).send({
+      title: "Before workflow",
+      project: flowProjectId,
+      status: "in_progress",
+    });
+    flowTaskId = created.task._id;
+  });
+
+  it("lets only owners set a valid workflow, remapping existing tasks", async () => {
+    const invalid = await auth(request(app).put(`/api/projects/${flowProjectId}/workflow`)).send({
+      workflow: { ...REVIEW_FLOW, initial: "done" },
+    });
+    expect(invalid.statusCode).toBe(400);
+
+    const res = await auth(request(app).put(`/api/projects/${flowProjectId}/workflow`)).send({
+      workflow: REVIEW_FLOW,
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.remapped).toBe(1);
+    const task = await Task.findById(flowTaskId);
+    expect([task.status, task.statusCategory]).toEqual(["in_review", "in_progress"]);
+    // Remaps are recorded like any other status change.
+    const entry = await TaskHistory.findOne({ task: flowTaskId }).sort({ _id: -1 });
+    expect(entry.changes.map((c) => c.field)).toContain("status");
+
+    const workflow = await auth(request(app).get(`/api/tasks/workflow?project=${flowProjectId}`));
+    expect(workflow.body.workflow.initial).toBe("backlog");
+  });
+
+  it("starts tasks in the initial status and enforces transitions", async () => {
+    const { body } = await auth(request(app).post("/api/tasks")).send({
+      title: "Flow task",
+      project: flowProjectId,
+    });
+    expect(body.task.status).toBe("backlog");
+    const id = body.task._id;
+
+    const unknown = await auth(request(app).put(`/api/tasks/${id}`)).send({
+      title: "Flow task",
+      status: "completed",
+    });
+    expect(unknown.statusCode).toBe(400);
+    const skipped = await auth(request(app).put(`/api/tasks/${id}`)).send({
+      title: "Flow task",
+      status: "done",
+    });
+    expect(skipped.statusCode).toBe(409);
+
+    // The completion toggle cannot reach a done status from backlog
+    expect((await auth(request(app).post(`/api/tasks/${id}/complete`))).statusCode).toBe(409);
+
+    await auth(request(app).put(`/api/tasks/${id}`)).send({ title: "Flow task", status: "in_review" });
+    const done = await auth(request(app).post(`/api/tasks/${id}/complete`));
+    expect([done.body.task.status, done.body.task.statusCategory]).toEqual(["done", "done"]);
+
+    const listed = await auth(request(app).get(`/api/tasks?project=${flowProjectId}&category=done`));
+    expect(listed.body.tasks.map((t) => t.title)).toEqual(["Flow task"]);
+
+    const reopened = await auth(request(app).post(`/api/tasks/${id}/complete`));
+    expect(reopened.body.task.status).toBe("backlog");
+  });
+
+  it("refuses remapping tasks with open blockers into a done status", async () => {
+    const create = async (title) =>
+      (await auth(request(app).post("/api/tasks")).send({ title, project: flowProjectId })).body.task;
+    const blocker = await create("Blocker");
+    const blocked = await create("Blocked");
+    await auth(request(app).post(`/api/tasks/${blocked._id}/dependencies`)).send({ blockerId: blocker._id });
+
+    const res = await auth(request(app).put(`/api/projects/${flowProjectId}/workflow`)).send({
+      workflow: REVIEW_FLOW,
+      statusMap: { backlog: "done" },
+    });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toContain("Blocked");
+    expect((await Task.findById(blocked._id)).status).toBe("backlog");
+  });
+
+  it("maps statuses back to the default workflow when the project goes away", async () => {
+    await auth(request(app).post("/api/tags")).send({ name: "flow", project: flowProjectId });
+    await auth(request(app).post("/api/views")).send({ name: "Flow view", filters: { project: flowProjectId } });
+    await auth(request(app).delete(`/api/projects/${flowProjectId}`));
+    const task = await Task.findById(flowTaskId);
+    expect([task.status, task.statusCategory]).toEqual(["in_progress", "in_progress"]);
+    expect(task.project).toBeUndefined();
+    expect(await Tag.countDocuments({ project: flowProjectId })).toBe(0);
+    expect(await SavedView.countDocuments({ "filters.project": flowProjectId })).toBe(0);
+  });
+});
@@ -0,0 +1,218 @@
+import { isValidTimeZone, parseDuePhrase, parseQuickAdd, timeZoneOffset, zonedTime } from "../../shared/index.js";
+
+// Pure tests of the quick-add parser shared with the frontend (no database needed).
+// 2026-10-19 is a Monday; 10:00 UTC is 06:00 in New York and 19:00 in Tokyo.
+const now = new Date("2026-10-19T10:00:00Z");
+const parse = (text, timeZone = "UTC", at = now) => parseQuickAdd(text, { now: at, timeZone });
+const due = (text, timeZone, at) => parse(text, timeZone, at).dueDate;
+
+describe("parseQuickAdd tokens", () => {
+  it("splits the example line into task fields", () => {
+    expect(parse("Pay invoice tomorrow 5pm !high @alice #finance", "America/New_York")).toEqual({
+      title: "Pay invoice",
+      dueDate: "2026-10-20T21:00:00.000Z",
+      hasTime: true,
+      priority: "high",
+      assignee: "alice",
+      tags: ["finance"],
+      parts: [
+        { type: "date", text: "tomorrow" },
+        { type: "time", text: "5pm" },
+        { type: "priority", text: "!high" },
+        { type: "assignee", text: "@alice" },
+        { type: "tag", text: "#finance" },
+      ],
+    });
+  });
+
+  it("reads priorities, assignee emails and tags wherever they are", () => {
+    const parsed = parse("!m #Ops review @Jane.Doe@Example.com logs #ops #on-call");
+    expect(parsed).toMatchObject({
+      title: "review logs",
+      priority: "medium",
+      assignee: "jane.doe@example.com",
+      tags: ["ops", "on-call"],
+      dueDate: null,
+    });
+    expect(parse("Ship it !l").priority).toBe("low");
+    expect(parse("Ship it !urgent").priority).toBeNull();
+  });
+
+  it("leaves emails, mid-word symbols and quoted text in the title", () => {
+    expect(parse("Email bob@example.com about C# and issue#4").title).toBe("Email bob@example.com about C# and issue#4");
+    const quoted = parse('Read "Tomorrow and Tomorrow" on friday');
+    expect(quoted.title).toBe("Read Tomorrow and Tomorrow");
+    expect(quoted.dueDate).toBe("2026-10-23T00:00:00.000Z");
+    expect(parse("Call the team, today.").title).toBe("Call the team.");
+  });
+
+  it("keeps only the first assignee and unique tags", () => {
+    const parsed = parse("Pair @ann @bob #a #A #b");
+    expect(parsed.assignee).toBe("ann");
+    expect(parsed.title).toBe("Pair @bob");
+    expect(parsed.tags).toEqual(["a", "b"]);
+  });
+});
+
+describe("parseQuickAdd day phrases", () => {
+  it.each([
+    ["Report today", "2026-10-19"],
+    ["Report tonight", "2026-10-19"],
+    ["Report tomorrow", "2026-10-20"],
+    ["Report tmrw", "2026-10-20"],
+    ["Report wed", "2026-10-21"],
+    ["Report on Friday", "2026-10-23"],
+    ["Report this friday", "2026-10-23"],
+    ["Report next friday", "2026-10-30"],
+    ["Report monday", "2026-10-19"],
+    ["Report next monday", "2026-10-26"],
+    ["Report next week", "2026-10-26"],
+    ["Report next month", "2026-11-01"],
+    ["Report in 3 days", "2026-10-22"],
+    ["Report in 2 weeks", "2026-11-02"],
+    ["Report in 1 month", "2026-11-19"],
+    ["Report by Nov 3", "2026-11-03"],
+    ["Report due November 3rd, 2027", "2027-11-03"],
+    ["Report 3 Nov", "2026-11-03"],
+    ["Report 3rd of January", "2027-01-03"],
+    ["Report 2026-12-01", "2026-12-01"],
+  ])("%s is due %s (midnight UTC, no time)", (text, day) => {
+    const parsed = parse(text);
+    expect(parsed.title).toBe("Report");
+    expect(parsed.dueDate).toBe(`${day}T00:00:00.000Z`);
+    expect(parsed.hasTime).toBe(false);
+  });
+
+  it("clamps month steps to the end of the month", () => {
+    expect(due("Pay in 1 month", "UTC", new Date("2027-01-31T12:00:00Z"))).toBe("2027-02-28T00:00:00.000Z");
+  });
+
+  it("ignores impossible dates and takes the first phrase", () => {
+    const impossible = parse("Report Feb 30");
+    expect(impossible.dueDate).toBeNull();
+    expect(impossible.title).toBe("Report Feb 30");
+    const two = parse("Draft friday review tomorrow");
+    expect(two.dueDate).toBe("2026-10-23T00:00:00.000Z");
+    expect(two.title).toBe("Draft review tomorrow");
+  });
+});
+
+describe("parseQuickAdd times and time zones", () => {
+  it.each([
+    ["Call 5pm", "2026-10-19T17:00:00.000Z"],
+    ["Call 5:30 pm", "2026-10-19T17:30:00.000Z"],
+    ["Call at 17:45", "2026-10-19T17:45:00.000Z"],
+    ["Call noon", "2026-10-19T12:00:00.000Z"],
+    ["Call 12am tomorrow", "2026-10-20T00:00:00.000Z"],
+    ["Call 12pm friday", "2026-10-23T12:00:00.000Z"],
+  ])("%s is due at %s", (text, iso) => {
+    const parsed = parse(text);
+    expect(parsed.title).toBe("Call");
+    expect(parsed.dueDate).toBe(iso);
+    expect(parsed.hasTime).toBe(true);
+  });
+
+  it("moves a time that has passed today to tomorrow", () => {
+    expect(due("Standup 9am")).toBe("2026-10-20T09:00:00.000Z");
+    expect(due("Standup 9am today")).toBe("2026-10-19T09:00:00.000Z");
+  });
+
+  it("ignores times that are not on a clock", () => {
+    expect(parse("Buy 13pm batteries").dueDate).toBeNull();
+    expect(parse("Meet at 25:00").dueDate).toBeNull();
+  });
+
+  it("reads wall times in the user's time zone", () => {
+    expect(due("Call tomorrow 9am", "Europe/Paris")).toBe("2026-10-20T07:00:00.000Z");
+    expect(due("Call tomorrow 9am", "Asia/Kolkata")).toBe("2026-10-20T03:30:00.000Z");
+    expect(due("Call tomorrow 9am", "America/Los_Angeles")).toBe("2026-10-20T16:00:00.000Z");
+  });
+
+  it("counts relative days from the user's date, not the server's", () => {
+    // 10:00 UTC is already Tuesday in Kiritimati (UTC+14)...
+    expect(due("Plan tomorrow", "Pacific/Kiritimati")).toBe("2026-10-21T00:00:00.000Z");
+    // ...and still Sunday night in Pago Pago (UTC-11) an hour after midnight UTC.
+    expect(due("Plan tomorrow", "Pacific/Pago_Pago", new Date("2026-10-19T01:00:00Z"))).toBe(
+      "2026-10-19T00:00:00.000Z"
+    );
+  });
+
+  it("handles days when clocks change", () => {
+    // New York falls back on 2026-11-01 and springs forward on 2027-03-14.
+    const saturday = new Date("2026-10-31T16:00:00Z");
+    expect(due("Run backup tomorrow 1:30am", "America/New_York", saturday)).toBe("2026-11-01T05:30:00.000Z");
+    expect(due("Run backup tomorrow 9am", "America/New_York", saturday)).toBe("2026-11-01T14:00:00.000Z");
+    const springEve = new Date("2027-03-13T16:00:00Z");
+    expect(due("Run backup tomorrow 2:30am", "America/New_York", springEve)).toBe("2027-03-14T07:30:00.000Z");
+    expect(due("Run backup tomorrow 9am", "America/New_York", springEve)).toBe("2027-03-14T13:00:00.000Z");
+  });
+});
+
+describe("parseDuePhrase in free text (cued)", () => {
+  const now = new Date("2026-10-19T10:00:00Z"); // a Monday
+  const due = (text, options = {}) => parseDuePhrase(text, { now, cued: true, ...options }).dueDate?.slice(0, 10);
+
+  it("reads relative days after a cue word", () => {
+    expect(due("Please finish this by Friday")).toBe("2026-10-23");
+    expect(due("due tomorrow")).toBe("2026-10-20");
+    expect(due("by today")).toBe("2026-10-19");
+    expect(due("by next Friday")).toBe("2026-10-30");
+    expect(due("by next Monday")).toBe("2026-10-26");
+    expect(due("by EOW")).toBe("2026-10-23");
+    expect(due("before the end of the month")).toBe("2026-10-31");
+    expect(due("due in 2 weeks")).toBe("2026-11-02");
+  });
+
+  it("reads calendar dates, rolling into next year when passed", () => {
+    expect(due("deadline: Nov 3")).toBe("2026-11-03");
+    expect(due("by the 3rd of November 2027")).toBe("2027-11-03");
+    expect(due("due Friday, November 6")).toBe("2026-11-06");
+    expect(due("no later than 2026-12-01")).toBe("2026-12-01");
+    expect(due("by Jan 5")).toBe("2027-01-05");
+    expect(due("by 30 February")).toBeUndefined();
+  });
+
+  it("ignores dates without a cue and times, and takes the earliest phrase", () => {
+    expect(due("We met on Friday and talked about March 3")).toBeUndefined();
+    expect(due("Call at 5pm")).toBeUndefined();
+    expect(due("Draft by Wednesday, final due Nov 20")).toBe("2026-10-21");
+  });
+
+  it("counts from the day it is at a fixed UTC offset", () => {
+    const late = new Date("2026-10-19T23:30:00Z");
+    expect(due("by tomorrow", { now: late, timeZone: 120 })).toBe("2026-10-21");
+    expect(due("by tomorrow", { now: late, timeZone: -420 })).toBe("2026-10-20");
+  });
+
+  it("reads the same phrases as quick add", () => {
+    const quick = parseQuickAdd("Report end of month", { now });
+    expect(quick.dueDate).toBe("2026-10-31T00:00:00.000Z");
+    expect(quick.title).toBe("Report");
+    expect(parseDuePhrase("Report 5pm friday", { now }).tokens).toEqual([
+      { type: "date", index: 11, text: "friday" },
+      { type: "time", index: 7, text: "5pm" },
+    ]);
+  });
+});
+
+describe("time zone helpers", () => {
+  it("knows IANA names", () => {
+    expect(isValidTimeZone("Europe/Berlin")).toBe(true);
+    expect(isValidTimeZone("UTC")).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus")).toBe(false);
+    expect(isValidTimeZone("")).toBe(false);
+  });
+
+  it("gives offsets and the first of two repeated wall times", () => {
+    expect(timeZoneOffset(new Date("2026-07-01T00:00:00Z"), "Europe/Berlin")).toBe(120);
+    expect(timeZoneOffset(new Date("2026-12-01T00:00:00Z"), "America/St_Johns")).toBe(-210);
+    // Berlin falls back at 03:00 on 2026-10-25: 02:30 happens in CEST, then CET.
+    expect(zonedTime({ year: 2026, month: 9, day: 25, hour: 2, minute: 30 }, "Europe/Berlin").toISOString()).toBe(
+      "2026-10-25T00:30:00.000Z"
+    );
+    // Berlin springs forward at 02:00 on 2027-03-28: 02:30 becomes 03:30 CEST.
+    expect(zonedTime({ year: 2027, month: 2, day: 28, hour: 2, minute: 30 }, "Europe/Berlin").toISOString()).toBe(
+      "2027-03-28T01:30:00.000Z"
+    );
+  });
+});
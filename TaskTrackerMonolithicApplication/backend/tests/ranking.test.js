@@ -0,0 +1,33 @@
+import { RANK_STEP } from "../models/Task.js";
+import { rankBetween } from "../services/ranking.js";
+
+// Pure tests: fractional ranks between neighbours (no database needed).
+describe("rankBetween", () => {
+  it("places ranks at the ends of a column a step away", () => {
+    expect(rankBetween(null, null)).toBe(RANK_STEP);
+    expect(rankBetween(null, 3000)).toBe(3000 - RANK_STEP);
+    expect(rankBetween(3000, undefined)).toBe(3000 + RANK_STEP);
+  });
+
+  it("takes the midpoint between two neighbours", () => {
+    expect(rankBetween(1024, 2048)).toBe(1536);
+    expect(rankBetween(-10, 10)).toBe(0);
+  });
+
+  it("keeps bisecting until the gap is exhausted", () => {
+    let below = RANK_STEP;
+    let steps = 0;
+    for (let rank = rankBetween(0, below); rank !== null; rank = rankBetween(0, below)) {
+      expect(rank).toBeGreaterThan(0);
+      expect(rank).toBeLessThan(below);
+      below = rank;
+      steps += 1;
+    }
+    expect(steps).toBeGreaterThan(50);
+  });
+
+  it("reports no room between equal or inverted neighbours", () => {
+    expect(rankBetween(5, 5)).toBeNull();
+    expect(rankBetween(6, 5)).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+import express from "express";
+import request from "supertest";
+import { createMemoryStore, createRateLimiter } from "../middleware/rateLimit.js";
+
+// Pure middleware tests: memory store only, no database needed.
+function appWith(limiter) {
+  const app = express();
+  app.use(limiter);
+  app.get("/", (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+describe("Rate limiter", () => {
+  it("answers 429 with Retry-After once the limit is hit", async () => {
+    const app = appWith(createRateLimiter({ max: 2, windowMs: 60 * 1000 }));
+
+    expect((await request(app).get("/")).statusCode).toBe(200);
+    const second = await request(app).get("/");
+    expect(second.statusCode).toBe(200);
+    expect(second.headers["ratelimit-remaining"]).toBe("0");
+
+    const third = await request(app).get("/");
+    expect(third.statusCode).toBe(429);
+    expect(Number(third.headers["retry-after"])).toBeGreaterThan(0);
+    expect(Number(third.headers["retry-after"])).toBeLessThanOrEqual(60);
+    expect(third.body.retryAfter).toBe(Number(third.headers["retry-after"]));
+  });
+
+  it("counts each key separately", async () => {
+    let ip = "1.1.1.1";
+    const app = appWith(createRateLimiter({ max: 1, keyGenerator: () => ip }));
+
+    expect((await request(app).get("/")).statusCode).toBe(200);
+    expect((await request(app).get("/")).statusCode).toBe(429);
+    ip = "2.2.2.2";
+    expect((await request(app).get("/")).statusCode).toBe(200);
+  });
+
+  it("starts a new window once the old one expires", async () => {
+    let now = 0;
+    const store = createMemoryStore({ now: () => now });
+
+    expect((await store.increment("k", 1000)).count).toBe(1);
+    expect((await store.increment("k", 1000)).count).toBe(2);
+    now = 1000;
+    expect((await store.increment("k", 1000)).count).toBe(1);
+  });
+
+  it("lets requests through when the store fails", async () => {
+    const store = { increment: () => Promise.reject(new Error("down")), reset: async () => {} };
+    const app = appWith(createRateLimiter({ max: 0, store }));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect((await request(app).get("/")).statusCode).toBe(200);
+    console.error.mockRestore();
+  });
+});
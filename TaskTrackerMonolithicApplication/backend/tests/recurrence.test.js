@@ -0,0 +1,111 @@
+import { nextOccurrence, normalizeRule, validateRule } from "../services/recurrence.js";
+
+// Pure tests: occurrence dates for each frequency and rule validation.
+const utc = (iso) => new Date(`${iso}T09:00:00.000Z`);
+const day = (date) => date.toISOString().slice(0, 10);
+
+function occurrences(rule, first, n) {
+  const dates = [first];
+  while (dates.length < n) {
+    const next = nextOccurrence(rule, dates[dates.length - 1], dates.length);
+    if (!next) break;
+    dates.push(next);
+  }
+  return dates.map(day);
+}
+
+describe("nextOccurrence", () => {
+  it("repeats daily every N days, keeping the time of day", () => {
+    expect(occurrences({ freq: "daily", interval: 2 }, utc("2030-01-30"), 3)).toEqual([
+      "2030-01-30",
+      "2030-02-01",
+      "2030-02-03",
+    ]);
+    expect(nextOccurrence({ freq: "daily" }, utc("2030-01-30"), 1).toISOString()).toBe(
+      "2030-01-31T09:00:00.000Z"
+    );
+  });
+
+  it("repeats weekly on the listed weekdays", () => {
+    // 2030-01-07 is a Monday; Monday, Wednesday and Friday.
+    const rule = { freq: "weekly", byWeekday: [1, 3, 5] };
+    expect(occurrences(rule, utc("2030-01-07"), 5)).toEqual([
+      "2030-01-07",
+      "2030-01-09",
+      "2030-01-11",
+      "2030-01-14",
+      "2030-01-16",
+    ]);
+  });
+
+  it("skips weeks for a weekly interval, with weeks starting on Monday", () => {
+    // Every other week on Tuesday and Sunday (Sunday ends the week).
+    const rule = { freq: "weekly", interval: 2, byWeekday: [2, 0] };
+    expect(occurrences(rule, utc("2030-01-08"), 4)).toEqual([
+      "2030-01-08",
+      "2030-01-13",
+      "2030-01-22",
+      "2030-01-27",
+    ]);
+  });
+
+  it("defaults a weekly rule to the due date's weekday", () => {
+    expect(occurrences({ freq: "weekly" }, utc("2030-01-09"), 3)).toEqual([
+      "2030-01-09",
+      "2030-01-16",
+      "2030-01-23",
+    ]);
+  });
+
+  it("clamps monthly dates to the end of shorter months", () => {
+    const rule = normalizeRule({ freq: "monthly" }, utc("2030-01-31"));
+    expect(rule.monthDay).toBe(31);
+    expect(occurrences(rule, utc("2030-01-31"), 4)).toEqual([
+      "2030-01-31",
+      "2030-02-28",
+      "2030-03-31",
+      "2030-04-30",
+    ]);
+    expect(occurrences({ freq: "monthly", interval: 3, monthDay: 15 }, utc("2030-11-15"), 2)).toEqual([
+      "2030-11-15",
+      "2031-02-15",
+    ]);
+  });
+
+  it("stops after count occurrences", () => {
+    expect(occurrences({ freq: "daily", count: 3 }, utc("2030-01-01"), 10)).toEqual([
+      "2030-01-01",
+      "2030-01-02",
+      "2030-01-03",
+    ]);
+  });
+
+  it("stops after the until date", () => {
+    const rule = { freq: "weekly", until: "2030-01-20T23:59:59.000Z" };
+    expect(occurrences(rule, utc("2030-01-06"), 10)).toEqual([
+      "2030-01-06",
+      "2030-01-13",
+      "2030-01-20",
+    ]);
+  });
+});
+
+describe("validateRule", () => {
+  it("accepts valid rules", () => {
+    expect(validateRule({ freq: "daily" })).toBeNull();
+    expect(validateRule({ freq: "weekly", interval: 2, byWeekday: [1, 4], count: 10 })).toBeNull();
+    expect(validateRule({ freq: "monthly", monthDay: 31, until: "2031-01-01" })).toBeNull();
+  });
+
+  it("rejects malformed rules", () => {
+    expect(validateRule("daily")).toMatch(/object/);
+    expect(validateRule({ freq: "yearly" })).toMatch(/freq/);
+    expect(validateRule({ freq: "daily", interval: 0 })).toMatch(/interval/);
+    expect(validateRule({ freq: "daily", byWeekday: [1] })).toMatch(/weekly/);
+    expect(validateRule({ freq: "weekly", byWeekday: [7] })).toMatch(/byWeekday/);
+    expect(validateRule({ freq: "weekly", monthDay: 3 })).toMatch(/monthDay/);
+    expect(validateRule({ freq: "daily", count: 3, until: "2031-01-01" })).toMatch(/either/);
+    expect(validateRule({ freq: "daily", until: "soon" })).toMatch(/until/);
+    expect(validateRule({ freq: "daily", count: 0 })).toMatch(/count/);
+  });
+});
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Reminder from "../models/Reminder.js";
+import {
+  DUE_SOON_OFFSET_MS,
+  createReminderWorker,
+  scheduleDueReminder,
+  syncTaskReminders,
+  cancelTaskReminders,
+  parseReminderOffset,
+} from "../services/reminders.js";
+
+let user;
+
+// Fake clock: tests move time forward explicitly.
+const clock = {
+  current: new Date("2030-01-01T00:00:00Z"),
+  now() { return new Date(this.current); },
+  advance(ms) { this.current = new Date(this.current.getTime() + ms); },
+};
+
+const HOUR = 60 * 60 * 1000;
+
+beforeAll(async () => {
+  process.env.MONGODB_URI = "mongodb://localhost:27017/tasktracker_test_reminders";
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Promise.all([User.deleteMany({}), Task.deleteMany({}), Reminder.deleteMany({})]);
+  user = await User.create({ email: "remind@tt.com", passwordHash: "x", name: "Reminded" });
+});
+
+beforeEach(async () => {
+  clock.current = new Date("2030-01-01T00:00:00Z");
+  await Promise.all([Task.deleteMany({}), Reminder.deleteMany({})]);
+});
+
+afterAll(async () => {
+  await Promise.all([User.deleteMany({}), Task.deleteMany({}), Reminder.deleteMany({})]);
+  await mongoose.connection.close();
+});
+
+async function makeTask(dueInMs, extra = {}) {
+  return Task.create({
+    title: "Remind me",
+    dueDate: new Date(clock.now().getTime() + dueInMs),
+    creator: user._id,
+    assignedTo: user._id,
+    ...extra,
+  });
+}
+
+describe("Reminder scheduler", () => {
+  it("persists a due reminder 24h before dueDate", async () => {
+    const task = await makeTask(48 * HOUR);
+    const reminder = await scheduleDueReminder(task, clock);
+    expect(reminder.email).toBe("remind@tt.com");
+    expect(reminder.sendAt.getTime()).toBe(task.dueDate.getTime() - DUE_SOON_OFFSET_MS);
+    expect(await Reminder.countDocuments({ status: "pending" })).toBe(1);
+  });
+
+  it("skips reminders whose send time already passed", async () => {
+    const task = await makeTask(2 * HOUR);
+    expect(await scheduleDueReminder(task, clock)).toBeNull();
+  });
+
+  it("reschedules when dueDate changes and cancels on completion", async () => {
+    const task = await makeTask(48 * HOUR);
+    await scheduleDueReminder(task, clock);
+
+    task.dueDate = new Date(task.dueDate.getTime() + 24 * HOUR);
+    await syncTaskReminders(task, clock);
+    const pending = await Reminder.find({ status: "pending" });
+    expect(pending).toHaveLength(1);
+    expect(pending[0].sendAt.getTime()).toBe(task.dueDate.getTime() - DUE_SOON_OFFSET_MS);
+
+    task.status = "completed";
+    await syncTaskReminders(task, clock);
+    expect(await Reminder.countDocuments({ status: "pending" })).toBe(0);
+  });
+
+  it("cancels reminders of a deleted task", async () => {
+    const task = await makeTask(48 * HOUR);
+    await scheduleDueReminder(task, clock);
+    expect(await cancelTaskReminders(task._id)).toBe(1);
+  });
+
+  it("delivers only when due, according to the clock", async () => {
+    const send = jest.fn().mockResolvedValue();
+    const worker = createReminderWorker({ send, clock });
+    const task = await makeTask(48 * HOUR);
+    await scheduleDueReminder(task, clock);
+
+    expect(await worker.tick()).toBe(0);
+    clock.advance(24 * HOUR);
+    expect(await worker.tick()).toBe(1);
+    expect(send).toHaveBeenCalledWith("remind@tt.com", expect.objectContaining({ title: "Remind me" }));
+
+    const reminder = await Reminder.findOne({ task: task._id });
+    expect(reminder.status).toBe("sent");
+    expect(await worker.tick()).toBe(0);
+  });
+
+  it("retries failed sends with backoff and eventually gives up", async () => {
+    const send = jest.fn().mockRejectedValue(new Error("SMTP down"));
+    const worker = createReminderWorker({ send, clock, maxAttempts: 2, backoffBaseMs: 60 * 1000 });
+    const task = await makeTask(48 * HOUR);
+    await scheduleDueReminder(task, clock);
+
+    clock.advance(24 * HOUR);
+    await worker.tick();
+    let reminder = await Reminder.findOne({ task: task._id });
+    expect(reminder.status).toBe("pending");
+    expect(reminder.attempts).toBe(1);
+    expect(reminder.lastError).toBe("SMTP down");
+
+    // Not retried before the backoff elapses.
+    expect(await worker.tick()).toBe(0);
+    clock.advance(60 * 1000);
+    await worker.tick();
+    reminder = await Reminder.findOne({ task: task._id });
+    expect(reminder.status).toBe("failed");
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it("lets only one worker claim a reminder", async () => {
+    const send = jest.fn().mockResolvedValue();
+    const a = createReminderWorker({ send, clock });
+    const b = createReminderWorker({ send, clock });
+    const task = await makeTask(48 * HOUR);
+    await scheduleDueReminder(task, clock);
+    clock.advance(24 * HOUR);
+
+    await Promise.all([a.tick(), b.tick()]);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it("cancels instead of sending when the task was completed meanwhile", async () => {
+    const send = jest.fn().mockResolvedValue();
+    const worker = createReminderWorker({ send, clock });
+    const task = await makeTask(48 * HOUR);
+    await scheduleDueReminder(task, clock);
+    await Task.updateOne({ _id: task._id }, { status: "completed" });
+
+    clock.advance(24 * HOUR);
+    await worker.tick();
+    expect(send).not.toHaveBeenCalled();
+    expect((await Reminder.findOne({ task: task._id })).status).toBe("cancelled");
+  });
+});
+
+describe("parseReminderOffset", () => {
+  it("understands units with an optional 'before due' suffix", () => {
+    expect(parseReminderOffset("2h before due")).toBe(2 * HOUR);
+    expect(parseReminderOffset("30m")).toBe(30 * 60 * 1000);
+    expect(parseReminderOffset("1 day")).toBe(24 * HOUR);
+    expect(parseReminderOffset("1w before")).toBe(7 * 24 * HOUR);
+  });
+
+  it("rejects unknown or zero offsets", () => {
+    expect(parseReminderOffset("soon")).toBeNull();
+    expect(parseReminderOffset("0h")).toBeNull();
+    expect(parseReminderOffset("2 fortnights")).toBeNull();
+  });
+});
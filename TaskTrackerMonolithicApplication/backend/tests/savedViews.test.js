@@ -0,0 +1,85 @@
+import { BUILT_IN_VIEWS, viewConditions } from "../services/savedViews.js";
+import { overdueCondition } from "../services/dueDates.js";
+
+// Pure tests of the saved view evaluator (no database needed).
+// 2026-10-19 is a Monday; 22:00 UTC is already Tuesday 07:00 in Tokyo.
+const now = new Date("2026-10-19T22:00:00Z");
+const userId = "64b000000000000000000001";
+const evaluate = (filters, timeZone = "UTC", at = now) => viewConditions({ filters }, { userId, now: at, timeZone });
+const builtIn = (id) => BUILT_IN_VIEWS.find((view) => view._id === id);
+
+// The [date-only window, timed window] of a dueOnDays condition, as ISO strings.
+const windows = (condition) =>
+  condition.$or.map(({ dueDate }) => [dueDate.$gte.toISOString(), dueDate.$lt.toISOString()]);
+
+describe("viewConditions", () => {
+  it("maps plain filters to task conditions", () => {
+    expect(evaluate({
+      status: "review",
+      category: "in_progress",
+      priority: "high",
+      project: "64b0000000000000000000aa",
+      tags: ["ops", "q4"],
+      tagsMode: "all",
+    })).toEqual([
+      { status: "review" },
+      { statusCategory: "in_progress" },
+      { priority: "high" },
+      { project: "64b0000000000000000000aa" },
+      { tags: { $all: ["ops", "q4"] } },
+    ]);
+    expect(evaluate({ tags: ["ops"] })).toEqual([{ tags: { $in: ["ops"] } }]);
+    expect(evaluate({})).toEqual([]);
+  });
+
+  it("resolves assigned to me against the viewer", () => {
+    expect(evaluate({ assignee: "me", hideDone: true })).toEqual([
+      { statusCategory: { $ne: "done" } },
+      { assignedTo: userId },
+    ]);
+    expect(evaluate({ assignee: "unassigned" })).toEqual([{ assignedTo: null }]);
+    expect(evaluate({ due: "none" })).toEqual([{ dueDate: null }]);
+  });
+
+  it("takes today in the viewer's time zone", () => {
+    expect(windows(evaluate({ due: "today" })[0])).toEqual([
+      ["2026-10-19T00:00:00.000Z", "2026-10-20T00:00:00.000Z"],
+      ["2026-10-19T00:00:00.000Z", "2026-10-20T00:00:00.000Z"],
+    ]);
+    // Date-only due dates match Tuesday's date; timed ones Tuesday in Tokyo (UTC+9).
+    expect(windows(evaluate({ due: "today" }, "Asia/Tokyo")[0])).toEqual([
+      ["2026-10-20T00:00:00.000Z", "2026-10-21T00:00:00.000Z"],
+      ["2026-10-19T15:00:00.000Z", "2026-10-20T15:00:00.000Z"],
+    ]);
+    expect(windows(evaluate({ due: "today" }, "America/New_York")[0])).toEqual([
+      ["2026-10-19T00:00:00.000Z", "2026-10-20T00:00:00.000Z"],
+      ["2026-10-19T04:00:00.000Z", "2026-10-20T04:00:00.000Z"],
+    ]);
+  });
+
+  it("covers the next N days from today, across a DST change", () => {
+    // It is Tuesday 00:00 in Paris, which leaves summer time on 2026-10-25.
+    expect(windows(evaluate({ due: "next", dueDays: 7 }, "Europe/Paris")[0])).toEqual([
+      ["2026-10-20T00:00:00.000Z", "2026-10-27T00:00:00.000Z"],
+      ["2026-10-19T22:00:00.000Z", "2026-10-26T23:00:00.000Z"],
+    ]);
+    expect(windows(evaluate({ due: "next" })[0])[0]).toEqual(["2026-10-19T00:00:00.000Z", "2026-10-26T00:00:00.000Z"]);
+  });
+
+  it("counts open tasks as overdue after their time, or after their day when date-only", () => {
+    const [condition] = evaluate({ due: "overdue" }, "Asia/Tokyo");
+    expect(condition).toEqual(overdueCondition({ now, timeZone: "Asia/Tokyo" }));
+    expect(condition.statusCategory).toEqual({ $ne: "done" });
+    expect(condition.$or.map(({ dueDate }) => dueDate.$lt.toISOString())).toEqual([
+      "2026-10-20T00:00:00.000Z",
+      now.toISOString(),
+    ]);
+    expect(overdueCondition({ now }).$or[0].dueDate.$lt.toISOString()).toBe("2026-10-19T00:00:00.000Z");
+  });
+
+  it("defines the built-in Today, Upcoming and Overdue views", () => {
+    expect(BUILT_IN_VIEWS.map((view) => view.name)).toEqual(["Today", "Upcoming", "Overdue"]);
+    expect(evaluate(builtIn("upcoming").filters)[0]).toEqual({ statusCategory: { $ne: "done" } });
+    expect(windows(evaluate(builtIn("upcoming").filters)[1])[0][1]).toBe("2026-10-26T00:00:00.000Z");
+  });
+});
@@ -0,0 +1,69 @@
+import { highlight, highlightTask, parseSearchQuery, searchConditions } from "../services/search.js";
+
+// Pure tests of the search query language; no database needed.
+describe("parseSearchQuery", () => {
+  it("splits words, phrases, prefixes and scoped fields", () => {
+    const parsed = parseSearchQuery('deploy "release notes" depl* title:"big one" assignee:me due:<2026-11-01');
+    expect(parsed).toMatchObject({
+      words: ["deploy"],
+      phrases: ["release notes"],
+      prefixes: ["depl"],
+      title: ["big one"],
+      assignee: ["me"],
+      due: [{ op: "<", date: new Date("2026-11-01T00:00:00Z") }],
+      errors: [],
+    });
+  });
+
+  it("accepts due:none and exact days, and reports bad dates", () => {
+    expect(parseSearchQuery("due:none").due).toEqual([{ none: true }]);
+    expect(parseSearchQuery("due:2026-11-01").due[0].op).toBe("=");
+    expect(parseSearchQuery("due:soon").errors).toHaveLength(1);
+  });
+
+  it("treats unknown fields as plain words", () => {
+    expect(parseSearchQuery("foo:bar").words).toEqual(["foo:bar"]);
+  });
+});
+
+describe("searchConditions", () => {
+  const user = { id: "000000000000000000000001" };
+
+  it("builds the $text string from words and phrases", async () => {
+    const { text, conditions } = await searchConditions(parseSearchQuery('deploy "release notes"'), user);
+    expect(text).toBe('deploy "release notes"');
+    expect(conditions).toEqual([]);
+  });
+
+  it("uses day boundaries for due filters", async () => {
+    const { text, conditions } = await searchConditions(parseSearchQuery("due:<=2026-11-01 assignee:me"), user);
+    expect(text).toBeNull();
+    expect(conditions).toEqual([
+      { dueDate: { $lt: new Date("2026-11-02T00:00:00Z") } },
+      { assignedTo: { $in: [user.id] } },
+    ]);
+  });
+});
+
+describe("highlight", () => {
+  it("marks matches, including longer forms of a word", () => {
+    const task = { title: "Deploy the app", description: "Deployment checklist" };
+    expect(highlightTask(task, parseSearchQuery("deploy"))).toEqual({
+      title: [{ text: "Deploy", match: true }, { text: " the app", match: false }],
+      description: [{ text: "Deployment", match: true }, { text: " checklist", match: false }],
+    });
+  });
+
+  it("cuts long text to a snippet around the first match", () => {
+    const text = `${"a ".repeat(100)}needle${" b".repeat(100)}`;
+    const segments = highlight(text, /needle/gi, 40);
+    expect(segments[0].text.startsWith("…")).toBe(true);
+    expect(segments[segments.length - 1].text.endsWith("…")).toBe(true);
+    expect(segments.find((s) => s.match).text).toBe("needle");
+    expect(segments.map((s) => s.text).join("").length).toBeLessThanOrEqual(42);
+  });
+
+  it("returns null when nothing matches", () => {
+    expect(highlight("nothing here", /needle/gi)).toBeNull();
+  });
+});
@@ -0,0 +1,15 @@
+import { computeProgress } from "../services/subtasks.js";
+
+// Pure tests: progress roll-up (no database needed).
+describe("computeProgress", () => {
+  it("counts checklist items and subtasks together", () => {
+    const checklist = [{ text: "a", done: true }, { text: "b", done: false }];
+    expect(computeProgress(checklist, { total: 2, done: 1 })).toEqual({ done: 2, total: 4, percent: 50 });
+    expect(computeProgress(checklist)).toEqual({ done: 1, total: 2, percent: 50 });
+    expect(computeProgress([], { total: 3, done: 1 })).toEqual({ done: 1, total: 3, percent: 33 });
+  });
+
+  it("has no percent with nothing to count", () => {
+    expect(computeProgress()).toEqual({ done: 0, total: 0, percent: null });
+  });
+});
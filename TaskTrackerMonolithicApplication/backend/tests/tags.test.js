@@ -0,0 +1,119 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import app from "../server.js";
+import Task from "../models/Task.js";
+import Tag from "../models/Tag.js";
+import User from "../models/User.js";
+import Project from "../models/Project.js";
+
+let server, token, otherToken;
+
+beforeAll(async () => {
+  process.env.MONGODB_URI = "mongodb://localhost:27017/tasktracker_test_tags";
+  process.env.JWT_SECRET = "testsecret";
+  server = app.listen(4007);
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Promise.all([User.deleteMany({}), Task.deleteMany({}), Tag.deleteMany({}), Project.deleteMany({})]);
+
+  const reg = await request(app)
+    .post("/api/auth/register")
+    .send({ email: "tags@tt.com", password: "pass1234", name: "Tagger" });
+  token = reg.body.token;
+  const other = await request(app)
+    .post("/api/auth/register")
+    .send({ email: "tags-other@tt.com", password: "pass1234", name: "Other" });
+  otherToken = other.body.token;
+});
+
+afterAll(async () => {
+  await Promise.all([User.deleteMany({}), Task.deleteMany({}), Tag.deleteMany({}), Project.deleteMany({})]);
+  await mongoose.connection.close();
+  server && server.close();
+});
+
+describe("Tags", () => {
+  const auth = (req, as = token) => req.set("Authorization", `Bearer ${as}`);
+  const create = async (fields, as = token) =>
+    (await auth(request(app).post("/api/tasks"), as).send(fields)).body.task;
+  const list = async (qs) => (await auth(request(app).get(`/api/tasks?${qs}`))).body.tasks.map((t) => t.title).sort();
+  const tags = async (qs = "", as = token) => (await auth(request(app).get(`/api/tags${qs}`), as)).body.tags;
+
+  it("stores task tags lowercase and registers them with colors", async () => {
+    const task = await create({ title: "Budget", tags: ["Finance", "finance", "q4"] });
+    expect(task.tags).toEqual(["finance", "q4"]);
+    await create({ title: "Audit", tags: ["finance", "ops"] });
+    await create({ title: "Plain" });
+
+    const mine = await tags();
+    expect(mine.map((t) => [t.name, t.count])).toEqual([["finance", 2], ["ops", 1], ["q4", 1]]);
+    expect(mine[0].color).toMatch(/^#[0-9a-f]{6}$/);
+    expect(await tags("", otherToken)).toEqual([]);
+
+    const bad = await auth(request(app).post("/api/tasks")).send({ title: "Bad", tags: ["two words"] });
+    expect(bad.statusCode).toBe(400);
+  });
+
+  it("filters the task list by any or all tags", async () => {
+    expect(await list("tags=finance")).toEqual(["Audit", "Budget"]);
+    expect(await list("tags=q4,ops")).toEqual(["Audit", "Budget"]);
+    expect(await list("tags=finance,ops&tagsMode=all")).toEqual(["Audit"]);
+    expect((await auth(request(app).get("/api/tasks?tagsMode=some"))).statusCode).toBe(400);
+  });
+
+  it("creates, recolors and renames tags across tasks", async () => {
+    const created = await auth(request(app).post("/api/tags")).send({ name: "#Later", color: "#123456" });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.tag).toMatchObject({ name: "later", color: "#123456" });
+    expect((await auth(request(app).post("/api/tags")).send({ name: "later" })).statusCode).toBe(409);
+
+    const finance = (await tags()).find((t) => t.name === "finance");
+    const renamed = await auth(request(app).put(`/api/tags/${finance._id}`)).send({ name: "money", color: "#00aa00" });
+    expect(renamed.body).toMatchObject({ tag: { name: "money", color: "#00aa00" }, tasksUpdated: 2 });
+    expect(await list("tags=money")).toEqual(["Audit", "Budget"]);
+    expect(await list("tags=finance")).toEqual([]);
+
+    const collision = await auth(request(app).put(`/api/tags/${finance._id}`)).send({ name: "ops" });
+    expect(collision.statusCode).toBe(409);
+    expect((await auth(request(app).put(`/api/tags/${finance._id}`), otherToken).send({ color: "#000000" })).statusCode)
+      .toBe(404);
+  });
+
+  it("merges and deletes tags on every task", async () => {
+    const byName = Object.fromEntries((await tags()).map((t) => [t.name, t]));
+    const merged = await auth(request(app).post(`/api/tags/${byName.ops._id}/merge`)).send({ into: byName.money._id });
+    expect(merged.body).toMatchObject({ tag: { name: "money" }, tasksUpdated: 1 });
+    const audit = await Task.findOne({ title: "Audit" });
+    expect(audit.tags).toEqual(["money"]);
+    expect(await Tag.exists({ _id: byName.ops._id })).toBeNull();
+
+    const removed = await auth(request(app).delete(`/api/tags/${byName.q4._id}`));
+    expect(removed.body.tasksUpdated).toBe(1);
+    expect((await Task.findOne({ title: "Budget" })).tags).toEqual(["money"]);
+  });
+
+  it("adds and removes tags in bulk and records them in history", async () => {
+    const ids = (await Task.find({ title: { $in: ["Budget", "Plain"] } })).map((t) => t.id);
+    const res = await auth(request(app).post("/api/tasks/bulk")).send({
+      action: "update",
+      ids,
+      changes: { addTags: ["Urgent"], removeTags: ["money"] },
+    });
+    expect(res.body.succeeded).toBe(2);
+    expect(res.body.results.map((r) => r.task.tags)).toEqual([["urgent"], ["urgent"]]);
+    expect((await tags()).find((t) => t.name === "urgent").count).toBe(2);
+
+    const history = await auth(request(app).get(`/api/tasks/${ids[0]}/history`));
+    expect(history.body.history.at(-1).changes).toEqual([{ field: "tags", from: ["money"], to: ["urgent"] }]);
+  });
+
+  it("keeps project tags with the project and checks roles", async () => {
+    const project = (await auth(request(app).post("/api/projects")).send({ name: "Tagged" })).body.project;
+    await auth(request(app).post(`/api/projects/${project._id}/members`)).send({ email: "tags-other@tt.com", role: "viewer" });
+    await create({ title: "Launch", project: project._id, tags: ["release"] });
+
+    expect((await tags(`?project=${project._id}`, otherToken)).map((t) => t.name)).toEqual(["release"]);
+    expect((await tags()).some((t) => t.name === "release")).toBe(false);
+    const refused = await auth(request(app).post("/api/tags"), otherToken).send({ name: "x", project: project._id });
+    expect(refused.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,64 @@
+import { can, forbiddenUpdateFields, TASK_ACTIONS } from "../policies/taskPolicy.js";
+
+const CREATOR = "000000000000000000000001";
+const ASSIGNEE = "000000000000000000000002";
+const OTHER = "000000000000000000000003";
+
+const task = { creator: CREATOR, assignedTo: ASSIGNEE, project: "p1", status: "todo", title: "T" };
+
+const users = {
+  admin: [{ id: OTHER, role: "admin" }, {}],
+  creator: [{ id: CREATOR, role: "user" }, {}],
+  assignee: [{ id: ASSIGNEE, role: "user" }, {}],
+  projectOwner: [{ id: OTHER, role: "user" }, { projectRole: "owner" }],
+  projectEditor: [{ id: OTHER, role: "user" }, { projectRole: "editor" }],
+  projectViewer: [{ id: OTHER, role: "user" }, { projectRole: "viewer" }],
+  stranger: [{ id: OTHER, role: "user" }, {}],
+};
+
+// Expected permissions: rows are users, columns follow TASK_ACTIONS order
+// (read, update, delete, assign, complete, remind, comment).
+const matrix = {
+  admin:         [true,  true,  true,  true,  true,  true,  true],
+  creator:       [true,  true,  true,  true,  true,  true,  true],
+  assignee:      [true,  true,  false, false, true,  true,  true],
+  projectOwner:  [true,  true,  true,  true,  true,  true,  true],
+  projectEditor: [true,  true,  false, true,  true,  true,  true],
+  projectViewer: [true,  false, false, false, false, false, true],
+  stranger:      [false, false, false, false, false, false, false],
+};
+
+describe("Task policy matrix", () => {
+  for (const [who, expected] of Object.entries(matrix)) {
+    TASK_ACTIONS.forEach((action, i) => {
+      it(`${who} ${expected[i] ? "may" : "may not"} ${action}`, () => {
+        const [user, context] = users[who];
+        expect(can(user, action, task, context)).toBe(expected[i]);
+      });
+    });
+  }
+
+  it("rejects unknown actions and missing users", () => {
+    expect(can(users.creator[0], "archive", task)).toBe(false);
+    expect(can(null, "read", task)).toBe(false);
+  });
+});
+
+describe("Per-field update rules", () => {
+  it("lets the assignee change status but not reassign", () => {
+    const [assignee] = users.assignee;
+    expect(forbiddenUpdateFields(assignee, task, { status: "in_progress", title: "T2" })).toEqual([]);
+    expect(forbiddenUpdateFields(assignee, task, { assignedTo: OTHER })).toEqual(["assignedTo"]);
+    expect(forbiddenUpdateFields(assignee, task, { project: "p2" })).toEqual(["project"]);
+  });
+
+  it("ignores fields that keep their value", () => {
+    const [assignee] = users.assignee;
+    expect(forbiddenUpdateFields(assignee, task, { assignedTo: ASSIGNEE, title: "T" })).toEqual([]);
+  });
+
+  it("lets editors reassign", () => {
+    const [editor, context] = users.projectEditor;
+    expect(forbiddenUpdateFields(editor, task, { assignedTo: CREATOR }, context)).toEqual([]);
+  });
+});
@@ -3,6 +3,11 @@ import mongoose from "mongoose";
 import app from "../server.js";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
+import Reminder from "../models/Reminder.js";
+import TaskHistory from "../models/TaskHistory.js";
+import TaskSeries from "../models/TaskSeries.js";
+import Project from "../models/Project.js";
+import { up as migratePriorityRank } from "../migrations/001-priority-rank.js";
 
 let server, token, userId, taskId;
 
@@ -13,6 +18,10 @@ beforeAll(async () => {
   await mongoose.connect(process.env.MONGODB_URI);
   await User.deleteMany({});
   await Task.deleteMany({});
+  await Reminder.deleteMany({});
+  await TaskHistory.deleteMany({});
+  await TaskSeries.deleteMany({});
+  await Project.deleteMany({});
 
   // Register and login test user
   const reg = await request(app)
@@ -25,6 +34,10 @@ beforeAll(async () => {
 afterAll(async () => {
   await User.deleteMany({});
   await Task.deleteMany({});
+  await Reminder.deleteMany({});
+  await TaskHistory.deleteMany({});
+  await TaskSeries.deleteMany({});
+  await Project.deleteMany({});
   await mongoose.connection.close();
   server && server.close();
 });
@@ -99,18 +112,997 @@ describe("Task API", () => {
     expect(res.statusCode).toBe(404);
   });
 
-  // Email notification manual schedule (email sending is mocked/skipped)
+  // Manual reminders are persisted and delivered by the reminder worker
+  let notifTaskId, reminderId;
+
   it("schedules manual email notification", async () => {
     // Recreate a task
     const { body } = await request(app)
       .post("/api/tasks")
       .set("Authorization", `Bearer ${token}`)
       .send({ title: "Notif Task", description: "Should email", dueDate: "2099-12-31" });
+    notifTaskId = body.task._id;
     const res = await request(app)
-      .post(`/api/tasks/${body.task._id}/schedule-email`)
+      .post(`/api/tasks/${notifTaskId}/schedule-email`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ email: "reminder@tt.com", sendAt: "2099-12-30T09:00:00Z" });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.reminder.status).toBe("pending");
+    expect(res.body.reminder.kind).toBe("manual");
+    expect(new Date(res.body.reminder.sendAt).toISOString()).toBe("2099-12-30T09:00:00.000Z");
+    reminderId = res.body.reminder._id;
+  });
+
+  it("schedules a reminder relative to the due date", async () => {
+    const res = await request(app)
+      .post(`/api/tasks/${notifTaskId}/schedule-email`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ offset: "2h before due" });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.reminder.email).toBe("tasker@tt.com");
+    expect(new Date(res.body.reminder.sendAt).toISOString()).toBe("2099-12-30T22:00:00.000Z");
+  });
+
+  it("rejects invalid or past reminder times", async () => {
+    const bad = await request(app)
+      .post(`/api/tasks/${notifTaskId}/schedule-email`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ offset: "soonish" });
+    expect(bad.statusCode).toBe(400);
+
+    const past = await request(app)
+      .post(`/api/tasks/${notifTaskId}/schedule-email`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ sendAt: "2000-01-01T00:00:00Z" });
+    expect(past.statusCode).toBe(400);
+  });
+
+  it("lists reminders of a task", async () => {
+    const res = await request(app)
+      .get(`/api/tasks/${notifTaskId}/reminders`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    // Automatic due reminder plus the two manual ones
+    expect(res.body.reminders).toHaveLength(3);
+  });
+
+  it("cancels a queued reminder", async () => {
+    const res = await request(app)
+      .delete(`/api/tasks/${notifTaskId}/reminders/${reminderId}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.reminder.status).toBe("cancelled");
+
+    const again = await request(app)
+      .delete(`/api/tasks/${notifTaskId}/reminders/${reminderId}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(again.statusCode).toBe(409);
+  });
+
+  it("reschedules the due reminder only when the due date, assignee or status category change", async () => {
+    const dueReminder = () => Reminder.findOne({ task: notifTaskId, kind: "due_soon", status: "pending" });
+    const original = await dueReminder();
+    const edit = (changes) =>
+      request(app)
+        .put(`/api/tasks/${notifTaskId}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Notif Task", ...changes });
+
+    expect((await edit({ description: "Just words" })).statusCode).toBe(200);
+    expect(String((await dueReminder())._id)).toBe(String(original._id));
+
+    expect((await edit({ dueDate: "2099-12-29T23:00:00Z" })).statusCode).toBe(200);
+    const moved = await dueReminder();
+    expect(String(moved._id)).not.toBe(String(original._id));
+    expect(moved.sendAt.toISOString()).toBe("2099-12-28T23:00:00.000Z");
+  });
+
+  // Authorization policy applied through the routes
+  it("lets an assignee change status but not reassign or delete", async () => {
+    const other = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "assignee@tt.com", password: "pass1234", name: "Assignee" });
+    const { body } = await request(app)
+      .post("/api/tasks")
       .set("Authorization", `Bearer ${token}`)
-      .send({ email: "reminder@tt.com" });
-    // Success even if SMTP is not configured for testing
-    expect([200,500,400]).toContain(res.statusCode);
+      .send({ title: "Delegated", assignedTo: other.body.user.id });
+
+    const status = await request(app)
+      .put(`/api/tasks/${body.task._id}`)
+      .set("Authorization", `Bearer ${other.body.token}`)
+      .send({ title: "Delegated", status: "in_progress" });
+    expect(status.statusCode).toBe(200);
+
+    const reassign = await request(app)
+      .put(`/api/tasks/${body.task._id}`)
+      .set("Authorization", `Bearer ${other.body.token}`)
+      .send({ title: "Delegated", assignedTo: userId });
+    expect(reassign.statusCode).toBe(403);
+
+    const del = await request(app)
+      .delete(`/api/tasks/${body.task._id}`)
+      .set("Authorization", `Bearer ${other.body.token}`);
+    expect(del.statusCode).toBe(403);
+  });
+
+  it("ignores server-owned fields in an update", async () => {
+    const other = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "takeover@tt.com", password: "pass1234", name: "Takeover" });
+    const { body } = await request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Owned", assignedTo: other.body.user.id });
+
+    const takeover = await request(app)
+      .put(`/api/tasks/${body.task._id}`)
+      .set("Authorization", `Bearer ${other.body.token}`)
+      .send({ creator: other.body.user.id, externalId: "forged", priorityRank: 99 });
+    expect(takeover.statusCode).toBe(200);
+    const saved = await Task.findById(body.task._id);
+    expect(saved.creator.toString()).toBe(userId);
+    expect(saved.externalId).toBeUndefined();
+
+    const del = await request(app)
+      .delete(`/api/tasks/${body.task._id}`)
+      .set("Authorization", `Bearer ${other.body.token}`);
+    expect(del.statusCode).toBe(403);
+  });
+
+  it("honors the admin role on any task", async () => {
+    const { body } = await request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Private" });
+    await request(app)
+      .post("/api/auth/register")
+      .send({ email: "admin@tt.com", password: "pass1234", name: "Admin" });
+    await User.updateOne({ email: "admin@tt.com" }, { role: "admin" });
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "admin@tt.com", password: "pass1234" });
+
+    const res = await request(app)
+      .delete(`/api/tasks/${body.task._id}`)
+      .set("Authorization", `Bearer ${login.body.token}`);
+    expect(res.statusCode).toBe(200);
+  });
+
+  // Audit history
+  it("records who changed which field, including completion toggles", async () => {
+    const { body } = await request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Audited", priority: "low" });
+    const id = body.task._id;
+    await request(app)
+      .put(`/api/tasks/${id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Audited v2", priority: "low" });
+    await request(app)
+      .post(`/api/tasks/${id}/complete`)
+      .set("Authorization", `Bearer ${token}`);
+
+    const res = await request(app)
+      .get(`/api/tasks/${id}/history`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.history.map((h) => h.action)).toEqual(["create", "update", "complete"]);
+    expect(res.body.history[1].changes).toEqual([{ field: "title", from: "Audited", to: "Audited v2" }]);
+    expect(res.body.history[2].changes).toEqual([{ field: "status", from: "todo", to: "completed" }]);
+    expect(res.body.history[2].actor.email).toBe("tasker@tt.com");
+  });
+
+  it("reverts a task to an earlier version", async () => {
+    const { body } = await request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Original", description: "first" });
+    const id = body.task._id;
+    await request(app)
+      .put(`/api/tasks/${id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Changed", description: "second", priority: "high" });
+
+    const history = await request(app)
+      .get(`/api/tasks/${id}/history`)
+      .set("Authorization", `Bearer ${token}`);
+    const createEntry = history.body.history[0]._id;
+
+    const res = await request(app)
+      .post(`/api/tasks/${id}/history/${createEntry}/revert`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.task).toMatchObject({ title: "Original", description: "first", priority: "medium" });
+
+    const after = await TaskHistory.find({ task: id }).sort({ createdAt: 1, _id: 1 });
+    expect(after[after.length - 1].action).toBe("revert");
+    expect(String(after[after.length - 1].revertedTo)).toBe(createEntry);
+
+    const missing = await request(app)
+      .post(`/api/tasks/${id}/history/${new mongoose.Types.ObjectId()}/revert`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  // Cursor pagination
+  it("pages through tasks with nextCursor and an optional total", async () => {
+    for (const n of [1, 2, 3]) {
+      await request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: `Paged ${n}`, dueDate: "2099-06-01" });
+    }
+    const all = await request(app)
+      .get("/api/tasks?sortBy=dueDate&limit=200")
+      .set("Authorization", `Bearer ${token}`);
+
+    const ids = [];
+    let cursor = "";
+    let first;
+    do {
+      const res = await request(app)
+        .get(`/api/tasks?sortBy=dueDate&limit=2&includeCount=true${cursor ? `&cursor=${cursor}` : ""}`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.tasks.length).toBeLessThanOrEqual(2);
+      first = first || res.body;
+      ids.push(...res.body.tasks.map((t) => t._id));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(first.total).toBe(all.body.tasks.length);
+    expect(ids).toEqual(all.body.tasks.map((t) => t._id));
+  });
+
+  it("rejects an invalid cursor or limit", async () => {
+    const badCursor = await request(app)
+      .get("/api/tasks?cursor=garbage")
+      .set("Authorization", `Bearer ${token}`);
+    expect(badCursor.statusCode).toBe(400);
+
+    const badLimit = await request(app)
+      .get("/api/tasks?limit=0")
+      .set("Authorization", `Bearer ${token}`);
+    expect(badLimit.statusCode).toBe(400);
+  });
+
+  // Full-text search
+  it("searches titles and descriptions with ranking and highlights", async () => {
+    await Task.createIndexes();
+    for (const task of [
+      { title: "Write release notes", description: "Summarize the sprint" },
+      { title: "Plan sprint", description: "Pick stories for the release" },
+      { title: "Unrelated chore", description: "Water the plants", dueDate: "2099-01-15" },
+    ]) {
+      await request(app).post("/api/tasks").set("Authorization", `Bearer ${token}`).send(task);
+    }
+
+    const res = await request(app)
+      .get(`/api/tasks?q=${encodeURIComponent("release")}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    // Title matches weigh more than description matches
+    expect(res.body.tasks.map((t) => t.title)).toEqual(["Write release notes", "Plan sprint"]);
+    expect(res.body.tasks[0].highlights.title).toContainEqual({ text: "release", match: true });
+
+    const phrase = await request(app)
+      .get(`/api/tasks?q=${encodeURIComponent('"release notes"')}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(phrase.body.tasks.map((t) => t.title)).toEqual(["Write release notes"]);
+
+    const prefix = await request(app)
+      .get(`/api/tasks?q=${encodeURIComponent("plan*")}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(prefix.body.tasks.map((t) => t.title).sort()).toEqual(["Plan sprint", "Unrelated chore"]);
+  });
+
+  it("supports field-scoped search terms", async () => {
+    const scoped = await request(app)
+      .get(`/api/tasks?q=${encodeURIComponent("title:chore due:<2099-02-01 assignee:me")}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(scoped.body.tasks.map((t) => t.title)).toEqual(["Unrelated chore"]);
+
+    const nobody = await request(app)
+      .get(`/api/tasks?q=${encodeURIComponent("assignee:nobody@tt.com")}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(nobody.body.tasks).toEqual([]);
+
+    const bad = await request(app)
+      .get(`/api/tasks?q=${encodeURIComponent("due:tomorrow")}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(bad.statusCode).toBe(400);
+  });
+
+  // Priority rank and multi-key sorting
+  describe("sorting", () => {
+    const titles = (res) => res.body.tasks.map((t) => t.title);
+    const list = (params) =>
+      request(app)
+        .get(`/api/tasks?q=${encodeURIComponent("title:Rank")}&${params}`)
+        .set("Authorization", `Bearer ${token}`);
+
+    beforeAll(async () => {
+      for (const task of [
+        { title: "Rank low", priority: "low", dueDate: "2099-03-01" },
+        { title: "Rank high late", priority: "high", dueDate: "2099-05-01" },
+        { title: "Rank medium", priority: "medium" },
+        { title: "Rank high early", priority: "high", dueDate: "2099-02-01" },
+        { title: "Rank high undated", priority: "high" },
+      ]) {
+        await request(app).post("/api/tasks").set("Authorization", `Bearer ${token}`).send(task);
+      }
+    });
+
+    it("orders priority low < medium < high", async () => {
+      const asc = await list("sortBy=priority&order=asc");
+      expect(asc.statusCode).toBe(200);
+      expect(asc.body.tasks.map((t) => t.priority)).toEqual(["low", "medium", "high", "high", "high"]);
+
+      const desc = await list("sortBy=priority&order=desc");
+      expect(desc.body.tasks.map((t) => t.priority)).toEqual(["high", "high", "high", "medium", "low"]);
+    });
+
+    it("sorts by several keys with per-key directions", async () => {
+      const res = await list("sortBy=priority,dueDate&order=desc,asc");
+      expect(titles(res)).toEqual([
+        "Rank high early",
+        "Rank high late",
+        "Rank high undated",
+        "Rank medium",
+        "Rank low",
+      ]);
+    });
+
+    it("puts tasks without a due date last in both directions", async () => {
+      const asc = await list("sortBy=dueDate&order=asc");
+      expect(titles(asc).slice(-2).sort()).toEqual(["Rank high undated", "Rank medium"]);
+      expect(titles(asc)[0]).toBe("Rank high early");
+
+      const desc = await list("sortBy=dueDate&order=desc");
+      expect(titles(desc).slice(-2).sort()).toEqual(["Rank high undated", "Rank medium"]);
+      expect(titles(desc)[0]).toBe("Rank high late");
+    });
+
+    it("pages through a multi-key sort", async () => {
+      const ids = [];
+      let cursor = "";
+      do {
+        const res = await list(`sortBy=priority,dueDate&order=desc,asc&limit=2${cursor ? `&cursor=${cursor}` : ""}`);
+        ids.push(...titles(res));
+        cursor = res.body.nextCursor;
+      } while (cursor);
+      expect(ids).toEqual(titles(await list("sortBy=priority,dueDate&order=desc,asc")));
+    });
+
+    it("rejects unknown or repeated sort keys", async () => {
+      expect((await list("sortBy=title")).statusCode).toBe(400);
+      expect((await list("sortBy=priority,priority")).statusCode).toBe(400);
+      expect((await list("sortBy=priority&order=up")).statusCode).toBe(400);
+    });
+
+    it("keeps the rank in sync on update and backfills old documents", async () => {
+      const { body } = await request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Rank synced", priority: "low" });
+      await request(app)
+        .put(`/api/tasks/${body.task._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Rank synced", priority: "high" });
+      expect((await Task.findById(body.task._id)).priorityRank).toBe(3);
+
+      // A task stored before priorityRank existed
+      const { insertedId } = await Task.collection.insertOne({
+        title: "Legacy",
+        priority: "high",
+        status: "todo",
+        creator: new mongoose.Types.ObjectId(userId),
+      });
+      expect(await migratePriorityRank()).toBeGreaterThanOrEqual(1);
+      expect((await Task.collection.findOne({ _id: insertedId })).priorityRank).toBe(3);
+      expect(await migratePriorityRank()).toBe(0);
+    });
+  });
+
+  // Recurring tasks
+  describe("recurrence", () => {
+    const auth = (req) => req.set("Authorization", `Bearer ${token}`);
+    const complete = (id) => auth(request(app).post(`/api/tasks/${id}/complete`));
+
+    it("needs a due date and a valid rule", async () => {
+      const undated = await auth(request(app).post("/api/tasks")).send({
+        title: "Water plants",
+        recurrence: { freq: "daily" },
+      });
+      expect(undated.statusCode).toBe(400);
+
+      const bad = await auth(request(app).post("/api/tasks")).send({
+        title: "Water plants",
+        dueDate: "2099-01-01T09:00:00.000Z",
+        recurrence: { freq: "hourly" },
+      });
+      expect(bad.statusCode).toBe(400);
+    });
+
+    it("creates the next occurrence on completion, once", async () => {
+      const { body } = await auth(request(app).post("/api/tasks")).send({
+        title: "Standup notes",
+        dueDate: "2099-01-05T09:00:00.000Z",
+        recurrence: { freq: "weekly", byWeekday: [1, 3] },
+      });
+      expect(body.task.occurrence).toBe(1);
+      expect(body.task.recurrence.byWeekday).toEqual([1, 3]);
+
+      const done = await complete(body.task._id);
+      expect(done.body.task.status).toBe("completed");
+      expect(done.body.next.title).toBe("Standup notes");
+      expect(done.body.next.occurrence).toBe(2);
+      expect(done.body.next.dueDate).toBe("2099-01-07T09:00:00.000Z");
+
+      // Toggling the same occurrence again does not add another one
+      await complete(body.task._id);
+      const again = await complete(body.task._id);
+      expect(again.body.next).toBeNull();
+      expect(await Task.countDocuments({ series: body.task.series })).toBe(2);
+    });
+
+    it("ends the series after count occurrences", async () => {
+      const { body } = await auth(request(app).post("/api/tasks")).send({
+        title: "Take antibiotics",
+        dueDate: "2099-02-01T08:00:00.000Z",
+        recurrence: { freq: "daily", count: 2 },
+      });
+      const first = await complete(body.task._id);
+      expect(first.body.next.occurrence).toBe(2);
+      const second = await complete(first.body.next._id);
+      expect(second.body.next).toBeNull();
+      expect((await TaskSeries.findById(body.task.series)).endedAt).toBeTruthy();
+    });
+
+    it("edits one occurrence or all future occurrences", async () => {
+      const { body } = await auth(request(app).post("/api/tasks")).send({
+        title: "Pay rent",
+        dueDate: "2099-01-31T09:00:00.000Z",
+        recurrence: { freq: "monthly" },
+      });
+      const { body: done } = await complete(body.task._id);
+      const next = done.next;
+      expect(next.dueDate).toBe("2099-02-28T09:00:00.000Z");
+
+      // This occurrence only
+      const single = await auth(request(app).put(`/api/tasks/${next._id}`)).send({
+        title: "Pay rent (late)",
+      });
+      expect(single.statusCode).toBe(200);
+      expect((await TaskSeries.findById(body.task.series)).template.title).toBe("Pay rent");
+
+      const viaPut = await auth(request(app).put(`/api/tasks/${next._id}`)).send({
+        title: "Pay rent",
+        recurrence: { freq: "daily" },
+      });
+      expect(viaPut.statusCode).toBe(400);
+
+      // This and all future occurrences
+      const series = await auth(request(app).put(`/api/tasks/${next._id}/series`)).send({
+        title: "Pay rent and utilities",
+        priority: "high",
+        recurrence: { freq: "monthly", monthDay: 1 },
+      });
+      expect(series.statusCode).toBe(200);
+      expect(series.body.updated).toBe(1);
+      expect(series.body.task.title).toBe("Pay rent and utilities");
+      expect(series.body.task.recurrence.monthDay).toBe(1);
+      // The completed occurrence keeps its old values
+      expect((await Task.findById(body.task._id)).title).toBe("Pay rent");
+
+      const { body: third } = await complete(next._id);
+      expect(third.next.title).toBe("Pay rent and utilities");
+      expect(third.next.priority).toBe("high");
+      expect(third.next.dueDate).toBe("2099-03-01T09:00:00.000Z");
+
+      // Stopping the series
+      const stop = await auth(request(app).put(`/api/tasks/${third.next._id}/series`)).send({
+        recurrence: null,
+      });
+      expect(stop.body.task.recurrence).toBeUndefined();
+      expect((await complete(third.next._id)).body.next).toBeNull();
+    });
+
+    it("rolls the series on however an occurrence is finished, with its tags and checklist", async () => {
+      const { body } = await auth(request(app).post("/api/tasks")).send({
+        title: "Weekly review",
+        dueDate: "2099-03-02T09:00:00.000Z",
+        tags: ["ops"],
+        recurrence: { freq: "weekly" },
+      });
+      await auth(request(app).post(`/api/tasks/${body.task._id}/checklist`)).send({ text: "Inbox zero" });
+      const [item] = (await Task.findById(body.task._id)).checklist;
+      await auth(request(app).patch(`/api/tasks/${body.task._id}/checklist/${item._id}`)).send({ done: true });
+
+      const viaPut = await auth(request(app).put(`/api/tasks/${body.task._id}`)).send({
+        title: "Weekly review",
+        status: "completed",
+      });
+      expect(viaPut.statusCode).toBe(200);
+      const second = await Task.findOne({ series: body.task.series, occurrence: 2 });
+      expect(second.tags).toEqual(["ops"]);
+      expect(second.checklist.map((item) => [item.text, item.done])).toEqual([["Inbox zero", false]]);
+
+      const viaBulk = await auth(request(app).post("/api/tasks/bulk")).send({ action: "complete", ids: [second._id] });
+      expect(viaBulk.body.results[0].ok).toBe(true);
+      expect(await Task.countDocuments({ series: body.task.series })).toBe(3);
+    });
+
+    it("remaps the status of every occurrence moved to another project", async () => {
+      const { body: created } = await auth(request(app).post("/api/projects")).send({ name: "Reviews" });
+      const projectId = created.project._id;
+      await auth(request(app).put(`/api/projects/${projectId}/workflow`)).send({
+        workflow: {
+          statuses: [
+            { key: "backlog", name: "Backlog", category: "todo" },
+            { key: "shipped", name: "Shipped", category: "done" },
+          ],
+          initial: "backlog",
+          transitions: [{ from: "backlog", to: ["shipped"] }, { from: "shipped", to: ["backlog"] }],
+        },
+      });
+      const { body } = await auth(request(app).post("/api/tasks")).send({
+        title: "Backup check",
+        dueDate: "2099-04-01T09:00:00.000Z",
+        recurrence: { freq: "daily" },
+      });
+      // Completing and reopening the first occurrence leaves two open ones.
+      const { body: done } = await complete(body.task._id);
+      await complete(body.task._id);
+
+      const res = await auth(request(app).put(`/api/tasks/${body.task._id}/series`)).send({ project: projectId });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.updated).toBe(2);
+      for (const id of [body.task._id, done.next._id]) {
+        const task = await Task.findById(id);
+        expect([String(task.project), task.status]).toEqual([projectId, "backlog"]);
+      }
+    });
+  });
+
+  // Subtasks and checklists
+  describe("subtasks", () => {
+    const auth = (req) => req.set("Authorization", `Bearer ${token}`);
+    const create = (task) => auth(request(app).post("/api/tasks")).send(task);
+
+    it("rolls progress up from subtasks and checklist items", async () => {
+      const { body: parent } = await create({
+        title: "Launch",
+        checklist: [{ text: "Write blog post", done: true }, { text: "Tweet" }],
+      });
+      const { body: child } = await create({ title: "Ship build", parent: parent.task._id });
+      await create({ title: "Update docs", parent: parent.task._id });
+      expect(child.task.parent).toBe(parent.task._id);
+
+      await auth(request(app).post(`/api/tasks/${child.task._id}/complete`));
+      const res = await auth(request(app).get(`/api/tasks/${parent.task._id}`));
+      expect(res.body.task.progress).toEqual({ done: 2, total: 4, percent: 50 });
+
+      const { body: added } = await auth(
+        request(app).post(`/api/tasks/${parent.task._id}/checklist`)
+      ).send({ text: "Email customers" });
+      expect(added.task.progress.total).toBe(5);
+      const { body: checked } = await auth(
+        request(app).patch(`/api/tasks/${parent.task._id}/checklist/${added.item._id}`)
+      ).send({ done: true });
+      expect(checked.task.progress.done).toBe(3);
+
+      const subtasks = await auth(request(app).get(`/api/tasks?parent=${parent.task._id}`));
+      expect(subtasks.body.tasks.map((t) => t.title).sort()).toEqual(["Ship build", "Update docs"]);
+      const top = await auth(request(app).get("/api/tasks?parent=none&q=title:Launch"));
+      expect(top.body.tasks).toHaveLength(1);
+    });
+
+    it("refuses to complete a parent with open subtasks unless configured", async () => {
+      const { body: parent } = await create({ title: "Move office" });
+      const { body: child } = await create({ title: "Pack boxes", parent: parent.task._id });
+
+      const blocked = await auth(request(app).post(`/api/tasks/${parent.task._id}/complete`));
+      expect(blocked.statusCode).toBe(409);
+      const viaPut = await auth(request(app).put(`/api/tasks/${parent.task._id}`)).send({
+        title: "Move office",
+        status: "completed",
+      });
+      expect(viaPut.statusCode).toBe(409);
+
+      await auth(request(app).put(`/api/tasks/${parent.task._id}`)).send({
+        title: "Move office",
+        requireSubtasksDone: false,
+      });
+      const allowed = await auth(request(app).post(`/api/tasks/${parent.task._id}/complete`));
+      expect(allowed.statusCode).toBe(200);
+      expect((await Task.findById(child.task._id)).status).toBe("todo");
+    });
+
+    it("rejects cycles and nesting deeper than the limit", async () => {
+      const { body: a } = await create({ title: "Level 0" });
+      const { body: b } = await create({ title: "Level 1", parent: a.task._id });
+
+      const cycle = await auth(request(app).put(`/api/tasks/${a.task._id}`)).send({
+        title: "Level 0",
+        parent: b.task._id,
+      });
+      expect(cycle.statusCode).toBe(400);
+      const self = await auth(request(app).put(`/api/tasks/${a.task._id}`)).send({
+        title: "Level 0",
+        parent: a.task._id,
+      });
+      expect(self.statusCode).toBe(400);
+
+      let parentId = b.task._id;
+      for (let level = 2; level <= 5; level++) {
+        const { body } = await create({ title: `Level ${level}`, parent: parentId });
+        parentId = body.task._id;
+      }
+      const tooDeep = await create({ title: "Level 6", parent: parentId });
+      expect(tooDeep.statusCode).toBe(400);
+    });
+
+    it("deletes subtasks with their parent", async () => {
+      const { body: parent } = await create({ title: "Old project" });
+      const { body: child } = await create({ title: "Old child", parent: parent.task._id });
+      const { body: grandchild } = await create({ title: "Old grandchild", parent: child.task._id });
+
+      const res = await auth(request(app).delete(`/api/tasks/${parent.task._id}`));
+      expect(res.statusCode).toBe(200);
+      expect(res.body.deleted).toBe(3);
+      expect(await Task.findById(grandchild.task._id)).toBeNull();
+    });
+  });
+
+  // Dependencies
+  describe("dependencies", () => {
+    const auth = (req, as = token) => req.set("Authorization", `Bearer ${as}`);
+    const create = async (title) =>
+      (await auth(request(app).post("/api/tasks")).send({ title })).body.task._id;
+    const block = (id, blockerId) =>
+      auth(request(app).post(`/api/tasks/${id}/dependencies`)).send({ blockerId });
+
+    it("flags blocked tasks until their blockers are completed", async () => {
+      const design = await create("Dep design");
+      const build = await create("Dep build");
+      const res = await block(build, design);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.task.blocked).toBe(true);
+
+      const list = await auth(request(app).get(`/api/tasks?q=${encodeURIComponent("title:Dep")}`));
+      const byTitle = Object.fromEntries(list.body.tasks.map((t) => [t.title, t.blocked]));
+      expect(byTitle).toEqual({ "Dep design": false, "Dep build": true });
+
+      const refused = await auth(request(app).post(`/api/tasks/${build}/complete`));
+      expect(refused.statusCode).toBe(409);
+      expect(refused.body.message).toMatch(/Dep design/);
+      const viaPut = await auth(request(app).put(`/api/tasks/${build}`)).send({
+        title: "Dep build",
+        status: "completed",
+      });
+      expect(viaPut.statusCode).toBe(409);
+
+      await auth(request(app).post(`/api/tasks/${design}/complete`));
+      const unblocked = await auth(request(app).get(`/api/tasks/${build}`));
+      expect(unblocked.body.task.blocked).toBe(false);
+      expect((await auth(request(app).post(`/api/tasks/${build}/complete`))).statusCode).toBe(200);
+
+      const deps = await auth(request(app).get(`/api/tasks/${design}/dependencies`));
+      expect(deps.body.blocking.map((t) => t.title)).toEqual(["Dep build"]);
+    });
+
+    it("rejects cycles", async () => {
+      const a = await create("Cycle A");
+      const b = await create("Cycle B");
+      const c = await create("Cycle C");
+      await block(b, a);
+      await block(c, b);
+      expect((await block(a, a)).statusCode).toBe(400);
+      const cycle = await block(a, c);
+      expect(cycle.statusCode).toBe(409);
+      expect(cycle.body.cycle).toEqual([c, b, a, c]);
+    });
+
+    it("lets only an admin force completion of a blocked task", async () => {
+      const blocker = await create("Force blocker");
+      const blocked = await create("Force blocked");
+      await block(blocked, blocker);
+
+      const notAdmin = await auth(request(app).post(`/api/tasks/${blocked}/complete?force=true`));
+      expect(notAdmin.statusCode).toBe(403);
+
+      const admin = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "admin@tt.com", password: "pass1234" });
+      const forced = await auth(
+        request(app).post(`/api/tasks/${blocked}/complete?force=true`),
+        admin.body.token
+      );
+      expect(forced.statusCode).toBe(200);
+      expect(forced.body.task.status).toBe("completed");
+    });
+
+    it("removes dependencies, also when the blocker is deleted", async () => {
+      const first = await create("Removal first");
+      const second = await create("Removal second");
+      const third = await create("Removal third");
+      await block(third, first);
+      await block(third, second);
+
+      const removed = await auth(request(app).delete(`/api/tasks/${third}/dependencies/${first}`));
+      expect(removed.body.task.blockedBy).toEqual([second]);
+      await auth(request(app).delete(`/api/tasks/${second}`));
+      expect((await Task.findById(third)).blockedBy).toHaveLength(0);
+    });
+  });
+
+  // Manual (board) order
+  describe("manual order", () => {
+    const auth = (req) => req.set("Authorization", `Bearer ${token}`);
+    const create = async (title) =>
+      (await auth(request(app).post("/api/tasks")).send({ title })).body.task;
+    const move = (task, position, changes = {}) =>
+      auth(request(app).put(`/api/tasks/${task._id}`)).send({ title: task.title, ...changes, position });
+    const order = async () =>
+      (await auth(request(app).get(`/api/tasks?sortBy=rank&q=${encodeURIComponent("title:Card")}`)))
+        .body.tasks.map((t) => t.title);
+
+    it("appends new tasks and moves tasks between neighbours", async () => {
+      const a = await create("Card A");
+      const b = await create("Card B");
+      const c = await create("Card C");
+      expect(b.rank).toBeGreaterThan(a.rank);
+      expect(await order()).toEqual(["Card A", "Card B", "Card C"]);
+
+      expect((await move(c, { after: a._id, before: b._id })).statusCode).toBe(200);
+      expect(await order()).toEqual(["Card A", "Card C", "Card B"]);
+      expect((await move(a, { after: b._id })).statusCode).toBe(200);
+      expect(await order()).toEqual(["Card C", "Card B", "Card A"]);
+
+      const moved = await move(b, { before: c._id }, { status: "in_progress" });
+      expect(moved.body.task.status).toBe("in_progress");
+      expect(await order()).toEqual(["Card B", "Card C", "Card A"]);
+    });
+
+    it("makes room when neighbours run out of space", async () => {
+      const low = await create("Card room low");
+      const high = await create("Card room high");
+      const mover = await create("Card room mover");
+      await Task.updateOne({ _id: high._id }, { rank: low.rank });
+      expect((await move(mover, { after: low._id, before: high._id })).statusCode).toBe(200);
+      const ranks = await Promise.all([low, mover, high].map(async (t) => (await Task.findById(t._id)).rank));
+      expect(ranks[0]).toBeLessThan(ranks[1]);
+      expect(ranks[1]).toBeLessThan(ranks[2]);
+    });
+
+    it("rejects a rank set directly and unknown neighbours", async () => {
+      const task = await create("Card direct");
+      expect((await auth(request(app).put(`/api/tasks/${task._id}`)).send({ title: task.title, rank: 1 })).statusCode).toBe(400);
+      expect((await move(task, { after: task._id })).statusCode).toBe(400);
+      expect((await move(task, { after: new mongoose.Types.ObjectId().toString() })).statusCode).toBe(400);
+    });
+
+    it("keeps other users' tasks out of moves", async () => {
+      const low = await create("Card scope low");
+      const high = await create("Card scope high");
+      const mover = await create("Card scope mover");
+      const theirs = await Task.create({ title: "Not mine", creator: new mongoose.Types.ObjectId(), rank: low.rank + 1 });
+      expect((await move(mover, { after: theirs._id })).statusCode).toBe(400);
+
+      await Task.updateOne({ _id: high._id }, { rank: low.rank });
+      expect((await move(mover, { after: low._id, before: high._id })).statusCode).toBe(200);
+      expect((await Task.findById(theirs._id)).rank).toBe(low.rank + 1);
+      expect((await Task.findById(high._id)).rank).toBeGreaterThan(low.rank);
+    });
+  });
+
+  describe("import and export", () => {
+    const auth = (req) => req.set("Authorization", `Bearer ${token}`);
+    const importCsv = (data, extra = {}) =>
+      auth(request(app).post("/api/tasks/import")).send({ format: "csv", data, ...extra });
+    const csv = [
+      "Key,Name,Due,Priority,Owner",
+      "IMP-1,Imported one,2099-01-02,high,tasker@tt.com",
+      "IMP-2,Imported two,,low,",
+      "IMP-3,,2099-01-03,urgent,nobody@tt.com",
+      "IMP-1,Imported again,,,",
+    ].join("\n");
+
+    it("dry-runs with a suggested mapping and per-row errors", async () => {
+      const res = await importCsv(csv, { dryRun: true });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.mapping).toEqual({ externalId: "Key", title: "Name", dueDate: "Due", priority: "Priority", assignee: "Owner" });
+      expect(res.body).toMatchObject({ dryRun: true, total: 4, created: 2, updated: 0, failed: 2 });
+      expect(res.body.rows[2].errors).toEqual(
+        expect.arrayContaining(["Title required.", "Invalid priority.", "No user with email nobody@tt.com."])
+      );
+      expect(res.body.rows[3].errors).toEqual(["Same externalId as row 1."]);
+      expect(await Task.countDocuments({ externalId: /^IMP-/ })).toBe(0);
+    });
+
+    it("imports valid rows and updates them on re-import", async () => {
+      const first = await importCsv(csv);
+      expect(first.statusCode).toBe(201);
+      expect(first.body).toMatchObject({ created: 2, failed: 2 });
+      const one = await Task.findOne({ externalId: "IMP-1" });
+      expect(one.toObject()).toMatchObject({ title: "Imported one", priority: "high", status: "todo" });
+      expect(String(one.assignedTo)).toBe(userId);
+
+      const again = await importCsv("Key,Name,Priority\nIMP-1,Imported one (edited),low\nIMP-2,Imported two,low\n");
+      expect(again.body).toMatchObject({ created: 0, updated: 2, failed: 0 });
+      expect(await Task.countDocuments({ externalId: /^IMP-/ })).toBe(2);
+      expect((await Task.findById(one._id)).title).toBe("Imported one (edited)");
+    });
+
+    it("imports JSON with an explicit mapping and rejects bad mappings", async () => {
+      const data = [{ summary: "From JSON", state: "in_progress" }];
+      const res = await auth(request(app).post("/api/tasks/import"))
+        .send({ format: "json", data, mapping: { title: "summary", status: "state" } });
+      expect(res.body.created).toBe(1);
+      expect((await Task.findById(res.body.rows[0].id)).statusCategory).toBe("in_progress");
+
+      const long = await auth(request(app).post("/api/tasks/import"))
+        .send({ format: "json", data: [{ title: "x".repeat(101) }], dryRun: true });
+      expect(long.body.rows[0].errors).toEqual(["title is too long (max 100 characters)."]);
+
+      const bad = await auth(request(app).post("/api/tasks/import"))
+        .send({ format: "json", data, mapping: { title: "missing" } });
+      expect(bad.statusCode).toBe(400);
+      expect(bad.body.columns).toEqual(["summary", "state"]);
+    });
+
+    it("exports the filtered list as CSV or JSON", async () => {
+      const res = await auth(request(app).get(`/api/tasks/export?q=${encodeURIComponent("title:Imported")}&sortBy=createdAt`));
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/text\/csv/);
+      expect(res.headers["content-disposition"]).toMatch(/attachment; filename="tasks-.*\.csv"/);
+      const lines = res.text.trim().split("\r\n");
+      expect(lines[0]).toMatch(/^id,externalId,title,/);
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toContain("IMP-1,Imported one (edited)");
+      expect(lines[1]).toContain("tasker@tt.com");
+
+      const json = await auth(request(app).get("/api/tasks/export?format=json&priority=low"));
+      expect(json.body.every((task) => task.priority === "low")).toBe(true);
+      expect((await auth(request(app).get("/api/tasks/export?format=xml"))).statusCode).toBe(400);
+    });
+  });
+
+  describe("bulk operations", () => {
+    const auth = (req, as = token) => req.set("Authorization", `Bearer ${as}`);
+    const create = async (fields, as = token) =>
+      (await auth(request(app).post("/api/tasks"), as).send(fields)).body.task;
+    const bulk = (body, as = token) => auth(request(app).post("/api/tasks/bulk"), as).send(body);
+    let otherToken;
+
+    beforeAll(async () => {
+      const reg = await request(app)
+        .post("/api/auth/register")
+        .send({ email: "bulk-other@tt.com", password: "pass1234", name: "Other" });
+      otherToken = reg.body.token;
+    });
+
+    it("updates priority, assignee and shifts due dates with per-id results", async () => {
+      const dated = await create({ title: "Bulk dated", dueDate: "2099-03-01" });
+      const undated = await create({ title: "Bulk undated" });
+      const foreign = await create({ title: "Bulk foreign" }, otherToken);
+      const missing = new mongoose.Types.ObjectId().toString();
+
+      const res = await bulk({
+        action: "update",
+        ids: [dated._id, undated._id, foreign._id, missing],
+        changes: { priority: "high", dueDateShift: 7, assignee: "tasker@tt.com" },
+      });
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ succeeded: 2, failed: 2 });
+      expect(res.body.results.map((r) => [r.id, r.ok, r.status])).toEqual([
+        [dated._id, true, undefined],
+        [undated._id, true, undefined],
+        [foreign._id, false, 403],
+        [missing, false, 404],
+      ]);
+      expect((await Task.findById(dated._id)).dueDate.toISOString()).toBe("2099-03-08T00:00:00.000Z");
+      const undatedAfter = await Task.findById(undated._id);
+      expect(undatedAfter.priority).toBe("high");
+      expect(undatedAfter.dueDate).toBeUndefined();
+      expect((await Task.findById(foreign._id)).priority).toBe("medium");
+    });
+
+    it("completes open tasks and refuses blocked ones", async () => {
+      const open = await create({ title: "Bulk open" });
+      const blocker = await create({ title: "Bulk blocker" });
+      const blocked = await create({ title: "Bulk blocked" });
+      await auth(request(app).post(`/api/tasks/${blocked._id}/dependencies`)).send({ blockerId: blocker._id });
+
+      const res = await bulk({ action: "complete", ids: [open._id, blocked._id] });
+      expect(res.body.results[0]).toMatchObject({ ok: true, task: { statusCategory: "done" } });
+      expect(res.body.results[1]).toMatchObject({ ok: false, status: 409 });
+      // Already done: left as it is rather than reopened.
+      expect((await bulk({ action: "complete", ids: [open._id] })).body.results[0].task.statusCategory).toBe("done");
+    });
+
+    it("deletes tasks with their subtasks", async () => {
+      const parent = await create({ title: "Bulk parent" });
+      const child = await create({ title: "Bulk child", parent: parent._id });
+      const res = await bulk({ action: "delete", ids: [parent._id, child._id] });
+      expect(res.body.results).toEqual([
+        { id: parent._id, ok: true, deleted: 2 },
+        expect.objectContaining({ id: child._id, ok: true, deleted: 0 }),
+      ]);
+      expect(await Task.countDocuments({ _id: { $in: [parent._id, child._id] } })).toBe(0);
+    });
+
+    it("validates the request", async () => {
+      const task = await create({ title: "Bulk invalid" });
+      expect((await bulk({ action: "archive", ids: [task._id] })).statusCode).toBe(400);
+      expect((await bulk({ action: "complete", ids: [] })).statusCode).toBe(400);
+      expect((await bulk({ action: "complete", ids: [task._id, task._id] })).statusCode).toBe(400);
+      expect((await bulk({ action: "update", ids: [task._id], changes: {} })).statusCode).toBe(400);
+      expect((await bulk({ action: "update", ids: [task._id], changes: { assignee: "nobody@tt.com" } })).statusCode).toBe(400);
+      const tooMany = Array.from({ length: 101 }, () => new mongoose.Types.ObjectId().toString());
+      expect((await bulk({ action: "delete", ids: tooMany })).statusCode).toBe(400);
+    });
+  });
+
+  describe("quick add", () => {
+    const auth = (req) => req.set("Authorization", `Bearer ${token}`);
+    const quick = (body) => auth(request(app).post("/api/tasks/quick")).send(body);
+    const shareProject = async (name, emails) => {
+      const { body } = await auth(request(app).post("/api/projects")).send({ name });
+      for (const email of emails)
+        await auth(request(app).post(`/api/projects/${body.project._id}/members`)).send({ email });
+      return body.project._id;
+    };
+
+    it("creates a task from one line read in the user's time zone", async () => {
+      await shareProject("Finance", ["bulk-other@tt.com"]);
+      const res = await quick({ text: "Pay invoice tomorrow 5pm !high @bulk-other #finance #Q4", timeZone: "Europe/Paris" });
+      expect(res.statusCode).toBe(201);
+      expect(res.body.task).toMatchObject({ title: "Pay invoice", priority: "high", tags: ["finance", "q4"] });
+      expect(res.body.parsed.assignee).toBe("bulk-other");
+      const other = await User.findOne({ email: "bulk-other@tt.com" });
+      expect(res.body.task.assignedTo).toBe(other._id.toString());
+
+      // 17:00 in Paris on the day after today there.
+      const due = new Date(res.body.task.dueDate);
+      expect(due.toLocaleString("en-GB", { timeZone: "Europe/Paris", hour: "2-digit", minute: "2-digit" })).toBe("17:00");
+      expect(await Reminder.countDocuments({ task: res.body.task._id })).toBe(1);
+      expect(await TaskHistory.countDocuments({ task: res.body.task._id, action: "create" })).toBe(1);
+    });
+
+    it("stores a day without a time like a date-only due date", async () => {
+      const res = await quick({ text: "Renew passport 2099-11-03" });
+      expect(res.body.task.dueDate).toBe("2099-11-03T00:00:00.000Z");
+      expect(res.body.task.assignedTo).toBe(userId);
+    });
+
+    it("refuses empty titles, unknown time zones and unclear assignees", async () => {
+      await request(app).post("/api/auth/register").send({ email: "sam@a.tt", password: "pass1234", name: "Sam A" });
+      await request(app).post("/api/auth/register").send({ email: "sam@b.tt", password: "pass1234", name: "Sam B" });
+      await shareProject("Calls", ["sam@a.tt", "sam@b.tt"]);
+      expect((await quick({ text: "tomorrow !high" })).body.message).toBe("Title required.");
+      expect((await quick({ text: "Call", timeZone: "Mars/Olympus" })).statusCode).toBe(400);
+      const unclear = (handle) => `@${handle} does not match exactly one of your teammates; use their email.`;
+      expect((await quick({ text: "Call @sam" })).body.message).toBe(unclear("sam"));
+      expect((await quick({ text: "Call @nobody" })).body.message).toBe(unclear("nobody"));
+      expect((await quick({ text: "x".repeat(120) })).statusCode).toBe(400);
+    });
+
+    it("looks up @handles among project members or people sharing a project", async () => {
+      await request(app).post("/api/auth/register").send({ email: "stranger@tt.com", password: "pass1234", name: "Stranger" });
+      const stranger = await quick({ text: "Call @stranger" });
+      expect(stranger.statusCode).toBe(400);
+      expect(stranger.body.message).toBe("@stranger does not match exactly one of your teammates; use their email.");
+
+      // Within a project only its members match, so @sam is no longer ambiguous.
+      const project = await shareProject("Sam A only", ["sam@a.tt"]);
+      const res = await quick({ text: "Call @sam", project });
+      expect(res.statusCode).toBe(201);
+      const samA = await User.findOne({ email: "sam@a.tt" });
+      expect(res.body.task.assignedTo).toBe(samA._id.toString());
+      expect((await quick({ text: "Call @bulk-other", project })).statusCode).toBe(400);
+    });
   });
 });
@@ -0,0 +1,143 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import app from "../server.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import SavedView from "../models/SavedView.js";
+
+let server, token, otherToken, otherId;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Date-only due dates are midnight UTC of a day relative to today (UTC).
+const day = (offset) => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + offset * DAY_MS);
+};
+
+beforeAll(async () => {
+  process.env.MONGODB_URI = "mongodb://localhost:27017/tasktracker_test_views";
+  process.env.JWT_SECRET = "testsecret";
+  server = app.listen(4008);
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Promise.all([User.deleteMany({}), Task.deleteMany({}), SavedView.deleteMany({})]);
+
+  const reg = await request(app)
+    .post("/api/auth/register")
+    .send({ email: "views@tt.com", password: "pass1234", name: "Viewer" });
+  token = reg.body.token;
+  const other = await request(app)
+    .post("/api/auth/register")
+    .send({ email: "views-other@tt.com", password: "pass1234", name: "Other" });
+  otherToken = other.body.token;
+  otherId = other.body.user.id;
+});
+
+afterAll(async () => {
+  await Promise.all([User.deleteMany({}), Task.deleteMany({}), SavedView.deleteMany({})]);
+  await mongoose.connection.close();
+  server && server.close();
+});
+
+describe("Saved views", () => {
+  const auth = (req, as = token) => req.set("Authorization", `Bearer ${as}`);
+  const create = (fields) => auth(request(app).post("/api/tasks")).send(fields);
+  const titles = async (qs, as = token) => {
+    const res = await auth(request(app).get(`/api/tasks?${qs}`), as);
+    expect(res.statusCode).toBe(200);
+    return res.body.tasks.map((t) => t.title);
+  };
+
+  beforeAll(async () => {
+    await create({ title: "Late", dueDate: day(-2).toISOString(), priority: "high" });
+    await create({ title: "Late but done", dueDate: day(-1).toISOString(), status: "completed" });
+    await create({ title: "Timed", dueDate: new Date(day(-3).getTime() + 10 * 60 * 60 * 1000).toISOString() });
+    await create({ title: "Due today", dueDate: day(0).toISOString(), priority: "low" });
+    await create({ title: "Due in three days", dueDate: day(3).toISOString(), assignedTo: otherId });
+    await create({ title: "Due in ten days", dueDate: day(10).toISOString() });
+    await create({ title: "Someday" });
+  });
+
+  it("lists the built-in views before saved ones", async () => {
+    const res = await auth(request(app).get("/api/views"));
+    expect(res.body.views.map((v) => [v._id, v.builtIn])).toEqual([
+      ["today", true],
+      ["upcoming", true],
+      ["overdue", true],
+    ]);
+  });
+
+  it("lists the tasks of built-in views", async () => {
+    expect(await titles("view=overdue&timeZone=UTC")).toEqual(["Timed", "Late"]);
+    expect(await titles("view=today")).toEqual(expect.arrayContaining(["Due today"]));
+    expect(await titles("view=today")).not.toContain("Late");
+    expect(await titles("view=upcoming")).toEqual(expect.arrayContaining(["Due today", "Due in three days"]));
+    expect(await titles("view=upcoming")).not.toContain("Due in ten days");
+    // Other filters and an explicit sort still apply.
+    expect(await titles("view=overdue&priority=high")).toEqual(["Late"]);
+    expect((await auth(request(app).get("/api/tasks?view=someday"))).statusCode).toBe(404);
+    expect((await auth(request(app).get("/api/tasks?view=overdue&timeZone=Mars/Base"))).statusCode).toBe(400);
+  });
+
+  it("flags overdue tasks and filters by overdue", async () => {
+    const res = await auth(request(app).get("/api/tasks?timeZone=UTC"));
+    const flags = Object.fromEntries(res.body.tasks.map((t) => [t.title, t.overdue]));
+    expect(flags).toMatchObject({
+      Late: true,
+      Timed: true,
+      "Late but done": false,
+      "Due today": false,
+      Someday: false,
+    });
+    expect((await titles("overdue=true&sortBy=dueDate")).sort()).toEqual(["Late", "Timed"]);
+    expect(await titles("overdue=false")).not.toContain("Late");
+    expect(await titles("overdue=false")).toContain("Late but done");
+    expect((await auth(request(app).get("/api/tasks?overdue=maybe"))).statusCode).toBe(400);
+  });
+
+  it("saves, applies, updates and deletes a view", async () => {
+    const saved = await auth(request(app).post("/api/views")).send({
+      name: "Next two weeks",
+      filters: { due: "next", dueDays: 14, hideDone: true },
+      sortBy: "dueDate",
+      order: "desc",
+    });
+    expect(saved.statusCode).toBe(201);
+    const id = saved.body.view._id;
+    expect(await titles(`view=${id}`)).toEqual(["Due in ten days", "Due in three days", "Due today"]);
+    // An explicit order overrides the view's direction for its sort keys.
+    expect(await titles(`view=${id}&order=asc`)).toEqual(["Due today", "Due in three days", "Due in ten days"]);
+
+    const updated = await auth(request(app).put(`/api/views/${id}`)).send({
+      name: "Assigned to Other",
+      filters: { due: "next", dueDays: 14 },
+    });
+    expect(updated.body.view.name).toBe("Assigned to Other");
+    expect((await auth(request(app).get("/api/views"))).body.views.at(-1).name).toBe("Assigned to Other");
+
+    // Other users can neither list with nor change someone else's view.
+    expect((await auth(request(app).get(`/api/tasks?view=${id}`), otherToken)).statusCode).toBe(404);
+    expect((await auth(request(app).put(`/api/views/${id}`), otherToken).send({ name: "Mine" })).statusCode).toBe(404);
+    expect((await auth(request(app).delete("/api/views/today"))).statusCode).toBe(400);
+
+    expect((await auth(request(app).delete(`/api/views/${id}`))).statusCode).toBe(200);
+    expect((await auth(request(app).get(`/api/tasks?view=${id}`))).statusCode).toBe(404);
+  });
+
+  it("resolves assigned to me for whoever lists the view", async () => {
+    const saved = await auth(request(app).post("/api/views"), otherToken).send({
+      name: "Mine",
+      filters: { assignee: "me" },
+    });
+    expect(await titles(`view=${saved.body.view._id}`, otherToken)).toEqual(["Due in three days"]);
+  });
+
+  it("rejects invalid definitions", async () => {
+    const post = (body) => auth(request(app).post("/api/views")).send(body);
+    expect((await post({ filters: {} })).statusCode).toBe(400);
+    expect((await post({ name: "x", filters: { due: "soon" } })).statusCode).toBe(400);
+    expect((await post({ name: "x", filters: { due: "next", dueDays: 0 } })).statusCode).toBe(400);
+    expect((await post({ name: "x", filters: { assignee: "someone" } })).statusCode).toBe(400);
+    expect((await post({ name: "x", sortBy: "title" })).statusCode).toBe(400);
+    expect((await post({ name: "x", filters: { project: "64b0000000000000000000aa" } })).statusCode).toBe(404);
+  });
+});
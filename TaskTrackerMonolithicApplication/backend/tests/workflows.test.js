@@ -0,0 +1,77 @@
+import {
+  DEFAULT_WORKFLOW,
+  canTransition,
+  completionTarget,
+  equivalentStatus,
+  validateWorkflow,
+} from "../services/workflows.js";
+
+// Pure tests: workflow validation and status moves (no database needed).
+const REVIEW_FLOW = {
+  statuses: [
+    { key: "backlog", name: "Backlog", category: "todo" },
+    { key: "ready", name: "Ready", category: "todo" },
+    { key: "in_review", name: "In review", category: "in_progress" },
+    { key: "done", name: "Done", category: "done" },
+    { key: "wont_do", name: "Won't do", category: "done" },
+  ],
+  initial: "backlog",
+  transitions: [
+    { from: "backlog", to: ["ready", "wont_do"] },
+    { from: "ready", to: ["backlog", "in_review"] },
+    { from: "in_review", to: ["ready", "done"] },
+    { from: "done", to: ["in_review"] },
+  ],
+};
+
+describe("validateWorkflow", () => {
+  it("accepts the default and a custom workflow", () => {
+    expect(validateWorkflow(DEFAULT_WORKFLOW)).toBeNull();
+    expect(validateWorkflow(REVIEW_FLOW)).toBeNull();
+  });
+
+  it("rejects broken definitions", () => {
+    const broken = (changes) => validateWorkflow({ ...REVIEW_FLOW, ...changes });
+    expect(broken({ statuses: [] })).toMatch(/statuses/);
+    expect(broken({ statuses: [{ key: "In Review", name: "x", category: "todo" }] })).toMatch(/keys/);
+    expect(broken({ statuses: [...REVIEW_FLOW.statuses, REVIEW_FLOW.statuses[0]] })).toMatch(/Duplicate/);
+    expect(broken({ statuses: [{ key: "a", name: "A", category: "waiting" }] })).toMatch(/category/);
+    expect(broken({ statuses: REVIEW_FLOW.statuses.filter((s) => s.category !== "done") })).toMatch(/done/);
+    expect(broken({ initial: "nope" })).toMatch(/initial/);
+    expect(broken({ initial: "done" })).toMatch(/cannot be a done/);
+    expect(broken({ transitions: [{ from: "backlog", to: ["shipped"] }] })).toMatch(/lead to/);
+    expect(broken({ transitions: [{ from: "x", to: [] }] })).toMatch(/start at/);
+  });
+});
+
+describe("transitions", () => {
+  it("allows any move without transition rules", () => {
+    expect(canTransition(DEFAULT_WORKFLOW, "todo", "completed")).toBe(true);
+    expect(canTransition(DEFAULT_WORKFLOW, "todo", "shipped")).toBe(false);
+  });
+
+  it("follows the listed transitions", () => {
+    expect(canTransition(REVIEW_FLOW, "backlog", "ready")).toBe(true);
+    expect(canTransition(REVIEW_FLOW, "backlog", "done")).toBe(false);
+    expect(canTransition(REVIEW_FLOW, "ready", "ready")).toBe(true);
+    // Statuses without rules, or unknown to the workflow, may move anywhere
+    expect(canTransition(REVIEW_FLOW, "wont_do", "backlog")).toBe(true);
+    expect(canTransition(REVIEW_FLOW, "completed", "ready")).toBe(true);
+  });
+
+  it("picks the completion toggle target from the workflow", () => {
+    expect(completionTarget(DEFAULT_WORKFLOW, "todo")).toBe("completed");
+    expect(completionTarget(DEFAULT_WORKFLOW, "completed")).toBe("todo");
+    expect(completionTarget(REVIEW_FLOW, "in_review")).toBe("done");
+    expect(completionTarget(REVIEW_FLOW, "backlog")).toBe("wont_do");
+    expect(completionTarget(REVIEW_FLOW, "ready")).toBeNull();
+    expect(completionTarget(REVIEW_FLOW, "done")).toBe("in_review");
+    expect(completionTarget(REVIEW_FLOW, "wont_do")).toBe("backlog");
+  });
+
+  it("maps statuses between workflows by category", () => {
+    expect(equivalentStatus(REVIEW_FLOW, "ready", "todo")).toBe("ready");
+    expect(equivalentStatus(REVIEW_FLOW, "completed", "done")).toBe("done");
+    expect(equivalentStatus(DEFAULT_WORKFLOW, "in_review", "in_progress")).toBe("in_progress");
+  });
+});
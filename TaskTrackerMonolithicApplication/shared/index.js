@@ -1,2 +1,373 @@
-// Shared code and constants for Task Tracker (for future use)
-// e.g., shared validation, error code definitions, schemas, etc.
+// Shared code and constants for Task Tracker, used by both the React app
+// (imported as "task-tracker-shared") and the backend (../../shared/index.js).
+// Plain ES modules with no dependencies, so it runs unchanged in both.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// PUBLIC_INTERFACE
+export const PRIORITIES = ['low', 'medium', 'high'];
+
+// PUBLIC_INTERFACE
+export const MAX_TAGS = 20;
+
+// PUBLIC_INTERFACE
+export const MAX_TAG_LENGTH = 30;
+
+const TAG_CHARS = '[\\p{L}\\p{N}_-]';
+
+// PUBLIC_INTERFACE
+export const TAG_PATTERN = new RegExp(`^${TAG_CHARS}+$`, 'u');
+
+// PUBLIC_INTERFACE
+export function normalizeTag(name) {
+  /** A tag name as stored: trimmed, lowercase, without a leading "#". */
+  return String(name || '').trim().replace(/^#/, '').toLowerCase();
+}
+
+const PRIORITY_WORDS = { high: 'high', h: 'high', medium: 'medium', med: 'medium', m: 'medium', low: 'low', l: 'low' };
+
+const WEEKDAY = '(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)(?:day|nesday|sday|rsday|urday)?';
+const MONTH =
+  '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+const weekdayIndex = (name) => WEEKDAYS.findIndex(day => day.startsWith(name.slice(0, 3).toLowerCase()));
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.slice(0, 3).toLowerCase()));
+
+// Day phrases, tried in order at each word: a pattern and the calendar day
+// ({ year, month, day }) it names, from the match and today in the user's zone.
+// An optional "on"/"by"/"due" before the phrase is consumed with it.
+const DAY_PHRASES = [
+  { pattern: '(today|tonight|eod|end of (?:the )?day)', day: (m, today) => today },
+  { pattern: '(tomorrow|tmrw|tmr)', day: (m, today) => addDays(today, 1) },
+  { pattern: '(?:eow|end of (?:the |this )?week)', day: (m, today) => upcoming(today, 5) },
+  {
+    pattern: '(?:eom|end of (?:the |this )?month)',
+    day: (m, today) => fromTime(Date.UTC(today.year, today.month + 1, 0))
+  },
+  { pattern: 'in (\\d{1,3}) (day|week|month)s?', day: (m, today) => inPeriods(today, Number(m[1]), m[2]) },
+  { pattern: 'next (week|month)', day: (m, today) => nextPeriod(today, m[1]) },
+  { pattern: '(\\d{4})-(\\d{2})-(\\d{2})', day: (m) => calendarDay(Number(m[1]), Number(m[2]) - 1, Number(m[3])) },
+  {
+    // "Nov 3", "November 3rd, 2027", "Friday, November 3"
+    pattern: `(?:${WEEKDAY},?\\s+)?${MONTH}\\s+${DAY}(?:,?\\s+(\\d{4}))?`,
+    day: (m, today) => dateInYear(today, monthIndex(m[2]), Number(m[3]), m[4])
+  },
+  {
+    // "3 Nov", "3rd of November 2027"
+    pattern: `${DAY}(?:\\s+of)?\\s+${MONTH}(?:,?\\s+(\\d{4}))?`,
+    day: (m, today) => dateInYear(today, monthIndex(m[2]), Number(m[1]), m[3])
+  },
+  {
+    // "fri", "this Friday", "next Friday" (the one in the following week)
+    pattern: `(?:(this|next)\\s+)?${WEEKDAY}`,
+    day: (m, today) => {
+      const day = upcoming(today, weekdayIndex(m[2]));
+      if ((m[1] || '').toLowerCase() !== 'next') return day;
+      const sameWeek = daysBetween(today, day) < 7 - ((weekdayOf(today) + 6) % 7);
+      return sameWeek ? addDays(day, 7) : day;
+    }
+  }
+];
+
+// Times of day: "5pm", "5:30 pm", "at 17:00", "noon".
+const TIME_PATTERN = '(?:at\\s+)?(?:(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm)|([01]?\\d|2[0-3]):([0-5]\\d)|(noon))';
+
+// Words that must come before a day phrase in free text (parseDuePhrase with cued).
+const CUE = '(?:by|due(?:\\s+(?:on|by|date))?:?|before|until|till|deadline:?|no later than)\\s+(?:the\\s+)?';
+
+const phraseRegex = (pattern, cued = false) =>
+  new RegExp(`(^|\\s)(${cued ? CUE : '(?:(?:on|by|due)\\s+)?'}${pattern})(?=$|[\\s,.;!?])`, 'i');
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month, day)).getUTCDay();
+}
+
+function fromTime(time) {
+  const date = new Date(time);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+function addDays(date, days) {
+  return fromTime(Date.UTC(date.year, date.month, date.day) + days * DAY_MS);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.UTC(to.year, to.month, to.day) - Date.UTC(from.year, from.month, from.day)) / DAY_MS);
+}
+
+/**
+ * The first day on or after `today` that falls on `weekday` (0 = Sunday).
+ */
+function upcoming(today, weekday) {
+  return addDays(today, (weekday - weekdayOf(today) + 7) % 7);
+}
+
+/**
+ * A calendar day, or null for a day the month does not have.
+ */
+function calendarDay(year, month, day) {
+  const date = fromTime(Date.UTC(year, month, day));
+  return date.month === month && date.day === day && month >= 0 ? date : null;
+}
+
+/**
+ * A month and day in the given year, or else the next time that date comes
+ * round (today included).
+ */
+function dateInYear(today, month, day, year) {
+  if (month < 0) return null;
+  if (year) return calendarDay(Number(year), month, day);
+  const thisYear = calendarDay(today.year, month, day);
+  if (thisYear && daysBetween(today, thisYear) >= 0) return thisYear;
+  return calendarDay(today.year + 1, month, day);
+}
+
+/**
+ * `count` days, weeks or months after today; months keep the day of the
+ * month where they can (Jan 31 + 1 month = Feb 28).
+ */
+function inPeriods(today, count, unit) {
+  const kind = unit.toLowerCase();
+  if (kind === 'day') return addDays(today, count);
+  if (kind === 'week') return addDays(today, count * 7);
+  const last = fromTime(Date.UTC(today.year, today.month + count + 1, 0));
+  return calendarDay(last.year, last.month, Math.min(today.day, last.day));
+}
+
+/**
+ * "next week" is the coming Monday, "next month" the 1st of next month.
+ */
+function nextPeriod(today, unit) {
+  if (unit.toLowerCase() === 'week') return addDays(today, 7 - ((weekdayOf(today) + 6) % 7));
+  return fromTime(Date.UTC(today.year, today.month + 1, 1));
+}
+
+// PUBLIC_INTERFACE
+export function isValidTimeZone(timeZone) {
+  /** Whether `timeZone` is an IANA time zone name this runtime knows ("Europe/Paris", "UTC"). */
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = {};
+
+/**
+ * Wall-clock fields of the instant `time` in `timeZone`.
+ */
+function zonedParts(time, timeZone) {
+  formatters[timeZone] = formatters[timeZone] || new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  });
+  const parts = {};
+  for (const { type, value } of formatters[timeZone].formatToParts(new Date(time))) parts[type] = Number(value);
+  return {
+    year: parts.year, month: parts.month - 1, day: parts.day,
+    hour: parts.hour % 24, minute: parts.minute, second: parts.second
+  };
+}
+
+// PUBLIC_INTERFACE
+export function timeZoneOffset(time, timeZone) {
+  /** Minutes `timeZone` is ahead of UTC at the instant `time` (negative west of UTC). */
+  const p = zonedParts(time, timeZone);
+  const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(new Date(time).getTime() / 1000) * 1000) / 60000);
+}
+
+// PUBLIC_INTERFACE
+export function zonedTime({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  /**
+   * The instant (a Date) when clocks in `timeZone` show the given wall time
+   * (month 0-11). A time skipped by a DST change moves forward by the gap
+   * (2:30 on a spring-forward night is 3:30); a time that happens twice is
+   * the first of the two.
+   */
+  const wall = Date.UTC(year, month, day, hour, minute);
+  // Offsets in force a day either side cover any DST change around `wall`.
+  const [before, after] = [wall - DAY_MS, wall + DAY_MS].map(t => wall - timeZoneOffset(t, timeZone) * 60000);
+  const shows = (t) => {
+    const p = zonedParts(t, timeZone);
+    return p.day === day && p.hour === hour && p.minute === minute;
+  };
+  const matches = [before, after].filter(shows);
+  return new Date(matches.length ? Math.min(...matches) : before);
+}
+
+/**
+ * Wall-clock date of `now` in `timeZone`: an IANA name, or a fixed offset in
+ * minutes east of UTC (such as the Date header of an email gives).
+ */
+function localDay(now, timeZone) {
+  const p = typeof timeZone === 'number'
+    ? fromTime(new Date(now).getTime() + timeZone * 60000)
+    : zonedParts(now, timeZone);
+  return { year: p.year, month: p.month, day: p.day };
+}
+
+/**
+ * The instant a wall time shows in `timeZone` (see localDay).
+ */
+function wallTime(fields, timeZone) {
+  if (typeof timeZone !== 'number') return zonedTime(fields, timeZone);
+  const { year, month, day, hour = 0, minute = 0 } = fields;
+  return new Date(Date.UTC(year, month, day, hour, minute) - timeZone * 60000);
+}
+
+/**
+ * The token of a phraseRegex-style `match` (group 2): { index, text }.
+ */
+function tokenOf(match) {
+  return { index: match.index + match[1].length, text: match[2] };
+}
+
+/**
+ * Blanks out `token` ({ index, text }) in `text`, so later patterns cannot reuse it.
+ */
+function blank(text, token) {
+  return text.slice(0, token.index) + ' '.repeat(token.text.length) + text.slice(token.index + token.text.length);
+}
+
+// PUBLIC_INTERFACE
+export function parseDuePhrase(input, { now = new Date(), timeZone = 'UTC', cued = false } = {}) {
+  /**
+   * Finds the due date named in `input`: a day phrase (today, tomorrow, eod,
+   * fri, next friday, end of month, in 3 days, next week, Nov 3, 3 Nov 2027,
+   * 2026-11-03) and/or a time (5pm, 17:30, noon), read in `timeZone` (an
+   * IANA name, or a fixed offset in minutes east of UTC) as of `now`.
+   * Returns { dueDate, hasTime, tokens }:
+   * - dueDate: with a time, that instant (ISO string); a day alone is stored
+   *   like the task form's date-only dates, midnight UTC of that day. A time
+   *   alone is today, or tomorrow once it has passed. Only the first day
+   *   phrase (the one starting earliest) and time count; null if none.
+   * - tokens: the { type: 'date' | 'time', index, text } read, in `input`.
+   * With `cued` (free text such as an email) only a day phrase after a cue
+   * word (by, due, before, until, deadline, no later than) counts, so a
+   * weekday merely mentioned does not, and times are not read.
+   */
+  let text = String(input || '');
+  const tokens = [];
+  const today = localDay(now, timeZone);
+
+  let day = null;
+  let dayMatch = null;
+  for (const phrase of DAY_PHRASES) {
+    const match = phraseRegex(phrase.pattern, cued).exec(text);
+    if (!match || (dayMatch && match.index >= dayMatch.index)) continue;
+    // The phrase's own groups follow the two phraseRegex adds.
+    const found = phrase.day([match[2], ...match.slice(3)], today);
+    if (found) {
+      day = found;
+      dayMatch = match;
+    }
+  }
+  if (dayMatch) {
+    tokens.push({ type: 'date', ...tokenOf(dayMatch) });
+    text = blank(text, tokenOf(dayMatch));
+  }
+
+  let time = null;
+  const timeMatch = cued ? null : phraseRegex(TIME_PATTERN).exec(text);
+  if (timeMatch) {
+    const [, , , hour12, minute12, meridiem, hour24, minute24, noon] = timeMatch;
+    if (noon) time = { hour: 12, minute: 0 };
+    else if (hour24 !== undefined) time = { hour: Number(hour24), minute: Number(minute24) };
+    else if (Number(hour12) >= 1 && Number(hour12) <= 12)
+      time = { hour: (Number(hour12) % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0), minute: Number(minute12 || 0) };
+    if (time) tokens.push({ type: 'time', ...tokenOf(timeMatch) });
+  }
+
+  let dueDate = null;
+  if (time) {
+    let at = wallTime({ ...(day || today), ...time }, timeZone);
+    if (!day && at.getTime() <= new Date(now).getTime()) at = wallTime({ ...addDays(today, 1), ...time }, timeZone);
+    dueDate = at.toISOString();
+  } else if (day) {
+    dueDate = new Date(Date.UTC(day.year, day.month, day.day)).toISOString();
+  }
+  return { dueDate, hasTime: Boolean(time), tokens };
+}
+
+// PUBLIC_INTERFACE
+export function parseQuickAdd(input, { now = new Date(), timeZone = 'UTC' } = {}) {
+  /**
+   * Parses a quick-add line such as "Pay invoice tomorrow 5pm !high @alice
+   * #finance" into task fields:
+   *   { title, dueDate, hasTime, priority, assignee, tags, parts }.
+   * - dueDate/hasTime: a day phrase and/or a time, read in `timeZone` as
+   *   of `now` (see parseDuePhrase).
+   * - priority: !high/!h, !medium/!med/!m, !low/!l.
+   * - assignee: the handle after the first "@" word (jane, jane@example.com).
+   * - tags: #words, lowercased and without duplicates.
+   * - title: the rest of the text. Wrap words in double quotes to keep them
+   *   in the title as written ("Call \"Monday\" team").
+   * parts lists each recognised token ({ type, text }) for previews.
+   * Fields not in the text are null (tags: []).
+   */
+  const source = String(input || '');
+  // Quoted text is masked (NUL characters) so no token is read inside it.
+  let text = source.replace(/"[^"]*"/g, quoted => '\0'.repeat(quoted.length));
+  const parts = [];
+  const consume = (type, token) => {
+    parts.push({ type, text: token.text.trim(), index: token.index });
+    text = blank(text, token);
+  };
+
+  let priority = null;
+  const priorityMatch = /(^|\s)(!(high|h|medium|med|m|low|l))(?=$|[\s,.;])/i.exec(text);
+  if (priorityMatch) {
+    priority = PRIORITY_WORDS[priorityMatch[3].toLowerCase()];
+    consume('priority', tokenOf(priorityMatch));
+  }
+
+  let assignee = null;
+  const assigneeMatch = /(^|\s)(@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?))/.exec(text);
+  if (assigneeMatch) {
+    assignee = assigneeMatch[3].replace(/[.\-+]+$/, '').toLowerCase();
+    consume('assignee', tokenOf(assigneeMatch));
+  }
+
+  const tags = [];
+  const tagRegex = new RegExp(`(^|\\s)(#(${TAG_CHARS}+))`, 'u');
+  for (let tagMatch; (tagMatch = tagRegex.exec(text));) {
+    const tag = normalizeTag(tagMatch[3]).slice(0, MAX_TAG_LENGTH);
+    if (!tags.includes(tag) && tags.length < MAX_TAGS) tags.push(tag);
+    consume('tag', tokenOf(tagMatch));
+  }
+
+  const { dueDate, hasTime, tokens } = parseDuePhrase(text, { now, timeZone });
+  for (const token of tokens) consume(token.type, token);
+
+  // Put the quoted text back (without its quotes) and tidy the spacing.
+  const title = [...text]
+    .map((char, i) => (char === '\0' ? source[i] : char))
+    .join('')
+    .replace(/"([^"]*)"/g, '$1')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.;!?])/g, '$1')
+    // A comma left before where a token was ("Call the team, today.")
+    .replace(/[,;]+(?=[.!?]|\s*$)/g, '')
+    .trim();
+
+  parts.sort((a, b) => a.index - b.index);
+  return {
+    title,
+    dueDate,
+    hasTime,
+    priority,
+    assignee,
+    tags,
+    parts: parts.map(({ type, text: partText }) => ({ type, text: partText }))
+  };
+}
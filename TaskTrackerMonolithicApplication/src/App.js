@@ -1,12 +1,69 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import logo from './logo.svg';
 import './App.css';
 
 // API Layer for backend communication
 import {
-  apiLogin, apiRegister, apiLogout, storeToken, getToken, clearToken,
-  fetchTasks, createTask, updateTask, deleteTask, completeTask
+  apiLogin, apiRegister, apiLogout, apiLogoutAll, apiVerifyEmail, apiSendVerification, storeToken, getToken, clearToken,
+  fetchTasks, createTask, updateTask, deleteTask, completeTask, exportTasks,
+  fetchProjects, createProject, inviteProjectMember, fetchWorkflow, fetchTags, fetchViews
 } from './api';
+import ReminderPanel from './components/ReminderPanel';
+import TaskDetail from './components/TaskDetail';
+import Highlight from './components/Highlight';
+import RecurrencePicker, { describeRule } from './components/RecurrencePicker';
+import ProgressBar from './components/ProgressBar';
+import Subtasks from './components/Subtasks';
+import DependencyPanel from './components/DependencyPanel';
+import StatusSelect from './components/StatusSelect';
+import Board from './components/Board';
+import CalendarView from './components/CalendarView';
+import ImportWizard from './components/ImportWizard';
+import EmailDropZone from './components/EmailDropZone';
+import DigestSettings from './components/DigestSettings';
+import QuickAdd from './components/QuickAdd';
+import BulkActionBar from './components/BulkActionBar';
+import ProjectSwitcher from './components/ProjectSwitcher';
+import TagManager, { TagChip, TagFilter } from './components/TagManager';
+import ViewSidebar from './components/ViewSidebar';
+import { ForgotPasswordForm, ResetPasswordForm } from './components/PasswordReset';
+
+// Read (and strip from the address bar) a token passed by an emailed link
+function takeUrlToken(name) {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get(name);
+  if (token) {
+    params.delete(name);
+    const qs = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (qs ? '?' + qs : ''));
+  }
+  return token;
+}
+
+// Query params of the tag filter ({ tags, mode }) and the selected saved view
+function filterParams({ tags, mode, view }) {
+  return {
+    ...(tags.length ? { tags: tags.join(','), tagsMode: mode } : {}),
+    ...(view ? { view } : {})
+  };
+}
+
+// Task list query: search results, or top-level tasks (subtasks show nested
+// under them); the board shows them in manual order, as many as a page holds.
+// Both keep to the tag filter and saved view, when picked.
+function taskScope(search, mode, listFilter) {
+  const filters = filterParams(listFilter);
+  if (search.trim()) return { q: search.trim(), ...filters };
+  return mode === 'board' ? { parent: 'none', sortBy: 'rank', limit: 200, ...filters } : { parent: 'none', ...filters };
+}
+
+const NO_LIST_FILTER = { tags: [], mode: 'any', view: '' };
+
+// Remaining lockout as m:ss
+function formatRemaining(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
 
 /**
  * Main App component with API, auth, tasks state
@@ -17,24 +74,95 @@ function App() {
   const [user, setUser] = useState(null);
   const [jwt, setJwt] = useState(getToken());
   const [tasks, setTasks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null); // more tasks to load when set
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadMoreRef = useRef(null);
+  const [search, setSearch] = useState('');
+  const lastSearch = useRef('');
   const [loading, setLoading] = useState(false);
   const [apiError, setApiError] = useState('');
-  const [authMode, setAuthMode] = useState('login'); // or 'register'
+  const [authMode, setAuthMode] = useState('login'); // or 'register', 'forgot'
+  const [notice, setNotice] = useState('');
+  const [resetToken, setResetToken] = useState(() => takeUrlToken('resetToken'));
+  const [lockedUntil, setLockedUntil] = useState(0); // login lockout end (ms timestamp)
+  const [now, setNow] = useState(Date.now());
   // Simple form state for demo
   const [form, setForm] = useState({ email: '', password: '', name: '' });
-  const [taskForm, setTaskForm] = useState({ title: '', description: '', dueDate: '' });
+  const [taskForm, setTaskForm] = useState({ title: '', description: '', dueDate: '', tags: '', recurrence: null });
+  const [reminderTaskId, setReminderTaskId] = useState(null);
+  const [expandedTaskId, setExpandedTaskId] = useState(null);
+  const [subtasksTaskId, setSubtasksTaskId] = useState(null);
+  const [dependencyTaskId, setDependencyTaskId] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [currentProject, setCurrentProject] = useState(''); // '' = all, 'none' = personal
+  const [workflows, setWorkflows] = useState({}); // project id ('' = personal) -> workflow
+  const [view, setView] = useState('list'); // or 'board', 'calendar'
+  const [importing, setImporting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]); // tasks picked for bulk actions
+  const [tagsByScope, setTagsByScope] = useState({}); // project id ('' = personal) -> tags
+  const [listFilter, setListFilter] = useState(NO_LIST_FILTER); // tag filter and saved view
+  const [views, setViews] = useState([]);
+  const [managingTags, setManagingTags] = useState(false);
+  const requestedWorkflows = useRef(new Set());
+  const requestedTags = useRef(new Set());
 
   // Sync theme with document
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme);
   }, [theme]);
 
+  // Tick once a second while the login is locked out
+  useEffect(() => {
+    if (!lockedUntil) return;
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= lockedUntil) setLockedUntil(0);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  // Search as the user types, once typing pauses
+  useEffect(() => {
+    if (!jwt || search === lastSearch.current) return;
+    const timer = setTimeout(() => {
+      lastSearch.current = search;
+      setLoading(true);
+      fetchTasks({ project: currentProject, ...taskScope(search, view, listFilter) })
+        .then(page => { setTasks(page.tasks); setNextCursor(page.nextCursor); })
+        .catch(() => setApiError('Could not fetch tasks'))
+        .finally(() => setLoading(false));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search, jwt, currentProject, view, listFilter]);
+
+  // Confirm the email address when opened from the verification link
+  useEffect(() => {
+    const verifyToken = takeUrlToken('verifyToken');
+    if (!verifyToken) return;
+    apiVerifyEmail(verifyToken)
+      .then(({ message, user: verified }) => {
+        setNotice(message);
+        setUser(u => (u && u.id === verified.id ? { ...u, emailVerified: true } : u));
+      })
+      .catch(err => setApiError(err.message));
+  }, []);
+
+  // The task list query for the current filters, read when the token changes
+  const listQuery = useRef();
+  listQuery.current = { project: currentProject, ...taskScope(search, view, listFilter) };
+
   // Load user and tasks from token on mount
   useEffect(() => {
     if (jwt) {
       // Try to restore user and tasks
       setLoading(true);
-      fetchTasks().then(setTasks).catch(() => setTasks([])).finally(() => setLoading(false));
+      fetchTasks(listQuery.current)
+        .then(page => { setTasks(page.tasks); setNextCursor(page.nextCursor); })
+        .catch(() => setTasks([]))
+        .finally(() => setLoading(false));
+      fetchProjects().then(setProjects).catch(() => setProjects([]));
+      fetchViews().then(setViews).catch(() => setViews([]));
       // For demo, decode JWT payload (not for production user info)
       try {
         const payload = JSON.parse(atob(jwt.split('.')[1]));
@@ -45,9 +173,64 @@ function App() {
     } else {
       setUser(null);
       setTasks([]);
+      setNextCursor(null);
+      setSearch('');
+      lastSearch.current = '';
+      setProjects([]);
+      setCurrentProject('');
+      setWorkflows({});
+      requestedWorkflows.current.clear();
+      setTagsByScope({});
+      setListFilter(NO_LIST_FILTER);
+      setViews([]);
+      requestedTags.current.clear();
     }
   }, [jwt]);
 
+  // Board columns follow the selected project's workflow (personal: the default)
+  const boardKey = currentProject && currentProject !== 'none' ? currentProject : '';
+
+  // Load the workflow of each project the listed tasks belong to, once
+  useEffect(() => {
+    const keys = new Set(tasks.map(t => t.project || ''));
+    if (view === 'board') keys.add(boardKey);
+    for (const key of keys) {
+      if (requestedWorkflows.current.has(key)) continue;
+      requestedWorkflows.current.add(key);
+      fetchWorkflow(key)
+        .then(workflow => setWorkflows(ws => ({ ...ws, [key]: workflow })))
+        .catch(() => requestedWorkflows.current.delete(key));
+    }
+  }, [tasks, view, boardKey]);
+
+  // Tags (with colors and counts) of the selected project or personal tasks,
+  // and of each project the listed tasks belong to; reloaded with the tasks
+  const loadTags = useCallback(key =>
+    fetchTags(key)
+      .then(tags => setTagsByScope(ts => ({ ...ts, [key]: tags })))
+      .catch(() => requestedTags.current.delete(key)), []);
+
+  useEffect(() => {
+    if (!jwt) return;
+    const keys = new Set(tasks.map(t => t.project || ''));
+    keys.add(boardKey);
+    for (const key of keys) {
+      if (requestedTags.current.has(key)) continue;
+      requestedTags.current.add(key);
+      loadTags(key);
+    }
+  }, [jwt, tasks, boardKey, loadTags]);
+
+  const tagColor = (task, name) => {
+    const tag = (tagsByScope[task.project || ''] || []).find(t => t.name === name);
+    return tag && tag.color;
+  };
+
+  // Filter choices: every tag name loaded, in the color of its first scope
+  const filterTags = Object.values(
+    Object.values(tagsByScope).flat().reduce((byName, tag) => ({ [tag.name]: tag, ...byName }), {})
+  ).sort((a, b) => a.name.localeCompare(b.name));
+
   // Theme toggle
   const toggleTheme = () => setTheme(prevTheme => (prevTheme === 'light' ? 'dark' : 'light'));
 
@@ -57,13 +240,17 @@ function App() {
     setApiError('');
     setLoading(true);
     try {
-      const { token, user } = await apiLogin(form.email, form.password);
-      storeToken(token);
+      const { token, refreshToken, user } = await apiLogin(form.email, form.password);
+      storeToken(token, refreshToken);
       setJwt(token);
       setUser(user);
       setAuthMode('login');
     } catch (err) {
       setApiError(err.message);
+      if (err.retryAfter) {
+        setNow(Date.now());
+        setLockedUntil(Date.now() + err.retryAfter * 1000);
+      }
     } finally {
       setLoading(false);
     }
@@ -74,8 +261,8 @@ function App() {
     setApiError('');
     setLoading(true);
     try {
-      const { token, user } = await apiRegister(form.email, form.password, form.name);
-      storeToken(token);
+      const { token, refreshToken, user } = await apiRegister(form.email, form.password, form.name);
+      storeToken(token, refreshToken);
       setJwt(token);
       setUser(user);
       setAuthMode('login');
@@ -93,21 +280,164 @@ function App() {
     clearToken();
   };
 
+  const handleResendVerification = async () => {
+    setApiError('');
+    try { setNotice((await apiSendVerification()).message); }
+    catch (err) { setApiError(err.message); }
+  };
+
+  const handlePasswordReset = (message) => {
+    setResetToken(null);
+    setAuthMode('login');
+    setNotice(message);
+  };
+
+  const handleLogoutAll = async () => {
+    setApiError('');
+    try { await apiLogoutAll(); }
+    catch { /* tokens are cleared regardless */ }
+    setJwt(null); setUser(null); setTasks([]);
+  };
+
   // Task Handlers
-  const handleFetchTasks = async () => {
+  const handleFetchTasks = async (project = currentProject, mode = view, filter = listFilter) => {
     setLoading(true);
-    try { setTasks(await fetchTasks()); }
-    catch { setApiError('Could not fetch tasks'); }
+    try {
+      const page = await fetchTasks({ project, ...taskScope(search, mode, filter) });
+      requestedTags.current.clear(); // tags may have been added or renamed
+      setTasks(page.tasks);
+      setNextCursor(page.nextCursor);
+    }
+    catch {
+      // Session expired and could not be refreshed: back to login
+      if (!getToken()) { setJwt(null); return; }
+      setApiError('Could not fetch tasks');
+    }
     finally { setLoading(false); }
   };
 
+  // Append the next page of tasks
+  const handleLoadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const page = await fetchTasks({ project: currentProject, ...taskScope(search, view, listFilter), cursor: nextCursor });
+      setTasks(ts => [...ts, ...page.tasks.filter(t => !ts.some(x => x._id === t._id))]);
+      setNextCursor(page.nextCursor);
+    } catch {
+      setApiError('Could not fetch tasks');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Infinite scroll: load the next page when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) handleLoadMore();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  });
+
+  // Project Handlers
+  const handleSwitchProject = async (project) => {
+    setCurrentProject(project);
+    await handleFetchTasks(project);
+  };
+
+  const handleCreateProject = async (name) => {
+    setApiError('');
+    try {
+      const project = await createProject({ name });
+      setProjects(await fetchProjects());
+      await handleSwitchProject(project._id);
+    } catch (err) {
+      setApiError(err.message);
+    }
+  };
+
+  const handleInviteMember = async (projectId, email, role) => {
+    setApiError('');
+    try { await inviteProjectMember(projectId, email, role); }
+    catch (err) { setApiError(err.message); }
+  };
+
+  const handleListFilter = async (filter) => {
+    setListFilter(filter);
+    await handleFetchTasks(currentProject, view, filter);
+  };
+
+  const handleSelectView = (id) => handleListFilter({ ...listFilter, view: id });
+
+  const selectedView = views.find(v => v._id === listFilter.view);
+  // A new view keeps the selected project and tag filter
+  const viewDefaults = {
+    ...(boardKey ? { project: boardKey } : {}),
+    ...(listFilter.tags.length ? { tags: listFilter.tags, tagsMode: listFilter.mode } : {})
+  };
+
+  // After a view is saved or deleted; the selected view's filters may have changed
+  const handleViewsChanged = async () => {
+    try {
+      const updated = await fetchViews();
+      setViews(updated);
+      if (updated.some(v => v._id === listFilter.view)) await handleFetchTasks();
+    } catch (err) {
+      setApiError(err.message);
+    }
+  };
+
+  // Renames, merges and deletes change tasks too (the tags reload with them)
+  const handleTagsChanged = () => handleFetchTasks();
+
+  const handleSwitchView = async (mode) => {
+    setView(mode);
+    if (mode !== 'calendar') await handleFetchTasks(currentProject, mode); // the calendar loads its own range
+  };
+
+  // Selected tasks still in the list (deleted or filtered-out ones drop out)
+  const selectedTasks = tasks.filter(t => selectedIds.includes(t._id));
+  const toggleSelected = (id) =>
+    setSelectedIds(ids => (ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]));
+  const toggleSelectAll = () =>
+    setSelectedIds(selectedTasks.length === tasks.length ? [] : tasks.map(t => t._id));
+
+  // Download every task matching the project, tag filter, saved view and search, subtasks included
+  const handleExport = async (format) => {
+    setApiError('');
+    try {
+      const filters = { project: currentProject, q: search.trim(), ...filterParams(listFilter) };
+      const { blob, filename } = await exportTasks(filters, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setApiError(err.message);
+    }
+  };
+
+  const handleWorkflowSaved = async (projectId, workflow) => {
+    setWorkflows(ws => ({ ...ws, [projectId]: workflow }));
+    await handleFetchTasks(); // tasks in removed statuses were moved
+  };
+
   const handleCreateTask = async (e) => {
     e.preventDefault();
     setApiError('');
     setLoading(true);
     try {
-      await createTask(taskForm);
-      setTaskForm({ title: '', description: '', dueDate: '' });
+      const inProject = currentProject && currentProject !== 'none';
+      const { recurrence, tags, ...fields } = taskForm;
+      const taskData = recurrence && fields.dueDate ? { ...fields, recurrence } : fields;
+      taskData.tags = tags.split(/[\s,]+/).filter(Boolean);
+      await createTask(inProject ? { ...taskData, project: currentProject } : taskData);
+      setTaskForm({ title: '', description: '', dueDate: '', tags: '', recurrence: null });
       await handleFetchTasks();
     } catch (err) {
       setApiError(err.message);
@@ -121,10 +451,20 @@ function App() {
     finally { setLoading(false); }
   };
 
+  const handleStatusChange = async (task, status) => {
+    setApiError('');
+    try {
+      await updateTask(task._id, { title: task.title, status });
+      await handleFetchTasks(); // blocked flags and parent progress may change
+    } catch (err) {
+      setApiError(err.message);
+    }
+  };
+
   const handleCompleteTask = async (id) => {
     setLoading(true);
     try { await completeTask(id); await handleFetchTasks(); }
-    catch { setApiError('Complete failed'); }
+    catch (err) { setApiError(err.message || 'Complete failed'); }
     finally { setLoading(false); }
   };
 
@@ -148,8 +488,29 @@ function App() {
                 <button onClick={handleLogout} style={{
                   marginLeft: 16, background: "var(--button-bg)", color: "var(--button-text)"
                 }}>Logout</button>
+                <button onClick={handleLogoutAll} style={{
+                  marginLeft: 8, background: "none", color: "var(--text-primary)"
+                }}>Log out all devices</button>
               </div>
+              {user.emailVerified === false &&
+                <div style={{ fontSize: '0.7em', marginTop: 6 }}>
+                  Please verify your email address.
+                  <button onClick={handleResendVerification} style={{ marginLeft: 8 }}>
+                    Resend verification email
+                  </button>
+                </div>}
+              {notice && <div style={{ color: 'seagreen', fontSize: '0.7em' }}>{notice}</div>}
             </div>
+            <ProjectSwitcher
+              projects={projects}
+              value={currentProject}
+              onChange={handleSwitchProject}
+              onCreate={handleCreateProject}
+              onInvite={handleInviteMember}
+              onWorkflowSaved={handleWorkflowSaved}
+            />
+            <QuickAdd project={currentProject && currentProject !== 'none' ? currentProject : null}
+              onCreated={() => handleFetchTasks()} />
             <form onSubmit={handleCreateTask} style={{ marginBottom: 16 }}>
               <h4>Create Task</h4>
               <input
@@ -170,35 +531,130 @@ function App() {
                 onChange={e => setTaskForm(f => ({ ...f, dueDate: e.target.value }))}
                 style={{ marginRight: 8 }}
               />
+              <input
+                type="text" placeholder="Tags" aria-label="Tags"
+                value={taskForm.tags}
+                onChange={e => setTaskForm(f => ({ ...f, tags: e.target.value }))}
+                style={{ marginRight: 8, width: 120 }}
+              />
               <button type="submit" disabled={loading}>Add Task</button>
+              <div>
+                <RecurrencePicker value={taskForm.recurrence} disabled={!taskForm.dueDate}
+                  onChange={recurrence => setTaskForm(f => ({ ...f, recurrence }))} />
+              </div>
             </form>
-            <button onClick={handleFetchTasks} style={{ marginBottom: 8 }}>Reload Tasks</button>
-            <div>
-              <h4>My Tasks</h4>
-              {loading && <div>Loading...</div>}
-              {apiError && <div style={{ color: 'tomato' }}>{apiError}</div>}
-              <ul style={{ listStyle: "none", padding: 0 }}>
-                {tasks.length
-                  ? tasks.map(task =>
-                    <li key={task._id} style={{
-                      border: "1px solid var(--border-color)",
-                      borderRadius: 6, margin: "8px 0", padding: 8, background: "#fff1"
-                    }}>
-                      <div>
-                        <b>{task.title}</b> {task.status === 'completed' && "✅"}
-                        <button onClick={() => handleDeleteTask(task._id)}
-                          style={{ float: "right", background: "none", color: "crimson" }}>&times;</button>
-                        <button onClick={() => handleCompleteTask(task._id)}
-                          style={{ float: "right", marginRight: 4, background: "none" }}>✓</button>
-                      </div>
-                      <div>{task.description}</div>
-                      <div>Due: {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : "N/A"}</div>
-                    </li>)
-                  : !loading && <li>No tasks found.</li>}
-              </ul>
+            <input type="search" aria-label="Search tasks"
+              placeholder='Search… e.g. "release notes" title:deploy due:<2026-12-01'
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              style={{ marginRight: 8, marginBottom: 8, minWidth: 260 }} />
+            <button onClick={() => handleFetchTasks()} style={{ marginBottom: 8 }}>Reload Tasks</button>
+            {[['list', 'List'], ['board', 'Board'], ['calendar', 'Calendar']].map(([mode, label]) =>
+              <button key={mode} onClick={() => handleSwitchView(mode)} aria-pressed={view === mode}
+                style={{ marginBottom: 8, marginLeft: 8 }}>{label}</button>)}
+            <button onClick={() => setImporting(i => !i)} aria-expanded={importing}
+              style={{ marginBottom: 8, marginLeft: 16 }}>Import</button>
+            <button onClick={() => handleExport('csv')} style={{ marginBottom: 8, marginLeft: 8 }}>Export CSV</button>
+            <button onClick={() => handleExport('json')} style={{ marginBottom: 8, marginLeft: 8 }}>Export JSON</button>
+            <button onClick={() => setManagingTags(m => !m)} aria-expanded={managingTags}
+              style={{ marginBottom: 8, marginLeft: 16 }}>Tags</button>
+            {importing &&
+              <ImportWizard project={currentProject && currentProject !== 'none' ? currentProject : null}
+                onImported={() => handleFetchTasks()} onClose={() => setImporting(false)} />}
+            {managingTags &&
+              <TagManager project={boardKey || null} tags={tagsByScope[boardKey] || []} onChanged={handleTagsChanged} />}
+            <TagFilter tags={filterTags} value={listFilter} onChange={handleListFilter} />
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, alignItems: 'flex-start' }}>
+              <ViewSidebar views={views} value={listFilter.view} currentFilters={viewDefaults}
+                onSelect={handleSelectView} onChanged={handleViewsChanged} />
+              <div style={{ flex: 1 }}>
+                <h4>{selectedView ? selectedView.name : 'My Tasks'}</h4>
+                {loading && <div>Loading...</div>}
+                {apiError && <div style={{ color: 'tomato' }}>{apiError}</div>}
+                {view === 'calendar' ? <CalendarView project={currentProject} />
+                : view === 'board' ? (workflows[boardKey] &&
+                  <Board tasks={tasks} workflow={workflows[boardKey]}
+                    onTaskChange={updated => setTasks(ts => ts.map(t => (t._id === updated._id ? { ...t, ...updated } : t)))} />
+                ) : <>
+                  {tasks.length > 0 &&
+                    <label style={{ fontSize: '0.6em', display: 'block', textAlign: 'left' }}>
+                      <input type="checkbox" checked={selectedTasks.length === tasks.length}
+                        onChange={toggleSelectAll} /> Select all
+                    </label>}
+                  {selectedTasks.length > 0 &&
+                    <BulkActionBar tasks={selectedTasks} workflow={workflows[boardKey]}
+                      onDone={() => handleFetchTasks()} onClear={() => setSelectedIds([])} />}
+                  <ul style={{ listStyle: "none", padding: 0 }}>
+                  {tasks.length
+                    ? tasks.map(task =>
+                      <li key={task._id} style={{
+                        border: "1px solid var(--border-color)",
+                        borderRadius: 6, margin: "8px 0", padding: 8, background: "#fff1"
+                      }}>
+                        <div>
+                          <input type="checkbox" aria-label={`Select ${task.title}`}
+                            checked={selectedIds.includes(task._id)} onChange={() => toggleSelected(task._id)}
+                            style={{ marginRight: 6 }} />
+                          <button onClick={() => setExpandedTaskId(id => id === task._id ? null : task._id)}
+                            aria-expanded={expandedTaskId === task._id}
+                            style={{ background: 'none', color: 'inherit', padding: 0 }}>
+                            <b><Highlight segments={task.highlights && task.highlights.title} fallback={task.title} /></b>
+                          </button> {task.statusCategory === 'done' && "✅"}
+                          {workflows[task.project || ''] &&
+                            <StatusSelect task={task} workflow={workflows[task.project || '']}
+                              onChange={status => handleStatusChange(task, status)} />}
+                          {task.blocked && task.statusCategory !== 'done' &&
+                            <span title="Waiting for other tasks" style={{ marginLeft: 6, color: 'tomato' }}>⛔ Blocked</span>}
+                          {task.overdue &&
+                            <span title="Past its due date" style={{ marginLeft: 6, color: 'crimson' }}>⚠ Overdue</span>}
+                          <button onClick={() => handleDeleteTask(task._id)}
+                            style={{ float: "right", background: "none", color: "crimson" }}>&times;</button>
+                          <button onClick={() => handleCompleteTask(task._id)}
+                            style={{ float: "right", marginRight: 4, background: "none" }}>✓</button>
+                          <button onClick={() => setDependencyTaskId(id => id === task._id ? null : task._id)}
+                            aria-label={`Dependencies of ${task.title}`} aria-expanded={dependencyTaskId === task._id}
+                            style={{ float: "right", marginRight: 4, background: "none" }}>⛓</button>
+                          <button onClick={() => setSubtasksTaskId(id => id === task._id ? null : task._id)}
+                            aria-label={`Subtasks of ${task.title}`} aria-expanded={subtasksTaskId === task._id}
+                            style={{ float: "right", marginRight: 4, background: "none" }}>☰</button>
+                          <button onClick={() => setReminderTaskId(id => id === task._id ? null : task._id)}
+                            aria-label={`Reminders for ${task.title}`} aria-expanded={reminderTaskId === task._id}
+                            style={{ float: "right", marginRight: 4, background: "none" }}>🔔</button>
+                        </div>
+                        <div><Highlight segments={task.highlights && task.highlights.description} fallback={task.description} /></div>
+                        <div>
+                          Due: {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : "N/A"}
+                          {task.recurrence && <span style={{ marginLeft: 8, opacity: 0.8 }}>↻ {describeRule(task.recurrence)}</span>}
+                        </div>
+                        {task.tags && task.tags.length > 0 &&
+                          <div>{task.tags.map(name => <TagChip key={name} name={name} color={tagColor(task, name)} />)}</div>}
+                        <ProgressBar progress={task.progress} label={`Progress of ${task.title}`} />
+                        {subtasksTaskId === task._id && <Subtasks task={task}
+                          onTaskChange={updated => setTasks(ts => ts.map(t => (t._id === updated._id ? { ...t, ...updated } : t)))} />}
+                        {dependencyTaskId === task._id && <DependencyPanel task={task} candidates={tasks}
+                          onTaskChange={updated => setTasks(ts => ts.map(t => (t._id === updated._id ? { ...t, ...updated } : t)))} />}
+                        {reminderTaskId === task._id && <ReminderPanel task={task} />}
+                        {expandedTaskId === task._id && <TaskDetail task={task} currentUserId={user && user.id}
+                          onTaskChange={updated => setTasks(ts => ts.map(t => (t._id === updated._id ? updated : t)))} />}
+                      </li>)
+                    : !loading && <li>No tasks found.</li>}
+                  </ul>
+                </>}
+                {nextCursor &&
+                  <div ref={loadMoreRef}>
+                    <button onClick={handleLoadMore} disabled={loadingMore}>
+                      {loadingMore ? 'Loading...' : 'Load more'}
+                    </button>
+                  </div>}
+              </div>
             </div>
-            {/* Drag-and-drop/email task creation and filtering UI placeholder */}
+            <EmailDropZone onCreated={() => handleFetchTasks()} />
+            <DigestSettings />
           </>
+        ) : resetToken ? (
+          <ResetPasswordForm token={resetToken} onDone={handlePasswordReset} />
+        ) : authMode === 'forgot' ? (
+          <ForgotPasswordForm onDone={() => setAuthMode('login')} />
         ) : (
           <div>
             <div>
@@ -228,10 +684,20 @@ function App() {
                   onChange={e => setForm(f => ({ ...f, name: e.target.value }))}
                   style={{ marginBottom: 8 }} />}
               <br />
-              <button disabled={loading} type="submit">
+              <button disabled={loading || (authMode === 'login' && lockedUntil > now)} type="submit">
                 {authMode === 'login' ? "Login" : "Register"}
               </button>
+              {authMode === 'login' && lockedUntil > now &&
+                <div role="status" style={{ color: 'tomato', marginTop: 8 }}>
+                  Login locked. Try again in {formatRemaining(lockedUntil - now)}.
+                </div>}
             </form>
+            {authMode === 'login' &&
+              <button onClick={() => setAuthMode('forgot')}
+                style={{ marginTop: 8, background: 'none', color: 'var(--text-primary)' }}>
+                Forgot password?
+              </button>}
+            {notice && <div style={{ color: 'seagreen' }}>{notice}</div>}
             {apiError && <div style={{ color: 'tomato' }}>{apiError}</div>}
           </div>
         )}
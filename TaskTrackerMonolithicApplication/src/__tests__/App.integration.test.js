@@ -1,6 +1,16 @@
 import React from "react";
 import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import App from "../App";
+import {
+  fetchDigestSettings,
+  fetchInboundAddress,
+  fetchProjects,
+  fetchTags,
+  fetchTasks,
+  fetchViews,
+  fetchWorkflow,
+  getToken
+} from "../api";
 
 // Mock API utilities
 jest.mock("../api", () => {
@@ -36,10 +46,14 @@ jest.mock("../api", () => {
       isLoggedIn = false;
       return Promise.resolve();
     }),
+    apiLogoutAll: jest.fn(() => {
+      isLoggedIn = false;
+      return Promise.resolve();
+    }),
     storeToken: jest.fn(),
     getToken: jest.fn(() => (isLoggedIn ? "tok" : null)),
     clearToken: jest.fn(),
-    fetchTasks: jest.fn(() => Promise.resolve(isLoggedIn ? [...tasks] : [])),
+    fetchTasks: jest.fn(() => Promise.resolve({ tasks: isLoggedIn ? [...tasks] : [], nextCursor: null })),
     createTask: jest.fn((t) => {
       tasks.push({
         ...t,
@@ -62,13 +76,45 @@ jest.mock("../api", () => {
     completeTask: jest.fn((id) => {
       const task = tasks.find((t) => t._id === id);
       if (task)
-        task.status = task.status === "completed" ? "todo" : "completed";
+        Object.assign(task, task.status === "completed"
+          ? { status: "todo", statusCategory: "todo" }
+          : { status: "completed", statusCategory: "done" });
       return Promise.resolve({ ...task });
-    })
+    }),
+    fetchProjects: jest.fn(() => Promise.resolve([])),
+    fetchInboundAddress: jest.fn(() => Promise.resolve({ enabled: false })),
+    quickAddTask: jest.fn(() => Promise.resolve({ task: {} })),
+    fetchTags: jest.fn(() => Promise.resolve([])),
+    fetchViews: jest.fn(() => Promise.resolve([])),
+    fetchDigestSettings: jest.fn(() => Promise.resolve({ enabled: false, hour: 8, timeZone: "UTC", nextAt: null })),
+    createProject: jest.fn((p) => Promise.resolve({ ...p, _id: "p1", myRole: "owner" })),
+    inviteProjectMember: jest.fn(() => Promise.resolve({})),
+    fetchWorkflow: jest.fn(() => Promise.resolve({
+      statuses: [
+        { key: "todo", name: "To do", category: "todo" },
+        { key: "completed", name: "Completed", category: "done" }
+      ],
+      initial: "todo",
+      transitions: []
+    }))
   };
 });
 
 describe("App Integration", () => {
+  it("loads only top-level tasks when restoring a session", async () => {
+    const payload = btoa(JSON.stringify({ id: "u1", email: "user@tt.com", name: "User", role: "user" }));
+    getToken.mockReturnValueOnce(`header.${payload}.signature`);
+    // CRA resets mock implementations before each test.
+    fetchTasks.mockResolvedValue({ tasks: [], nextCursor: null });
+    [fetchProjects, fetchTags, fetchViews].forEach((fetch) => fetch.mockResolvedValue([]));
+    fetchInboundAddress.mockResolvedValue({ enabled: false });
+    fetchDigestSettings.mockResolvedValue({ enabled: false, hour: 8, timeZone: "UTC", nextAt: null });
+    fetchWorkflow.mockResolvedValue({ statuses: [], initial: "todo", transitions: [] });
+    render(<App />);
+    await waitFor(() => expect(fetchTasks).toHaveBeenCalled());
+    expect(fetchTasks.mock.calls[0][0]).toMatchObject({ parent: "none" });
+  });
+
   it("renders login and switches to dashboard on login", async () => {
     render(<App />);
     expect(screen.getByText(/Task Tracker/i)).toBeInTheDocument();
@@ -0,0 +1,88 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import Board from "../components/Board";
+import { updateTask } from "../api";
+
+jest.mock("../api", () => ({
+  updateTask: jest.fn()
+}));
+
+const workflow = {
+  statuses: [
+    { key: "todo", name: "To do", category: "todo" },
+    { key: "in_progress", name: "In progress", category: "in_progress" },
+    { key: "completed", name: "Completed", category: "done" }
+  ],
+  initial: "todo",
+  transitions: [{ from: "todo", to: ["in_progress"] }]
+};
+
+const tasks = [
+  { _id: "t1", title: "Write spec", status: "todo", statusCategory: "todo", rank: 2048 },
+  { _id: "t2", title: "Plan sprint", status: "todo", statusCategory: "todo", rank: 1024 },
+  { _id: "t3", title: "Build API", status: "in_progress", statusCategory: "in_progress", rank: 3072 }
+];
+
+const cardTitles = (column) =>
+  within(screen.getByRole("region", { name: column })).queryAllByRole("listitem").map(li => li.textContent);
+
+describe("Board", () => {
+  beforeEach(() => {
+    updateTask.mockImplementation((id, updates) =>
+      Promise.resolve({ ...tasks.find(t => t._id === id), ...updates, position: undefined }));
+  });
+
+  it("shows a column per status with cards in manual order", () => {
+    render(<Board tasks={tasks} workflow={workflow} onTaskChange={jest.fn()} />);
+    expect(cardTitles("To do")).toEqual(["Plan sprint", "Write spec"]);
+    expect(cardTitles("In progress")).toEqual(["Build API"]);
+    expect(cardTitles("Completed")).toEqual([]);
+  });
+
+  it("moves cards with the arrow keys", async () => {
+    const onTaskChange = jest.fn();
+    render(<Board tasks={tasks} workflow={workflow} onTaskChange={onTaskChange} />);
+
+    fireEvent.keyDown(screen.getByText("Plan sprint"), { key: "ArrowDown" });
+    expect(cardTitles("To do")).toEqual(["Write spec", "Plan sprint"]);
+    expect(updateTask).toHaveBeenCalledWith("t2", { title: "Plan sprint", position: { after: "t1", before: undefined } });
+
+    fireEvent.keyDown(screen.getByText("Write spec"), { key: "ArrowRight" });
+    expect(cardTitles("In progress")).toEqual(["Build API", "Write spec"]);
+    expect(updateTask).toHaveBeenLastCalledWith("t1", {
+      title: "Write spec", status: "in_progress", position: { after: "t3", before: undefined }
+    });
+    await waitFor(() => expect(onTaskChange).toHaveBeenCalledTimes(2));
+    expect(screen.getByRole("status")).toHaveTextContent("Write spec moved to In progress, position 2 of 2.");
+  });
+
+  it("rolls a move back when the server refuses it", async () => {
+    updateTask.mockRejectedValueOnce(new Error("Blocked by open tasks: Design."));
+    render(<Board tasks={tasks} workflow={workflow} onTaskChange={jest.fn()} />);
+    fireEvent.keyDown(screen.getByText("Build API"), { key: "ArrowRight" });
+    expect(cardTitles("Completed")).toEqual(["Build API"]);
+    expect(await screen.findByText("Blocked by open tasks: Design.")).toBeInTheDocument();
+    expect(cardTitles("Completed")).toEqual([]);
+    expect(cardTitles("In progress")).toEqual(["Build API"]);
+  });
+
+  it("does not try moves the workflow forbids", () => {
+    render(<Board tasks={tasks} workflow={workflow} onTaskChange={jest.fn()} />);
+    const dataTransfer = { setData: jest.fn(), getData: () => "t2" };
+    fireEvent.dragStart(screen.getByText("Plan sprint"), { dataTransfer });
+    fireEvent.drop(screen.getByRole("region", { name: "Completed" }), { dataTransfer });
+    expect(updateTask).not.toHaveBeenCalled();
+    expect(screen.getByRole("status")).toHaveTextContent("Plan sprint cannot move to Completed.");
+  });
+
+  it("drops a dragged card before the card it lands on", async () => {
+    render(<Board tasks={tasks} workflow={workflow} onTaskChange={jest.fn()} />);
+    const dataTransfer = { setData: jest.fn(), getData: () => "t1" };
+    fireEvent.dragStart(screen.getByText("Write spec"), { dataTransfer });
+    fireEvent.drop(screen.getByText("Build API"), { dataTransfer });
+    expect(cardTitles("In progress")).toEqual(["Write spec", "Build API"]);
+    await waitFor(() => expect(updateTask).toHaveBeenCalledWith("t1", {
+      title: "Write spec", status: "in_progress", position: { after: undefined, before: "t3" }
+    }));
+  });
+});
@@ -0,0 +1,91 @@
+import React from "react";
+import { render, screen, fireEvent, within, waitFor } from "@testing-library/react";
+import BulkActionBar from "../components/BulkActionBar";
+import { bulkTasks } from "../api";
+
+jest.mock("../api", () => ({
+  bulkTasks: jest.fn()
+}));
+
+const tasks = [
+  { _id: "t1", title: "Write docs" },
+  { _id: "t2", title: "Fix login" }
+];
+const workflow = {
+  statuses: [
+    { key: "todo", name: "To do", category: "todo" },
+    { key: "review", name: "Review", category: "in_progress" }
+  ]
+};
+
+describe("BulkActionBar", () => {
+  let onDone;
+  beforeEach(() => {
+    onDone = jest.fn();
+    bulkTasks.mockResolvedValue({
+      results: [{ id: "t1", ok: true }, { id: "t2", ok: false, status: 403, message: "Not allowed to update this task." }],
+      succeeded: 1,
+      failed: 1
+    });
+  });
+
+  it("applies status, priority and due date changes to every selected task", async () => {
+    render(<BulkActionBar tasks={tasks} workflow={workflow} onDone={onDone} onClear={jest.fn()} />);
+    expect(screen.getByText("2 selected")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Set status"), { target: { value: "review" } });
+    await waitFor(() => expect(onDone).toHaveBeenCalledTimes(1));
+    expect(bulkTasks).toHaveBeenCalledWith("update", ["t1", "t2"], { status: "review" });
+
+    const failures = screen.getByRole("list", { name: "Tasks not changed" });
+    expect(within(failures).getByText("Fix login: Not allowed to update this task.")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Set priority"), { target: { value: "high" } });
+    await waitFor(() => expect(onDone).toHaveBeenCalledTimes(2));
+    expect(bulkTasks).toHaveBeenLastCalledWith("update", ["t1", "t2"], { priority: "high" });
+    fireEvent.click(screen.getByLabelText("Shift due dates +1 week"));
+    await waitFor(() => expect(onDone).toHaveBeenCalledTimes(3));
+    expect(bulkTasks).toHaveBeenLastCalledWith("update", ["t1", "t2"], { dueDateShift: 7 });
+  });
+
+  it("assigns by email, completes, and deletes after confirming", async () => {
+    window.confirm = jest.fn(() => true);
+    render(<BulkActionBar tasks={tasks} workflow={workflow} onDone={onDone} onClear={jest.fn()} />);
+
+    fireEvent.change(screen.getByLabelText("Assignee email"), { target: { value: " ann@tt.com " } });
+    fireEvent.click(screen.getByText("Assign"));
+    await waitFor(() => expect(onDone).toHaveBeenCalledTimes(1));
+    expect(bulkTasks).toHaveBeenLastCalledWith("update", ["t1", "t2"], { assignee: "ann@tt.com" });
+
+    fireEvent.click(screen.getByText("Complete"));
+    await waitFor(() => expect(onDone).toHaveBeenCalledTimes(2));
+    expect(bulkTasks).toHaveBeenLastCalledWith("complete", ["t1", "t2"], undefined);
+
+    fireEvent.click(screen.getByText("Delete"));
+    expect(window.confirm).toHaveBeenCalledWith("Delete 2 tasks and their subtasks?");
+    await waitFor(() => expect(onDone).toHaveBeenCalledTimes(3));
+    expect(bulkTasks).toHaveBeenLastCalledWith("delete", ["t1", "t2"], undefined);
+  });
+
+  it("adds and removes a tag", async () => {
+    render(<BulkActionBar tasks={tasks} workflow={workflow} onDone={onDone} onClear={jest.fn()} />);
+    expect(screen.getByText("Add tag")).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText("Tag"), { target: { value: "#urgent " } });
+    fireEvent.click(screen.getByText("Add tag"));
+    await waitFor(() => expect(onDone).toHaveBeenCalledTimes(1));
+    expect(bulkTasks).toHaveBeenLastCalledWith("update", ["t1", "t2"], { addTags: ["#urgent"] });
+
+    fireEvent.click(screen.getByText("Remove tag"));
+    await waitFor(() => expect(onDone).toHaveBeenCalledTimes(2));
+    expect(bulkTasks).toHaveBeenLastCalledWith("update", ["t1", "t2"], { removeTags: ["#urgent"] });
+  });
+
+  it("shows a refused request", async () => {
+    bulkTasks.mockRejectedValueOnce(new Error("Nothing to update."));
+    render(<BulkActionBar tasks={tasks} workflow={workflow} onDone={onDone} onClear={jest.fn()} />);
+    fireEvent.click(screen.getByText("Complete"));
+    expect(await screen.findByText("Nothing to update.")).toBeInTheDocument();
+    expect(onDone).not.toHaveBeenCalled();
+  });
+});
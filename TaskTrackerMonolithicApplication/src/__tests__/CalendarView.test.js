@@ -0,0 +1,75 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import CalendarView, { dueDayKey, visibleDays } from "../components/CalendarView";
+import { fetchTasks, fetchCalendarFeed, rotateCalendarFeed, disableCalendarFeed } from "../api";
+
+jest.mock("../api", () => ({
+  fetchTasks: jest.fn(),
+  fetchCalendarFeed: jest.fn(),
+  rotateCalendarFeed: jest.fn(),
+  disableCalendarFeed: jest.fn()
+}));
+
+const today = new Date(2026, 9, 19); // Monday 19 October 2026, local time
+
+const cell = (day) => screen.getByRole("gridcell", { name: new Date(2026, 9, day).toLocaleDateString() });
+
+describe("CalendarView", () => {
+  beforeEach(() => {
+    fetchTasks.mockResolvedValue({
+      tasks: [
+        { _id: "t1", title: "Release", dueDate: "2026-10-21T00:00:00.000Z", statusCategory: "todo" },
+        { _id: "t2", title: "Demo", dueDate: new Date(2026, 9, 23, 15, 30).toISOString(), statusCategory: "done" }
+      ],
+      nextCursor: null
+    });
+    fetchCalendarFeed.mockResolvedValue({ enabled: false });
+    rotateCalendarFeed.mockResolvedValue("http://localhost/api/calendar/abc.ics");
+    disableCalendarFeed.mockResolvedValue();
+  });
+
+  it("places all-day and timed tasks on their days", async () => {
+    render(<CalendarView project="p1" today={today} />);
+    expect(await within(cell(21)).findByText("Release")).toBeInTheDocument();
+    expect(within(cell(23)).getByText("Demo")).toHaveStyle("text-decoration: line-through");
+    expect(screen.getAllByRole("gridcell")).toHaveLength(42);
+
+    const filters = fetchTasks.mock.calls[0][0];
+    expect(filters).toMatchObject({ project: "p1", sortBy: "dueDate" });
+    expect(new Date(filters.dueFrom).getTime()).toBeLessThan(new Date(2026, 8, 28).getTime());
+    expect(new Date(filters.dueTo).getTime()).toBeGreaterThan(new Date(2026, 10, 8).getTime());
+  });
+
+  it("switches to a week and pages through weeks", async () => {
+    render(<CalendarView project="" today={today} />);
+    await within(cell(21)).findByText("Release");
+    fireEvent.click(screen.getByRole("button", { name: "Week" }));
+    expect(screen.getAllByRole("gridcell")).toHaveLength(7);
+    fireEvent.click(screen.getByRole("button", { name: "Next week" }));
+    await waitFor(() => expect(screen.getByRole("gridcell", {
+      name: new Date(2026, 9, 26).toLocaleDateString()
+    })).toBeInTheDocument());
+  });
+
+  it("creates and turns off the feed URL", async () => {
+    render(<CalendarView project="" today={today} />);
+    fireEvent.click(await screen.findByRole("button", { name: "Get calendar feed URL" }));
+    expect(await screen.findByDisplayValue("http://localhost/api/calendar/abc.ics")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Turn off feed" }));
+    await waitFor(() =>
+      expect(screen.queryByDisplayValue("http://localhost/api/calendar/abc.ics")).not.toBeInTheDocument());
+    expect(disableCalendarFeed).toHaveBeenCalled();
+  });
+});
+
+describe("calendar dates", () => {
+  it("keeps date-only due dates on their UTC date", () => {
+    expect(dueDayKey("2026-10-21T00:00:00.000Z")).toBe("2026-10-21");
+  });
+
+  it("starts weeks on Monday", () => {
+    const days = visibleDays(new Date(2026, 9, 15), "month");
+    expect(days[0]).toEqual(new Date(2026, 8, 28));
+    expect(visibleDays(new Date(2026, 9, 22), "week")[0]).toEqual(new Date(2026, 9, 19));
+  });
+});
@@ -0,0 +1,54 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import DependencyPanel from "../components/DependencyPanel";
+import { fetchDependencies, addDependency, removeDependency } from "../api";
+
+jest.mock("../api", () => ({
+  fetchDependencies: jest.fn(),
+  addDependency: jest.fn(),
+  removeDependency: jest.fn()
+}));
+
+const task = { _id: "t1", title: "Build" };
+const candidates = [task, { _id: "t2", title: "Design" }, { _id: "t3", title: "Review" }];
+
+describe("DependencyPanel", () => {
+  beforeEach(() => {
+    fetchDependencies.mockResolvedValue({
+      blockedBy: [{ _id: "t2", title: "Design", status: "todo", statusCategory: "todo" }],
+      blocking: [{ _id: "t4", title: "Release", status: "todo", statusCategory: "todo" }]
+    });
+    addDependency.mockResolvedValue({ ...task, blocked: true });
+    removeDependency.mockResolvedValue({ ...task, blocked: false });
+  });
+
+  it("lists blockers and offers only other tasks to add", async () => {
+    render(<DependencyPanel task={task} candidates={candidates} onTaskChange={jest.fn()} />);
+    expect(await screen.findByLabelText("Remove blocker Design")).toBeInTheDocument();
+    expect(screen.getByText("Blocks: Release")).toBeInTheDocument();
+    const options = Array.from(screen.getByLabelText("Blocking task").options).map(o => o.textContent);
+    expect(options).toEqual(["Choose a task…", "Review"]);
+  });
+
+  it("adds and removes blockers", async () => {
+    const onTaskChange = jest.fn();
+    render(<DependencyPanel task={task} candidates={candidates} onTaskChange={onTaskChange} />);
+    await screen.findByLabelText("Remove blocker Design");
+    fireEvent.change(screen.getByLabelText("Blocking task"), { target: { value: "t3" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add blocker" }));
+    await waitFor(() => expect(onTaskChange).toHaveBeenCalledWith({ ...task, blocked: true }));
+    expect(addDependency).toHaveBeenCalledWith("t1", "t3");
+
+    fireEvent.click(screen.getByLabelText("Remove blocker Design"));
+    await waitFor(() => expect(removeDependency).toHaveBeenCalledWith("t1", "t2"));
+  });
+
+  it("shows a refused cycle", async () => {
+    addDependency.mockRejectedValue(new Error("This dependency would create a cycle."));
+    render(<DependencyPanel task={task} candidates={candidates} onTaskChange={jest.fn()} />);
+    await screen.findByLabelText("Remove blocker Design");
+    fireEvent.change(screen.getByLabelText("Blocking task"), { target: { value: "t3" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add blocker" }));
+    expect(await screen.findByText("This dependency would create a cycle.")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,48 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import DigestSettings from "../components/DigestSettings";
+import { fetchDigestSettings, updateDigestSettings } from "../api";
+
+jest.mock("../api", () => ({
+  fetchDigestSettings: jest.fn(),
+  updateDigestSettings: jest.fn()
+}));
+
+describe("DigestSettings", () => {
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  const otherTimeZone = browserTimeZone === "Asia/Tokyo" ? "Europe/Paris" : "Asia/Tokyo";
+
+  beforeEach(() => {
+    fetchDigestSettings.mockResolvedValue({ enabled: false, hour: 8, timeZone: "UTC", nextAt: null });
+    updateDigestSettings.mockReset();
+  });
+
+  it("turns the digest on and changes its hour and time zone", async () => {
+    updateDigestSettings
+      .mockResolvedValueOnce({ enabled: true, hour: 8, timeZone: otherTimeZone, nextAt: "2030-01-01T08:00:00Z" })
+      .mockResolvedValueOnce({ enabled: true, hour: 7, timeZone: otherTimeZone, nextAt: "2030-01-01T07:00:00Z" })
+      .mockResolvedValueOnce({ enabled: true, hour: 7, timeZone: browserTimeZone, nextAt: "2030-01-01T07:00:00Z" });
+    render(<DigestSettings />);
+
+    fireEvent.click(await screen.findByLabelText("Daily digest email"));
+    expect(updateDigestSettings).toHaveBeenCalledWith({ enabled: true });
+    fireEvent.change(await screen.findByLabelText("Digest hour"), { target: { value: "7" } });
+    expect(updateDigestSettings).toHaveBeenLastCalledWith({ hour: 7 });
+    await waitFor(() => expect(screen.getByLabelText("Digest hour")).toHaveValue("7"));
+
+    fireEvent.click(screen.getByRole("button", { name: `Use ${browserTimeZone}` }));
+    expect(updateDigestSettings).toHaveBeenLastCalledWith({ timeZone: browserTimeZone });
+    await waitFor(() => expect(screen.queryByRole("button", { name: /^Use / })).not.toBeInTheDocument());
+    expect(screen.getByText(`(${browserTimeZone})`)).toBeInTheDocument();
+  });
+
+  it("shows errors and keeps the saved settings", async () => {
+    updateDigestSettings.mockRejectedValueOnce(new Error("Could not update digest settings."));
+    render(<DigestSettings />);
+
+    fireEvent.click(await screen.findByLabelText("Daily digest email"));
+    expect(await screen.findByText("Could not update digest settings.")).toBeInTheDocument();
+    expect(screen.getByLabelText("Daily digest email")).not.toBeChecked();
+    expect(screen.queryByLabelText("Digest hour")).not.toBeInTheDocument();
+  });
+});
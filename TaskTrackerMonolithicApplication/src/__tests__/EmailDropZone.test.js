@@ -0,0 +1,65 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import EmailDropZone from "../components/EmailDropZone";
+import { createTaskFromEmail, fetchInboundAddress, rotateInboundAddress, disableInboundAddress } from "../api";
+
+jest.mock("../api", () => ({
+  createTaskFromEmail: jest.fn(),
+  fetchInboundAddress: jest.fn(),
+  rotateInboundAddress: jest.fn(),
+  disableInboundAddress: jest.fn()
+}));
+
+const eml = (name) => new File(["Subject: Hi\r\n\r\nBody"], name, { type: "message/rfc822" });
+
+describe("EmailDropZone", () => {
+  let onCreated;
+
+  beforeEach(() => {
+    onCreated = jest.fn();
+    createTaskFromEmail.mockReset();
+    createTaskFromEmail
+      .mockResolvedValueOnce({
+        task: { _id: "t1", title: "Renew domain", dueDate: "2026-10-23T00:00:00.000Z" },
+        attachments: [{ _id: "a1", filename: "invoice.pdf" }],
+        skipped: []
+      })
+      .mockRejectedValueOnce(new Error("Inbound address not found."));
+    fetchInboundAddress.mockResolvedValue({ enabled: false });
+    rotateInboundAddress.mockResolvedValue("tasks+abc@in.example");
+    disableInboundAddress.mockResolvedValue();
+  });
+
+  it("turns dropped .eml files into tasks and reports each file", async () => {
+    render(<EmailDropZone onCreated={onCreated} />);
+    const notes = new File(["x"], "notes.txt", { type: "text/plain" });
+    fireEvent.drop(screen.getByRole("region", { name: "Email drop zone" }), {
+      dataTransfer: { files: [eml("renew.eml"), eml("other.eml"), notes] }
+    });
+
+    expect(await screen.findByText(/renew\.eml: created "Renew domain", due 2026-10-23, 1 attachment/))
+      .toBeInTheDocument();
+    expect(screen.getByText("other.eml: Inbound address not found.")).toBeInTheDocument();
+    expect(screen.getByText("notes.txt: Not an .eml file.")).toBeInTheDocument();
+    expect(createTaskFromEmail).toHaveBeenCalledTimes(2);
+    await waitFor(() => expect(onCreated).toHaveBeenCalledTimes(1));
+  });
+
+  it("accepts files from the picker and skips reloading for duplicates", async () => {
+    createTaskFromEmail.mockReset();
+    createTaskFromEmail.mockResolvedValue({ task: { _id: "t1", title: "Renew domain" }, duplicate: true });
+    render(<EmailDropZone onCreated={onCreated} />);
+    fireEvent.change(screen.getByLabelText("Choose email files"), { target: { files: [eml("renew.eml")] } });
+    expect(await screen.findByText('renew.eml: already added as "Renew domain"')).toBeInTheDocument();
+    expect(onCreated).not.toHaveBeenCalled();
+  });
+
+  it("shows a new inbound address once and turns it off", async () => {
+    render(<EmailDropZone onCreated={onCreated} />);
+    fireEvent.click(await screen.findByRole("button", { name: "Get inbound address" }));
+    expect(await screen.findByDisplayValue("tasks+abc@in.example")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Turn off address" }));
+    await waitFor(() => expect(screen.queryByDisplayValue("tasks+abc@in.example")).not.toBeInTheDocument());
+    expect(disableInboundAddress).toHaveBeenCalled();
+  });
+});
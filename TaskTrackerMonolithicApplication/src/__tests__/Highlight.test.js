@@ -0,0 +1,20 @@
+import React from "react";
+import { render } from "@testing-library/react";
+import Highlight from "../components/Highlight";
+
+describe("Highlight", () => {
+  it("marks matching segments of a search result", () => {
+    const { container } = render(
+      <Highlight segments={[{ text: "Write ", match: false }, { text: "release", match: true }, { text: " notes", match: false }]} />
+    );
+    expect(container.textContent).toBe("Write release notes");
+    expect(container.querySelectorAll("mark")).toHaveLength(1);
+    expect(container.querySelector("mark").textContent).toBe("release");
+  });
+
+  it("falls back to the plain text without highlights", () => {
+    const { container } = render(<Highlight segments={null} fallback="Plain title" />);
+    expect(container.textContent).toBe("Plain title");
+    expect(container.querySelector("mark")).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+import React from "react";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import ImportWizard from "../components/ImportWizard";
+import { importTasks } from "../api";
+
+jest.mock("../api", () => ({
+  importTasks: jest.fn()
+}));
+
+const csv = "Name,Due,Ref\nShip,2026-11-01,A-1\n,2026-11-02,A-2\n";
+const chooseFile = (name, text) =>
+  fireEvent.change(screen.getByLabelText(/CSV or JSON file/), { target: { files: [new File([text], name)] } });
+
+const checked = (overrides = {}) => ({
+  dryRun: true,
+  columns: ["Name", "Due", "Ref"],
+  mapping: { title: "Name", dueDate: "Due" },
+  total: 2,
+  created: 1,
+  updated: 0,
+  failed: 1,
+  rows: [{ row: 1, action: "create" }, { row: 2, action: "error", errors: ["Title required."] }],
+  ...overrides
+});
+
+describe("ImportWizard", () => {
+  beforeEach(() => {
+    importTasks.mockResolvedValue(checked());
+  });
+
+  it("dry-runs a file, shows the mapping and row errors, then imports", async () => {
+    const onImported = jest.fn();
+    render(<ImportWizard project="p1" onImported={onImported} />);
+    chooseFile("tasks.csv", csv);
+
+    expect(await screen.findByText(/2 rows: 1 new, 0 updated, 1 with errors/)).toBeInTheDocument();
+    expect(importTasks).toHaveBeenCalledWith({ format: "csv", data: csv, project: "p1", dryRun: true });
+    expect(screen.getByLabelText("Column for Title")).toHaveValue("Name");
+    expect(screen.getByLabelText("Column for External id")).toHaveValue("");
+    expect(within(screen.getByRole("list", { name: "Rows with errors" })).getByText("Row 2: Title required.")).toBeInTheDocument();
+
+    // Changing the mapping asks for a new check before importing.
+    fireEvent.change(screen.getByLabelText("Column for External id"), { target: { value: "Ref" } });
+    importTasks.mockResolvedValueOnce(checked({ mapping: { title: "Name", dueDate: "Due", externalId: "Ref" } }));
+    fireEvent.click(screen.getByText("Check rows"));
+    await screen.findByText(/2 rows/);
+    expect(importTasks).toHaveBeenLastCalledWith(expect.objectContaining({
+      dryRun: true, mapping: { title: "Name", dueDate: "Due", externalId: "Ref" }
+    }));
+
+    importTasks.mockResolvedValueOnce(checked({ dryRun: false, rows: [{ row: 1, action: "create", id: "t1" }] }));
+    fireEvent.click(screen.getByText("Import 1 tasks"));
+    expect(await screen.findByText("Imported: 1 new, 0 updated, 1 skipped.")).toBeInTheDocument();
+    expect(importTasks).toHaveBeenLastCalledWith(expect.objectContaining({ mapping: expect.any(Object) }));
+    expect(importTasks.mock.calls[importTasks.mock.calls.length - 1][0].dryRun).toBeUndefined();
+    expect(onImported).toHaveBeenCalled();
+  });
+
+  it("lets the user map columns when no title column is found", async () => {
+    const refused = Object.assign(new Error("Map a column to the task title."), {
+      columns: ["Summary text"], mapping: {}
+    });
+    importTasks.mockRejectedValueOnce(refused);
+    render(<ImportWizard />);
+    chooseFile("tasks.json", JSON.stringify([{ "Summary text": "From JSON" }]));
+
+    expect(await screen.findByText("Map a column to the task title.")).toBeInTheDocument();
+    expect(importTasks.mock.calls[0][0]).toMatchObject({ format: "json", data: [{ "Summary text": "From JSON" }], project: null });
+    fireEvent.change(screen.getByLabelText("Column for Title"), { target: { value: "Summary text" } });
+    fireEvent.click(screen.getByText("Check rows"));
+    expect(await screen.findByText(/2 rows/)).toBeInTheDocument();
+  });
+
+  it("reports a JSON file that does not parse", async () => {
+    render(<ImportWizard />);
+    chooseFile("broken.json", "[{");
+    expect(await screen.findByText("The file is not valid JSON.")).toBeInTheDocument();
+    expect(importTasks).not.toHaveBeenCalled();
+  });
+});
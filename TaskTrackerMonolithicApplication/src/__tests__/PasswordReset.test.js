@@ -0,0 +1,39 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { ForgotPasswordForm, ResetPasswordForm } from "../components/PasswordReset";
+import { apiForgotPassword, apiResetPassword } from "../api";
+
+jest.mock("../api", () => ({
+  apiForgotPassword: jest.fn(),
+  apiResetPassword: jest.fn()
+}));
+
+describe("Password reset screens", () => {
+  beforeEach(() => {
+    apiForgotPassword.mockResolvedValue({ message: "If the email is registered, a reset link was sent." });
+    apiResetPassword.mockResolvedValue({ message: "Password updated. Please log in." });
+  });
+
+  it("requests a reset link", async () => {
+    render(<ForgotPasswordForm onDone={jest.fn()} />);
+    fireEvent.change(screen.getByLabelText("Account email"), { target: { value: "me@tt.com" } });
+    fireEvent.click(screen.getByRole("button", { name: /send reset link/i }));
+    await waitFor(() => expect(screen.getByText(/reset link was sent/)).toBeInTheDocument());
+    expect(apiForgotPassword).toHaveBeenCalledWith("me@tt.com");
+  });
+
+  it("checks the confirmation before resetting", async () => {
+    const onDone = jest.fn();
+    render(<ResetPasswordForm token="tok" onDone={onDone} />);
+    fireEvent.change(screen.getByLabelText("New password"), { target: { value: "newpass1" } });
+    fireEvent.change(screen.getByLabelText("Confirm new password"), { target: { value: "other11" } });
+    fireEvent.click(screen.getByRole("button", { name: /set password/i }));
+    expect(screen.getByText("Passwords do not match")).toBeInTheDocument();
+    expect(apiResetPassword).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText("Confirm new password"), { target: { value: "newpass1" } });
+    fireEvent.click(screen.getByRole("button", { name: /set password/i }));
+    await waitFor(() => expect(onDone).toHaveBeenCalledWith("Password updated. Please log in."));
+    expect(apiResetPassword).toHaveBeenCalledWith("tok", "newpass1");
+  });
+});
@@ -0,0 +1,62 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import QuickAdd from "../components/QuickAdd";
+import { quickAddTask } from "../api";
+
+jest.mock("../api", () => ({
+  quickAddTask: jest.fn()
+}));
+
+const now = new Date("2026-10-19T10:00:00Z"); // Monday
+
+describe("QuickAdd", () => {
+  let onCreated;
+
+  beforeEach(() => {
+    onCreated = jest.fn();
+    quickAddTask.mockReset();
+    quickAddTask.mockResolvedValue({ task: { _id: "t1", title: "Pay invoice" }, parsed: {} });
+  });
+
+  it("previews the parsed fields while typing", () => {
+    render(<QuickAdd project={null} onCreated={onCreated} timeZone="America/New_York" now={now} />);
+    fireEvent.change(screen.getByLabelText("Quick add"), {
+      target: { value: "Pay invoice tomorrow 5pm !high @alice #finance" }
+    });
+    const preview = screen.getByLabelText("Quick add preview");
+    expect(preview).toHaveTextContent("Pay invoice");
+    // Shown in the given zone, in the browser's locale.
+    expect(preview).toHaveTextContent(/due Tue,? (20 Oct|Oct 20)/);
+    expect(preview).toHaveTextContent(/05:00\sPM|17:00/);
+    expect(preview).toHaveTextContent("high priority");
+    expect(preview).toHaveTextContent("for @alice");
+    expect(preview).toHaveTextContent("#finance");
+  });
+
+  it("shows a date-only due day and needs a title to submit", () => {
+    render(<QuickAdd project={null} onCreated={onCreated} timeZone="UTC" now={now} />);
+    fireEvent.change(screen.getByLabelText("Quick add"), { target: { value: "next friday !low" } });
+    expect(screen.getByLabelText("Quick add preview")).toHaveTextContent("(no title)");
+    expect(screen.getByLabelText("Quick add preview")).toHaveTextContent(/Fri,? (30 Oct|Oct 30)/);
+    expect(screen.getByRole("button", { name: "Add" })).toBeDisabled();
+  });
+
+  it("creates the task in the project and clears the line", async () => {
+    render(<QuickAdd project="p1" onCreated={onCreated} timeZone="UTC" now={now} />);
+    const input = screen.getByLabelText("Quick add");
+    fireEvent.change(input, { target: { value: "Pay invoice #finance" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add" }));
+    await waitFor(() => expect(onCreated).toHaveBeenCalled());
+    expect(quickAddTask).toHaveBeenCalledWith("Pay invoice #finance", "p1");
+    expect(input).toHaveValue("");
+  });
+
+  it("shows errors from the server", async () => {
+    quickAddTask.mockRejectedValue(new Error("@zed does not match exactly one of your teammates; use their email."));
+    render(<QuickAdd project={null} onCreated={onCreated} timeZone="UTC" now={now} />);
+    fireEvent.change(screen.getByLabelText("Quick add"), { target: { value: "Call @zed" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add" }));
+    expect(await screen.findByText("@zed does not match exactly one of your teammates; use their email.")).toBeInTheDocument();
+    expect(onCreated).not.toHaveBeenCalled();
+  });
+});
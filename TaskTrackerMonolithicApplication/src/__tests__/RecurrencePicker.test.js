@@ -0,0 +1,35 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import RecurrencePicker, { describeRule } from "../components/RecurrencePicker";
+
+describe("RecurrencePicker", () => {
+  it("builds a weekly rule with weekdays and a count", () => {
+    const onChange = jest.fn();
+    const { rerender } = render(<RecurrencePicker value={null} onChange={onChange} />);
+    fireEvent.change(screen.getByLabelText("Repeat"), { target: { value: "weekly" } });
+    expect(onChange).toHaveBeenLastCalledWith({ freq: "weekly", interval: 1 });
+
+    rerender(<RecurrencePicker value={{ freq: "weekly", interval: 1 }} onChange={onChange} />);
+    fireEvent.click(screen.getByLabelText("Thu"));
+    expect(onChange).toHaveBeenLastCalledWith({ freq: "weekly", interval: 1, byWeekday: [4] });
+
+    rerender(<RecurrencePicker value={{ freq: "weekly", interval: 1, byWeekday: [4] }} onChange={onChange} />);
+    fireEvent.change(screen.getByLabelText("Ends"), { target: { value: "count" } });
+    expect(onChange).toHaveBeenLastCalledWith({ freq: "weekly", interval: 1, byWeekday: [4], count: 5 });
+  });
+
+  it("is disabled without a due date", () => {
+    const onChange = jest.fn();
+    render(<RecurrencePicker value={{ freq: "daily", interval: 2 }} onChange={onChange} disabled />);
+    expect(screen.getByLabelText("Repeat")).toBeDisabled();
+    expect(screen.getByText(/set a due date first/)).toBeInTheDocument();
+  });
+
+  it("describes rules", () => {
+    expect(describeRule({ freq: "daily", interval: 1 })).toBe("every day");
+    expect(describeRule({ freq: "weekly", interval: 2, byWeekday: [1, 4], count: 6 }))
+      .toBe("every 2 weeks on Mon, Thu, 6 times");
+    expect(describeRule({ freq: "monthly", monthDay: 31 })).toBe("every month on day 31");
+    expect(describeRule(null)).toBe("");
+  });
+});
@@ -0,0 +1,40 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import ReminderPanel from "../components/ReminderPanel";
+import { scheduleEmailReminder, fetchReminders, cancelReminder } from "../api";
+
+jest.mock("../api", () => ({
+  scheduleEmailReminder: jest.fn(() => Promise.resolve({})),
+  fetchReminders: jest.fn(),
+  cancelReminder: jest.fn(() => Promise.resolve({}))
+}));
+
+const task = { _id: "t1", title: "Task", dueDate: "2100-01-01T00:00:00Z" };
+
+describe("ReminderPanel", () => {
+  beforeEach(() => {
+    fetchReminders.mockResolvedValue([
+      { _id: "r1", email: "me@tt.com", sendAt: "2099-12-31T22:00:00Z", status: "pending" },
+      { _id: "r2", email: "me@tt.com", sendAt: "2099-12-30T22:00:00Z", status: "sent" }
+    ]);
+  });
+
+  it("lists reminders and cancels pending ones", async () => {
+    render(<ReminderPanel task={task} />);
+    await waitFor(() => expect(screen.getByText(/\(pending\)/)).toBeInTheDocument());
+    expect(screen.getByText(/\(sent\)/)).toBeInTheDocument();
+    expect(screen.getAllByRole("button", { name: /cancel reminder/i })).toHaveLength(1);
+
+    fireEvent.click(screen.getByRole("button", { name: /cancel reminder/i }));
+    await waitFor(() => expect(cancelReminder).toHaveBeenCalledWith("t1", "r1"));
+  });
+
+  it("schedules a reminder relative to the due date", async () => {
+    render(<ReminderPanel task={task} />);
+    fireEvent.change(screen.getByLabelText("Reminder offset"), { target: { value: "1d before due" } });
+    fireEvent.click(screen.getByRole("button", { name: "Schedule" }));
+    await waitFor(() =>
+      expect(scheduleEmailReminder).toHaveBeenCalledWith("t1", "", { offset: "1d before due" })
+    );
+  });
+});
@@ -0,0 +1,84 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import Subtasks from "../components/Subtasks";
+import ProgressBar from "../components/ProgressBar";
+import {
+  fetchTask, fetchSubtasks, createTask, completeTask, deleteTask,
+  addChecklistItem, updateChecklistItem, deleteChecklistItem
+} from "../api";
+
+jest.mock("../api", () => ({
+  fetchTask: jest.fn(),
+  fetchSubtasks: jest.fn(),
+  createTask: jest.fn(),
+  completeTask: jest.fn(),
+  deleteTask: jest.fn(),
+  addChecklistItem: jest.fn(),
+  updateChecklistItem: jest.fn(),
+  deleteChecklistItem: jest.fn()
+}));
+
+const parent = {
+  _id: "p1",
+  title: "Launch",
+  checklist: [{ _id: "c1", text: "Write post", done: false }],
+  progress: { done: 0, total: 2, percent: 0 }
+};
+const child = { _id: "s1", title: "Ship build", status: "todo", statusCategory: "todo", checklist: [], progress: { done: 1, total: 2, percent: 50 } };
+
+describe("Subtasks", () => {
+  beforeEach(() => {
+    fetchSubtasks.mockImplementation(id => Promise.resolve(id === "p1" ? [child] : []));
+    fetchTask.mockResolvedValue({ ...parent, progress: { done: 1, total: 2, percent: 50 } });
+    createTask.mockResolvedValue({});
+    completeTask.mockResolvedValue({});
+    deleteTask.mockResolvedValue(undefined);
+    addChecklistItem.mockResolvedValue(parent);
+    updateChecklistItem.mockResolvedValue(parent);
+    deleteChecklistItem.mockResolvedValue(parent);
+  });
+
+  it("lists checklist items and subtasks with progress", async () => {
+    render(<Subtasks task={parent} onTaskChange={jest.fn()} />);
+    expect(screen.getByLabelText("Write post")).not.toBeChecked();
+    await waitFor(() => expect(screen.getByText("Ship build")).toBeInTheDocument());
+    expect(screen.getByRole("progressbar", { name: "Progress of Ship build" })).toHaveAttribute("aria-valuenow", "50");
+  });
+
+  it("checks items and completes subtasks, refreshing the parent's progress", async () => {
+    const onTaskChange = jest.fn();
+    render(<Subtasks task={parent} onTaskChange={onTaskChange} />);
+    fireEvent.click(screen.getByLabelText("Write post"));
+    await waitFor(() => expect(onTaskChange).toHaveBeenCalledTimes(1));
+    expect(updateChecklistItem).toHaveBeenCalledWith("p1", "c1", { done: true });
+    expect(onTaskChange.mock.calls[0][0].progress.percent).toBe(50);
+
+    fireEvent.click(await screen.findByLabelText("Complete Ship build"));
+    await waitFor(() => expect(completeTask).toHaveBeenCalledWith("s1"));
+  });
+
+  it("adds subtasks and shows why a completion was refused", async () => {
+    completeTask.mockRejectedValue(new Error("Complete the 1 open subtask first."));
+    render(<Subtasks task={parent} onTaskChange={jest.fn()} />);
+    fireEvent.change(screen.getByLabelText("New subtask"), { target: { value: "Update docs" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add subtask" }));
+    await waitFor(() => expect(createTask).toHaveBeenCalledWith({ title: "Update docs", parent: "p1" }));
+
+    fireEvent.click(await screen.findByLabelText("Complete Ship build"));
+    expect(await screen.findByText("Complete the 1 open subtask first.")).toBeInTheDocument();
+  });
+
+  it("expands a subtask into its own nested panel", async () => {
+    render(<Subtasks task={parent} onTaskChange={jest.fn()} />);
+    fireEvent.click(await screen.findByRole("button", { name: "Ship build" }));
+    expect(await screen.findByRole("list", { name: "Subtasks of Ship build" })).toBeInTheDocument();
+    expect(fetchSubtasks).toHaveBeenCalledWith("s1");
+  });
+});
+
+describe("ProgressBar", () => {
+  it("renders nothing without items to count", () => {
+    const { container } = render(<ProgressBar progress={{ done: 0, total: 0, percent: null }} />);
+    expect(container.firstChild).toBeNull();
+  });
+});
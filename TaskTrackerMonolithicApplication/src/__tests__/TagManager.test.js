@@ -0,0 +1,84 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import TagManager, { TagFilter } from "../components/TagManager";
+import { createTag, updateTag, mergeTag, deleteTag } from "../api";
+
+jest.mock("../api", () => ({
+  createTag: jest.fn(),
+  updateTag: jest.fn(),
+  mergeTag: jest.fn(),
+  deleteTag: jest.fn()
+}));
+
+const tags = [
+  { _id: "g1", name: "finance", color: "#e57373", count: 3 },
+  { _id: "g2", name: "money", color: "#4db6ac", count: 1 }
+];
+
+describe("TagManager", () => {
+  let onChanged;
+  beforeEach(() => {
+    onChanged = jest.fn();
+    [createTag, updateTag, mergeTag, deleteTag].forEach(fn => fn.mockReset().mockResolvedValue({}));
+  });
+
+  it("creates, renames and recolors tags", async () => {
+    render(<TagManager project="p1" tags={tags} onChanged={onChanged} />);
+    expect(screen.getByText("Project tags")).toBeInTheDocument();
+    expect(screen.getByText("3 tasks")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("New tag"), { target: { value: "later" } });
+    fireEvent.click(screen.getByText("Add tag"));
+    await waitFor(() => expect(onChanged).toHaveBeenCalledTimes(1));
+    expect(createTag).toHaveBeenCalledWith("later", null, "p1");
+
+    fireEvent.click(screen.getByLabelText("Rename #finance"));
+    fireEvent.change(screen.getByLabelText("New name for #finance"), { target: { value: "budget" } });
+    fireEvent.click(screen.getByText("Save"));
+    await waitFor(() => expect(onChanged).toHaveBeenCalledTimes(2));
+    expect(updateTag).toHaveBeenCalledWith("g1", { name: "budget" });
+
+    fireEvent.change(screen.getByLabelText("Color of #money"), { target: { value: "#123456" } });
+    await waitFor(() => expect(onChanged).toHaveBeenCalledTimes(3));
+    expect(updateTag).toHaveBeenLastCalledWith("g2", { color: "#123456" });
+  });
+
+  it("merges and deletes tags, and shows refusals", async () => {
+    window.confirm = jest.fn(() => true);
+    updateTag.mockRejectedValueOnce(new Error('Tag "money" already exists; merge into it instead.'));
+    render(<TagManager project={null} tags={tags} onChanged={onChanged} />);
+
+    fireEvent.click(screen.getByLabelText("Rename #finance"));
+    fireEvent.change(screen.getByLabelText("New name for #finance"), { target: { value: "money" } });
+    fireEvent.click(screen.getByText("Save"));
+    expect(await screen.findByText('Tag "money" already exists; merge into it instead.')).toBeInTheDocument();
+    expect(onChanged).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText("Merge #finance into"), { target: { value: "g2" } });
+    await waitFor(() => expect(onChanged).toHaveBeenCalledTimes(1));
+    expect(mergeTag).toHaveBeenCalledWith("g1", "g2");
+
+    fireEvent.click(screen.getByLabelText("Delete #money"));
+    expect(window.confirm).toHaveBeenCalledWith("Delete #money and remove it from 1 tasks?");
+    await waitFor(() => expect(onChanged).toHaveBeenCalledTimes(2));
+    expect(deleteTag).toHaveBeenCalledWith("g2");
+  });
+});
+
+describe("TagFilter", () => {
+  it("toggles tags and the any/all match", () => {
+    const onChange = jest.fn();
+    const { rerender } = render(<TagFilter tags={tags} value={{ tags: [], mode: "any" }} onChange={onChange} />);
+    fireEvent.click(screen.getByText("#finance"));
+    expect(onChange).toHaveBeenLastCalledWith({ tags: ["finance"], mode: "any" });
+
+    rerender(<TagFilter tags={tags} value={{ tags: ["finance"], mode: "any" }} onChange={onChange} />);
+    expect(screen.getByText("#finance")).toHaveAttribute("aria-pressed", "true");
+    fireEvent.click(screen.getByText("#money"));
+    expect(onChange).toHaveBeenLastCalledWith({ tags: ["finance", "money"], mode: "any" });
+    fireEvent.change(screen.getByLabelText("Tag match"), { target: { value: "all" } });
+    expect(onChange).toHaveBeenLastCalledWith({ tags: ["finance"], mode: "all" });
+    fireEvent.click(screen.getByText("#finance"));
+    expect(onChange).toHaveBeenLastCalledWith({ tags: [], mode: "any" });
+  });
+});
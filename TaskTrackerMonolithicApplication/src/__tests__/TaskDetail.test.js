@@ -0,0 +1,74 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import TaskDetail from "../components/TaskDetail";
+import { fetchActivity, addComment, editComment, deleteComment, revertTask } from "../api";
+
+jest.mock("../api", () => ({
+  fetchActivity: jest.fn(),
+  addComment: jest.fn(),
+  editComment: jest.fn(),
+  deleteComment: jest.fn(),
+  revertTask: jest.fn()
+}));
+
+const task = { _id: "t1", title: "Task", status: "todo", priority: "high" };
+const me = { _id: "u1", name: "Me", email: "me@tt.com" };
+const bob = { _id: "u2", name: "Bob", email: "bob@tt.com" };
+
+describe("TaskDetail", () => {
+  beforeEach(() => {
+    fetchActivity.mockResolvedValue([
+      { type: "change", at: "2026-10-01T10:00:00Z", actor: me, action: "create", changes: [], entryId: "h1" },
+      { type: "comment", at: "2026-10-01T11:00:00Z", actor: bob, comment: { _id: "c1", body: "Looks good" } },
+      { type: "comment", at: "2026-10-01T12:00:00Z", actor: me, comment: { _id: "c2", body: "Thanks @bob", editedAt: "2026-10-01T12:05:00Z" } },
+      { type: "change", at: "2026-10-01T13:00:00Z", actor: bob, action: "complete",
+        changes: [{ field: "status", from: "todo", to: "completed" }], entryId: "h2" }
+    ]);
+    addComment.mockResolvedValue({});
+    editComment.mockResolvedValue({});
+    deleteComment.mockResolvedValue(true);
+    revertTask.mockResolvedValue({ ...task, status: "todo" });
+  });
+
+  it("shows comments and field changes in one thread", async () => {
+    render(<TaskDetail task={task} currentUserId="u1" />);
+    await waitFor(() => expect(screen.getByText(/Looks good/)).toBeInTheDocument());
+    expect(screen.getByText(/created the task/)).toBeInTheDocument();
+    expect(screen.getByText(/changed status from todo to completed/)).toBeInTheDocument();
+    expect(screen.getByText(/\(edited\)/)).toBeInTheDocument();
+    // Only my own comment can be edited or deleted
+    expect(screen.getAllByRole("button", { name: "Edit" })).toHaveLength(1);
+    expect(screen.getAllByRole("button", { name: /delete comment/i })).toHaveLength(1);
+  });
+
+  it("posts a comment and reloads the thread", async () => {
+    render(<TaskDetail task={task} currentUserId="u1" />);
+    await waitFor(() => expect(fetchActivity).toHaveBeenCalledTimes(1));
+    fireEvent.change(screen.getByLabelText("New comment"), { target: { value: "@bob ping" } });
+    fireEvent.click(screen.getByRole("button", { name: "Comment" }));
+    await waitFor(() => expect(addComment).toHaveBeenCalledWith("t1", "@bob ping"));
+    await waitFor(() => expect(fetchActivity).toHaveBeenCalledTimes(2));
+  });
+
+  it("edits an own comment", async () => {
+    render(<TaskDetail task={task} currentUserId="u1" />);
+    await waitFor(() => expect(screen.getByText(/Thanks @bob/)).toBeInTheDocument());
+    fireEvent.click(screen.getByRole("button", { name: "Edit" }));
+    fireEvent.change(screen.getByLabelText("Edit comment"), { target: { value: "Thanks!" } });
+    fireEvent.click(screen.getByRole("button", { name: "Save" }));
+    await waitFor(() => expect(editComment).toHaveBeenCalledWith("t1", "c2", "Thanks!"));
+  });
+
+  it("reverts to an earlier version", async () => {
+    const onTaskChange = jest.fn();
+    window.confirm = jest.fn(() => true);
+    render(<TaskDetail task={task} currentUserId="u1" onTaskChange={onTaskChange} />);
+    await waitFor(() => expect(screen.getByText(/created the task/)).toBeInTheDocument());
+    // The latest change is the current version, so only older ones offer a revert
+    const buttons = screen.getAllByRole("button", { name: /revert to version/i });
+    expect(buttons).toHaveLength(1);
+    fireEvent.click(buttons[0]);
+    await waitFor(() => expect(revertTask).toHaveBeenCalledWith("t1", "h1"));
+    await waitFor(() => expect(onTaskChange).toHaveBeenCalledWith({ ...task, status: "todo" }));
+  });
+});
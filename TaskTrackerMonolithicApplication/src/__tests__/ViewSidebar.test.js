@@ -0,0 +1,88 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import ViewSidebar from "../components/ViewSidebar";
+import { createView, updateView, deleteView } from "../api";
+
+jest.mock("../api", () => ({
+  createView: jest.fn(),
+  updateView: jest.fn(),
+  deleteView: jest.fn()
+}));
+
+const views = [
+  { _id: "today", name: "Today", builtIn: true, filters: { due: "today", hideDone: true } },
+  { _id: "overdue", name: "Overdue", builtIn: true, filters: { due: "overdue" } },
+  { _id: "v1", name: "My high priority", filters: { assignee: "me", priority: "high" }, sortBy: "dueDate", order: "asc" }
+];
+
+describe("ViewSidebar", () => {
+  let onSelect, onChanged;
+  beforeEach(() => {
+    onSelect = jest.fn();
+    onChanged = jest.fn();
+    createView.mockReset().mockResolvedValue({ _id: "v2", name: "Next two weeks" });
+    updateView.mockReset().mockResolvedValue({});
+    deleteView.mockReset().mockResolvedValue();
+  });
+
+  it("lists built-in and saved views and selects one", () => {
+    render(<ViewSidebar views={views} value="today" onSelect={onSelect} onChanged={onChanged} />);
+    const nav = screen.getByRole("navigation", { name: "Views" });
+    expect(within(nav).getByText("Today")).toHaveAttribute("aria-current", "page");
+    // Built-in views cannot be edited or deleted
+    expect(screen.queryByLabelText("Delete view Today")).not.toBeInTheDocument();
+    expect(screen.getByLabelText("Delete view My high priority")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText("Overdue"));
+    expect(onSelect).toHaveBeenLastCalledWith("overdue");
+    fireEvent.click(screen.getByText("All tasks"));
+    expect(onSelect).toHaveBeenLastCalledWith("");
+  });
+
+  it("saves a new view with relative dates and the current filters", async () => {
+    render(<ViewSidebar views={views} value="" currentFilters={{ project: "p1", tags: ["ops"], tagsMode: "any" }}
+      onSelect={onSelect} onChanged={onChanged} />);
+    fireEvent.click(screen.getByText("+ New view"));
+    fireEvent.change(screen.getByLabelText("View name"), { target: { value: " Next two weeks " } });
+    fireEvent.change(screen.getByLabelText("Due"), { target: { value: "next" } });
+    fireEvent.change(screen.getByLabelText("Days ahead"), { target: { value: "14" } });
+    fireEvent.change(screen.getByLabelText("Assignee"), { target: { value: "me" } });
+    fireEvent.click(screen.getByLabelText("Hide done tasks"));
+    fireEvent.click(screen.getByText("Save view"));
+
+    await waitFor(() => expect(onSelect).toHaveBeenCalledWith("v2"));
+    expect(createView).toHaveBeenCalledWith({
+      name: "Next two weeks",
+      filters: { due: "next", dueDays: 14, assignee: "me", hideDone: true, project: "p1", tags: ["ops"], tagsMode: "any" },
+      sortBy: "dueDate",
+      order: "asc"
+    });
+    expect(onChanged).toHaveBeenCalled();
+    expect(screen.queryByLabelText("View name")).not.toBeInTheDocument();
+  });
+
+  it("edits and deletes saved views, and shows refusals", async () => {
+    window.confirm = jest.fn(() => true);
+    render(<ViewSidebar views={views} value="v1" onSelect={onSelect} onChanged={onChanged} />);
+
+    fireEvent.click(screen.getByLabelText("Edit view My high priority"));
+    expect(screen.getByLabelText("Priority")).toHaveValue("high");
+    fireEvent.change(screen.getByLabelText("Due"), { target: { value: "overdue" } });
+    fireEvent.click(screen.getByText("Update view"));
+    await waitFor(() => expect(onChanged).toHaveBeenCalledTimes(1));
+    expect(updateView).toHaveBeenCalledWith("v1", {
+      name: "My high priority",
+      filters: { assignee: "me", priority: "high", due: "overdue", hideDone: false },
+      sortBy: "dueDate",
+      order: "asc"
+    });
+
+    deleteView.mockRejectedValueOnce(new Error("View not found."));
+    fireEvent.click(screen.getByLabelText("Delete view My high priority"));
+    expect(await screen.findByText("View not found.")).toBeInTheDocument();
+    expect(onSelect).not.toHaveBeenCalled();
+    fireEvent.click(screen.getByLabelText("Delete view My high priority"));
+    await waitFor(() => expect(onSelect).toHaveBeenCalledWith(""));
+    expect(window.confirm).toHaveBeenCalledWith('Delete the view "My high priority"?');
+  });
+});
@@ -0,0 +1,80 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import WorkflowEditor from "../components/WorkflowEditor";
+import StatusSelect from "../components/StatusSelect";
+import { fetchWorkflow, updateProjectWorkflow } from "../api";
+
+jest.mock("../api", () => ({
+  fetchWorkflow: jest.fn(),
+  updateProjectWorkflow: jest.fn()
+}));
+
+const workflow = {
+  statuses: [
+    { key: "backlog", name: "Backlog", category: "todo" },
+    { key: "review", name: "Review", category: "in_progress" },
+    { key: "shipped", name: "Shipped", category: "done" }
+  ],
+  initial: "backlog",
+  transitions: [{ from: "backlog", to: ["backlog", "review"] }]
+};
+
+describe("WorkflowEditor", () => {
+  beforeEach(() => {
+    fetchWorkflow.mockResolvedValue(workflow);
+    updateProjectWorkflow.mockImplementation((id, wf) =>
+      Promise.resolve({ workflow: wf || workflow, remapped: 2 }));
+  });
+
+  it("shows statuses and the allowed moves", async () => {
+    render(<WorkflowEditor projectId="p1" />);
+    expect(await screen.findByLabelText("Status 1 name")).toHaveValue("Backlog");
+    expect(fetchWorkflow).toHaveBeenCalledWith("p1");
+    expect(screen.getByLabelText("Allow Backlog to Review")).toBeChecked();
+    expect(screen.getByLabelText("Allow Backlog to Shipped")).not.toBeChecked();
+    expect(screen.getByLabelText("Allow Review to Shipped")).toBeChecked();
+  });
+
+  it("saves an added status and changed moves", async () => {
+    const onSaved = jest.fn();
+    render(<WorkflowEditor projectId="p1" onSaved={onSaved} />);
+    await screen.findByLabelText("Status 1 name");
+
+    fireEvent.click(screen.getByRole("button", { name: "Add status" }));
+    fireEvent.change(screen.getByLabelText("Status 4 name"), { target: { value: "QA check" } });
+    fireEvent.click(screen.getByLabelText("Allow Review to Shipped"));
+    fireEvent.click(screen.getByRole("button", { name: "Save workflow" }));
+
+    await waitFor(() => expect(onSaved).toHaveBeenCalled());
+    const [id, saved] = updateProjectWorkflow.mock.calls[0];
+    expect(id).toBe("p1");
+    expect(saved.statuses[3]).toEqual({ key: "qa_check", name: "QA check", category: "in_progress" });
+    expect(saved.initial).toBe("backlog");
+    expect(saved.transitions).toEqual([
+      { from: "backlog", to: ["review", "backlog"] },
+      { from: "review", to: ["backlog", "qa_check", "review"] }
+    ]);
+    expect(screen.getByText(/2 task\(s\) moved/)).toBeInTheDocument();
+  });
+
+  it("restores the default workflow and shows server errors", async () => {
+    updateProjectWorkflow.mockRejectedValueOnce(new Error("A workflow needs at least one status in the done category."));
+    render(<WorkflowEditor projectId="p1" />);
+    await screen.findByLabelText("Status 1 name");
+    fireEvent.click(screen.getByRole("button", { name: "Use default workflow" }));
+    expect(await screen.findByText(/needs at least one status in the done category/)).toBeInTheDocument();
+    expect(updateProjectWorkflow).toHaveBeenCalledWith("p1", null);
+  });
+});
+
+describe("StatusSelect", () => {
+  it("disables statuses the workflow does not allow", () => {
+    const onChange = jest.fn();
+    render(<StatusSelect task={{ _id: "t1", title: "Build", status: "backlog" }} workflow={workflow} onChange={onChange} />);
+    const select = screen.getByLabelText("Status of Build");
+    const disabled = Array.from(select.options).filter(o => o.disabled).map(o => o.value);
+    expect(disabled).toEqual(["shipped"]);
+    fireEvent.change(select, { target: { value: "review" } });
+    expect(onChange).toHaveBeenCalledWith("review");
+  });
+});
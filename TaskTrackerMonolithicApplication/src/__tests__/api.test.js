@@ -0,0 +1,64 @@
+import { apiLogin, fetchTasks, storeToken, getToken, getRefreshToken, clearToken } from "../api";
+
+function jsonResponse(status, body) {
+  return Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+}
+
+describe("API session refresh", () => {
+  beforeEach(() => {
+    clearToken();
+    global.fetch = jest.fn();
+  });
+
+  it("refreshes on 401 and retries with the new access token", async () => {
+    storeToken("expired", "sid.secret");
+    global.fetch
+      .mockImplementationOnce(() => jsonResponse(401, { message: "Invalid/expired token." }))
+      .mockImplementationOnce(() => jsonResponse(200, { token: "fresh", refreshToken: "sid.secret2" }))
+      .mockImplementationOnce(() => jsonResponse(200, { tasks: [{ _id: "1" }] }));
+
+    const { tasks } = await fetchTasks();
+
+    expect(tasks).toEqual([{ _id: "1" }]);
+    expect(getToken()).toBe("fresh");
+    expect(getRefreshToken()).toBe("sid.secret2");
+    expect(global.fetch.mock.calls[1][0]).toMatch(/\/auth\/refresh$/);
+    expect(global.fetch.mock.calls[2][1].headers.Authorization).toBe("Bearer fresh");
+  });
+
+  it("clears tokens when the refresh is rejected", async () => {
+    storeToken("expired", "sid.reused");
+    global.fetch
+      .mockImplementationOnce(() => jsonResponse(401, {}))
+      .mockImplementationOnce(() => jsonResponse(401, { message: "Session revoked." }));
+
+    await expect(fetchTasks()).rejects.toThrow("Failed to fetch tasks");
+    expect(getToken()).toBeNull();
+    expect(getRefreshToken()).toBeNull();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("exposes the lockout time of a refused login", async () => {
+    global.fetch.mockImplementationOnce(() => Promise.resolve({
+      ok: false,
+      status: 429,
+      headers: { get: name => (name === 'Retry-After' ? '90' : null) },
+      json: () => Promise.resolve({ message: "Account temporarily locked after too many failed logins." })
+    }));
+
+    await expect(apiLogin("me@tt.com", "wrong")).rejects.toMatchObject({
+      message: "Account temporarily locked after too many failed logins.",
+      retryAfter: 90
+    });
+  });
+
+  it("requests the next page with the cursor", async () => {
+    storeToken("valid", "sid.secret");
+    global.fetch.mockImplementationOnce(() => jsonResponse(200, { tasks: [{ _id: "3" }], nextCursor: null, total: 3 }));
+
+    const page = await fetchTasks({ project: "", cursor: "abc", includeCount: true });
+
+    expect(global.fetch.mock.calls[0][0]).toMatch(/\/tasks\?cursor=abc&includeCount=true&timeZone=[\w%]+$/);
+    expect(page).toEqual({ tasks: [{ _id: "3" }], nextCursor: null, total: 3 });
+  });
+});
@@ -7,13 +7,18 @@
 // PUBLIC_INTERFACE
 export const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
 
-// Secure localStorage key for JWT
+// Secure localStorage keys for JWT access token and refresh token
 const TOKEN_KEY = 'tt_jwt_token';
+const REFRESH_TOKEN_KEY = 'tt_refresh_token';
 
 // PUBLIC_INTERFACE
-export function storeToken(token) {
-  /** Securely stores JWT to localStorage (minimal exposure). */
+export function storeToken(token, refreshToken) {
+  /**
+   * Securely stores JWT (and, when given, the refresh token) to localStorage
+   * (minimal exposure).
+   */
   localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
 }
 
 // PUBLIC_INTERFACE
@@ -22,10 +27,17 @@ export function getToken() {
   return localStorage.getItem(TOKEN_KEY);
 }
 
+// PUBLIC_INTERFACE
+export function getRefreshToken() {
+  /** Retrieves the refresh token from localStorage */
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
 // PUBLIC_INTERFACE
 export function clearToken() {
-  /** Clears stored JWT (logout for client). */
+  /** Clears stored JWT and refresh token (logout for client). */
   localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
 }
 
 // Helper to attach JWT auth header
@@ -34,10 +46,50 @@ function authHeaders() {
   return token ? { Authorization: 'Bearer ' + token } : {};
 }
 
+// In-flight refresh, shared so concurrent 401s trigger a single rotation
+let refreshPromise = null;
+
+// PUBLIC_INTERFACE
+export async function refreshSession() {
+  /**
+   * Exchanges the stored refresh token for a new access/refresh token pair.
+   * Returns true on success; on failure the stored tokens are cleared.
+   */
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return false;
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({ refreshToken })
+    }).then(async resp => {
+      if (!resp.ok) {
+        clearToken();
+        return false;
+      }
+      const data = await resp.json();
+      storeToken(data.token, data.refreshToken);
+      return true;
+    }).catch(() => false)
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+}
+
+// Helper: fetch for authenticated endpoints. On 401 the session is refreshed
+// once and the request retried with the new access token.
+async function authFetch(url, options={}) {
+  const resp = await fetch(url, options);
+  if (resp.status !== 401 || !(await refreshSession()))
+    return resp;
+  return fetch(url, { ...options, headers: { ...options.headers, ...authHeaders() } });
+}
+
 // PUBLIC_INTERFACE
 export async function apiLogin(email, password) {
   /**
-   * Log in user; returns {user, token} or throws error.
+   * Log in user; returns {user, token, refreshToken} or throws error.
+   * When locked out or rate limited (429) the error carries `retryAfter` in seconds.
    */
   const resp = await fetch(`${API_BASE_URL}/auth/login`, {
     method: 'POST',
@@ -46,7 +98,12 @@ export async function apiLogin(email, password) {
   });
   if (!resp.ok) {
     const data = await resp.json();
-    throw new Error(data.message || 'Login failed');
+    const error = new Error(data.message || 'Login failed');
+    if (resp.status === 429) {
+      const header = resp.headers && resp.headers.get('Retry-After');
+      error.retryAfter = Number(header || data.retryAfter) || 60;
+    }
+    throw error;
   }
   return resp.json();
 }
@@ -54,7 +111,7 @@ export async function apiLogin(email, password) {
 // PUBLIC_INTERFACE
 export async function apiRegister(email, password, name) {
   /**
-   * Register new user; returns {user, token} or throws error.
+   * Register new user; returns {user, token, refreshToken} or throws error.
    */
   const resp = await fetch(`${API_BASE_URL}/auth/register`, {
     method: 'POST',
@@ -70,43 +127,168 @@ export async function apiRegister(email, password, name) {
 
 // PUBLIC_INTERFACE
 export async function apiLogout() {
-  /** Log out is stateless: just tell backend, always clears JWT */
-  await fetch(`${API_BASE_URL}/auth/logout`, { method: 'POST', headers: { ...authHeaders() }});
-  clearToken();
+  /** Log out: backend revokes this device's session; always clears JWT */
+  try {
+    await fetch(`${API_BASE_URL}/auth/logout`, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({ refreshToken: getRefreshToken() })
+    });
+  } finally {
+    clearToken();
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function apiLogoutAll() {
+  /** Log out all devices: revokes every session of the user; always clears JWT */
+  try {
+    await authFetch(`${API_BASE_URL}/auth/logout-all`, { method: 'POST', headers: { ...authHeaders() }});
+  } finally {
+    clearToken();
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function apiForgotPassword(email) {
+  /** Request a password reset link by email. */
+  const resp = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+    method: 'POST',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({ email })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not request password reset');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function apiResetPassword(token, password) {
+  /** Set a new password using the token from the reset email. */
+  const resp = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+    method: 'POST',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({ token, password })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Password reset failed');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function apiVerifyEmail(token) {
+  /** Confirm the email address using the token from the verification email. */
+  const resp = await fetch(`${API_BASE_URL}/auth/verify-email`, {
+    method: 'POST',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({ token })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Email verification failed');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function apiSendVerification() {
+  /** Re-send the verification email to the logged-in user. */
+  const resp = await authFetch(`${API_BASE_URL}/auth/send-verification`, {
+    method: 'POST',
+    headers: { ...authHeaders() }
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not send verification email');
+  return data;
 }
 
 // PUBLIC_INTERFACE
 export async function fetchTasks(filters={}) {
   /**
-   * Fetch tasks for logged-in user, optional filters.
-   * filters can include: status, priority, sortBy, order
+   * Fetch one page of tasks for logged-in user, optional filters.
+   * filters can include: status, priority, sortBy, order, project, q (search),
+   * parent (a task id, or 'none' for top-level tasks), dueFrom/dueTo (ISO
+   * dates; due in [dueFrom, dueTo)), tags (comma separated) with tagsMode
+   * ('any' or 'all'), view (a saved or built-in view id; its relative dates
+   * are days in the browser's time zone), overdue (true or false), limit,
+   * cursor (nextCursor of the previous page), includeCount.
+   * Returns { tasks, nextCursor, total }; nextCursor is null on the last page.
+   * Each task has an `overdue` flag, judged in the browser's time zone.
    */
-  const qs = new URLSearchParams(filters).toString();
+  const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+  if (!params.timeZone)
+    params.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const qs = new URLSearchParams(params).toString();
   const url = `${API_BASE_URL}/tasks${qs ? '?' + qs : ''}`;
-  const resp = await fetch(url, {
+  const resp = await authFetch(url, {
     headers: { ...authHeaders() }
   });
   if (!resp.ok) {
     throw new Error('Failed to fetch tasks');
   }
   const data = await resp.json();
-  return data.tasks || [];
+  return { tasks: data.tasks || [], nextCursor: data.nextCursor || null, total: data.total };
 }
 
 // PUBLIC_INTERFACE
 export async function fetchTask(id) {
   /** Fetch a single task by ID. */
-  const resp = await fetch(`${API_BASE_URL}/tasks/${id}`, { headers: authHeaders() });
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}`, { headers: authHeaders() });
   if (!resp.ok)
     throw new Error('Task not found');
   const data = await resp.json();
   return data.task;
 }
 
+// PUBLIC_INTERFACE
+export async function exportTasks(filters={}, format='csv') {
+  /**
+   * Download the tasks matching `filters` (as for fetchTasks, without paging)
+   * as a CSV or JSON file. Returns { blob, filename }.
+   */
+  const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+  if (params.view && !params.timeZone)
+    params.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const qs = new URLSearchParams({ ...params, format }).toString();
+  const resp = await authFetch(`${API_BASE_URL}/tasks/export?${qs}`, { headers: authHeaders() });
+  if (!resp.ok) {
+    const data = await resp.json().catch(() => ({}));
+    throw new Error(data.message || 'Failed to export tasks');
+  }
+  const match = /filename="([^"]+)"/.exec(resp.headers.get('Content-Disposition') || '');
+  return { blob: await resp.blob(), filename: match ? match[1] : `tasks.${format}` };
+}
+
+// PUBLIC_INTERFACE
+export async function importTasks({ format, data, mapping, dryRun=false, project=null }) {
+  /**
+   * Import tasks from CSV text or a JSON array; with dryRun only check them.
+   * mapping ({ field: column }) is guessed by the server when left out.
+   * Returns { dryRun, columns, mapping, total, created, updated, failed, rows }.
+   * A refused mapping throws an Error carrying the file's columns and the
+   * mapping (err.columns, err.mapping), so it can be corrected.
+   */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ format, data, mapping, dryRun, project })
+  });
+  const result = await resp.json();
+  if (!resp.ok) {
+    const err = new Error(result.message || 'Failed to import tasks');
+    err.columns = result.columns;
+    err.mapping = result.mapping;
+    throw err;
+  }
+  return result;
+}
+
 // PUBLIC_INTERFACE
 export async function createTask(taskData) {
   /** Create a new task (fields: title, description, dueDate, ...). */
-  const resp = await fetch(`${API_BASE_URL}/tasks`, {
+  const resp = await authFetch(`${API_BASE_URL}/tasks`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json', ...authHeaders() },
     body: JSON.stringify(taskData)
@@ -118,10 +300,32 @@ export async function createTask(taskData) {
   return (await resp.json()).task;
 }
 
+// PUBLIC_INTERFACE
+export async function quickAddTask(text, project = null) {
+  /**
+   * Create a task from a quick-add line ("Pay invoice tomorrow 5pm !high
+   * @alice #finance"); dates are read in the browser's time zone.
+   * Returns { task, parsed }.
+   */
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const resp = await authFetch(`${API_BASE_URL}/tasks/quick`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(project ? { text, timeZone, project } : { text, timeZone })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Failed to create task');
+  return data;
+}
+
 // PUBLIC_INTERFACE
 export async function updateTask(id, updates) {
-  /** Update a task (PUT). */
-  const resp = await fetch(`${API_BASE_URL}/tasks/${id}`, {
+  /**
+   * Update a task (PUT). updates.position ({ after, before }: ids of the
+   * neighbouring tasks) moves it in the manual board order.
+   */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}`, {
     method: 'PUT',
     headers: { 'Content-Type': 'application/json', ...authHeaders() },
     body: JSON.stringify(updates)
@@ -133,10 +337,28 @@ export async function updateTask(id, updates) {
   return (await resp.json()).task;
 }
 
+// PUBLIC_INTERFACE
+export async function updateTaskSeries(id, updates) {
+  /**
+   * Edit this and all future occurrences of a recurring task. updates may
+   * include recurrence (a new rule, or null to stop repeating).
+   * Returns { task, updated }.
+   */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/series`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(updates)
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Failed to update recurring task');
+  return data;
+}
+
 // PUBLIC_INTERFACE
 export async function deleteTask(id) {
   /** Delete a task by ID. */
-  const resp = await fetch(`${API_BASE_URL}/tasks/${id}`, {
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}`, {
     method: 'DELETE',
     headers: { ...authHeaders() }
   });
@@ -144,40 +366,614 @@ export async function deleteTask(id) {
     throw new Error('Failed to delete task');
 }
 
+// PUBLIC_INTERFACE
+export async function bulkTasks(action, ids, changes) {
+  /**
+   * Apply one action to several tasks: 'update' (changes: { status, priority,
+   * assignee (email), dueDateShift (days) }), 'complete' or 'delete'.
+   * Returns { results: [{ id, ok, message?, task? }], succeeded, failed };
+   * each task is checked on its own, so some may fail while others succeed.
+   */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/bulk`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ action, ids, changes })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Bulk action failed');
+  return data;
+}
+
 // PUBLIC_INTERFACE
 export async function completeTask(id) {
   /** Toggle completion status for the given task. */
-  const resp = await fetch(`${API_BASE_URL}/tasks/${id}/complete`, {
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/complete`, {
     method: 'POST',
     headers: { ...authHeaders() }
   });
-  if (!resp.ok)
-    throw new Error('Failed to mark task as completed');
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Failed to mark task as completed');
+  }
   return (await resp.json()).task;
 }
 
 // PUBLIC_INTERFACE
-export async function scheduleEmailReminder(id, email) {
+export async function fetchSubtasks(id) {
+  /** Direct subtasks of a task (each with progress). */
+  return (await fetchTasks({ parent: id, sortBy: 'createdAt', limit: 200 })).tasks;
+}
+
+// PUBLIC_INTERFACE
+export async function addChecklistItem(id, text) {
+  /** Add a checklist item to a task; returns the updated task (with progress). */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/checklist`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ text })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not add checklist item.');
+  return data.task;
+}
+
+// PUBLIC_INTERFACE
+export async function updateChecklistItem(id, itemId, updates) {
+  /** Rename or check/uncheck a checklist item ({ text, done }); returns the updated task. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/checklist/${itemId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(updates)
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not update checklist item.');
+  return data.task;
+}
+
+// PUBLIC_INTERFACE
+export async function deleteChecklistItem(id, itemId) {
+  /** Remove a checklist item; returns the updated task. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/checklist/${itemId}`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not remove checklist item.');
+  return data.task;
+}
+
+// PUBLIC_INTERFACE
+export async function scheduleEmailReminder(id, email, when={}) {
   /**
-   * Schedules a manual email notification for a task.
+   * Schedules a reminder email for a task; returns the queued reminder.
+   * when can include: sendAt (ISO date/time) or offset (e.g. "2h before due").
+   * Without either, the reminder is sent as soon as possible.
+   * email may be empty to remind the logged-in user.
    */
-  const resp = await fetch(`${API_BASE_URL}/tasks/${id}/schedule-email`, {
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/schedule-email`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json', ...authHeaders() },
-    body: JSON.stringify({ email })
+    body: JSON.stringify({ ...(email ? { email } : {}), ...when })
   });
   if (!resp.ok) {
     const data = await resp.json();
     throw new Error(data.message || 'Could not schedule email.');
   }
-  return resp.json();
+  return (await resp.json()).reminder;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchReminders(id) {
+  /** List the reminders (pending, sent, cancelled...) of a task. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/reminders`, { headers: authHeaders() });
+  if (!resp.ok)
+    throw new Error('Failed to fetch reminders');
+  return (await resp.json()).reminders || [];
+}
+
+// PUBLIC_INTERFACE
+export async function cancelReminder(id, reminderId) {
+  /** Cancel a pending reminder of a task. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/reminders/${reminderId}`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Could not cancel reminder.');
+  }
+  return (await resp.json()).reminder;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchComments(id) {
+  /** Comment thread of a task, oldest first. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/comments`, { headers: authHeaders() });
+  if (!resp.ok)
+    throw new Error('Failed to fetch comments');
+  return (await resp.json()).comments || [];
+}
+
+// PUBLIC_INTERFACE
+export async function addComment(id, text) {
+  /** Post a comment on a task; "@name" or "@email" mentions teammates. Returns the comment. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/comments`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ body: text })
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Could not add comment.');
+  }
+  return (await resp.json()).comment;
+}
+
+// PUBLIC_INTERFACE
+export async function editComment(id, commentId, text) {
+  /** Edit one of your own comments; returns the updated comment. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/comments/${commentId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ body: text })
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Could not edit comment.');
+  }
+  return (await resp.json()).comment;
+}
+
+// PUBLIC_INTERFACE
+export async function deleteComment(id, commentId) {
+  /** Delete one of your own comments. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/comments/${commentId}`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Could not delete comment.');
+  }
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchDependencies(id) {
+  /** Dependencies of a task: { blockedBy, blocking }, each [{ _id, title, status, statusCategory }]. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/dependencies`, { headers: authHeaders() });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not load dependencies.');
+  return { blockedBy: data.blockedBy || [], blocking: data.blocking || [] };
+}
+
+// PUBLIC_INTERFACE
+export async function addDependency(id, blockerId) {
+  /** Mark task `id` as blocked by `blockerId`; returns the task (with blocked). */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/dependencies`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ blockerId })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not add dependency.');
+  return data.task;
 }
 
 // PUBLIC_INTERFACE
-export async function createTaskFromEmailDrag(subject, body, dueDate=null) {
+export async function removeDependency(id, blockerId) {
+  /** Task `id` is no longer blocked by `blockerId`; returns the task. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/dependencies/${blockerId}`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not remove dependency.');
+  return data.task;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchActivity(id) {
   /**
-   * Create a task from a dragged email (subject, body, optional dueDate).
-   * Use this for drag-and-drop email-to-task.
+   * Activity feed of a task: comments and field changes, oldest first.
+   * Items: { type: 'comment', at, actor, comment } or { type: 'change', at, actor, action, changes }.
    */
-  return createTask({ title: subject, description: body, dueDate });
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/activity`, { headers: authHeaders() });
+  if (!resp.ok)
+    throw new Error('Failed to fetch activity');
+  return (await resp.json()).activity || [];
+}
+
+// PUBLIC_INTERFACE
+export async function fetchTaskHistory(id) {
+  /** Audit history of a task, oldest first: [{ action, actor, changes: [{ field, from, to }], createdAt }]. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/history`, { headers: authHeaders() });
+  if (!resp.ok)
+    throw new Error('Failed to fetch history');
+  return (await resp.json()).history || [];
+}
+
+// PUBLIC_INTERFACE
+export async function revertTask(id, entryId) {
+  /** Revert a task to its version right after history entry entryId; returns the task. */
+  const resp = await authFetch(`${API_BASE_URL}/tasks/${id}/history/${entryId}/revert`, {
+    method: 'POST',
+    headers: { ...authHeaders() }
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Could not revert task.');
+  }
+  return (await resp.json()).task;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchCalendarFeed() {
+  /** Whether the user's calendar feed is on: { enabled }. */
+  const resp = await authFetch(`${API_BASE_URL}/calendar/token`, { headers: authHeaders() });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not load calendar feed.');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function rotateCalendarFeed() {
+  /**
+   * Create the calendar feed URL, or replace it (the old URL stops working).
+   * Returns the absolute .ics URL; it cannot be fetched again later.
+   */
+  const resp = await authFetch(`${API_BASE_URL}/calendar/token`, {
+    method: 'POST',
+    headers: { ...authHeaders() }
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not create calendar feed.');
+  return new URL(`${API_BASE_URL}/calendar/${data.token}.ics`, window.location.origin).href;
+}
+
+// PUBLIC_INTERFACE
+export async function disableCalendarFeed() {
+  /** Turn the calendar feed off. */
+  const resp = await authFetch(`${API_BASE_URL}/calendar/token`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Could not turn off calendar feed.');
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function createTaskFromEmail(file) {
+  /**
+   * Create a task from a dragged or picked .eml file (raw RFC 822 message):
+   * subject, body, a due date it names ("by Friday") and its attachments.
+   * Returns { task, attachments, skipped }, or { task, duplicate: true } when
+   * the message was already turned into a task.
+   */
+  const resp = await authFetch(`${API_BASE_URL}/inbound/email`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'message/rfc822', ...authHeaders() },
+    body: file
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not create task from email.');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchInboundAddress() {
+  /** Whether the user's inbound email address is on: { enabled }. */
+  const resp = await authFetch(`${API_BASE_URL}/inbound/address`, { headers: authHeaders() });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not load inbound address.');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function rotateInboundAddress() {
+  /**
+   * Create the user's inbound email address, or replace it (mail to the old
+   * one is refused). Returns the address; it cannot be fetched again later.
+   */
+  const resp = await authFetch(`${API_BASE_URL}/inbound/address`, {
+    method: 'POST',
+    headers: { ...authHeaders() }
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not create inbound address.');
+  return data.address;
+}
+
+// PUBLIC_INTERFACE
+export async function disableInboundAddress() {
+  /** Turn the inbound email address off. */
+  const resp = await authFetch(`${API_BASE_URL}/inbound/address`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Could not turn off inbound address.');
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function fetchDigestSettings() {
+  /** The daily digest email settings: { enabled, hour, timeZone, nextAt }. */
+  const resp = await authFetch(`${API_BASE_URL}/digest`, { headers: authHeaders() });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not load digest settings.');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function updateDigestSettings(settings) {
+  /**
+   * Change the daily digest settings: { enabled?, hour? (0-23), timeZone? }.
+   * Turning the digest on without a time zone uses the browser's.
+   * Returns the new settings.
+   */
+  const body = { ...settings };
+  if (body.enabled && !body.timeZone)
+    body.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const resp = await authFetch(`${API_BASE_URL}/digest`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(body)
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not update digest settings.');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchProjects() {
+  /** List projects the logged-in user is a member of (each with myRole). */
+  const resp = await authFetch(`${API_BASE_URL}/projects`, { headers: authHeaders() });
+  if (!resp.ok)
+    throw new Error('Failed to fetch projects');
+  return (await resp.json()).projects || [];
+}
+
+// PUBLIC_INTERFACE
+export async function createProject(projectData) {
+  /** Create a project (fields: name, description) owned by the current user. */
+  const resp = await authFetch(`${API_BASE_URL}/projects`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(projectData)
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Failed to create project');
+  }
+  return (await resp.json()).project;
+}
+
+// PUBLIC_INTERFACE
+export async function updateProject(id, updates) {
+  /** Rename/describe a project (owners only). */
+  const resp = await authFetch(`${API_BASE_URL}/projects/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(updates)
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Failed to update project');
+  }
+  return (await resp.json()).project;
+}
+
+// PUBLIC_INTERFACE
+export async function deleteProject(id) {
+  /** Delete a project (owners only); its tasks are kept. */
+  const resp = await authFetch(`${API_BASE_URL}/projects/${id}`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  if (!resp.ok)
+    throw new Error('Failed to delete project');
+}
+
+// PUBLIC_INTERFACE
+export async function fetchWorkflow(project='') {
+  /**
+   * Workflow ({ statuses, initial, transitions }) of a project's tasks;
+   * without a project, the default workflow of personal tasks.
+   */
+  const qs = project ? `?project=${encodeURIComponent(project)}` : '';
+  const resp = await authFetch(`${API_BASE_URL}/tasks/workflow${qs}`, { headers: authHeaders() });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not load workflow.');
+  return data.workflow;
+}
+
+// PUBLIC_INTERFACE
+export async function updateProjectWorkflow(id, workflow, statusMap={}) {
+  /**
+   * Replace a project's workflow (owners only); null restores the default.
+   * statusMap ({ old: new }) says where tasks in removed statuses go.
+   * Returns { workflow, remapped }.
+   */
+  const resp = await authFetch(`${API_BASE_URL}/projects/${id}/workflow`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ workflow, statusMap })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not save workflow.');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function inviteProjectMember(id, email, role='editor') {
+  /** Add a registered user to a project, or change their role (owner, editor, viewer). */
+  const resp = await authFetch(`${API_BASE_URL}/projects/${id}/members`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ email, role })
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Failed to invite member');
+  }
+  return (await resp.json()).project;
+}
+
+// PUBLIC_INTERFACE
+export async function removeProjectMember(id, userId) {
+  /** Remove a member from a project (or leave it, when userId is yourself). */
+  const resp = await authFetch(`${API_BASE_URL}/projects/${id}/members/${userId}`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Failed to remove member');
+  }
+  return (await resp.json()).project;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchTags(project='') {
+  /**
+   * Tags ({ _id, name, color, count }) of a project's tasks; without a
+   * project, the current user's personal tags.
+   */
+  const qs = project ? `?project=${encodeURIComponent(project)}` : '';
+  const resp = await authFetch(`${API_BASE_URL}/tags${qs}`, { headers: authHeaders() });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not load tags.');
+  return data.tags || [];
+}
+
+// PUBLIC_INTERFACE
+export async function createTag(name, color, project=null) {
+  /** Create a personal tag, or a project tag (editors); color is optional (#rrggbb). */
+  const resp = await authFetch(`${API_BASE_URL}/tags`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ name, color: color || undefined, project })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not create tag.');
+  return data.tag;
+}
+
+// PUBLIC_INTERFACE
+export async function updateTag(id, updates) {
+  /** Rename and/or recolor a tag ({ name, color }); a rename updates its tasks. Returns { tag, tasksUpdated }. */
+  const resp = await authFetch(`${API_BASE_URL}/tags/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(updates)
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not update tag.');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function mergeTag(id, intoId) {
+  /** Merge tag `id` into tag `intoId`; its tasks get the other tag. Returns { tag, tasksUpdated }. */
+  const resp = await authFetch(`${API_BASE_URL}/tags/${id}/merge`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ into: intoId })
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not merge tags.');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export async function deleteTag(id) {
+  /** Delete a tag and remove it from its tasks. */
+  const resp = await authFetch(`${API_BASE_URL}/tags/${id}`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Could not delete tag.');
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function fetchViews() {
+  /** Built-in views (Today, Upcoming, Overdue; builtIn: true) followed by the user's saved views. */
+  const resp = await authFetch(`${API_BASE_URL}/views`, { headers: authHeaders() });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not load views.');
+  return data.views || [];
+}
+
+// PUBLIC_INTERFACE
+export async function createView(view) {
+  /**
+   * Save a view: { name, filters, sortBy, order }. filters can include
+   * status, category, priority, project, tags, tagsMode, assignee ('me',
+   * 'unassigned'), due ('overdue', 'today', 'next', 'none'), dueDays (for
+   * 'next') and hideDone.
+   */
+  const resp = await authFetch(`${API_BASE_URL}/views`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(view)
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not save view.');
+  return data.view;
+}
+
+// PUBLIC_INTERFACE
+export async function updateView(id, updates) {
+  /** Rename a saved view or replace its filters/sort. */
+  const resp = await authFetch(`${API_BASE_URL}/views/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(updates)
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(data.message || 'Could not update view.');
+  return data.view;
+}
+
+// PUBLIC_INTERFACE
+export async function deleteView(id) {
+  /** Delete a saved view. */
+  const resp = await authFetch(`${API_BASE_URL}/views/${id}`, {
+    method: 'DELETE',
+    headers: { ...authHeaders() }
+  });
+  if (!resp.ok) {
+    const data = await resp.json();
+    throw new Error(data.message || 'Could not delete view.');
+  }
 }
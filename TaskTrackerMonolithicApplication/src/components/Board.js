@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { updateTask } from '../api';
+import { canMove } from './StatusSelect';
+
+// Same step the backend uses for ranks (RANK_STEP); only used to guess a
+// rank for the optimistic update, the saved task carries the real one.
+const RANK_STEP = 1024;
+
+const byRank = (a, b) => ((a.rank ?? Infinity) - (b.rank ?? Infinity)) || (a._id < b._id ? -1 : 1);
+
+// Column of a task: its status, or for a status of another workflow the
+// first column of the same category.
+function columnOf(task, workflow) {
+  if (workflow.statuses.some(s => s.key === task.status)) return task.status;
+  const sameCategory = workflow.statuses.find(s => s.category === task.statusCategory);
+  return (sameCategory || workflow.statuses[0]).key;
+}
+
+function guessRank(above, below) {
+  if (!above && !below) return RANK_STEP;
+  if (!above) return below.rank - RANK_STEP;
+  if (!below) return above.rank + RANK_STEP;
+  return (above.rank + below.rank) / 2;
+}
+
+/**
+ * Kanban board: a column per workflow status, cards in manual (rank) order.
+ * Cards move by drag-and-drop or from the keyboard (arrow left/right to
+ * another column, up/down within one). Moves show at once and are undone
+ * if the server refuses them; onTaskChange receives each saved task.
+ */
+function Board({ tasks, workflow, onTaskChange }) {
+  const [cards, setCards] = useState(tasks);
+  const [dragId, setDragId] = useState(null);
+  const [error, setError] = useState('');
+  const [announcement, setAnnouncement] = useState('');
+  const [focusId, setFocusId] = useState(null);
+  const cardRefs = useRef({});
+
+  useEffect(() => { setCards(tasks); }, [tasks]);
+
+  // Keep the keyboard focus on a card after it moved
+  useEffect(() => {
+    if (focusId && cardRefs.current[focusId]) cardRefs.current[focusId].focus();
+  }, [focusId, cards]);
+
+  const columns = workflow.statuses.map(status => ({
+    ...status,
+    cards: cards.filter(card => columnOf(card, workflow) === status.key).sort(byRank)
+  }));
+
+  // Moves `task` to `status`, at `index` among that column's other cards.
+  const moveCard = async (task, status, index) => {
+    const target = columns.find(c => c.key === status);
+    const others = target.cards.filter(card => card._id !== task._id);
+    const above = others[index - 1];
+    const below = others[index];
+    if (target.cards.indexOf(task) === index) return; // dropped where it already is
+    if (!canMove(workflow, task.status, status)) {
+      setAnnouncement(`${task.title} cannot move to ${target.name}.`);
+      return;
+    }
+
+    const previous = cards;
+    const moved = { ...task, status, statusCategory: target.category, rank: guessRank(above, below) };
+    setError('');
+    setCards(cs => cs.map(card => (card._id === task._id ? moved : card)));
+    setAnnouncement(`${task.title} moved to ${target.name}, position ${index + 1} of ${others.length + 1}.`);
+    try {
+      const saved = await updateTask(task._id, {
+        title: task.title,
+        ...(status !== task.status && { status }),
+        position: { after: above && above._id, before: below && below._id }
+      });
+      onTaskChange(saved);
+    } catch (err) {
+      setCards(previous);
+      setError(err.message);
+      setAnnouncement(`Move of ${task.title} failed: ${err.message}`);
+    }
+  };
+
+  const handleKeyDown = (e, task, columnIndex, cardIndex) => {
+    const column = columns[columnIndex];
+    const moves = {
+      ArrowUp: () => cardIndex > 0 && moveCard(task, column.key, cardIndex - 1),
+      ArrowDown: () => cardIndex < column.cards.length - 1 && moveCard(task, column.key, cardIndex + 1),
+      ArrowLeft: () => columnIndex > 0 &&
+        moveCard(task, columns[columnIndex - 1].key, columns[columnIndex - 1].cards.length),
+      ArrowRight: () => columnIndex < columns.length - 1 &&
+        moveCard(task, columns[columnIndex + 1].key, columns[columnIndex + 1].cards.length)
+    };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+    setFocusId(task._id);
+    moves[e.key]();
+  };
+
+  const handleDrop = (e, status, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const task = cards.find(card => card._id === (dragId || e.dataTransfer.getData('text/plain')));
+    setDragId(null);
+    if (task && index >= 0) moveCard(task, status, index);
+  };
+
+  return (
+    <div className="board">
+      <p id="board-help" style={{ fontSize: '0.6em', margin: '4px 0' }}>
+        Drag cards between columns, or focus a card and use the arrow keys to move it.
+      </p>
+      <div role="status" aria-live="polite"
+        style={{ position: 'absolute', width: 1, height: 1, overflow: 'hidden', clip: 'rect(0 0 0 0)' }}>
+        {announcement}
+      </div>
+      {error && <div style={{ color: 'tomato', fontSize: '0.7em' }}>{error}</div>}
+      <div style={{ display: 'flex', gap: 8, alignItems: 'flex-start', overflowX: 'auto', fontSize: '0.7em' }}>
+        {columns.map((column, columnIndex) =>
+          <section key={column.key} aria-label={column.name}
+            onDragOver={e => e.preventDefault()}
+            onDrop={e => handleDrop(e, column.key, column.cards.filter(card => card._id !== dragId).length)}
+            style={{
+              flex: '1 0 160px', minHeight: 80, padding: 6, borderRadius: 6,
+              border: '1px solid var(--border-color)', background: '#fff1'
+            }}>
+            <h5 style={{ margin: '2px 0 6px' }}>{column.name} ({column.cards.length})</h5>
+            <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+              {column.cards.map((card, cardIndex) =>
+                <li key={card._id} tabIndex={0} draggable
+                  ref={el => { cardRefs.current[card._id] = el; }}
+                  aria-describedby="board-help"
+                  onKeyDown={e => handleKeyDown(e, card, columnIndex, cardIndex)}
+                  onDragStart={e => { setDragId(card._id); e.dataTransfer.setData('text/plain', card._id); }}
+                  onDragEnd={() => setDragId(null)}
+                  onDragOver={e => e.preventDefault()}
+                  onDrop={e => handleDrop(e, column.key,
+                    column.cards.filter(c => c._id !== dragId).findIndex(c => c._id === card._id))}
+                  style={{
+                    padding: 6, margin: '4px 0', borderRadius: 4, cursor: 'grab', textAlign: 'left',
+                    background: 'var(--bg-primary)', border: '1px solid var(--border-color)',
+                    opacity: dragId === card._id ? 0.5 : 1
+                  }}>
+                  {card.title}
+                  {card.blocked && card.statusCategory !== 'done' &&
+                    <span title="Waiting for other tasks" style={{ marginLeft: 4 }}>⛔</span>}
+                  {card.dueDate &&
+                    <div style={{ opacity: 0.8 }}>Due {new Date(card.dueDate).toLocaleDateString()}</div>}
+                </li>)}
+            </ul>
+          </section>)}
+      </div>
+    </div>
+  );
+}
+
+export default Board;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { bulkTasks } from '../api';
+
+const SHIFTS = [[-7, '-1 week'], [-1, '-1 day'], [1, '+1 day'], [7, '+1 week']];
+
+/**
+ * Actions for the selected tasks: complete, delete, set status/priority,
+ * assign by email, shift due dates and add or remove a tag. Each task is checked on its own, so
+ * the ones refused are listed with the reason. `workflow` gives the statuses
+ * offered; onDone(result) runs after every action (to reload the list).
+ */
+function BulkActionBar({ tasks, workflow, onDone, onClear }) {
+  const [assignee, setAssignee] = useState('');
+  const [tag, setTag] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [failures, setFailures] = useState([]);
+  const [error, setError] = useState('');
+
+  const run = async (action, changes) => {
+    setError('');
+    setFailures([]);
+    setBusy(true);
+    try {
+      const result = await bulkTasks(action, tasks.map(t => t._id), changes);
+      const titles = Object.fromEntries(tasks.map(t => [t._id, t.title]));
+      setFailures(result.results.filter(r => !r.ok).map(r => ({ ...r, title: titles[r.id] || r.id })));
+      await onDone(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${tasks.length} tasks and their subtasks?`)) run('delete');
+  };
+
+  return (
+    <div role="toolbar" aria-label="Bulk actions" style={{
+      fontSize: '0.6em', textAlign: 'left', margin: '8px 0', padding: 6,
+      border: '1px solid var(--border-color)', borderRadius: 6
+    }}>
+      <b>{tasks.length} selected</b>
+      <button onClick={onClear} disabled={busy} style={{ marginLeft: 6 }}>Clear</button>
+      <button onClick={() => run('complete')} disabled={busy} style={{ marginLeft: 12 }}>Complete</button>
+      <button onClick={handleDelete} disabled={busy} style={{ marginLeft: 6, color: 'crimson' }}>Delete</button>
+      {workflow &&
+        <select aria-label="Set status" value="" disabled={busy} style={{ marginLeft: 12 }}
+          onChange={e => e.target.value && run('update', { status: e.target.value })}>
+          <option value="">Set status…</option>
+          {workflow.statuses.map(s => <option key={s.key} value={s.key}>{s.name}</option>)}
+        </select>}
+      <select aria-label="Set priority" value="" disabled={busy} style={{ marginLeft: 6 }}
+        onChange={e => e.target.value && run('update', { priority: e.target.value })}>
+        <option value="">Set priority…</option>
+        {['low', 'medium', 'high'].map(p => <option key={p} value={p}>{p}</option>)}
+      </select>
+      <span style={{ marginLeft: 12 }}>Due:</span>
+      {SHIFTS.map(([days, label]) =>
+        <button key={days} onClick={() => run('update', { dueDateShift: days })} disabled={busy}
+          aria-label={`Shift due dates ${label}`} style={{ marginLeft: 4 }}>{label}</button>)}
+      <form style={{ display: 'inline', marginLeft: 12 }}
+        onSubmit={e => { e.preventDefault(); if (assignee.trim()) run('update', { assignee: assignee.trim() }); }}>
+        <input type="email" placeholder="Assignee email" aria-label="Assignee email"
+          value={assignee} onChange={e => setAssignee(e.target.value)} />
+        <button type="submit" disabled={busy || !assignee.trim()} style={{ marginLeft: 4 }}>Assign</button>
+      </form>
+      <span style={{ marginLeft: 12 }}>
+        <input type="text" placeholder="Tag" aria-label="Tag" value={tag} onChange={e => setTag(e.target.value)}
+          style={{ width: 80 }} />
+        <button onClick={() => run('update', { addTags: [tag.trim()] })} disabled={busy || !tag.trim()}
+          style={{ marginLeft: 4 }}>Add tag</button>
+        <button onClick={() => run('update', { removeTags: [tag.trim()] })} disabled={busy || !tag.trim()}
+          style={{ marginLeft: 4 }}>Remove tag</button>
+      </span>
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+      {failures.length > 0 &&
+        <ul aria-label="Tasks not changed" style={{ color: 'tomato', margin: '4px 0' }}>
+          {failures.map(f => <li key={f.id}>{f.title}: {f.message}</li>)}
+        </ul>}
+    </div>
+  );
+}
+
+export default BulkActionBar;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { fetchTasks, fetchCalendarFeed, rotateCalendarFeed, disableCalendarFeed } from '../api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const pad = (n) => String(n).padStart(2, '0');
+const localKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// A due date stored at midnight UTC has no time of day (the task form sends
+// just a date): it belongs to that UTC date in every time zone. Others fall
+// on the local day they are due.
+export function isAllDay(due) {
+  return new Date(due).getTime() % DAY_MS === 0;
+}
+
+export function dueDayKey(due) {
+  const date = new Date(due);
+  return isAllDay(date) ? date.toISOString().slice(0, 10) : localKey(date);
+}
+
+const dueTime = (due) => new Date(due).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Days shown for `anchor`: the Monday-based weeks covering its month (6 rows),
+// or its week.
+export function visibleDays(anchor, mode) {
+  const first = mode === 'month' ? new Date(anchor.getFullYear(), anchor.getMonth(), 1) : new Date(anchor);
+  const start = new Date(first.getFullYear(), first.getMonth(), first.getDate() - ((first.getDay() + 6) % 7));
+  const count = mode === 'month' ? 42 : 7;
+  return Array.from({ length: count }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+}
+
+/**
+ * Subscription link for the user's .ics feed. The URL is only shown right
+ * after it is created; making a new one stops the old one.
+ */
+function CalendarFeed() {
+  const [enabled, setEnabled] = useState(false);
+  const [url, setUrl] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchCalendarFeed().then(feed => setEnabled(feed.enabled)).catch(() => {});
+  }, []);
+
+  const run = async (change) => {
+    setError('');
+    try { await change(); }
+    catch (err) { setError(err.message); }
+  };
+
+  return (
+    <div className="calendar-feed" style={{ fontSize: '0.6em', margin: '6px 0' }}>
+      {url
+        ? <label>Subscribe with this URL:{' '}
+            <input type="text" readOnly value={url} onFocus={e => e.target.select()} style={{ width: 360 }} />
+          </label>
+        : enabled && <span>Calendar feed is on. </span>}
+      <button onClick={() => run(async () => { setUrl(await rotateCalendarFeed()); setEnabled(true); })}
+        style={{ marginLeft: 6 }}>
+        {enabled ? 'New feed URL' : 'Get calendar feed URL'}
+      </button>
+      {enabled &&
+        <button onClick={() => run(async () => { await disableCalendarFeed(); setEnabled(false); setUrl(''); })}
+          style={{ marginLeft: 6 }}>Turn off feed</button>}
+      {enabled && <div>Making a new URL stops the old one from working.</div>}
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </div>
+  );
+}
+
+/**
+ * Month/week calendar of the due dates of `project`'s tasks (same values as
+ * the task list's project filter), plus the .ics feed subscription link.
+ */
+function CalendarView({ project, today = new Date() }) {
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(() => new Date(today.getFullYear(), today.getMonth(), today.getDate()));
+  const [tasks, setTasks] = useState([]);
+  const [error, setError] = useState('');
+
+  const days = visibleDays(anchor, mode);
+  const first = days[0];
+  const last = days[days.length - 1];
+  const rangeStart = first.getTime();
+  const rangeEnd = last.getTime() + DAY_MS;
+
+  useEffect(() => {
+    // A day early and late, so all-day tasks (UTC dates) are caught in every zone.
+    const dueFrom = new Date(rangeStart - DAY_MS).toISOString();
+    const dueTo = new Date(rangeEnd + DAY_MS).toISOString();
+    setError('');
+    fetchTasks({ project, dueFrom, dueTo, sortBy: 'dueDate', limit: 200 })
+      .then(page => setTasks(page.tasks))
+      .catch(err => setError(err.message));
+  }, [project, rangeStart, rangeEnd]);
+
+  const byDay = {};
+  for (const task of tasks) {
+    const key = dueDayKey(task.dueDate);
+    (byDay[key] = byDay[key] || []).push(task);
+  }
+
+  const shift = (direction) => setAnchor(a => (mode === 'month'
+    ? new Date(a.getFullYear(), a.getMonth() + direction, 1)
+    : new Date(a.getFullYear(), a.getMonth(), a.getDate() + 7 * direction)));
+
+  const title = mode === 'month'
+    ? anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `${first.toLocaleDateString()} – ${last.toLocaleDateString()}`;
+  const todayKey = localKey(today);
+
+  return (
+    <div className="calendar-view">
+      <div style={{ marginBottom: 6 }}>
+        <button onClick={() => shift(-1)} aria-label={`Previous ${mode}`}>‹</button>
+        <button onClick={() => setAnchor(new Date(today.getFullYear(), today.getMonth(), today.getDate()))}
+          style={{ margin: '0 4px' }}>Today</button>
+        <button onClick={() => shift(1)} aria-label={`Next ${mode}`}>›</button>
+        <b style={{ margin: '0 12px' }}>{title}</b>
+        <button onClick={() => setMode('month')} aria-pressed={mode === 'month'}>Month</button>
+        <button onClick={() => setMode('week')} aria-pressed={mode === 'week'} style={{ marginLeft: 4 }}>Week</button>
+      </div>
+      {error && <div style={{ color: 'tomato', fontSize: '0.7em' }}>{error}</div>}
+      <div role="grid" aria-label={title}
+        style={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(90px, 1fr))', gap: 2, fontSize: '0.6em' }}>
+        <div role="row" style={{ display: 'contents' }}>
+          {WEEKDAYS.map(day => <div key={day} role="columnheader" style={{ fontWeight: 'bold' }}>{day}</div>)}
+        </div>
+        {Array.from({ length: days.length / 7 }, (_, week) =>
+          <div key={week} role="row" style={{ display: 'contents' }}>
+            {days.slice(week * 7, week * 7 + 7).map(day => {
+              const key = localKey(day);
+              const dayTasks = byDay[key] || [];
+              return (
+                <div key={key} role="gridcell" aria-label={day.toLocaleDateString()}
+                  style={{
+                    minHeight: mode === 'week' ? 160 : 70, padding: 4, textAlign: 'left',
+                    border: '1px solid var(--border-color)', borderRadius: 4,
+                    opacity: mode === 'month' && day.getMonth() !== anchor.getMonth() ? 0.5 : 1,
+                    outline: key === todayKey ? '2px solid var(--button-bg)' : 'none'
+                  }}>
+                  <div>{day.getDate()}</div>
+                  {dayTasks.map(task =>
+                    <div key={task._id}
+                      title={isAllDay(task.dueDate) ? task.title : `${task.title} – due ${dueTime(task.dueDate)}`}
+                      style={{
+                        margin: '2px 0', padding: '1px 3px', borderRadius: 3, background: '#fff2',
+                        textDecoration: task.statusCategory === 'done' ? 'line-through' : 'none'
+                      }}>
+                      {!isAllDay(task.dueDate) &&
+                        <span style={{ opacity: 0.8 }}>{dueTime(task.dueDate)} </span>}
+                      {task.title}
+                    </div>)}
+                </div>
+              );
+            })}
+          </div>)}
+      </div>
+      <CalendarFeed />
+    </div>
+  );
+}
+
+export default CalendarView;
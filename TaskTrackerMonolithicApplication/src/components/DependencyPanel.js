@@ -0,0 +1,69 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchDependencies, addDependency, removeDependency } from '../api';
+
+/**
+ * Per-task dependency panel: the tasks this one is blocked by (removable),
+ * the tasks it blocks, and a picker to add a blocker from `candidates`.
+ * onTaskChange receives the task with its updated blocked flag.
+ */
+function DependencyPanel({ task, candidates, onTaskChange }) {
+  const [deps, setDeps] = useState({ blockedBy: [], blocking: [] });
+  const [blockerId, setBlockerId] = useState('');
+  const [error, setError] = useState('');
+
+  const loadDependencies = useCallback(async () => {
+    try { setDeps(await fetchDependencies(task._id)); }
+    catch (err) { setError(err.message); }
+  }, [task._id]);
+
+  useEffect(() => { loadDependencies(); }, [loadDependencies]);
+
+  const run = async (change) => {
+    setError('');
+    try {
+      onTaskChange(await change());
+      await loadDependencies();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!blockerId) return;
+    run(async () => { const updated = await addDependency(task._id, blockerId); setBlockerId(''); return updated; });
+  };
+
+  const choices = (candidates || []).filter(c =>
+    c._id !== task._id && !deps.blockedBy.some(b => b._id === c._id));
+
+  return (
+    <div className="dependency-panel" style={{ marginTop: 6, fontSize: '0.8em' }}>
+      <div>Blocked by:</div>
+      <ul style={{ listStyle: 'none', padding: 0, margin: '4px 0' }}>
+        {deps.blockedBy.length
+          ? deps.blockedBy.map(b =>
+            <li key={b._id}>
+              {b.statusCategory === 'done' ? '✅' : '⏳'} {b.title}
+              <button onClick={() => run(() => removeDependency(task._id, b._id))}
+                aria-label={`Remove blocker ${b.title}`}
+                style={{ marginLeft: 6, background: 'none', color: 'crimson' }}>&times;</button>
+            </li>)
+          : <li>Nothing</li>}
+      </ul>
+      {deps.blocking.length > 0 &&
+        <div>Blocks: {deps.blocking.map(b => b.title).join(', ')}</div>}
+      <form onSubmit={handleAdd} style={{ marginTop: 4 }}>
+        <select aria-label="Blocking task" value={blockerId} onChange={e => setBlockerId(e.target.value)}
+          style={{ marginRight: 6 }}>
+          <option value="">Choose a task…</option>
+          {choices.map(c => <option key={c._id} value={c._id}>{c.title}</option>)}
+        </select>
+        <button type="submit" disabled={!blockerId}>Add blocker</button>
+      </form>
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </div>
+  );
+}
+
+export default DependencyPanel;
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+import { fetchDigestSettings, updateDigestSettings } from '../api';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Settings of the daily digest email (overdue tasks, tasks due today and
+ * this week): on/off, the hour it is sent and the time zone of that hour
+ * and of the due dates in it. Each change is saved right away.
+ */
+function DigestSettings() {
+  const [settings, setSettings] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchDigestSettings().then(setSettings).catch(() => {});
+  }, []);
+
+  const save = async (change) => {
+    setError('');
+    try { setSettings(await updateDigestSettings(change)); }
+    catch (err) { setError(err.message); }
+  };
+
+  if (!settings) return null;
+  const timeZone = browserTimeZone();
+  return (
+    <div style={{ margin: '6px 0', fontSize: '0.6em' }}>
+      <label>
+        <input type="checkbox" checked={settings.enabled} onChange={e => save({ enabled: e.target.checked })} />
+        {' '}Daily digest email
+      </label>
+      {settings.enabled && <>
+        <label style={{ marginLeft: 8 }}>at{' '}
+          <select aria-label="Digest hour" value={settings.hour} onChange={e => save({ hour: Number(e.target.value) })}>
+            {HOURS.map(hour => <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>)}
+          </select>
+        </label>
+        <span style={{ marginLeft: 6 }}>({settings.timeZone})</span>
+        {settings.timeZone !== timeZone &&
+          <button onClick={() => save({ timeZone })} style={{ marginLeft: 6 }}>Use {timeZone}</button>}
+      </>}
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </div>
+  );
+}
+
+export default DigestSettings;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { createTaskFromEmail, fetchInboundAddress, rotateInboundAddress, disableInboundAddress } from '../api';
+
+const isEml = (file) => /\.eml$/i.test(file.name) || file.type === 'message/rfc822';
+
+/**
+ * The user's secret inbound address: mail sent (or forwarded) to it becomes
+ * a task. Like the calendar feed URL, it is only shown right after it is
+ * created.
+ */
+function InboundAddress() {
+  const [enabled, setEnabled] = useState(false);
+  const [address, setAddress] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchInboundAddress().then(inbound => setEnabled(inbound.enabled)).catch(() => {});
+  }, []);
+
+  const run = async (change) => {
+    setError('');
+    try { await change(); }
+    catch (err) { setError(err.message); }
+  };
+
+  return (
+    <div style={{ margin: '6px 0' }}>
+      {address
+        ? <label>Forward mail to:{' '}
+            <input type="text" readOnly value={address} onFocus={e => e.target.select()} style={{ width: 360 }} />
+          </label>
+        : enabled && <span>Inbound address is on. </span>}
+      <button onClick={() => run(async () => { setAddress(await rotateInboundAddress()); setEnabled(true); })}
+        style={{ marginLeft: 6 }}>
+        {enabled ? 'New address' : 'Get inbound address'}
+      </button>
+      {enabled &&
+        <button onClick={() => run(async () => { await disableInboundAddress(); setEnabled(false); setAddress(''); })}
+          style={{ marginLeft: 6 }}>Turn off address</button>}
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </div>
+  );
+}
+
+/**
+ * Drop zone (and file picker) for .eml files: each message becomes a task
+ * with its subject, body, a due date it names and its attachments.
+ * onCreated() runs after files were turned into tasks (to reload the list).
+ */
+function EmailDropZone({ onCreated }) {
+  const [over, setOver] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [results, setResults] = useState([]);
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    setBusy(true);
+    const next = [];
+    for (const file of files) {
+      if (!isEml(file)) {
+        next.push({ name: file.name, error: 'Not an .eml file.' });
+        continue;
+      }
+      try {
+        const result = await createTaskFromEmail(file);
+        next.push({ name: file.name, ...result });
+      } catch (err) {
+        next.push({ name: file.name, error: err.message });
+      }
+    }
+    setResults(next);
+    setBusy(false);
+    if (next.some(r => r.task && !r.duplicate)) await onCreated();
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setOver(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div style={{ fontSize: '0.6em', textAlign: 'left', margin: '12px 0' }}>
+      <div role="region" aria-label="Email drop zone"
+        onDragOver={e => { e.preventDefault(); setOver(true); }}
+        onDragLeave={() => setOver(false)}
+        onDrop={handleDrop}
+        style={{
+          padding: 12, textAlign: 'center', borderRadius: 6,
+          border: `2px dashed ${over ? 'var(--text-secondary)' : 'var(--border-color)'}`
+        }}>
+        {busy ? 'Creating tasks…' : 'Drop .eml files here to turn emails into tasks, or '}
+        {!busy &&
+          <label style={{ textDecoration: 'underline', cursor: 'pointer' }}>
+            choose files
+            <input type="file" accept=".eml,message/rfc822" multiple aria-label="Choose email files"
+              onChange={e => { handleFiles(e.target.files); e.target.value = ''; }}
+              style={{ display: 'none' }} />
+          </label>}
+      </div>
+      {results.length > 0 &&
+        <ul aria-label="Emails imported" style={{ margin: '4px 0' }}>
+          {results.map((r, i) =>
+            <li key={i} style={r.error ? { color: 'tomato' } : undefined}>
+              {r.name}: {r.error
+                ? r.error
+                : r.duplicate
+                  ? `already added as "${r.task.title}"`
+                  : `created "${r.task.title}"`
+                    + (r.task.dueDate ? `, due ${new Date(r.task.dueDate).toISOString().slice(0, 10)}` : '')
+                    + (r.attachments.length ? `, ${r.attachments.length} attachment(s)` : '')
+                    + (r.skipped.length ? `, ${r.skipped.length} skipped` : '')}
+            </li>)}
+        </ul>}
+      <InboundAddress />
+    </div>
+  );
+}
+
+export default EmailDropZone;
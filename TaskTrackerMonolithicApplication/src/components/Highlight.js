@@ -0,0 +1,18 @@
+import React from 'react';
+
+/**
+ * Renders search highlight segments ([{ text, match }]) with matches in
+ * <mark>; falls back to the plain text when there are no segments.
+ */
+function Highlight({ segments, fallback }) {
+  if (!segments || !segments.length) return <>{fallback}</>;
+  return (
+    <>
+      {segments.map((segment, i) => (segment.match
+        ? <mark key={i}>{segment.text}</mark>
+        : <React.Fragment key={i}>{segment.text}</React.Fragment>))}
+    </>
+  );
+}
+
+export default Highlight;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { importTasks } from '../api';
+
+// Task fields a file column can feed (same keys as the backend's IMPORT_FIELDS).
+const FIELDS = [
+  ['title', 'Title'],
+  ['description', 'Description'],
+  ['dueDate', 'Due date'],
+  ['status', 'Status'],
+  ['priority', 'Priority'],
+  ['assignee', 'Assignee (email)'],
+  ['tags', 'Tags (comma separated)'],
+  ['externalId', 'External id']
+];
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Could not read the file.'));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Import tasks from a CSV or JSON file into `project` (a project id, or null
+ * for personal tasks): pick a file, check the column mapping and the rows
+ * with a dry run, then import. Rows with errors are skipped.
+ */
+function ImportWizard({ project = null, onImported, onClose }) {
+  const [source, setSource] = useState(null); // { name, format, data }
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [check, setCheck] = useState(null); // dry-run result
+  const [done, setDone] = useState(null); // import result
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // A refused mapping still reports the file's columns, so it can be fixed.
+  const run = async (options, file = source) => {
+    setError('');
+    setBusy(true);
+    try {
+      return await importTasks({ format: file.format, data: file.data, project, ...options });
+    } catch (err) {
+      if (err.columns) {
+        setColumns(err.columns);
+        setMapping(err.mapping || {});
+        setCheck(null);
+      }
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const dryRun = async (options, file) => {
+    const result = await run({ ...options, dryRun: true }, file);
+    if (result) {
+      setColumns(result.columns);
+      setMapping(result.mapping);
+      setCheck(result);
+    }
+  };
+
+  const chooseFile = async (file) => {
+    if (!file) return;
+    setError('');
+    setCheck(null);
+    setDone(null);
+    let next;
+    try {
+      const text = await readFile(file);
+      const json = /\.json$/i.test(file.name);
+      next = { name: file.name, format: json ? 'json' : 'csv', data: json ? JSON.parse(text) : text };
+    } catch (err) {
+      setError(err instanceof SyntaxError ? 'The file is not valid JSON.' : err.message);
+      return;
+    }
+    setSource(next);
+    // Without a mapping the server suggests one from the column names.
+    await dryRun({}, next);
+  };
+
+  const changeMapping = (field, column) => {
+    setCheck(null);
+    setMapping(m => {
+      const next = { ...m };
+      if (column) next[field] = column;
+      else delete next[field];
+      return next;
+    });
+  };
+
+  const startImport = async () => {
+    const result = await run({ mapping });
+    if (result) {
+      setDone(result);
+      if (onImported) onImported(result);
+    }
+  };
+
+  const failedRows = check ? check.rows.filter(row => row.action === 'error') : [];
+
+  return (
+    <div className="import-wizard" style={{
+      fontSize: '0.6em', textAlign: 'left', margin: '8px 0', padding: 8,
+      border: '1px solid var(--border-color)', borderRadius: 6
+    }}>
+      <b>Import tasks</b>
+      {onClose && <button onClick={onClose} style={{ float: 'right' }}>Close</button>}
+      <div style={{ margin: '6px 0' }}>
+        <label>CSV or JSON file:{' '}
+          <input type="file" accept=".csv,.json,text/csv,application/json"
+            onChange={e => chooseFile(e.target.files[0])} />
+        </label>
+      </div>
+
+      {source && columns.length > 0 && !done &&
+        <fieldset style={{ margin: '6px 0' }}>
+          <legend>Columns of {source.name}</legend>
+          {FIELDS.map(([field, label]) =>
+            <div key={field}>
+              <label>{label}{' '}
+                <select aria-label={`Column for ${label}`} value={mapping[field] || ''}
+                  onChange={e => changeMapping(field, e.target.value)}>
+                  <option value="">(not imported)</option>
+                  {columns.map(column => <option key={column} value={column}>{column}</option>)}
+                </select>
+              </label>
+            </div>)}
+          {!check && <button onClick={() => dryRun({ mapping })} disabled={busy}>Check rows</button>}
+        </fieldset>}
+
+      {check && !done &&
+        <div>
+          <div role="status">
+            {check.total} rows: {check.created} new, {check.updated} updated, {check.failed} with errors.
+          </div>
+          {failedRows.length > 0 &&
+            <ul aria-label="Rows with errors" style={{ maxHeight: 160, overflowY: 'auto' }}>
+              {failedRows.map(row => <li key={row.row}>Row {row.row}: {row.errors.join(' ')}</li>)}
+            </ul>}
+          <button onClick={startImport} disabled={busy || check.created + check.updated === 0}>
+            Import {check.created + check.updated} tasks
+          </button>
+          {failedRows.length > 0 && <span> Rows with errors are skipped.</span>}
+        </div>}
+
+      {done &&
+        <div role="status">
+          Imported: {done.created} new, {done.updated} updated{done.failed ? `, ${done.failed} skipped` : ''}.
+        </div>}
+      {busy && <div>Working…</div>}
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </div>
+  );
+}
+
+export default ImportWizard;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { apiForgotPassword, apiResetPassword } from '../api';
+
+/**
+ * "Forgot password" screen: asks for the account email and requests a reset link.
+ */
+export function ForgotPasswordForm({ onDone }) {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setBusy(true);
+    try {
+      const { message } = await apiForgotPassword(email);
+      setMessage(message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ marginTop: 18 }}>
+      <h3>Forgot Password</h3>
+      <input required autoFocus
+        type="email" placeholder="Email" aria-label="Account email"
+        value={email}
+        onChange={e => setEmail(e.target.value)}
+        style={{ marginBottom: 8 }} />
+      <br />
+      <button disabled={busy} type="submit">Send reset link</button>
+      <button type="button" onClick={onDone} style={{ marginLeft: 8 }}>Back to login</button>
+      {message && <div style={{ color: 'seagreen' }}>{message}</div>}
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </form>
+  );
+}
+
+/**
+ * Reset password screen, opened from the emailed link (?resetToken=...).
+ */
+export function ResetPasswordForm({ token, onDone }) {
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+    setBusy(true);
+    try {
+      const { message } = await apiResetPassword(token, password);
+      onDone(message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ marginTop: 18 }}>
+      <h3>Choose a New Password</h3>
+      <input required autoFocus minLength={6}
+        type="password" placeholder="New password" aria-label="New password"
+        value={password}
+        onChange={e => setPassword(e.target.value)}
+        style={{ marginBottom: 8 }} />
+      <br />
+      <input required minLength={6}
+        type="password" placeholder="Confirm new password" aria-label="Confirm new password"
+        value={confirm}
+        onChange={e => setConfirm(e.target.value)}
+        style={{ marginBottom: 8 }} />
+      <br />
+      <button disabled={busy} type="submit">Set password</button>
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </form>
+  );
+}
@@ -0,0 +1,24 @@
+import React from 'react';
+
+/**
+ * Progress bar for a task's roll-up ({ done, total, percent }) over its
+ * checklist items and subtasks. Renders nothing when there is nothing to count.
+ */
+function ProgressBar({ progress, label = 'Progress' }) {
+  if (!progress || !progress.total) return null;
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.8em', margin: '4px 0' }}>
+      <div role="progressbar" aria-label={label} aria-valuemin={0} aria-valuemax={100}
+        aria-valuenow={progress.percent}
+        style={{ flex: '0 1 160px', height: 6, borderRadius: 3, background: 'var(--border-color)' }}>
+        <div style={{
+          width: `${progress.percent}%`, height: '100%', borderRadius: 3,
+          background: progress.done === progress.total ? 'seagreen' : 'steelblue'
+        }} />
+      </div>
+      <span>{progress.done}/{progress.total}</span>
+    </div>
+  );
+}
+
+export default ProgressBar;
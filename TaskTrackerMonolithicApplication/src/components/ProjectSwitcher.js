@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import WorkflowEditor from './WorkflowEditor';
+
+/**
+ * Project switcher: selects which tasks are shown (all, personal or one project),
+ * creates projects and, for owners of the selected project, invites members
+ * and edits the task workflow (onWorkflowSaved receives the saved workflow).
+ * value: '' (all tasks), 'none' (personal tasks) or a project id.
+ */
+function ProjectSwitcher({ projects, value, onChange, onCreate, onInvite, onWorkflowSaved }) {
+  const [newName, setNewName] = useState('');
+  const [editingWorkflow, setEditingWorkflow] = useState(false);
+  const [invite, setInvite] = useState({ email: '', role: 'editor' });
+  const current = projects.find(p => p._id === value);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    await onCreate(newName.trim());
+    setNewName('');
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    await onInvite(value, invite.email, invite.role);
+    setInvite({ email: '', role: 'editor' });
+  };
+
+  return (
+    <div className="project-switcher" style={{ marginBottom: 12 }}>
+      <label>
+        Project:{' '}
+        <select value={value} onChange={e => onChange(e.target.value)}>
+          <option value="">All tasks</option>
+          <option value="none">Personal</option>
+          {projects.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+        </select>
+      </label>
+      <form onSubmit={handleCreate} style={{ display: 'inline', marginLeft: 8 }}>
+        <input type="text" placeholder="New project" aria-label="New project name"
+          value={newName} onChange={e => setNewName(e.target.value)}
+          style={{ marginRight: 4 }} />
+        <button type="submit">Create</button>
+      </form>
+      {current?.myRole === 'owner' &&
+        <form onSubmit={handleInvite} style={{ marginTop: 6 }}>
+          <input type="email" required placeholder="Invite by email" aria-label="Invite email"
+            value={invite.email} onChange={e => setInvite(i => ({ ...i, email: e.target.value }))}
+            style={{ marginRight: 4 }} />
+          <select aria-label="Invite role" value={invite.role}
+            onChange={e => setInvite(i => ({ ...i, role: e.target.value }))}
+            style={{ marginRight: 4 }}>
+            <option value="editor">Editor</option>
+            <option value="viewer">Viewer</option>
+            <option value="owner">Owner</option>
+          </select>
+          <button type="submit">Invite</button>
+          <button type="button" onClick={() => setEditingWorkflow(open => !open)}
+            aria-expanded={editingWorkflow} style={{ marginLeft: 8 }}>Workflow</button>
+        </form>}
+      {current?.myRole === 'owner' && editingWorkflow &&
+        <WorkflowEditor projectId={value} onSaved={workflow => onWorkflowSaved(value, workflow)} />}
+    </div>
+  );
+}
+
+export default ProjectSwitcher;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { parseQuickAdd } from 'task-tracker-shared';
+import { quickAddTask } from '../api';
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// A date-only due date (midnight UTC) is shown as that calendar day.
+function formatDue(parsed, timeZone) {
+  const due = new Date(parsed.dueDate);
+  return parsed.hasTime
+    ? due.toLocaleString([], { timeZone, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+    : due.toLocaleDateString([], { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * One-line task entry: "Pay invoice tomorrow 5pm !high @alice #finance".
+ * While typing, the line is parsed with the same parser as the server
+ * (shared/index.js) to preview the fields it will create. `project` files
+ * the task there; onCreated(task) runs after it is created.
+ */
+function QuickAdd({ project, onCreated, timeZone = browserTimeZone(), now }) {
+  const [text, setText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const parsed = text.trim() ? parseQuickAdd(text, { now: now || new Date(), timeZone }) : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!parsed || !parsed.title) return;
+    setError('');
+    setBusy(true);
+    try {
+      const { task } = await quickAddTask(text, project);
+      setText('');
+      await onCreated(task);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ marginBottom: 12 }}>
+      <input type="text" aria-label="Quick add"
+        placeholder="Quick add… e.g. Pay invoice tomorrow 5pm !high @alice #finance"
+        value={text} onChange={e => setText(e.target.value)} style={{ width: 420, marginRight: 8 }} />
+      <button type="submit" disabled={busy || !parsed || !parsed.title}>Add</button>
+      {parsed &&
+        <div aria-label="Quick add preview" style={{ fontSize: '0.6em', marginTop: 4 }}>
+          <b>{parsed.title || '(no title)'}</b>
+          {parsed.dueDate && <span style={{ marginLeft: 8 }}>due {formatDue(parsed, timeZone)}</span>}
+          {parsed.priority && <span style={{ marginLeft: 8 }}>{parsed.priority} priority</span>}
+          {parsed.assignee && <span style={{ marginLeft: 8 }}>for @{parsed.assignee}</span>}
+          {parsed.tags.map(tag =>
+            <span key={tag} style={{
+              marginLeft: 6, padding: '0 6px', borderRadius: 8, border: '1px solid var(--border-color)'
+            }}>#{tag}</span>)}
+        </div>}
+      {error && <div style={{ color: 'tomato', fontSize: '0.7em' }}>{error}</div>}
+    </form>
+  );
+}
+
+export default QuickAdd;
@@ -0,0 +1,93 @@
+import React from 'react';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// PUBLIC_INTERFACE
+export function describeRule(rule) {
+  /** Short label for a recurrence rule, e.g. "every 2 weeks on Mon, Thu, 5 times". */
+  if (!rule || !UNITS[rule.freq]) return '';
+  const interval = rule.interval || 1;
+  let text = interval === 1 ? `every ${UNITS[rule.freq]}` : `every ${interval} ${UNITS[rule.freq]}s`;
+  if (rule.freq === 'weekly' && rule.byWeekday && rule.byWeekday.length)
+    text += ` on ${rule.byWeekday.map(d => WEEKDAYS[d]).join(', ')}`;
+  if (rule.freq === 'monthly' && rule.monthDay)
+    text += ` on day ${rule.monthDay}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${new Date(rule.until).toLocaleDateString()}`;
+  return text;
+}
+
+/**
+ * Recurrence rule editor for the task form. `value` is a rule
+ * ({ freq, interval, byWeekday, until, count }) or null for a one-off task;
+ * onChange receives the new rule or null. Recurring tasks need a due date,
+ * so the picker is disabled without one.
+ */
+function RecurrencePicker({ value, onChange, disabled }) {
+  const rule = value || { freq: '' };
+  const end = rule.until !== undefined ? 'until' : rule.count !== undefined ? 'count' : 'never';
+
+  const update = (changes) => {
+    const next = { ...rule, ...changes };
+    Object.keys(next).forEach(key => next[key] === undefined && delete next[key]);
+    onChange(next.freq ? next : null);
+  };
+
+  const toggleWeekday = (day) => {
+    const days = rule.byWeekday || [];
+    const byWeekday = days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort();
+    update({ byWeekday: byWeekday.length ? byWeekday : undefined });
+  };
+
+  const setEnd = (kind) => update({
+    until: kind === 'until' ? '' : undefined,
+    count: kind === 'count' ? 5 : undefined
+  });
+
+  return (
+    <fieldset disabled={disabled} style={{ display: 'inline-block', margin: '8px 0', padding: '4px 8px' }}>
+      <legend style={{ fontSize: '0.9em' }}>Repeat{disabled ? ' (set a due date first)' : ''}</legend>
+      <select aria-label="Repeat" value={rule.freq}
+        onChange={e => onChange(e.target.value ? { freq: e.target.value, interval: 1 } : null)}
+        style={{ marginRight: 8 }}>
+        <option value="">Does not repeat</option>
+        <option value="daily">Daily</option>
+        <option value="weekly">Weekly</option>
+        <option value="monthly">Monthly</option>
+      </select>
+      {rule.freq && <>
+        <label style={{ marginRight: 8 }}>
+          every{' '}
+          <input type="number" min="1" max="365" aria-label="Repeat interval"
+            value={rule.interval || 1}
+            onChange={e => update({ interval: Math.max(parseInt(e.target.value, 10) || 1, 1) })}
+            style={{ width: 48 }} />
+          {' '}{UNITS[rule.freq]}(s)
+        </label>
+        {rule.freq === 'weekly' && WEEKDAYS.map((name, day) =>
+          <label key={name} style={{ marginRight: 4 }}>
+            <input type="checkbox" checked={(rule.byWeekday || []).includes(day)}
+              onChange={() => toggleWeekday(day)} />{name}
+          </label>)}
+        <select aria-label="Ends" value={end} onChange={e => setEnd(e.target.value)}
+          style={{ marginLeft: 8, marginRight: 8 }}>
+          <option value="never">Never ends</option>
+          <option value="until">Ends on date</option>
+          <option value="count">Ends after</option>
+        </select>
+        {end === 'until' &&
+          <input type="date" aria-label="Repeat until" value={rule.until || ''}
+            onChange={e => update({ until: e.target.value })} />}
+        {end === 'count' && <label>
+          <input type="number" min="1" max="1000" aria-label="Number of occurrences"
+            value={rule.count}
+            onChange={e => update({ count: Math.max(parseInt(e.target.value, 10) || 1, 1) })}
+            style={{ width: 56 }} /> times
+        </label>}
+      </>}
+    </fieldset>
+  );
+}
+
+export default RecurrencePicker;
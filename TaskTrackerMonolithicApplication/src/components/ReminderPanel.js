@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { scheduleEmailReminder, fetchReminders, cancelReminder } from '../api';
+
+const OFFSET_CHOICES = ['15m before due', '1h before due', '2h before due', '1d before due', '1w before due'];
+
+/**
+ * Per-task reminder panel: lists queued/sent reminders, schedules new ones
+ * (relative to the due date or at an absolute time) and cancels pending ones.
+ */
+function ReminderPanel({ task }) {
+  const [reminders, setReminders] = useState([]);
+  const [mode, setMode] = useState(task.dueDate ? 'offset' : 'at');
+  const [offset, setOffset] = useState(OFFSET_CHOICES[2]);
+  const [sendAt, setSendAt] = useState('');
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+
+  const loadReminders = useCallback(async () => {
+    try { setReminders(await fetchReminders(task._id)); }
+    catch (err) { setError(err.message); }
+  }, [task._id]);
+
+  useEffect(() => { loadReminders(); }, [loadReminders]);
+
+  const handleSchedule = async (e) => {
+    e.preventDefault();
+    setError('');
+    const when = mode === 'offset'
+      ? { offset }
+      : { sendAt: new Date(sendAt).toISOString() };
+    try {
+      await scheduleEmailReminder(task._id, email, when);
+      setSendAt('');
+      await loadReminders();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCancel = async (reminderId) => {
+    setError('');
+    try {
+      await cancelReminder(task._id, reminderId);
+      await loadReminders();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="reminder-panel" style={{ marginTop: 6, fontSize: '0.8em' }}>
+      <ul style={{ listStyle: 'none', padding: 0, margin: '4px 0' }}>
+        {reminders.length
+          ? reminders.map(r =>
+            <li key={r._id}>
+              {new Date(r.sendAt).toLocaleString()} → {r.email} ({r.status})
+              {r.status === 'pending' &&
+                <button onClick={() => handleCancel(r._id)}
+                  aria-label={`Cancel reminder at ${new Date(r.sendAt).toLocaleString()}`}
+                  style={{ marginLeft: 6, background: 'none', color: 'crimson' }}>Cancel</button>}
+            </li>)
+          : <li>No reminders.</li>}
+      </ul>
+      <form onSubmit={handleSchedule}>
+        <select aria-label="Reminder timing" value={mode} onChange={e => setMode(e.target.value)}
+          style={{ marginRight: 4 }}>
+          <option value="offset" disabled={!task.dueDate}>Before due</option>
+          <option value="at">At time</option>
+        </select>
+        {mode === 'offset'
+          ? <select aria-label="Reminder offset" value={offset} onChange={e => setOffset(e.target.value)}
+            style={{ marginRight: 4 }}>
+            {OFFSET_CHOICES.map(o => <option key={o} value={o}>{o}</option>)}
+          </select>
+          : <input type="datetime-local" aria-label="Reminder time" required
+            value={sendAt} onChange={e => setSendAt(e.target.value)}
+            style={{ marginRight: 4 }} />}
+        <input type="email" placeholder="Email (default: me)" aria-label="Reminder email"
+          value={email} onChange={e => setEmail(e.target.value)}
+          style={{ marginRight: 4 }} />
+        <button type="submit">Schedule</button>
+      </form>
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </div>
+  );
+}
+
+export default ReminderPanel;
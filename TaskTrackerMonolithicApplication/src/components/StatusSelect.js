@@ -0,0 +1,27 @@
+import React from 'react';
+
+// Mirrors the backend's canTransition: staying put is always allowed, and a
+// status without transition rules (or unknown to the workflow) may go anywhere.
+export function canMove(workflow, from, to) {
+  if (from === to) return true;
+  const rule = (workflow.transitions || []).find(t => t.from === from);
+  return !rule || rule.to.includes(to);
+}
+
+/**
+ * Status picker for a task, listing the statuses of its workflow. Statuses
+ * the workflow does not allow moving to from the current one are disabled.
+ */
+function StatusSelect({ task, workflow, onChange, disabled }) {
+  const known = workflow.statuses.some(s => s.key === task.status);
+  return (
+    <select aria-label={`Status of ${task.title}`} value={task.status} disabled={disabled}
+      onChange={e => onChange(e.target.value)} style={{ marginLeft: 8 }}>
+      {!known && <option value={task.status}>{task.status}</option>}
+      {workflow.statuses.map(s =>
+        <option key={s.key} value={s.key} disabled={!canMove(workflow, task.status, s.key)}>{s.name}</option>)}
+    </select>
+  );
+}
+
+export default StatusSelect;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  fetchTask, fetchSubtasks, createTask, completeTask, deleteTask,
+  addChecklistItem, updateChecklistItem, deleteChecklistItem
+} from '../api';
+import ProgressBar from './ProgressBar';
+
+// Deepest nesting the backend accepts (MAX_SUBTASK_DEPTH).
+const MAX_DEPTH = 5;
+
+/**
+ * Checklist and subtasks of a task. Subtasks render nested (each can be
+ * expanded into its own Subtasks panel); onTaskChange receives `task`
+ * re-fetched after every change, so the caller's progress bar stays current.
+ */
+function Subtasks({ task, onTaskChange, depth = 1 }) {
+  const [subtasks, setSubtasks] = useState([]);
+  const [expanded, setExpanded] = useState([]);
+  const [newItem, setNewItem] = useState('');
+  const [newSubtask, setNewSubtask] = useState('');
+  const [error, setError] = useState('');
+
+  const loadSubtasks = useCallback(async () => {
+    try { setSubtasks(await fetchSubtasks(task._id)); }
+    catch (err) { setError(err.message); }
+  }, [task._id]);
+
+  useEffect(() => { loadSubtasks(); }, [loadSubtasks]);
+
+  // Runs a change, then refreshes the subtasks and this task's progress.
+  const run = async (change) => {
+    setError('');
+    try {
+      await change();
+      await loadSubtasks();
+      onTaskChange(await fetchTask(task._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddItem = (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+    run(async () => { await addChecklistItem(task._id, newItem.trim()); setNewItem(''); });
+  };
+
+  const handleAddSubtask = (e) => {
+    e.preventDefault();
+    if (!newSubtask.trim()) return;
+    run(async () => { await createTask({ title: newSubtask.trim(), parent: task._id }); setNewSubtask(''); });
+  };
+
+  const toggleExpanded = (id) =>
+    setExpanded(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]));
+
+  const replaceSubtask = (updated) =>
+    setSubtasks(ts => ts.map(t => (t._id === updated._id ? updated : t)));
+
+  return (
+    <div className="subtasks" style={{ marginTop: 6, marginLeft: depth > 1 ? 16 : 0, fontSize: '0.9em' }}>
+      <ul aria-label={`Checklist of ${task.title}`} style={{ listStyle: 'none', padding: 0, margin: '4px 0' }}>
+        {(task.checklist || []).map(item =>
+          <li key={item._id}>
+            <label>
+              <input type="checkbox" checked={item.done}
+                onChange={() => run(() => updateChecklistItem(task._id, item._id, { done: !item.done }))} />
+              <span style={{ textDecoration: item.done ? 'line-through' : 'none' }}>{item.text}</span>
+            </label>
+            <button onClick={() => run(() => deleteChecklistItem(task._id, item._id))}
+              aria-label={`Remove ${item.text}`}
+              style={{ marginLeft: 6, background: 'none', color: 'crimson' }}>&times;</button>
+          </li>)}
+      </ul>
+      <form onSubmit={handleAddItem} style={{ marginBottom: 6 }}>
+        <input type="text" aria-label="New checklist item" placeholder="Checklist item"
+          value={newItem} onChange={e => setNewItem(e.target.value)} style={{ marginRight: 6 }} />
+        <button type="submit">Add item</button>
+      </form>
+
+      <ul aria-label={`Subtasks of ${task.title}`} style={{ listStyle: 'none', padding: 0, margin: '4px 0' }}>
+        {subtasks.map(sub =>
+          <li key={sub._id} style={{ borderLeft: '2px solid var(--border-color)', paddingLeft: 8, margin: '4px 0' }}>
+            <input type="checkbox" checked={sub.statusCategory === 'done'}
+              aria-label={`Complete ${sub.title}`}
+              onChange={() => run(() => completeTask(sub._id))} />
+            <button onClick={() => toggleExpanded(sub._id)} aria-expanded={expanded.includes(sub._id)}
+              style={{ background: 'none', color: 'inherit', padding: 0 }}>{sub.title}</button>
+            <button onClick={() => run(() => deleteTask(sub._id))} aria-label={`Delete ${sub.title}`}
+              style={{ marginLeft: 6, background: 'none', color: 'crimson' }}>&times;</button>
+            <ProgressBar progress={sub.progress} label={`Progress of ${sub.title}`} />
+            {expanded.includes(sub._id) &&
+              <Subtasks task={sub} depth={depth + 1} onTaskChange={replaceSubtask} />}
+          </li>)}
+      </ul>
+      {depth <= MAX_DEPTH &&
+        <form onSubmit={handleAddSubtask}>
+          <input type="text" aria-label="New subtask" placeholder="Subtask title"
+            value={newSubtask} onChange={e => setNewSubtask(e.target.value)} style={{ marginRight: 6 }} />
+          <button type="submit">Add subtask</button>
+        </form>}
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </div>
+  );
+}
+
+export default Subtasks;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { createTag, updateTag, mergeTag, deleteTag } from '../api';
+
+const chipStyle = color => ({
+  display: 'inline-block', marginRight: 4, padding: '0 6px', borderRadius: 8,
+  background: color || 'var(--border-color)', color: '#1a1a1a', fontSize: '0.6em'
+});
+
+/** One tag as a colored chip ("#name"). */
+export function TagChip({ name, color }) {
+  return <span style={chipStyle(color)}>#{name}</span>;
+}
+
+/**
+ * Tag filter for the task list: toggle tags on and off and choose whether a
+ * task needs any or all of them. `value` is { tags, mode }; onChange gets
+ * the new value.
+ */
+export function TagFilter({ tags, value, onChange }) {
+  if (!tags.length) return null;
+  const toggle = name => onChange({
+    ...value,
+    tags: value.tags.includes(name) ? value.tags.filter(t => t !== name) : [...value.tags, name]
+  });
+  return (
+    <div role="group" aria-label="Filter by tag" style={{ fontSize: '0.7em', marginBottom: 8 }}>
+      Tags:
+      {tags.map(tag =>
+        <button key={tag.name} onClick={() => toggle(tag.name)} aria-pressed={value.tags.includes(tag.name)}
+          style={{
+            ...chipStyle(tag.color), marginLeft: 4, fontSize: '1em',
+            outline: value.tags.includes(tag.name) ? '2px solid var(--text-primary)' : 'none'
+          }}>#{tag.name}</button>)}
+      <select aria-label="Tag match" value={value.mode} style={{ marginLeft: 8 }}
+        onChange={e => onChange({ ...value, mode: e.target.value })}>
+        <option value="any">any of these</option>
+        <option value="all">all of these</option>
+      </select>
+      {value.tags.length > 0 &&
+        <button onClick={() => onChange({ ...value, tags: [] })} style={{ marginLeft: 6 }}>Clear</button>}
+    </div>
+  );
+}
+
+/**
+ * Tags of one scope (a project, or personal tags when `project` is null):
+ * create, recolor, rename, merge into another tag and delete. Renames,
+ * merges and deletes change every task using the tag; onChanged() runs
+ * after each change (to reload tags and tasks).
+ */
+function TagManager({ project, tags, onChanged }) {
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [error, setError] = useState('');
+
+  const run = async (change) => {
+    setError('');
+    try {
+      await change();
+      await onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    run(async () => { await createTag(newName.trim(), null, project); setNewName(''); });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(async () => { await updateTag(renaming.id, { name: renaming.name.trim() }); setRenaming(null); });
+  };
+
+  const handleDelete = (tag) => {
+    if (window.confirm(`Delete #${tag.name} and remove it from ${tag.count} tasks?`)) run(() => deleteTag(tag._id));
+  };
+
+  return (
+    <div aria-label="Manage tags" style={{
+      fontSize: '0.7em', textAlign: 'left', margin: '8px 0', padding: 6,
+      border: '1px solid var(--border-color)', borderRadius: 6
+    }}>
+      <b>{project ? 'Project tags' : 'My tags'}</b>
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {tags.map(tag =>
+          <li key={tag._id} style={{ margin: '4px 0' }}>
+            <input type="color" aria-label={`Color of #${tag.name}`} value={tag.color}
+              onChange={e => run(() => updateTag(tag._id, { color: e.target.value }))} style={{ marginRight: 6 }} />
+            {renaming && renaming.id === tag._id
+              ? <form onSubmit={handleRename} style={{ display: 'inline' }}>
+                  <input aria-label={`New name for #${tag.name}`} value={renaming.name} autoFocus
+                    onChange={e => setRenaming({ ...renaming, name: e.target.value })} />
+                  <button type="submit" disabled={!renaming.name.trim()} style={{ marginLeft: 4 }}>Save</button>
+                  <button type="button" onClick={() => setRenaming(null)} style={{ marginLeft: 4 }}>Cancel</button>
+                </form>
+              : <>
+                  <TagChip name={tag.name} color={tag.color} />
+                  <span style={{ opacity: 0.7 }}>{tag.count} tasks</span>
+                  <button onClick={() => setRenaming({ id: tag._id, name: tag.name })} style={{ marginLeft: 6 }}
+                    aria-label={`Rename #${tag.name}`}>Rename</button>
+                </>}
+            {tags.length > 1 &&
+              <select aria-label={`Merge #${tag.name} into`} value="" style={{ marginLeft: 6 }}
+                onChange={e => e.target.value && run(() => mergeTag(tag._id, e.target.value))}>
+                <option value="">Merge into…</option>
+                {tags.filter(t => t._id !== tag._id).map(t => <option key={t._id} value={t._id}>#{t.name}</option>)}
+              </select>}
+            <button onClick={() => handleDelete(tag)} aria-label={`Delete #${tag.name}`}
+              style={{ marginLeft: 6, background: 'none', color: 'crimson' }}>&times;</button>
+          </li>)}
+      </ul>
+      <form onSubmit={handleCreate}>
+        <input placeholder="New tag" aria-label="New tag" value={newName} onChange={e => setNewName(e.target.value)} />
+        <button type="submit" disabled={!newName.trim()} style={{ marginLeft: 4 }}>Add tag</button>
+      </form>
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </div>
+  );
+}
+
+export default TagManager;
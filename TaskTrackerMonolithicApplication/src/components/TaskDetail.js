@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchActivity, addComment, editComment, deleteComment, revertTask } from '../api';
+
+const FIELD_LABELS = {
+  title: 'title', description: 'description', dueDate: 'due date', status: 'status',
+  priority: 'priority', assignedTo: 'assignee', project: 'project', tags: 'tags'
+};
+
+// Readable form of one field change; ids (assignee, project) are not shown
+function describeChange({ field, from, to }) {
+  const label = FIELD_LABELS[field] || field;
+  if (field === 'assignedTo' || field === 'project') return `the ${label}`;
+  const show = value => {
+    if (value === null || value === undefined || value === '') return 'none';
+    if (Array.isArray(value)) return value.length ? value.map(tag => `#${tag}`).join(' ') : 'none';
+    return field === 'dueDate' ? new Date(value).toLocaleDateString() : String(value);
+  };
+  return `${label} from ${show(from)} to ${show(to)}`;
+}
+
+function actorName(actor) {
+  if (!actor) return 'Someone';
+  return actor.name || actor.email || 'Someone';
+}
+
+/**
+ * Expanded task view: details plus the activity thread (comments and
+ * field changes), with a form to comment and edit/delete own comments.
+ * Each change can be reverted to; onTaskChange receives the reverted task.
+ */
+function TaskDetail({ task, currentUserId, onTaskChange }) {
+  const [activity, setActivity] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [editing, setEditing] = useState(null); // { id, text }
+  const [error, setError] = useState('');
+
+  const loadActivity = useCallback(async () => {
+    try { setActivity(await fetchActivity(task._id)); }
+    catch (err) { setError(err.message); }
+  }, [task._id]);
+
+  useEffect(() => { loadActivity(); }, [loadActivity]);
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await addComment(task._id, draft);
+      setDraft('');
+      await loadActivity();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await editComment(task._id, editing.id, editing.text);
+      setEditing(null);
+      await loadActivity();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    setError('');
+    try {
+      await deleteComment(task._id, commentId);
+      await loadActivity();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevert = async (entryId) => {
+    if (!window.confirm('Revert the task to this version?')) return;
+    setError('');
+    try {
+      const reverted = await revertTask(task._id, entryId);
+      if (onTaskChange) onTaskChange(reverted);
+      await loadActivity();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderComment = (item) => {
+    const comment = item.comment;
+    const mine = item.actor && item.actor._id === currentUserId;
+    if (editing && editing.id === comment._id) {
+      return (
+        <form onSubmit={handleSaveEdit}>
+          <textarea aria-label="Edit comment" required maxLength={5000}
+            value={editing.text} onChange={e => setEditing({ ...editing, text: e.target.value })}
+            style={{ width: '100%' }} />
+          <button type="submit">Save</button>
+          <button type="button" onClick={() => setEditing(null)} style={{ marginLeft: 4 }}>Cancel</button>
+        </form>
+      );
+    }
+    return (
+      <>
+        <b>{actorName(item.actor)}</b>: {comment.body}
+        {comment.editedAt && <em style={{ opacity: 0.7 }}> (edited)</em>}
+        {mine && <>
+          <button onClick={() => setEditing({ id: comment._id, text: comment.body })}
+            style={{ marginLeft: 6, background: 'none' }}>Edit</button>
+          <button onClick={() => handleDelete(comment._id)}
+            aria-label="Delete comment"
+            style={{ marginLeft: 4, background: 'none', color: 'crimson' }}>Delete</button>
+        </>}
+      </>
+    );
+  };
+
+  const renderChange = (item, latest) => {
+    const revertButton = !latest && item.entryId &&
+      <button onClick={() => handleRevert(item.entryId)}
+        aria-label={`Revert to version of ${new Date(item.at).toLocaleString()}`}
+        style={{ marginLeft: 6, background: 'none' }}>Revert to this</button>;
+    if (item.action === 'create')
+      return <><b>{actorName(item.actor)}</b> created the task{revertButton}</>;
+    const verb = item.action === 'revert' ? 'reverted' : 'changed';
+    return (
+      <><b>{actorName(item.actor)}</b> {verb} {item.changes.map(describeChange).join(', ')}{revertButton}</>
+    );
+  };
+  const lastChange = activity.filter(item => item.type === 'change').pop();
+
+  return (
+    <div className="task-detail" style={{ marginTop: 6, fontSize: '0.85em', textAlign: 'left' }}>
+      <div>Status: {task.status} · Priority: {task.priority}</div>
+      <ul aria-label="Activity" style={{ listStyle: 'none', padding: 0, margin: '6px 0' }}>
+        {activity.length
+          ? activity.map((item, i) =>
+            <li key={item.type === 'comment' ? item.comment._id : `change-${i}`}
+              style={{ margin: '4px 0', opacity: item.type === 'change' ? 0.75 : 1 }}>
+              <span style={{ opacity: 0.6, marginRight: 6 }}>{new Date(item.at).toLocaleString()}</span>
+              {item.type === 'comment' ? renderComment(item) : renderChange(item, item === lastChange)}
+            </li>)
+          : <li>No activity yet.</li>}
+      </ul>
+      <form onSubmit={handleComment}>
+        <textarea aria-label="New comment" placeholder="Comment… (@name to mention)" required maxLength={5000}
+          value={draft} onChange={e => setDraft(e.target.value)}
+          style={{ width: '100%' }} />
+        <button type="submit">Comment</button>
+      </form>
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </div>
+  );
+}
+
+export default TaskDetail;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { createView, updateView, deleteView } from '../api';
+
+const DUE_OPTIONS = [
+  ['', 'Any due date'], ['overdue', 'Overdue'], ['today', 'Due today'],
+  ['next', 'Due in the next…'], ['none', 'No due date']
+];
+const ASSIGNEE_OPTIONS = [['', 'Anyone'], ['me', 'Assigned to me'], ['unassigned', 'Unassigned']];
+const SORT_OPTIONS = [['dueDate', 'Due date'], ['priority', 'Priority'], ['createdAt', 'Created']];
+
+const EMPTY_VIEW = {
+  name: '', sortBy: 'dueDate', order: 'asc',
+  filters: { due: '', dueDays: 7, assignee: '', priority: '', hideDone: false }
+};
+
+// Form for a view's name, relative filters and sort. Unset filters are left
+// out; `extraFilters` (the current project and tags) are saved along.
+function ViewForm({ initial, extraFilters, submitLabel, onSubmit, onCancel }) {
+  const [view, setView] = useState(initial);
+  const setFilter = (key, value) => setView(v => ({ ...v, filters: { ...v.filters, [key]: value } }));
+  const { due, dueDays, assignee, priority, hideDone } = view.filters;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const filters = { ...view.filters, ...extraFilters };
+    for (const key of Object.keys(filters))
+      if (filters[key] === '' || filters[key] === null) delete filters[key];
+    if (due !== 'next') delete filters.dueDays;
+    else filters.dueDays = Number(dueDays);
+    onSubmit({ name: view.name.trim(), filters, sortBy: view.sortBy, order: view.order });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} aria-label={submitLabel} style={{ marginTop: 8 }}>
+      <input required placeholder="View name" aria-label="View name" value={view.name} maxLength={60}
+        onChange={e => setView(v => ({ ...v, name: e.target.value }))} style={{ width: '100%' }} />
+      <select aria-label="Due" value={due || ''} onChange={e => setFilter('due', e.target.value)}>
+        {DUE_OPTIONS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      {due === 'next' &&
+        <label> <input type="number" min={1} max={365} aria-label="Days ahead" value={dueDays || 7}
+          onChange={e => setFilter('dueDays', e.target.value)} style={{ width: 48 }} /> days</label>}
+      <select aria-label="Assignee" value={assignee || ''} onChange={e => setFilter('assignee', e.target.value)}>
+        {ASSIGNEE_OPTIONS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      <select aria-label="Priority" value={priority || ''} onChange={e => setFilter('priority', e.target.value)}>
+        <option value="">Any priority</option>
+        {['low', 'medium', 'high'].map(p => <option key={p} value={p}>{p}</option>)}
+      </select>
+      <label style={{ display: 'block' }}>
+        <input type="checkbox" checked={Boolean(hideDone)} onChange={e => setFilter('hideDone', e.target.checked)} />
+        {' '}Hide done tasks
+      </label>
+      <select aria-label="Sort by" value={view.sortBy} onChange={e => setView(v => ({ ...v, sortBy: e.target.value }))}>
+        {SORT_OPTIONS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      <select aria-label="Order" value={view.order} onChange={e => setView(v => ({ ...v, order: e.target.value }))}>
+        <option value="asc">ascending</option>
+        <option value="desc">descending</option>
+      </select>
+      <div>
+        <button type="submit" disabled={!view.name.trim()}>{submitLabel}</button>
+        <button type="button" onClick={onCancel} style={{ marginLeft: 4 }}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Sidebar of task views: "All tasks", the built-in views (Today, Upcoming,
+ * Overdue) and the user's saved views, which can be created, edited and
+ * deleted. A new view also keeps `currentFilters` (the selected project and
+ * tag filter). onSelect(id) picks a view ('' for all tasks); onChanged()
+ * runs after a view is saved or deleted (to reload them).
+ */
+function ViewSidebar({ views, value, currentFilters = {}, onSelect, onChanged }) {
+  const [editing, setEditing] = useState(null); // 'new' or a saved view
+  const [error, setError] = useState('');
+
+  // Returns the change's result, or undefined when it failed
+  const run = async (change) => {
+    setError('');
+    try {
+      const saved = await change();
+      setEditing(null);
+      await onChanged();
+      return saved;
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = async (view) => {
+    const saved = await run(() => createView(view));
+    if (saved) onSelect(saved._id);
+  };
+
+  const handleDelete = async (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+    const deleted = await run(() => deleteView(view._id).then(() => view));
+    if (deleted && value === view._id) onSelect('');
+  };
+
+  const item = (id, label) =>
+    <button onClick={() => onSelect(id)} aria-current={value === id ? 'page' : undefined}
+      style={{
+        background: value === id ? 'var(--button-bg)' : 'none',
+        color: value === id ? 'var(--button-text)' : 'inherit', padding: '2px 6px'
+      }}>{label}</button>;
+
+  return (
+    <nav aria-label="Views" style={{ fontSize: '0.6em', textAlign: 'left', minWidth: 150, maxWidth: 200 }}>
+      <h4 style={{ margin: '0 0 6px' }}>Views</h4>
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        <li>{item('', 'All tasks')}</li>
+        {views.map(view =>
+          <li key={view._id} style={{ marginTop: 2 }}>
+            {item(view._id, view.name)}
+            {!view.builtIn && <>
+              <button onClick={() => setEditing(view)} aria-label={`Edit view ${view.name}`}
+                style={{ marginLeft: 4, background: 'none', color: 'inherit' }}>✎</button>
+              <button onClick={() => handleDelete(view)} aria-label={`Delete view ${view.name}`}
+                style={{ background: 'none', color: 'crimson' }}>&times;</button>
+            </>}
+          </li>)}
+      </ul>
+      {editing === 'new'
+        ? <ViewForm initial={EMPTY_VIEW} extraFilters={currentFilters} submitLabel="Save view"
+            onSubmit={handleCreate} onCancel={() => setEditing(null)} />
+        : editing
+          ? <ViewForm key={editing._id} initial={{ ...EMPTY_VIEW, ...editing, filters: { ...EMPTY_VIEW.filters, ...editing.filters } }}
+              extraFilters={{}} submitLabel="Update view"
+              onSubmit={view => run(() => updateView(editing._id, view))} onCancel={() => setEditing(null)} />
+          : <button onClick={() => setEditing('new')} style={{ marginTop: 8 }}>+ New view</button>}
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </nav>
+  );
+}
+
+export default ViewSidebar;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { fetchWorkflow, updateProjectWorkflow } from '../api';
+
+const CATEGORIES = [['todo', 'To do'], ['in_progress', 'In progress'], ['done', 'Done']];
+
+// Status key for a new status: its name in snake_case, unique in `taken`.
+function keyFor(name, taken) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '').slice(0, 36) || 'status';
+  let key = base;
+  for (let n = 2; taken.has(key); n += 1) key = `${base}_${n}`;
+  return key;
+}
+
+// Editable copy of a workflow. Statuses get a local id (their key, or new-N
+// until saved); moves maps an id to the ids it may move to, absent = anywhere.
+function toDraft(workflow) {
+  const moves = {};
+  for (const t of workflow.transitions || []) if (t.to.length) moves[t.from] = t.to.filter(key => key !== t.from);
+  return {
+    statuses: workflow.statuses.map(s => ({ id: s.key, key: s.key, name: s.name, category: s.category })),
+    initial: workflow.initial,
+    moves
+  };
+}
+
+function fromDraft(draft) {
+  const taken = new Set(draft.statuses.filter(s => s.key).map(s => s.key));
+  const keys = {};
+  for (const s of draft.statuses) {
+    keys[s.id] = s.key || keyFor(s.name, taken);
+    taken.add(keys[s.id]);
+  }
+  // An empty list would mean "anywhere" to the backend, so each list also
+  // names its own status (staying put is always allowed anyway).
+  return {
+    statuses: draft.statuses.map(s => ({ key: keys[s.id], name: s.name.trim(), category: s.category })),
+    initial: keys[draft.initial],
+    transitions: Object.entries(draft.moves)
+      .filter(([from]) => keys[from])
+      .map(([from, to]) => ({ from: keys[from], to: [...to.filter(id => keys[id]).map(id => keys[id]), keys[from]] }))
+  };
+}
+
+/**
+ * Editor for a project's task workflow (owners): statuses with their
+ * category, the status new tasks start in, and which moves are allowed.
+ * Tasks in a removed status move to a status of the same category.
+ * onSaved receives the saved workflow.
+ */
+function WorkflowEditor({ projectId, onSaved }) {
+  const [draft, setDraft] = useState(null);
+  const [nextId, setNextId] = useState(1);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    fetchWorkflow(projectId).then(wf => setDraft(toDraft(wf))).catch(err => setError(err.message));
+  }, [projectId]);
+
+  if (!draft) return error ? <div style={{ color: 'tomato' }}>{error}</div> : null;
+
+  const setStatus = (id, changes) =>
+    setDraft(d => ({ ...d, statuses: d.statuses.map(s => (s.id === id ? { ...s, ...changes } : s)) }));
+
+  const addStatus = () => {
+    setDraft(d => ({ ...d, statuses: [...d.statuses, { id: `new-${nextId}`, key: '', name: '', category: 'in_progress' }] }));
+    setNextId(n => n + 1);
+  };
+
+  const removeStatus = (id) => setDraft(d => {
+    const statuses = d.statuses.filter(s => s.id !== id);
+    const moves = {};
+    for (const [from, to] of Object.entries(d.moves)) if (from !== id) moves[from] = to.filter(x => x !== id);
+    const initial = d.initial === id ? (statuses.find(s => s.category !== 'done') || statuses[0]).id : d.initial;
+    return { ...d, statuses, moves, initial };
+  });
+
+  const allowed = (from, to) => !draft.moves[from] || draft.moves[from].includes(to);
+
+  const toggleMove = (from, to) => setDraft(d => {
+    const others = d.statuses.map(s => s.id).filter(id => id !== from);
+    const current = d.moves[from] || others;
+    const next = current.includes(to) ? current.filter(id => id !== to) : [...current, to];
+    const moves = { ...d.moves };
+    if (others.every(id => next.includes(id))) delete moves[from];
+    else moves[from] = next;
+    return { ...d, moves };
+  });
+
+  const save = async (workflow) => {
+    setError(''); setNotice('');
+    try {
+      const result = await updateProjectWorkflow(projectId, workflow);
+      setDraft(toDraft(result.workflow));
+      setNotice(result.remapped ? `Workflow saved; ${result.remapped} task(s) moved to a new status.` : 'Workflow saved.');
+      if (onSaved) onSaved(result.workflow);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save(fromDraft(draft));
+  };
+
+  return (
+    <form className="workflow-editor" onSubmit={handleSubmit} style={{ marginTop: 6, fontSize: '0.8em' }}>
+      <table>
+        <thead>
+          <tr>
+            <th>Status</th><th>Category</th>
+            {draft.statuses.map(s => <th key={s.id} style={{ fontWeight: 'normal' }}>→ {s.name || '…'}</th>)}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.statuses.map((s, i) =>
+            <tr key={s.id}>
+              <td>
+                <input type="text" required maxLength={60} aria-label={`Status ${i + 1} name`}
+                  value={s.name} onChange={e => setStatus(s.id, { name: e.target.value })} />
+              </td>
+              <td>
+                <select aria-label={`Status ${i + 1} category`} value={s.category}
+                  onChange={e => setStatus(s.id, { category: e.target.value })}>
+                  {CATEGORIES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </td>
+              {draft.statuses.map(t =>
+                <td key={t.id} style={{ textAlign: 'center' }}>
+                  {t.id !== s.id &&
+                    <input type="checkbox" checked={allowed(s.id, t.id)}
+                      aria-label={`Allow ${s.name || `status ${i + 1}`} to ${t.name || 'new status'}`}
+                      onChange={() => toggleMove(s.id, t.id)} />}
+                </td>)}
+              <td>
+                <button type="button" onClick={() => removeStatus(s.id)} disabled={draft.statuses.length < 2}
+                  aria-label={`Remove status ${s.name || i + 1}`}
+                  style={{ background: 'none', color: 'crimson' }}>&times;</button>
+              </td>
+            </tr>)}
+        </tbody>
+      </table>
+      <label>
+        New tasks start in:{' '}
+        <select value={draft.initial} onChange={e => setDraft(d => ({ ...d, initial: e.target.value }))}>
+          {draft.statuses.filter(s => s.category !== 'done').map(s =>
+            <option key={s.id} value={s.id}>{s.name || '…'}</option>)}
+        </select>
+      </label>
+      <div style={{ marginTop: 6 }}>
+        <button type="button" onClick={addStatus} style={{ marginRight: 4 }}>Add status</button>
+        <button type="submit" style={{ marginRight: 4 }}>Save workflow</button>
+        <button type="button" onClick={() => save(null)}>Use default workflow</button>
+      </div>
+      {notice && <div style={{ color: 'seagreen' }}>{notice}</div>}
+      {error && <div style={{ color: 'tomato' }}>{error}</div>}
+    </form>
+  );
+}
+
+export default WorkflowEditor;